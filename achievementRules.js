@@ -0,0 +1,169 @@
+// Achievement Rules
+// Badges are earned by declarative rules stored with the badge, so new badges need
+// no code. A rule is a condition or a combination of conditions:
+//
+//   { "metric": "answered", "qtype": "pbq", "min": 100 }
+//   { "all": [ <rule>, ... ] }   every rule holds
+//   { "any": [ <rule>, ... ] }   at least one rule holds
+//
+// A condition holds when its metric reaches "min". Metrics and their filters:
+//   examsCompleted  submitted exams                    minQuestions
+//   bestScore       best scaled score (100-900)        minQuestions
+//   answered        questions answered                 qtype, domain, difficulty, tag, correct
+//   domainAccuracy  accuracy % in a domain; "*" means  domain, minAnswered (default 10)
+//                   the weakest official domain
+//   streak          longest streak in days             kind ('active' days or 'goal' met)
+//   bankMastered    % of the question bank matching    qtype, domain, difficulty, tag
+//                   the filters answered correctly
+//
+// achievementService.js loads the student's facts and stores awarded badges.
+
+import { OFFICIAL_DOMAINS } from './examObjectives.js';
+
+const FILTERS = {
+  qtype: value => value === 'mcq' || value === 'pbq',
+  domain: value => typeof value === 'string' && value.trim() !== '',
+  difficulty: value => ['Easy', 'Medium', 'Hard'].includes(value),
+  tag: value => typeof value === 'string' && value.trim() !== '',
+  correct: value => typeof value === 'boolean',
+  minQuestions: value => Number.isInteger(value) && value > 0,
+  minAnswered: value => Number.isInteger(value) && value > 0,
+  kind: value => value === 'active' || value === 'goal'
+};
+
+export const RULE_METRICS = {
+  examsCompleted: ['minQuestions'],
+  bestScore: ['minQuestions'],
+  answered: ['qtype', 'domain', 'difficulty', 'tag', 'correct'],
+  domainAccuracy: ['domain', 'minAnswered'],
+  streak: ['kind'],
+  bankMastered: ['qtype', 'domain', 'difficulty', 'tag']
+};
+
+const MAX_DEPTH = 5;
+const DEFAULT_MIN_ANSWERED = 10;
+
+function checkRule(rule, path, depth) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return [`${path} must be an object`];
+  if (depth >= MAX_DEPTH) return [`${path} is nested more than ${MAX_DEPTH} levels deep`];
+
+  const group = ['all', 'any'].find(key => key in rule);
+  if (group) {
+    if (Object.keys(rule).length > 1) return [`${path} must have only "${group}"`];
+    if (!Array.isArray(rule[group]) || rule[group].length === 0) return [`${path}.${group} must be a non-empty array`];
+    return rule[group].flatMap((child, i) => checkRule(child, `${path}.${group}[${i}]`, depth + 1));
+  }
+
+  const errors = [];
+  const params = RULE_METRICS[rule.metric];
+  if (!params) {
+    return [`${path}.metric must be one of: ${Object.keys(RULE_METRICS).join(', ')}`];
+  }
+  if (typeof rule.min !== 'number' || !(rule.min > 0)) errors.push(`${path}.min must be a positive number`);
+  if (rule.metric === 'domainAccuracy' && rule.domain === undefined) errors.push(`${path}.domain is required`);
+  Object.keys(rule).filter(key => key !== 'metric' && key !== 'min').forEach(key => {
+    if (!params.includes(key)) {
+      errors.push(`${path}.${key} is not a filter of ${rule.metric}`);
+    } else if (!FILTERS[key](rule[key])) {
+      errors.push(`${path}.${key} is invalid`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check a rule against the rule format
+ * @param {Object} rule - Rule as stored with a badge
+ * @returns {Array<string>} - Problems found, empty if the rule is valid
+ */
+export function validateRule(rule) {
+  return checkRule(rule, 'rule', 0);
+}
+
+// Whether a question matches a condition's question filters
+function matchesQuestion(condition, question) {
+  return (condition.qtype === undefined || (question.qtype || 'mcq') === condition.qtype) &&
+    (condition.domain === undefined || question.domain === condition.domain) &&
+    (condition.difficulty === undefined || question.difficulty === condition.difficulty) &&
+    (condition.tag === undefined || (question.tags || []).includes(condition.tag));
+}
+
+function domainAccuracy(answers, domain, minAnswered) {
+  const inDomain = answers.filter(a => a.domain === domain);
+  if (inDomain.length < minAnswered) return 0;
+  return (100 * inDomain.reduce((sum, a) => sum + a.points, 0)) / inDomain.length;
+}
+
+/**
+ * Value of a condition's metric for a student
+ * @param {Object} condition - { metric, ...filters }
+ * @param {Object} facts - { exams: [{ totalQuestions, scaledScore }],
+ *   answers: [{ questionId, qtype, domain, difficulty, tags, points (0-1) }],
+ *   streaks: { longest, goal: { longestStreak } },
+ *   bank: [{ id, qtype, domain, difficulty, tags }] (needed by bankMastered only) }
+ * @returns {number}
+ */
+export function measure(condition, facts) {
+  const exams = (facts.exams || []).filter(e => e.totalQuestions >= (condition.minQuestions || 0));
+  const answers = facts.answers || [];
+
+  switch (condition.metric) {
+    case 'examsCompleted':
+      return exams.length;
+    case 'bestScore':
+      return exams.reduce((best, e) => Math.max(best, e.scaledScore || 0), 0);
+    case 'answered':
+      return answers.filter(a => matchesQuestion(condition, a) &&
+        (condition.correct === undefined || (a.points >= 1) === condition.correct)).length;
+    case 'domainAccuracy': {
+      const minAnswered = condition.minAnswered || DEFAULT_MIN_ANSWERED;
+      if (condition.domain !== '*') return domainAccuracy(answers, condition.domain, minAnswered);
+      return Math.min(...OFFICIAL_DOMAINS.map(d => domainAccuracy(answers, d.name, minAnswered)));
+    }
+    case 'streak':
+      return condition.kind === 'goal' ? facts.streaks?.goal?.longestStreak || 0 : facts.streaks?.longest || 0;
+    case 'bankMastered': {
+      const pool = (facts.bank || []).filter(q => matchesQuestion(condition, q));
+      if (pool.length === 0) return 0;
+      const mastered = new Set(answers.filter(a => a.points >= 1).map(a => a.questionId));
+      return (100 * pool.filter(q => mastered.has(q.id)).length) / pool.length;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Evaluate a rule for a student
+ * Progress is how far the student is towards the rule: value / min for a condition,
+ * the average for "all" and the best for "any".
+ * @param {Object} rule - A valid rule (see validateRule)
+ * @param {Object} facts - As for measure
+ * @returns {Object} - { earned, progress (0-1) }
+ */
+export function evaluateRule(rule, facts) {
+  if (rule.all || rule.any) {
+    const results = (rule.all || rule.any).map(child => evaluateRule(child, facts));
+    return rule.all
+      ? { earned: results.every(r => r.earned), progress: round(results.reduce((sum, r) => sum + r.progress, 0) / results.length) }
+      : { earned: results.some(r => r.earned), progress: Math.max(...results.map(r => r.progress)) };
+  }
+
+  const value = measure(rule, facts);
+  return { earned: value >= rule.min, progress: round(Math.min(1, value / rule.min)) };
+}
+
+/**
+ * Whether any condition of a rule uses a metric
+ * @param {Object} rule - A valid rule
+ * @param {string} metric - Metric name
+ * @returns {boolean}
+ */
+export function usesMetric(rule, metric) {
+  if (rule.all || rule.any) return (rule.all || rule.any).some(child => usesMetric(child, metric));
+  return rule.metric === metric;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
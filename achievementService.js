@@ -0,0 +1,250 @@
+import { run, get, all } from './database/db.js';
+import { OFFICIAL_DOMAIN_SQL } from './examService.js';
+import { getStreaks } from './activityService.js';
+import { validateRule, evaluateRule, usesMetric } from './achievementRules.js';
+
+/**
+ * Achievement Service
+ * Awards badges whose rules a student meets (see achievementRules.js). Rules are
+ * checked after every exam submission and study answer; a badge once awarded is
+ * kept even if its rule is changed or the badge is switched off later.
+ */
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ICON_LENGTH = 16;
+const CODE_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function formatBadge(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    description: row.description,
+    icon: row.icon,
+    rule: JSON.parse(row.rule),
+    isActive: !!row.is_active,
+    ...(row.awarded_count !== undefined && { awardedCount: row.awarded_count })
+  };
+}
+
+// What students see of a badge; rules and the active flag stay admin-only
+function publicBadge(badge) {
+  return { id: badge.id, code: badge.code, name: badge.name, description: badge.description, icon: badge.icon };
+}
+
+function requireText(value, field, maxLength) {
+  if (typeof value !== 'string' || value.trim() === '' || value.trim().length > maxLength) {
+    throw { status: 400, message: `${field} must be 1-${maxLength} characters` };
+  }
+  return value.trim();
+}
+
+// Icons are optional; null or '' clears one
+function optionalIcon(value) {
+  if (value === null || value === '') return null;
+  return requireText(value, 'icon', MAX_ICON_LENGTH);
+}
+
+// Left out, isActive keeps its fallback
+function optionalActive(value, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'boolean') throw { status: 400, message: 'isActive must be a boolean' };
+  return value;
+}
+
+function checkRule(rule) {
+  const problems = validateRule(rule);
+  if (problems.length > 0) throw { status: 400, message: `Invalid rule: ${problems.join('; ')}` };
+  return rule;
+}
+
+// Everything the rules measure, loading only what they need
+async function loadFacts(userId, rules) {
+  const exams = await all(
+    `SELECT total_questions, scaled_score FROM exam_attempts
+     WHERE user_id = ? AND submitted_at IS NOT NULL AND deleted_at IS NULL`,
+    [userId]
+  );
+  const answers = await all(
+    `SELECT a.question_id, a.points, q.qtype, q.domain, q.difficulty, ${OFFICIAL_DOMAIN_SQL}
+     FROM exam_attempt_answers a
+     JOIN exam_attempts ea ON ea.id = a.attempt_id
+     JOIN questions q ON q.id = a.question_id
+     WHERE ea.user_id = ? AND ea.submitted_at IS NOT NULL AND ea.deleted_at IS NULL AND a.user_answer_json IS NOT NULL
+     UNION ALL
+     SELECT sq.question_id, CASE WHEN sq.is_correct THEN 1 ELSE 0 END, q.qtype, q.domain, q.difficulty, ${OFFICIAL_DOMAIN_SQL}
+     FROM study_session_questions sq
+     JOIN study_sessions s ON s.id = sq.session_id
+     JOIN questions q ON q.id = sq.question_id
+     WHERE s.user_id = ? AND sq.answered_at IS NOT NULL`,
+    [userId, userId]
+  );
+
+  const tags = new Map();
+  (await all('SELECT qt.question_id, t.name FROM question_tags qt JOIN tags t ON t.id = qt.tag_id')).forEach(row => {
+    if (!tags.has(row.question_id)) tags.set(row.question_id, []);
+    tags.get(row.question_id).push(row.name);
+  });
+  const question = row => ({
+    qtype: row.qtype || 'mcq',
+    domain: row.official_domain || row.domain,
+    difficulty: row.difficulty,
+    tags: tags.get(row.question_id ?? row.id) || []
+  });
+
+  const facts = {
+    exams: exams.map(e => ({ totalQuestions: e.total_questions, scaledScore: e.scaled_score })),
+    answers: answers.map(a => ({ questionId: a.question_id, points: a.points || 0, ...question(a) }))
+  };
+  if (rules.some(rule => usesMetric(rule, 'streak'))) {
+    facts.streaks = await getStreaks(userId);
+  }
+  if (rules.some(rule => usesMetric(rule, 'bankMastered'))) {
+    const bank = await all(`SELECT q.id, q.qtype, q.domain, q.difficulty, ${OFFICIAL_DOMAIN_SQL} FROM questions q WHERE q.retired_at IS NULL`);
+    facts.bank = bank.map(q => ({ id: q.id, ...question(q) }));
+  }
+  return facts;
+}
+
+/**
+ * Award every active badge whose rule the student now meets
+ * @param {number} userId - User ID
+ * @returns {Array<Object>} - Newly awarded badges [{ id, code, name, description, icon, awardedAt }]
+ */
+export async function evaluateAchievements(userId) {
+  const pending = (await all(
+    `SELECT b.* FROM badges b
+     WHERE b.is_active = 1
+       AND NOT EXISTS (SELECT 1 FROM user_badges ub WHERE ub.badge_id = b.id AND ub.user_id = ?)`,
+    [userId]
+  )).map(formatBadge);
+  if (pending.length === 0) return [];
+
+  const facts = await loadFacts(userId, pending.map(b => b.rule));
+  const awarded = [];
+  for (const badge of pending) {
+    if (!evaluateRule(badge.rule, facts).earned) continue;
+    const result = await run('INSERT OR IGNORE INTO user_badges (user_id, badge_id) VALUES (?, ?)', [userId, badge.id]);
+    if (result.changes > 0) {
+      const { awarded_at } = await get('SELECT awarded_at FROM user_badges WHERE user_id = ? AND badge_id = ?', [userId, badge.id]);
+      awarded.push({ ...publicBadge(badge), awardedAt: awarded_at });
+    }
+  }
+  return awarded;
+}
+
+/**
+ * List the student's badges: earned ones, and progress towards the rest
+ * @param {number} userId - User ID
+ * @returns {Object} - { earned, total, badges: [{ id, code, name, description, icon, earned, awardedAt, progress }] }
+ */
+export async function getAchievements(userId) {
+  // Switched-off badges still show for students who earned them
+  const rows = await all(
+    `SELECT b.*, ub.awarded_at
+     FROM badges b
+     LEFT JOIN user_badges ub ON ub.badge_id = b.id AND ub.user_id = ?
+     WHERE b.is_active = 1 OR ub.id IS NOT NULL
+     ORDER BY ub.awarded_at IS NULL, ub.awarded_at DESC, b.id`,
+    [userId]
+  );
+  const badges = rows.map(row => ({ ...formatBadge(row), awardedAt: row.awarded_at }));
+  const unearned = badges.filter(b => !b.awardedAt);
+  const facts = unearned.length > 0 ? await loadFacts(userId, unearned.map(b => b.rule)) : null;
+
+  return {
+    earned: badges.length - unearned.length,
+    total: badges.length,
+    badges: badges.map(badge => ({
+      ...publicBadge(badge),
+      awardedAt: badge.awardedAt,
+      earned: !!badge.awardedAt,
+      progress: badge.awardedAt ? 1 : evaluateRule(badge.rule, facts).progress
+    }))
+  };
+}
+
+/**
+ * List all badges with how many students earned each (admin)
+ */
+export async function listBadges() {
+  const rows = await all(
+    `SELECT b.*, COUNT(ub.id) as awarded_count
+     FROM badges b
+     LEFT JOIN user_badges ub ON ub.badge_id = b.id
+     GROUP BY b.id
+     ORDER BY b.id`
+  );
+  return rows.map(formatBadge);
+}
+
+async function getBadge(id) {
+  const row = await get(
+    `SELECT b.*, (SELECT COUNT(*) FROM user_badges ub WHERE ub.badge_id = b.id) as awarded_count
+     FROM badges b WHERE b.id = ?`,
+    [id]
+  );
+  if (!row) throw { status: 404, message: 'Badge not found' };
+  return formatBadge(row);
+}
+
+/**
+ * Create a badge (admin)
+ * @param {Object} data - { code (lowercase letters, digits and dashes), name, description, icon, rule, isActive }
+ */
+export async function createBadge(data = {}) {
+  if (typeof data.code !== 'string' || !CODE_PATTERN.test(data.code)) {
+    throw { status: 400, message: 'code must be 1-40 lowercase letters, digits or dashes' };
+  }
+  const name = requireText(data.name, 'name', MAX_NAME_LENGTH);
+  const description = requireText(data.description, 'description', MAX_DESCRIPTION_LENGTH);
+  const icon = data.icon !== undefined ? optionalIcon(data.icon) : null;
+  const rule = checkRule(data.rule);
+  const isActive = optionalActive(data.isActive, true);
+
+  if (await get('SELECT id FROM badges WHERE code = ?', [data.code])) {
+    throw { status: 409, message: `A badge with code "${data.code}" already exists` };
+  }
+
+  const result = await run(
+    'INSERT INTO badges (code, name, description, icon, rule, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+    [data.code, name, description, icon, JSON.stringify(rule), isActive ? 1 : 0]
+  );
+  return getBadge(result.lastID);
+}
+
+/**
+ * Update a badge (admin); fields left out stay as they are
+ * Changing the rule does not take back badges already awarded.
+ * @param {number} id - Badge ID
+ * @param {Object} data - { name, description, icon, rule, isActive }
+ */
+export async function updateBadge(id, data = {}) {
+  const current = await getBadge(id);
+  const name = data.name !== undefined ? requireText(data.name, 'name', MAX_NAME_LENGTH) : current.name;
+  const description = data.description !== undefined
+    ? requireText(data.description, 'description', MAX_DESCRIPTION_LENGTH)
+    : current.description;
+  const icon = data.icon !== undefined ? optionalIcon(data.icon) : current.icon;
+  const rule = data.rule !== undefined ? checkRule(data.rule) : current.rule;
+  const isActive = optionalActive(data.isActive, current.isActive);
+
+  await run(
+    `UPDATE badges SET name = ?, description = ?, icon = ?, rule = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name, description, icon, JSON.stringify(rule), isActive ? 1 : 0, id]
+  );
+  return getBadge(id);
+}
+
+/**
+ * Delete a badge and take it back from everyone who earned it (admin)
+ * @param {number} id - Badge ID
+ */
+export async function deleteBadge(id) {
+  const badge = await getBadge(id);
+  await run('DELETE FROM user_badges WHERE badge_id = ?', [id]);
+  await run('DELETE FROM badges WHERE id = ?', [id]);
+  return badge;
+}
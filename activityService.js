@@ -0,0 +1,134 @@
+import { run, get, all } from './database/db.js';
+import { parseDbTimestamp } from './examService.js';
+import { addDays } from './studyPlanner.js';
+import {
+  ACTIVITY_DEFAULTS, isValidTimeZone, localDate, summarizeActivity, computeStreaks, buildHeatmap
+} from './activityStreaks.js';
+
+/**
+ * Activity Service
+ * Daily goals, streaks and the activity heatmap from submitted exams and study
+ * answers (see activityStreaks.js). Days are counted in the student's saved time
+ * zone unless a request names another one.
+ */
+
+const HEATMAP_DEFAULT_DAYS = 365;
+const HEATMAP_MAX_DAYS = 730;
+
+/**
+ * Get the student's daily goal and time zone (defaults until they save one)
+ * @param {number} userId - User ID
+ * @returns {Object} - { type, target, timezone, isDefault }
+ */
+export async function getActivityGoal(userId) {
+  const row = await get('SELECT goal_type, goal_target, timezone FROM activity_goals WHERE user_id = ?', [userId]);
+  if (!row) {
+    return { type: ACTIVITY_DEFAULTS.goalType, target: ACTIVITY_DEFAULTS.goalTarget, timezone: ACTIVITY_DEFAULTS.timeZone, isDefault: true };
+  }
+  return { type: row.goal_type, target: row.goal_target, timezone: row.timezone, isDefault: false };
+}
+
+/**
+ * Save the daily goal and time zone
+ * @param {number} userId - User ID
+ * @param {Object} settings - { type ('questions' or 'minutes'), target, timezone (IANA name, default: unchanged) }
+ * @returns {Object} - The saved goal, as getActivityGoal
+ */
+export async function saveActivityGoal(userId, { type, target, timezone }) {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    throw { status: 400, message: 'Unknown timezone' };
+  }
+
+  const current = await getActivityGoal(userId);
+  await run(
+    `INSERT INTO activity_goals (user_id, goal_type, goal_target, timezone)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       goal_type = excluded.goal_type,
+       goal_target = excluded.goal_target,
+       timezone = excluded.timezone,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, type, target, timezone || current.timezone]
+  );
+  return getActivityGoal(userId);
+}
+
+// Saved goal, with the time zone the request asks for if any
+async function resolveGoal(userId, timeZone) {
+  const goal = await getActivityGoal(userId);
+  if (timeZone === undefined || timeZone === '') return goal;
+  if (!isValidTimeZone(timeZone)) throw { status: 400, message: 'Unknown timezone' };
+  return { ...goal, timezone: timeZone };
+}
+
+// Every submitted exam and answered study question of the student, per calendar day
+async function loadActivity(userId, timeZone) {
+  const exams = await all(
+    `SELECT ea.submitted_at, ea.duration,
+            (SELECT COUNT(*) FROM exam_attempt_answers a
+             WHERE a.attempt_id = ea.id AND a.user_answer_json IS NOT NULL) as answered
+     FROM exam_attempts ea
+     WHERE ea.user_id = ? AND ea.submitted_at IS NOT NULL AND ea.deleted_at IS NULL`,
+    [userId]
+  );
+  const studyAnswers = await all(
+    `SELECT sq.session_id, sq.answered_at
+     FROM study_session_questions sq
+     JOIN study_sessions s ON s.id = sq.session_id
+     WHERE s.user_id = ? AND sq.answered_at IS NOT NULL`,
+    [userId]
+  );
+
+  return summarizeActivity({
+    exams: exams.map(e => ({ submittedAt: parseDbTimestamp(e.submitted_at), durationSeconds: e.duration, answered: e.answered })),
+    studyAnswers: studyAnswers.map(a => ({ sessionId: a.session_id, answeredAt: parseDbTimestamp(a.answered_at) }))
+  }, timeZone);
+}
+
+/**
+ * Get the student's streaks and today's progress towards their goal
+ * @param {number} userId - User ID
+ * @param {string} timeZone - Time zone to count days in (default: the saved one)
+ * @returns {Object} - { timezone, date, current, longest, activeToday, lastActiveDate, today, goal }
+ */
+export async function getStreaks(userId, timeZone) {
+  const goal = await resolveGoal(userId, timeZone);
+  const days = await loadActivity(userId, goal.timezone);
+  const today = localDate(Date.now(), goal.timezone);
+
+  return {
+    timezone: goal.timezone,
+    date: today,
+    ...computeStreaks(days, today, goal)
+  };
+}
+
+/**
+ * Get day-by-day activity for the calendar heatmap
+ * @param {number} userId - User ID
+ * @param {Object} options - { days (default 365, at most 730), timeZone (default: the saved one) }
+ * @returns {Object} - { timezone, from, to, goal: { type, target }, days: [{ date, questions, minutes, exams, goalMet, level }],
+ *   totals: { activeDays, questions, minutes, exams } }
+ */
+export async function getActivityHeatmap(userId, { days, timeZone } = {}) {
+  const count = Math.min(HEATMAP_MAX_DAYS, Math.max(1, parseInt(days) || HEATMAP_DEFAULT_DAYS));
+  const goal = await resolveGoal(userId, timeZone);
+  const activity = await loadActivity(userId, goal.timezone);
+  const to = localDate(Date.now(), goal.timezone);
+  const from = addDays(to, -(count - 1));
+  const cells = buildHeatmap(activity, from, to, goal);
+
+  return {
+    timezone: goal.timezone,
+    from,
+    to,
+    goal: { type: goal.type, target: goal.target },
+    days: cells,
+    totals: {
+      activeDays: cells.filter(c => c.level > 0).length,
+      questions: cells.reduce((sum, c) => sum + c.questions, 0),
+      minutes: Math.round(cells.reduce((sum, c) => sum + c.minutes, 0)),
+      exams: cells.reduce((sum, c) => sum + c.exams, 0)
+    }
+  };
+}
@@ -0,0 +1,195 @@
+// Activity Streaks
+// Turns a student's exam and study activity into calendar days in their own time
+// zone, then works out streaks, progress towards the daily goal and the activity
+// heatmap. activityService.js loads the activity and the goal.
+//
+// A day is active when the student answered at least one question or submitted an
+// exam. A streak is the run of consecutive active days up to today; it stays alive
+// through today until midnight even before today's first answer. The goal streak
+// counts days on which the daily goal was met instead.
+//
+// Exam time is the recorded duration, counted on the day the exam was submitted.
+// Study sessions record only when each answer was given, so study time is the gap
+// since the previous answer in the session, capped so a break does not count.
+
+import { addDays, daysBetween } from './studyPlanner.js';
+
+export const ACTIVITY_DEFAULTS = {
+  goalType: 'questions', // 'questions' answered or 'minutes' studied a day
+  goalTarget: 20,
+  timeZone: 'UTC',
+  maxAnswerGapMinutes: 5, // longer gaps between study answers count as this much
+  firstAnswerMinutes: 1 // the first answer of a study session has no gap to measure
+};
+
+const formatters = new Map();
+
+function dayFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a time zone name is known (IANA names such as 'Europe/Berlin', or 'UTC')
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    dayFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar day of a moment in a time zone
+ * @param {number|Date} value - Timestamp (ms) or Date
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export function localDate(value, timeZone) {
+  const parts = Object.fromEntries(
+    dayFormatter(timeZone).formatToParts(value).map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function dayFor(days, date) {
+  if (!days.has(date)) days.set(date, { questions: 0, minutes: 0, exams: 0 });
+  return days.get(date);
+}
+
+/**
+ * Activity per calendar day
+ * @param {Object} activity - { exams: [{ submittedAt (ms), durationSeconds, answered }],
+ *   studyAnswers: [{ sessionId, answeredAt (ms) }] }
+ * @param {string} timeZone - IANA time zone the days are counted in
+ * @param {Object} options - Overrides of ACTIVITY_DEFAULTS
+ * @returns {Map<string, Object>} - 'YYYY-MM-DD' -> { questions, minutes, exams }, minutes rounded to one decimal
+ */
+export function summarizeActivity({ exams = [], studyAnswers = [] }, timeZone, options = {}) {
+  const settings = { ...ACTIVITY_DEFAULTS, ...options };
+  const days = new Map();
+
+  exams.forEach(exam => {
+    const day = dayFor(days, localDate(exam.submittedAt, timeZone));
+    day.exams++;
+    day.questions += exam.answered || 0;
+    day.minutes += (exam.durationSeconds || 0) / 60;
+  });
+
+  const sessions = new Map();
+  studyAnswers.forEach(answer => {
+    if (!sessions.has(answer.sessionId)) sessions.set(answer.sessionId, []);
+    sessions.get(answer.sessionId).push(answer.answeredAt);
+  });
+  sessions.forEach(times => {
+    times.sort((a, b) => a - b).forEach((time, i) => {
+      const day = dayFor(days, localDate(time, timeZone));
+      day.questions++;
+      day.minutes += i === 0
+        ? settings.firstAnswerMinutes
+        : Math.min(settings.maxAnswerGapMinutes, (time - times[i - 1]) / 60000);
+    });
+  });
+
+  days.forEach(day => { day.minutes = Math.round(day.minutes * 10) / 10; });
+  return days;
+}
+
+/**
+ * Whether a day's activity meets the daily goal
+ * @param {Object|undefined} day - { questions, minutes }
+ * @param {Object} goal - { type, target }
+ * @returns {boolean}
+ */
+export function goalMet(day, goal) {
+  return !!day && day[goal.type] >= goal.target;
+}
+
+// Consecutive days passing a check, ending today or, while today does not pass yet, yesterday
+function runEndingAt(today, passes) {
+  let date = passes(today) ? today : addDays(today, -1);
+  let length = 0;
+  while (passes(date)) {
+    length++;
+    date = addDays(date, -1);
+  }
+  return length;
+}
+
+function longestRun(dates) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...dates].sort().forEach(date => {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+  return longest;
+}
+
+/**
+ * Streaks and today's progress towards the goal
+ * @param {Map<string, Object>} days - As returned by summarizeActivity
+ * @param {string} today - 'YYYY-MM-DD' in the student's time zone
+ * @param {Object} goal - { type, target }
+ * @returns {Object} - { current, longest, activeToday, lastActiveDate, today: { questions, minutes, exams },
+ *   goal: { type, target, progress, met, streak, longestStreak } }
+ */
+export function computeStreaks(days, today, goal) {
+  const active = date => days.has(date);
+  const met = date => goalMet(days.get(date), goal);
+  const dates = [...days.keys()].filter(date => date <= today);
+  const todayActivity = days.get(today) || { questions: 0, minutes: 0, exams: 0 };
+
+  return {
+    current: runEndingAt(today, active),
+    longest: longestRun(dates),
+    activeToday: active(today),
+    lastActiveDate: dates.length > 0 ? dates.sort()[dates.length - 1] : null,
+    today: todayActivity,
+    goal: {
+      type: goal.type,
+      target: goal.target,
+      progress: todayActivity[goal.type],
+      met: met(today),
+      streak: runEndingAt(today, met),
+      longestStreak: longestRun(dates.filter(met))
+    }
+  };
+}
+
+/**
+ * Day-by-day activity for a calendar heatmap
+ * Levels grade each day against the goal: 0 none, 1 under half, 2 under the goal,
+ * 3 goal met, 4 twice the goal or more.
+ * @param {Map<string, Object>} days - As returned by summarizeActivity
+ * @param {string} from - First day, 'YYYY-MM-DD'
+ * @param {string} to - Last day, 'YYYY-MM-DD'
+ * @param {Object} goal - { type, target }
+ * @returns {Array<Object>} - [{ date, questions, minutes, exams, goalMet, level }], oldest first
+ */
+export function buildHeatmap(days, from, to, goal) {
+  const cells = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = days.get(date) || { questions: 0, minutes: 0, exams: 0 };
+    const ratio = day[goal.type] / goal.target;
+    const active = day.questions > 0 || day.exams > 0;
+    cells.push({
+      date,
+      ...day,
+      goalMet: goalMet(day, goal),
+      level: !active ? 0 : ratio >= 2 ? 4 : ratio >= 1 ? 3 : ratio >= 0.5 ? 2 : 1
+    });
+  }
+  return cells;
+}
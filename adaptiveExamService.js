@@ -0,0 +1,390 @@
+import { run, get, all } from './database/db.js';
+import { getBlueprint, getDefaultBlueprint } from './blueprintService.js';
+import { getScoringConfig, rawToScaled } from './scoringModel.js';
+import { recordReview } from './reviewService.js';
+import { revisionContentSql, explainAnswer } from './questionBankService.js';
+import { getDuplicateClusterIndex } from './duplicateService.js';
+import { OFFICIAL_DOMAIN_SQL, getExamClock, summarizeClock, formatExamQuestion, getOpenExam } from './examService.js';
+import { CAT_DEFAULTS, estimateAbility, expectedScore, itemDifficulty, selectNextItem, stopReason } from './adaptiveTesting.js';
+
+/**
+ * Adaptive Exam Service
+ * Computerized adaptive exams (see adaptiveTesting.js): MCQs are served one at a
+ * time, each picked for the student's running ability estimate, until the
+ * estimate is precise enough. Answers cannot be changed once given.
+ *
+ * The result is the ability estimate with its standard error. It is put on the
+ * usual 100-900 scale through the share of the whole bank a student of that
+ * ability is expected to answer correctly, so the blueprint's pass mark applies.
+ */
+
+// Stopping rule; each exam's maxQuestions is also capped by its blueprint's question count
+const CAT_POLICY = {
+  minQuestions: parseInt(process.env.CAT_MIN_QUESTIONS) || CAT_DEFAULTS.minQuestions,
+  maxQuestions: parseInt(process.env.CAT_MAX_QUESTIONS) || CAT_DEFAULTS.maxQuestions,
+  targetStandardError: parseFloat(process.env.CAT_TARGET_SE) || CAT_DEFAULTS.targetStandardError
+};
+
+// An adaptive exam stores its question cap as total_questions until it finishes
+function examPolicy(exam) {
+  return {
+    minQuestions: Math.min(CAT_POLICY.minQuestions, exam.total_questions),
+    maxQuestions: exam.total_questions,
+    targetStandardError: CAT_POLICY.targetStandardError
+  };
+}
+
+const isAnswered = q => q.user_answer !== null && q.user_answer !== undefined;
+
+async function getAdaptiveExam(examId, userId) {
+  const exam = await getOpenExam(examId, userId);
+  if (!exam.is_adaptive) throw { status: 400, message: 'Not an adaptive exam' };
+  return exam;
+}
+
+// Active MCQs with the difficulty the adaptive mode uses for them
+async function getItemBank() {
+  const rows = await all(
+    `SELECT q.id, q.current_revision_id, q.domain, q.difficulty, p.difficulty as calibrated, ${OFFICIAL_DOMAIN_SQL}
+     FROM questions q
+     LEFT JOIN question_irt_parameters p ON p.question_id = q.id AND p.revision_id IS q.current_revision_id
+     WHERE (q.qtype IS NULL OR q.qtype = 'mcq') AND q.retired_at IS NULL`
+  );
+  return rows.map(row => ({
+    id: row.id,
+    revisionId: row.current_revision_id,
+    domain: row.official_domain || row.domain,
+    difficulty: itemDifficulty(row.calibrated, row.difficulty)
+  }));
+}
+
+// Bank items not served yet, leaving out other copies of a served question's duplicate cluster
+async function getCandidates(served) {
+  const [bank, clusterOf] = await Promise.all([getItemBank(), getDuplicateClusterIndex()]);
+  const servedIds = new Set(served.map(q => q.question_id));
+  const servedClusters = new Set(served.filter(q => clusterOf.has(q.question_id)).map(q => clusterOf.get(q.question_id)));
+  return bank.filter(item => !servedIds.has(item.id) && !servedClusters.has(clusterOf.get(item.id)));
+}
+
+// Questions served so far, in order, as the student saw them
+function getServedQuestions(examId) {
+  return all(
+    `SELECT eq.question_number, eq.question_id, eq.revision_id, eq.user_answer, eq.is_correct,
+            eq.irt_difficulty, eq.time_spent_seconds, q.id, ${OFFICIAL_DOMAIN_SQL}, ${revisionContentSql()}
+     FROM exam_questions eq
+     JOIN questions q ON eq.question_id = q.id
+     LEFT JOIN question_revisions r ON r.id = eq.revision_id
+     WHERE eq.exam_id = ?
+     ORDER BY eq.question_number`,
+    [examId]
+  );
+}
+
+function abilityFrom(served) {
+  return estimateAbility(served.filter(isAnswered).map(q => ({
+    difficulty: q.irt_difficulty ?? 0,
+    score: q.is_correct ? 1 : 0
+  })));
+}
+
+// Pick the next question for the current estimate and record it as served
+async function serveNextQuestion(exam, served, theta, candidates) {
+  const blueprint = exam.blueprint_id ? await getBlueprint(exam.blueprint_id).catch(() => null) : null;
+  const administered = {};
+  served.forEach(q => {
+    const domain = q.official_domain || q.domain;
+    administered[domain] = (administered[domain] || 0) + 1;
+  });
+
+  const item = selectNextItem(theta, candidates, { domainWeights: blueprint ? blueprint.domainWeights : {}, administered });
+  const questionNumber = served.length + 1;
+  await run(
+    'INSERT INTO exam_questions (exam_id, question_id, revision_id, question_number, irt_difficulty) VALUES (?, ?, ?, ?, ?)',
+    [exam.id, item.id, item.revisionId, questionNumber, item.difficulty]
+  );
+
+  const row = await get(
+    `SELECT q.id, ${revisionContentSql()}
+     FROM questions q
+     LEFT JOIN question_revisions r ON r.id = ?
+     WHERE q.id = ?`,
+    [item.revisionId, item.id]
+  );
+  return formatExamQuestion(row, questionNumber);
+}
+
+function questionResponse(exam, question, answeredCount, clock) {
+  const policy = examPolicy(exam);
+  return {
+    finished: false,
+    examId: exam.id,
+    question,
+    answeredCount,
+    minQuestions: policy.minQuestions,
+    maxQuestions: policy.maxQuestions,
+    ...summarizeClock(clock)
+  };
+}
+
+// Finish the exam if the stopping rule says so, otherwise serve the next question
+async function advance(exam, served, clock) {
+  const ability = abilityFrom(served);
+  const answeredCount = served.filter(isAnswered).length;
+  const candidates = await getCandidates(served);
+  const reason = stopReason(
+    { answered: answeredCount, standardError: ability.standardError, remaining: candidates.length },
+    examPolicy(exam)
+  );
+
+  if (reason) {
+    return { finished: true, result: await finishAdaptiveExam(exam, served, clock, reason) };
+  }
+
+  const question = await serveNextQuestion(exam, served, ability.theta, candidates);
+  return questionResponse(exam, question, answeredCount, clock);
+}
+
+/**
+ * Score the exam from its ability estimate and record it like a submitted exam
+ * @param {Object} exam - exams row
+ * @param {Array<Object>} served - Served questions (see getServedQuestions)
+ * @param {Object} clock - Exam clock
+ * @param {string} reason - Why the exam stopped
+ */
+async function finishAdaptiveExam(exam, served, clock, reason) {
+  const userId = exam.user_id;
+  const answered = served.filter(isAnswered);
+  const ability = abilityFrom(answered);
+
+  // Claim the exam first, so a second /finish (or one racing the last answer) records nothing twice
+  const claim = await run(
+    'UPDATE exams SET submitted_at = CURRENT_TIMESTAMP, paused_at = NULL WHERE id = ? AND submitted_at IS NULL',
+    [exam.id]
+  );
+  if (claim.changes !== 1) throw { status: 400, message: 'Exam already submitted' };
+
+  // A question served but never answered is not part of the exam
+  await run('DELETE FROM exam_questions WHERE exam_id = ? AND user_answer IS NULL', [exam.id]);
+  if (clock.isPaused) {
+    await run('UPDATE exam_pauses SET resumed_at = CURRENT_TIMESTAMP WHERE exam_id = ? AND resumed_at IS NULL', [exam.id]);
+  }
+
+  const bank = await getItemBank();
+  // No answers, no credit: the prior alone says nothing about the student
+  const expected = answered.length > 0 ? expectedScore(ability.theta, bank.map(item => item.difficulty)) ?? 0 : 0;
+  const config = getScoringConfig(exam.passing_score ? { passMark: exam.passing_score } : {});
+  const scaledScore = rawToScaled(expected * 100, config);
+  const passMark = config.passMark ?? config.passingScore;
+  const passed = scaledScore >= passMark;
+
+  const correctCount = answered.filter(q => q.is_correct).length;
+  const score = answered.length > 0 ? Math.round((correctCount / answered.length) * 100) : 0;
+  const timeUsed = Math.min(clock.elapsedSeconds, clock.durationSeconds);
+
+  await run(
+    `UPDATE exams
+     SET time_used = ?, score = ?, scaled_score = ?, passed = ?,
+         answered_count = ?, total_questions = ?, ability_theta = ?, ability_se = ?, stop_reason = ?
+     WHERE id = ?`,
+    [timeUsed, score, scaledScore, passed ? 1 : 0, answered.length, answered.length,
+      ability.theta, ability.standardError, reason, exam.id]
+  );
+
+  if (exam.attempt_id) {
+    await run(
+      `UPDATE exam_attempts
+       SET submitted_at = CURRENT_TIMESTAMP, duration = ?, score_percent = ?, scaled_score = ?, passed = ?,
+           total_questions = ?, correct_count = ?, partial_count = 0, incorrect_count = ?
+       WHERE id = ?`,
+      [timeUsed, score, scaledScore, passed ? 1 : 0, answered.length, correctCount, answered.length - correctCount, exam.attempt_id]
+    );
+  }
+
+  const results = [];
+  const domainStats = {};
+  for (const q of answered) {
+    const isCorrect = q.is_correct === 1;
+
+    if (exam.attempt_id) {
+      await run(
+        'INSERT INTO exam_attempt_answers (attempt_id, question_id, revision_id, question_number, user_answer_json, is_correct, is_partial, points, time_spent_seconds) VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)',
+        [exam.attempt_id, q.question_id, q.revision_id, q.question_number, q.user_answer, isCorrect ? 1 : 0, isCorrect ? 1 : 0, q.time_spent_seconds]
+      );
+    }
+    await run(
+      `INSERT INTO question_usage (user_id, question_id, times_used, times_correct)
+       VALUES (?, ?, 1, ?)
+       ON CONFLICT(user_id, question_id) DO UPDATE SET
+         times_used = times_used + 1,
+         times_correct = times_correct + ?,
+         last_used_at = CURRENT_TIMESTAMP`,
+      [userId, q.question_id, isCorrect ? 1 : 0, isCorrect ? 1 : 0]
+    );
+    recordReview(userId, q.question_id, { isCorrect, isPartial: false, points: isCorrect ? 1 : 0 })
+      .catch(err => console.error('Error updating review schedule:', err));
+
+    results.push({
+      questionNumber: q.question_number,
+      question: q.question,
+      qtype: 'mcq',
+      choices: { A: q.choice_a, B: q.choice_b, C: q.choice_c, D: q.choice_d },
+      userAnswer: q.user_answer,
+      correctAnswer: q.answer,
+      isCorrect,
+      explanation: q.explanation,
+      ...explainAnswer(q, q.user_answer),
+      domain: q.domain,
+      irtDifficulty: q.irt_difficulty
+    });
+
+    if (!domainStats[q.domain]) domainStats[q.domain] = { correct: 0, total: 0 };
+    domainStats[q.domain].total++;
+    if (isCorrect) domainStats[q.domain].correct++;
+  }
+
+  return {
+    examId: exam.id,
+    adaptive: true,
+    ability,
+    stopReason: reason,
+    expectedPercent: Math.round(expected * 1000) / 10,
+    score,
+    scaledScore,
+    passingScore: passMark,
+    maxScore: config.maxScore,
+    correctCount,
+    partialCount: 0,
+    answeredCount: answered.length,
+    totalQuestions: answered.length,
+    timeUsed,
+    passed,
+    results,
+    domainBreakdown: Object.keys(domainStats).map(domain => ({
+      domain,
+      correct: domainStats[domain].correct,
+      total: domainStats[domain].total,
+      percentage: Math.round((domainStats[domain].correct / domainStats[domain].total) * 100)
+    }))
+  };
+}
+
+/**
+ * Start an adaptive exam and serve its first question
+ * @param {number} userId - User ID
+ * @param {number|null} blueprintId - Blueprint for duration, pass mark, domain balance and question cap
+ */
+export async function startAdaptiveExam(userId, blueprintId = null) {
+  const blueprint = blueprintId
+    ? await getBlueprint(blueprintId, { activeOnly: true })
+    : await getDefaultBlueprint();
+
+  const candidates = await getCandidates([]);
+  if (candidates.length === 0) {
+    throw { status: 400, message: 'Not enough questions available in the question bank' };
+  }
+  const maxQuestions = Math.min(CAT_POLICY.maxQuestions, blueprint.questionCount);
+
+  const attempt = await run(
+    'INSERT INTO exam_attempts (user_id, mode, total_questions, blueprint_id) VALUES (?, ?, ?, ?)',
+    [userId, 'adaptive', maxQuestions, blueprint.id]
+  );
+  const created = await run(
+    `INSERT INTO exams
+       (user_id, is_retake_missed, is_adaptive, attempt_id, blueprint_id, total_questions, duration_minutes, passing_score)
+     VALUES (?, 0, 1, ?, ?, ?, ?, ?)`,
+    [userId, attempt.lastID, blueprint.id, maxQuestions, blueprint.durationMinutes, blueprint.passingScore]
+  );
+
+  const exam = await get('SELECT * FROM exams WHERE id = ?', [created.lastID]);
+  const question = await serveNextQuestion(exam, [], 0, candidates);
+
+  return {
+    ...questionResponse(exam, question, 0, await getExamClock(exam)),
+    attemptId: attempt.lastID,
+    adaptive: true,
+    duration: blueprint.durationMinutes, // minutes
+    passingScore: blueprint.passingScore,
+    targetStandardError: CAT_POLICY.targetStandardError,
+    blueprint: { id: blueprint.id, name: blueprint.name, slug: blueprint.slug }
+  };
+}
+
+/**
+ * The question waiting for an answer (to resume an adaptive exam).
+ * Once the time is up the exam is finished and the result returned instead.
+ * @param {number} examId - Exam ID
+ * @param {number} userId - User ID
+ * @returns {Object} - { finished: false, question, answeredCount, ... } or { finished: true, result }
+ */
+export async function getAdaptiveQuestion(examId, userId) {
+  const exam = await getAdaptiveExam(examId, userId);
+  const clock = await getExamClock(exam);
+  const served = await getServedQuestions(examId);
+
+  if (clock.timeRemaining === 0) {
+    return { finished: true, result: await finishAdaptiveExam(exam, served, clock, 'time-limit') };
+  }
+
+  const current = served[served.length - 1];
+  if (current && !isAnswered(current)) {
+    return questionResponse(exam, formatExamQuestion(current, current.question_number), served.length - 1, clock);
+  }
+  return advance(exam, served, clock);
+}
+
+/**
+ * Answer the current question; returns the next one, or the result once the exam stops
+ * @param {number} examId - Exam ID
+ * @param {number} userId - User ID
+ * @param {Object} body - { questionNumber, answer (A-D), timeSpent (seconds, optional) }
+ */
+export async function answerAdaptiveQuestion(examId, userId, { questionNumber, answer, timeSpent } = {}) {
+  const exam = await getAdaptiveExam(examId, userId);
+  const clock = await getExamClock(exam);
+  if (clock.isPaused) throw { status: 409, message: 'Exam is paused. Resume it to keep answering.' };
+
+  const served = await getServedQuestions(examId);
+  if (clock.timeRemaining === 0) {
+    return { finished: true, result: await finishAdaptiveExam(exam, served, clock, 'time-limit') };
+  }
+
+  const current = served[served.length - 1];
+  if (!current || isAnswered(current) || current.question_number !== questionNumber) {
+    throw { status: 409, message: 'Only the current question can be answered' };
+  }
+
+  const isCorrect = answer === current.answer;
+  // Seconds the browser says were spent on the question, bounded by the server clock
+  const seconds = Math.round(Number(timeSpent));
+  const timeSpentSeconds = seconds > 0 ? Math.min(seconds, clock.elapsedSeconds) : null;
+  const update = await run(
+    `UPDATE exam_questions
+     SET user_answer = ?, is_correct = ?, time_spent_seconds = ?, answered_at = CURRENT_TIMESTAMP
+     WHERE exam_id = ? AND question_number = ? AND user_answer IS NULL`,
+    [answer, isCorrect ? 1 : 0, timeSpentSeconds, examId, questionNumber]
+  );
+  // A second request for the same question lost the race
+  if (update.changes === 0) throw { status: 409, message: 'Only the current question can be answered' };
+
+  await run(
+    'UPDATE exams SET last_saved_at = CURRENT_TIMESTAMP, answered_count = ? WHERE id = ?',
+    [served.length, examId]
+  );
+
+  Object.assign(current, { user_answer: answer, is_correct: isCorrect ? 1 : 0, time_spent_seconds: timeSpentSeconds });
+  return advance(exam, served, clock);
+}
+
+/**
+ * End an adaptive exam now and score it from the answers given so far
+ * @param {number} examId - Exam ID
+ * @param {number} userId - User ID
+ */
+export async function finishAdaptiveExamEarly(examId, userId) {
+  const exam = await getAdaptiveExam(examId, userId);
+  const clock = await getExamClock(exam);
+  const served = await getServedQuestions(examId);
+  return finishAdaptiveExam(exam, served, clock, clock.timeRemaining === 0 ? 'time-limit' : 'ended-early');
+}
+
+export { CAT_POLICY };
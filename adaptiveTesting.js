@@ -0,0 +1,244 @@
+// Adaptive Testing Module
+// Rasch (one-parameter IRT) model behind the computerized adaptive exam mode:
+// item calibration from our own answer data, ability estimation, item selection
+// and the stopping rule. adaptiveExamService.js runs exams with it and
+// itemStatsService.js stores the calibrated difficulties.
+//
+// Abilities (theta) and item difficulties share a logit scale centred on the
+// average calibrated item: a student whose theta equals an item's difficulty has
+// an even chance of answering it correctly.
+//
+// The ability estimate is the posterior mean (EAP) under a standard normal prior,
+// which stays finite for all-correct or all-wrong answer patterns, and its
+// standard error is the posterior standard deviation. Each next item is the one
+// that is most informative at the current estimate, so the standard error
+// shrinks as fast as the bank allows; the exam stops once it is small enough.
+
+export const CAT_DEFAULTS = {
+  minQuestions: 10, // never stop before this many answers
+  maxQuestions: 60, // stop here even if the target precision was not reached
+  targetStandardError: 0.3, // stop once the ability estimate is this precise
+  randomesque: 5 // draw the next item from the N most informative, so no item is shown to everyone
+};
+
+// Difficulty assumed for an item the calibration has no data for, from its label
+export const DIFFICULTY_PRIORS = {
+  Easy: -1,
+  Medium: 0,
+  Hard: 1
+};
+
+// Estimates are kept within +/- this many logits
+const THETA_LIMIT = 4;
+const QUADRATURE_STEP = 0.05;
+const QUADRATURE = Array.from(
+  { length: Math.round((2 * THETA_LIMIT) / QUADRATURE_STEP) + 1 },
+  (_, i) => -THETA_LIMIT + i * QUADRATURE_STEP
+);
+
+function round(value, places = 3) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor || 0; // no -0
+}
+
+function clamp(value, limit) {
+  return Math.min(Math.max(value, -limit), limit);
+}
+
+/**
+ * Chance that a student of the given ability answers an item correctly
+ * @param {number} theta - Ability
+ * @param {number} difficulty - Item difficulty
+ * @returns {number} - 0-1
+ */
+export function probabilityCorrect(theta, difficulty) {
+  return 1 / (1 + Math.exp(difficulty - theta));
+}
+
+/**
+ * Fisher information of an item at the given ability (highest where theta = difficulty)
+ * @param {number} theta - Ability
+ * @param {number} difficulty - Item difficulty
+ * @returns {number}
+ */
+export function itemInformation(theta, difficulty) {
+  const p = probabilityCorrect(theta, difficulty);
+  return p * (1 - p);
+}
+
+/**
+ * Difficulty of an item: its calibrated value, else the prior for its label
+ * @param {number|null} calibrated - Calibrated difficulty
+ * @param {string} label - Easy, Medium or Hard
+ * @returns {number}
+ */
+export function itemDifficulty(calibrated, label) {
+  if (calibrated !== null && calibrated !== undefined) return calibrated;
+  return DIFFICULTY_PRIORS[label] ?? 0;
+}
+
+/**
+ * Estimate ability from the answers so far
+ * @param {Array<Object>} responses - [{ difficulty, score }] where score is the 0-1 credit
+ * @returns {Object} - { theta, standardError }; the prior (0, 1) when there are no answers
+ */
+export function estimateAbility(responses) {
+  // Log posterior at each quadrature point, shifted before exponentiating to avoid underflow
+  const logPosterior = QUADRATURE.map(theta => responses.reduce((sum, r) => {
+    const p = probabilityCorrect(theta, r.difficulty);
+    return sum + r.score * Math.log(p) + (1 - r.score) * Math.log(1 - p);
+  }, -(theta * theta) / 2));
+  const peak = Math.max(...logPosterior);
+  const weights = logPosterior.map(value => Math.exp(value - peak));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  const theta = QUADRATURE.reduce((sum, point, i) => sum + point * weights[i], 0) / total;
+  const variance = QUADRATURE.reduce((sum, point, i) => sum + (point - theta) ** 2 * weights[i], 0) / total;
+
+  return { theta: round(theta), standardError: round(Math.sqrt(variance)) };
+}
+
+/**
+ * Expected share of the bank a student of the given ability would answer correctly
+ * @param {number} theta - Ability
+ * @param {Array<number>} difficulties - Item difficulties of the bank
+ * @returns {number|null} - 0-1, null for an empty bank
+ */
+export function expectedScore(theta, difficulties) {
+  if (difficulties.length === 0) return null;
+  return difficulties.reduce((sum, b) => sum + probabilityCorrect(theta, b), 0) / difficulties.length;
+}
+
+// Domain furthest behind its share of the exam so far (content balancing)
+function mostUnderservedDomain(candidates, domainWeights, administered) {
+  const domains = [...new Set(candidates.map(c => c.domain))]
+    .filter(domain => (domainWeights[domain] || 0) > 0);
+  if (domains.length === 0) return null;
+
+  const totalWeight = domains.reduce((sum, domain) => sum + domainWeights[domain], 0);
+  const given = Object.values(administered).reduce((sum, n) => sum + n, 0);
+  const deficit = domain => (domainWeights[domain] / totalWeight) * (given + 1) - (administered[domain] || 0);
+
+  return domains.reduce((best, domain) => (deficit(domain) > deficit(best) ? domain : best));
+}
+
+/**
+ * Choose the next item: among the candidates of the domain furthest behind its
+ * blueprint weight, one of the most informative at the current ability
+ * @param {number} theta - Current ability estimate
+ * @param {Array<Object>} candidates - [{ id, difficulty, domain }] not yet administered
+ * @param {Object} options - { domainWeights, administered (domain -> items given), randomesque, random }
+ * @returns {Object|null} - The chosen candidate, null when there are none
+ */
+export function selectNextItem(theta, candidates, options = {}) {
+  const {
+    domainWeights = {},
+    administered = {},
+    randomesque = CAT_DEFAULTS.randomesque,
+    random = Math.random
+  } = options;
+  if (candidates.length === 0) return null;
+
+  const domain = mostUnderservedDomain(candidates, domainWeights, administered);
+  const pool = domain ? candidates.filter(c => c.domain === domain) : candidates;
+  const ranked = [...pool].sort((a, b) => itemInformation(theta, b.difficulty) - itemInformation(theta, a.difficulty));
+  const top = ranked.slice(0, Math.max(1, randomesque));
+
+  return top[Math.floor(random() * top.length)];
+}
+
+/**
+ * Why the exam should stop now, if it should
+ * @param {Object} progress - { answered, standardError, remaining (items left to serve) }
+ * @param {Object} options - { minQuestions, maxQuestions, targetStandardError }
+ * @returns {string|null} - 'max-questions', 'bank-exhausted', 'precision' or null to continue
+ */
+export function stopReason(progress, options = {}) {
+  const { minQuestions, maxQuestions, targetStandardError } = { ...CAT_DEFAULTS, ...options };
+  if (progress.answered >= maxQuestions) return 'max-questions';
+  if (progress.remaining === 0) return 'bank-exhausted';
+  if (progress.answered >= minQuestions && progress.standardError <= targetStandardError) return 'precision';
+  return null;
+}
+
+/**
+ * Calibrate item difficulties by joint maximum likelihood
+ * Students who got everything right or everything wrong say nothing about
+ * relative difficulty and are left out; difficulties are centred on 0.
+ * @param {Array<Object>} responses - [{ person, item, score }] where score is the 0-1 credit
+ * @param {Object} options - { iterations, tolerance }
+ * @returns {Map} - item -> { difficulty, responses }
+ */
+export function calibrateItems(responses, { iterations = 100, tolerance = 0.001 } = {}) {
+  const byPerson = new Map();
+  responses.forEach(r => {
+    if (!byPerson.has(r.person)) byPerson.set(r.person, []);
+    byPerson.get(r.person).push(r);
+  });
+
+  const used = [];
+  const abilities = new Map();
+  byPerson.forEach((answers, person) => {
+    const total = answers.reduce((sum, r) => sum + r.score, 0);
+    if (total <= 0 || total >= answers.length) return;
+    abilities.set(person, clamp(Math.log(total / (answers.length - total)), THETA_LIMIT));
+    used.push(...answers);
+  });
+
+  const byItem = new Map();
+  used.forEach(r => {
+    if (!byItem.has(r.item)) byItem.set(r.item, []);
+    byItem.get(r.item).push(r);
+  });
+  const difficulties = new Map();
+  byItem.forEach((answers, item) => {
+    const total = answers.reduce((sum, r) => sum + r.score, 0);
+    difficulties.set(item, clamp(Math.log((answers.length - total + 0.5) / (total + 0.5)), THETA_LIMIT));
+  });
+
+  // Newton step for one estimate: the residual of its answers over their information
+  const step = (answers, probability) => {
+    let residual = 0;
+    let information = 0;
+    answers.forEach(r => {
+      const p = probability(r);
+      residual += r.score - p;
+      information += p * (1 - p);
+    });
+    return information > 0 ? clamp(residual / information, 1) : 0;
+  };
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let largest = 0;
+
+    byPerson.forEach((answers, person) => {
+      if (!abilities.has(person)) return;
+      const theta = abilities.get(person);
+      const change = step(answers, r => probabilityCorrect(theta, difficulties.get(r.item)));
+      abilities.set(person, clamp(theta + change, THETA_LIMIT));
+      largest = Math.max(largest, Math.abs(change));
+    });
+
+    // More correct answers than expected make an item easier
+    byItem.forEach((answers, item) => {
+      const difficulty = difficulties.get(item);
+      const change = -step(answers, r => probabilityCorrect(abilities.get(r.person), difficulty));
+      difficulties.set(item, clamp(difficulty + change, THETA_LIMIT));
+      largest = Math.max(largest, Math.abs(change));
+    });
+
+    // Anchor the scale on the average item
+    const centre = [...difficulties.values()].reduce((sum, b) => sum + b, 0) / (difficulties.size || 1);
+    difficulties.forEach((b, item) => difficulties.set(item, clamp(b - centre, THETA_LIMIT)));
+    abilities.forEach((theta, person) => abilities.set(person, clamp(theta - centre, THETA_LIMIT)));
+
+    if (largest < tolerance) break;
+  }
+
+  const calibrated = new Map();
+  byItem.forEach((answers, item) => {
+    calibrated.set(item, { difficulty: round(difficulties.get(item)), responses: answers.length });
+  });
+  return calibrated;
+}
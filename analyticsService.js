@@ -1,7 +1,13 @@
-import { db } from './database/db.js';
+import { db, all } from './database/db.js';
+import { detectTopics } from './questionTopics.js';
+import { OFFICIAL_DOMAIN_SQL, parseDbTimestamp } from './examService.js';
+import { predictReadiness, readinessHistory } from './readinessModel.js';
+import { rawToScaled } from './scoringModel.js';
 
 // Get comprehensive learning analytics for a user
 async function getUserAnalytics(userId) {
+  const objectiveStats = await getObjectiveStats(userId);
+
   return new Promise((resolve, reject) => {
     // Get overall stats from BOTH old and new tables for backwards compatibility
     db.get(
@@ -93,7 +99,10 @@ async function getUserAnalytics(userId) {
                     q.id,
                     q.question,
                     q.domain,
-                    subq.is_correct
+                    subq.is_correct,
+                    (SELECT GROUP_CONCAT(t.name, '|')
+                     FROM question_tags qt JOIN tags t ON t.id = qt.tag_id
+                     WHERE qt.question_id = q.id) as tag_names
                    FROM (
                      SELECT eq.question_id, eq.is_correct
                      FROM exam_questions eq
@@ -201,6 +210,7 @@ async function getUserAnalytics(userId) {
                             strength: getStrengthLevel(d.accuracy)
                           })),
                           byTopic: topicStats,
+                          byObjective: objectiveStats,
                           weakestAreas: weakAreas,
                           recentTrend: recentExams.map(e => ({
                             examId: e.id,
@@ -223,42 +233,20 @@ async function getUserAnalytics(userId) {
   });
 }
 
-// Analyze topics from question content
+// Analyze topics from question tags, guessing from the text only for untagged questions
 function analyzeTopics(questions) {
-  const topics = {
-    'Cryptography': /\b(encrypt|decrypt|hash|cipher|AES|RSA|TLS|SSL|certificate|PKI|key exchange|crypto)\b/i,
-    'Identity & Access Management': /\b(IAM|authentication|authorization|SSO|SAML|OAuth|MFA|RBAC|access control|privilege|identity)\b/i,
-    'Incident Response': /\b(incident|breach|forensic|malware|response|containment|eradication|recovery|IR|SIEM|alert)\b/i,
-    'Cloud Security': /\b(cloud|AWS|Azure|SaaS|PaaS|IaaS|container|serverless|multi-tenant)\b/i,
-    'Network Security': /\b(firewall|IDS|IPS|VPN|DMZ|network|segmentation|VLAN|router|switch|NAC)\b/i,
-    'Vulnerability Management': /\b(vulnerability|patch|CVE|scan|assessment|pentest|remediation)\b/i,
-    'Threats & Attacks': /\b(phishing|ransomware|malware|DDoS|XSS|SQL injection|attack|exploit|threat actor)\b/i,
-    'Compliance & Governance': /\b(compliance|HIPAA|PCI DSS|GDPR|policy|governance|audit|regulation)\b/i,
-    'Risk Management': /\b(risk|assessment|mitigation|BIA|business impact|RTO|RPO|disaster recovery)\b/i,
-    'Application Security': /\b(application|web app|API|OWASP|injection|XSS|CSRF|input validation|WAF)\b/i,
-    'Endpoint Security': /\b(endpoint|antivirus|EDR|host|workstation|laptop|mobile|BYOD)\b/i,
-    'Data Security': /\b(data loss|DLP|encryption|backup|data classification|sensitive data)\b/i
-  };
-
   const topicStats = {};
-  
-  Object.keys(topics).forEach(topic => {
-    topicStats[topic] = {
-      total: 0,
-      correct: 0,
-      accuracy: 0
-    };
-  });
 
   questions.forEach(q => {
-    const questionText = q.question.toLowerCase();
-    
-    Object.keys(topics).forEach(topic => {
-      if (topics[topic].test(questionText)) {
-        topicStats[topic].total++;
-        if (q.is_correct === 1) {
-          topicStats[topic].correct++;
-        }
+    const topics = q.tag_names ? q.tag_names.split('|') : detectTopics(q.question);
+
+    topics.forEach(topic => {
+      if (!topicStats[topic]) {
+        topicStats[topic] = { total: 0, correct: 0, accuracy: 0 };
+      }
+      topicStats[topic].total++;
+      if (q.is_correct === 1) {
+        topicStats[topic].correct++;
       }
     });
   });
@@ -479,6 +467,48 @@ async function getDomainPerformance(userId, domain) {
   });
 }
 
+// Get accuracy per SY0-701 objective. A question counts toward every objective it
+// maps to; PBQ partial credit counts as fractional accuracy.
+async function getObjectiveStats(userId) {
+  try {
+    const rows = await all(
+      `SELECT
+        eo.code,
+        eo.title,
+        eo.domain_number,
+        eo.domain,
+        COUNT(answers.id) as total_questions,
+        SUM(CASE WHEN answers.is_correct = 1 THEN 1 ELSE 0 END) as correct_answers,
+        ROUND(AVG(answers.points) * 100, 1) as accuracy
+       FROM exam_objectives eo
+       LEFT JOIN question_objectives qo ON qo.objective_id = eo.id
+       LEFT JOIN (
+         SELECT eaa.id, eaa.question_id, eaa.is_correct, eaa.points
+         FROM exam_attempt_answers eaa
+         JOIN exam_attempts ea ON eaa.attempt_id = ea.id
+         WHERE ea.user_id = ? AND ea.submitted_at IS NOT NULL AND ea.deleted_at IS NULL
+       ) answers ON answers.question_id = qo.question_id
+       GROUP BY eo.id
+       ORDER BY eo.domain_number, eo.id`,
+      [userId]
+    );
+
+    return rows.map(o => ({
+      code: o.code,
+      title: o.title,
+      domainNumber: o.domain_number,
+      domain: o.domain,
+      totalQuestions: o.total_questions,
+      correctAnswers: o.correct_answers || 0,
+      accuracy: o.total_questions > 0 ? o.accuracy : null,
+      strength: o.total_questions > 0 ? getStrengthLevel(o.accuracy) : 'Not attempted'
+    }));
+  } catch (err) {
+    console.error('Objective stats error:', err);
+    throw { status: 500, message: 'Error fetching objective stats' };
+  }
+}
+
 // Get progress over time
 async function getProgressOverTime(userId) {
   return new Promise((resolve, reject) => {
@@ -534,8 +564,61 @@ async function getProgressOverTime(userId) {
   });
 }
 
+// Estimated chance of passing the real exam, with its history after each attempt
+// (see readinessModel.js)
+async function getReadiness(userId) {
+  try {
+    const attempts = await all(
+      `SELECT id, mode, submitted_at, scaled_score, score_percent
+       FROM exam_attempts
+       WHERE user_id = ? AND submitted_at IS NOT NULL AND deleted_at IS NULL
+       ORDER BY submitted_at, id`,
+      [userId]
+    );
+    const answers = await all(
+      `SELECT eaa.attempt_id, q.qtype, COALESCE(eaa.points, eaa.is_correct, 0) as points,
+              q.domain, ${OFFICIAL_DOMAIN_SQL}
+       FROM exam_attempt_answers eaa
+       JOIN exam_attempts ea ON eaa.attempt_id = ea.id
+       JOIN questions q ON eaa.question_id = q.id
+       WHERE ea.user_id = ? AND ea.submitted_at IS NOT NULL AND ea.deleted_at IS NULL
+         AND ea.mode <> 'adaptive'`,
+      [userId]
+    );
+
+    const answersByAttempt = new Map();
+    answers.forEach(a => {
+      if (!answersByAttempt.has(a.attempt_id)) answersByAttempt.set(a.attempt_id, []);
+      answersByAttempt.get(a.attempt_id).push({
+        domain: a.official_domain || a.domain,
+        qtype: a.qtype || 'mcq',
+        points: a.points
+      });
+    });
+
+    // Adaptive exams pick questions the student gets right about half the time, so
+    // only their score counts; their accuracy says little about readiness
+    const history = attempts.map(a => ({
+      id: a.id,
+      submittedAt: parseDbTimestamp(a.submitted_at),
+      scaledScore: a.scaled_score ?? rawToScaled(a.score_percent || 0),
+      answers: answersByAttempt.get(a.id) || []
+    }));
+
+    return {
+      ...predictReadiness(history),
+      history: readinessHistory(history)
+    };
+  } catch (err) {
+    console.error('Readiness error:', err);
+    throw { status: 500, message: 'Error estimating readiness' };
+  }
+}
+
 export {
   getUserAnalytics,
   getDomainPerformance,
-  getProgressOverTime
+  getObjectiveStats,
+  getProgressOverTime,
+  getReadiness
 };
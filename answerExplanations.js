@@ -0,0 +1,101 @@
+// Answer Explanations Module
+// Per-choice explanations, so a student who picked B sees why B was wrong and
+// not only why C was right. They are stored in choice_explanations_json, keyed by
+// choice letter for an MCQ, and for a PBQ by the index of a multi_select option,
+// an ordering item, a matching left-hand item, a categorize item, a log line or a
+// fill-in blank, or by the id of a placement zone (see choiceExplanationKeys).
+//
+// explainMistakes() picks the explanations that apply to one answer:
+//   { target, label, explanation }
+// target is the choice letter or index the note is about (null for the generic
+// explanation_wrong fallback) and label is the text the student saw for it.
+
+import { CHOICE_LETTERS, choiceExplanationKeys } from './questionValidator.js';
+
+// The PBQ list each breakdown entry refers to, and the entry field holding the index
+const PBQ_TARGETS = {
+  multi_select: { list: 'options', index: entry => entry.index },
+  // An ordering slot is explained by the item that belongs there
+  ordering: { list: 'items', index: entry => entry.expected },
+  matching: { list: 'left', index: entry => entry.left },
+  categorize: { list: 'items', index: entry => entry.item },
+  // A wrong classification has no line, so it gets the generic explanation
+  log_analysis: { list: 'lines', index: entry => entry.line },
+  // Zones are keyed by id rather than position
+  placement: { list: 'zones', index: entry => entry.zone, label: (zones, id) => zones.find(zone => zone.id === id)?.label },
+  fill_in: { list: 'blanks', index: entry => entry.blank, label: (blanks, index) => blanks[index]?.label || `Blank ${index + 1}` }
+};
+
+/**
+ * Parse stored explanations
+ * @param {string|null} value - choice_explanations_json
+ * @returns {Object|null}
+ */
+export function parseChoiceExplanations(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Trim validated explanations and order them by choice, so unchanged content
+ * always serializes the same way (imports compare stored JSON to detect edits)
+ * @param {Object|null} explanations - Validated choiceExplanations payload
+ * @param {string} qtype - mcq or pbq
+ * @param {Object} pbq - PBQ definition (PBQs only)
+ * @returns {string|null} - JSON for choice_explanations_json, null when empty
+ */
+export function serializeChoiceExplanations(explanations, qtype, pbq) {
+  if (!explanations) return null;
+  const ordered = {};
+  choiceExplanationKeys(qtype, pbq).forEach(key => {
+    if (typeof explanations[key] === 'string' && explanations[key].trim()) {
+      ordered[key] = explanations[key].trim();
+    }
+  });
+  return Object.keys(ordered).length > 0 ? JSON.stringify(ordered) : null;
+}
+
+/**
+ * Explanations for what a student got wrong
+ * @param {Object} question - { qtype, answer, choices, pbq, choiceExplanations, explanationWrong }
+ * @param {*} userAnswer - Choice letter (MCQ) or PBQ answer object
+ * @param {Array<Object>|null} breakdown - PBQ scoring breakdown (see pbqScoring.js)
+ * @returns {Array<Object>} - [{ target, label, explanation }], empty when the answer is right or unexplained
+ */
+export function explainMistakes(question, userAnswer, breakdown = null) {
+  const explanations = question.choiceExplanations || {};
+  const fallback = question.explanationWrong
+    ? [{ target: null, label: null, explanation: question.explanationWrong }]
+    : [];
+
+  if ((question.qtype || 'mcq') === 'mcq') {
+    if (!CHOICE_LETTERS.includes(userAnswer) || userAnswer === question.answer) return [];
+    if (!explanations[userAnswer]) return fallback;
+    const choices = question.choices || {};
+    return [{ target: userAnswer, label: `${userAnswer}. ${choices[userAnswer] || ''}`.trim(), explanation: explanations[userAnswer] }];
+  }
+
+  const pbq = question.pbq || {};
+  const target = PBQ_TARGETS[pbq.type];
+  const wrong = Array.isArray(breakdown) ? breakdown.filter(entry => !entry.correct) : [];
+  if (wrong.length === 0) return [];
+  // firewall_rules has no per-item notes, only the generic one
+  if (!target) return fallback;
+
+  const list = Array.isArray(pbq[target.list]) ? pbq[target.list] : [];
+  const notes = [];
+  wrong.forEach(entry => {
+    const index = target.index(entry);
+    const explanation = explanations[String(index)];
+    if (explanation && !notes.some(note => note.target === index)) {
+      const label = target.label ? target.label(list, index) : list[index];
+      notes.push({ target: index, label: label ?? null, explanation });
+    }
+  });
+  return notes.length > 0 ? notes : fallback;
+}
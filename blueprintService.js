@@ -0,0 +1,271 @@
+import { run, get, all } from './database/db.js';
+import { PBQ_TYPES } from './pbqScoring.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringModel.js';
+import { OFFICIAL_DOMAINS } from './examObjectives.js';
+
+/**
+ * Exam Blueprint Service
+ * A blueprint defines how an exam is assembled: question count, PBQs per type,
+ * duration, domain weights, difficulty mix and pass mark.
+ */
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// pbqCounts keys: a PBQ type, or 'any' for PBQs of whatever type is available
+const PBQ_COUNT_KEYS = [...PBQ_TYPES, 'any'];
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert a database row into the API shape
+ * @param {Object} row - exam_blueprints row
+ * @returns {Object|null}
+ */
+export function formatBlueprint(row) {
+  if (!row) return null;
+
+  const pbqCounts = parseJson(row.pbq_counts, {});
+
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description: row.description,
+    questionCount: row.question_count,
+    pbqCount: Object.values(pbqCounts).reduce((sum, n) => sum + n, 0),
+    pbqCounts,
+    durationMinutes: row.duration_minutes,
+    domainWeights: parseJson(row.domain_weights, {}),
+    difficultyMix: parseJson(row.difficulty_mix, null),
+    passingScore: row.passing_score,
+    isDefault: row.is_default === 1,
+    isActive: row.is_active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate a blueprint payload and merge it over an existing blueprint
+ * @param {Object} input - camelCase payload (partial when updating)
+ * @param {Object|null} existing - Current blueprint (formatBlueprint shape) when updating
+ * @returns {Object} - Complete, normalized blueprint fields
+ * @throws {{status: number, message: string}} - 400 on invalid input
+ */
+export function normalizeBlueprint(input, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const fail = message => { throw { status: 400, message }; };
+
+  if (typeof merged.name !== 'string' || !merged.name.trim() || merged.name.length > 100) {
+    fail('name is required (max 100 characters)');
+  }
+
+  const slug = merged.slug !== undefined && merged.slug !== null ? merged.slug : slugify(merged.name);
+  if (typeof slug !== 'string' || !/^[a-z0-9-]{1,50}$/.test(slug)) {
+    fail('slug may only contain lowercase letters, digits and dashes');
+  }
+
+  if (merged.description !== undefined && merged.description !== null &&
+      (typeof merged.description !== 'string' || merged.description.length > 500)) {
+    fail('description must be a string (max 500 characters)');
+  }
+
+  if (!Number.isInteger(merged.questionCount) || merged.questionCount < 1 || merged.questionCount > 200) {
+    fail('questionCount must be an integer between 1 and 200');
+  }
+
+  const pbqCounts = merged.pbqCounts || {};
+  if (typeof pbqCounts !== 'object' || Array.isArray(pbqCounts)) fail('pbqCounts must be an object');
+  Object.entries(pbqCounts).forEach(([type, count]) => {
+    if (!PBQ_COUNT_KEYS.includes(type)) fail(`Unknown PBQ type in pbqCounts: ${type}`);
+    if (!isNonNegativeInteger(count)) fail(`pbqCounts.${type} must be a non-negative integer`);
+  });
+  const pbqTotal = Object.values(pbqCounts).reduce((sum, n) => sum + n, 0);
+  if (pbqTotal > merged.questionCount) fail('PBQ counts exceed questionCount');
+
+  if (!Number.isInteger(merged.durationMinutes) || merged.durationMinutes < 1 || merged.durationMinutes > 300) {
+    fail('durationMinutes must be an integer between 1 and 300');
+  }
+
+  const domainWeights = merged.domainWeights || {};
+  if (typeof domainWeights !== 'object' || Array.isArray(domainWeights)) fail('domainWeights must be an object');
+  Object.entries(domainWeights).forEach(([domain, weight]) => {
+    if (!OFFICIAL_DOMAINS.some(d => d.name === domain)) fail(`Unknown domain in domainWeights: ${domain}`);
+    if (typeof weight !== 'number' || weight < 0) fail(`Weight for ${domain} must be a non-negative number`);
+  });
+
+  // null difficultyMix = adapt difficulty to the student's recent accuracy
+  let difficultyMix = merged.difficultyMix || null;
+  if (difficultyMix !== null) {
+    if (typeof difficultyMix !== 'object' || Array.isArray(difficultyMix)) fail('difficultyMix must be an object or null');
+    Object.keys(difficultyMix).forEach(level => {
+      if (!DIFFICULTIES.includes(level)) fail(`Unknown difficulty in difficultyMix: ${level}`);
+    });
+    const total = DIFFICULTIES.reduce((sum, level) => sum + (difficultyMix[level] || 0), 0);
+    if (DIFFICULTIES.some(level => (difficultyMix[level] || 0) < 0) || total <= 0) {
+      fail('difficultyMix weights must be non-negative and not all zero');
+    }
+    difficultyMix = Object.fromEntries(
+      DIFFICULTIES.map(level => [level, Math.round(((difficultyMix[level] || 0) / total) * 100) / 100])
+    );
+  }
+
+  const passingScore = merged.passingScore ?? DEFAULT_SCORING_CONFIG.passingScore;
+  if (!Number.isInteger(passingScore) ||
+      passingScore < DEFAULT_SCORING_CONFIG.minScore || passingScore > DEFAULT_SCORING_CONFIG.maxScore) {
+    fail(`passingScore must be an integer between ${DEFAULT_SCORING_CONFIG.minScore} and ${DEFAULT_SCORING_CONFIG.maxScore}`);
+  }
+
+  return {
+    slug,
+    name: merged.name.trim(),
+    description: merged.description || null,
+    questionCount: merged.questionCount,
+    pbqCounts,
+    durationMinutes: merged.durationMinutes,
+    domainWeights,
+    difficultyMix,
+    passingScore,
+    isDefault: Boolean(merged.isDefault),
+    isActive: merged.isActive === undefined ? true : Boolean(merged.isActive)
+  };
+}
+
+/**
+ * List blueprints
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Include retired blueprints (admin view)
+ */
+export async function listBlueprints({ includeInactive = false } = {}) {
+  const rows = await all(
+    `SELECT * FROM exam_blueprints
+     ${includeInactive ? '' : 'WHERE is_active = 1'}
+     ORDER BY is_default DESC, question_count DESC, name`
+  );
+  return rows.map(formatBlueprint);
+}
+
+/**
+ * Get a blueprint by id
+ * @param {number} id - Blueprint ID
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Reject retired blueprints (used when starting exams)
+ */
+export async function getBlueprint(id, { activeOnly = false } = {}) {
+  const row = await get('SELECT * FROM exam_blueprints WHERE id = ?', [id]);
+  if (!row || (activeOnly && row.is_active !== 1)) {
+    throw { status: 404, message: 'Exam blueprint not found' };
+  }
+  return formatBlueprint(row);
+}
+
+/**
+ * Get the default blueprint (used when /api/exams/start is called without one)
+ */
+export async function getDefaultBlueprint() {
+  const row = await get(
+    'SELECT * FROM exam_blueprints WHERE is_active = 1 ORDER BY is_default DESC, id LIMIT 1'
+  );
+  if (!row) throw { status: 500, message: 'No exam blueprint configured' };
+  return formatBlueprint(row);
+}
+
+async function saveBlueprintRow(bp, id = null) {
+  const duplicate = await get(
+    'SELECT id FROM exam_blueprints WHERE slug = ? AND id != ?',
+    [bp.slug, id || 0]
+  );
+  if (duplicate) throw { status: 409, message: `A blueprint with slug "${bp.slug}" already exists` };
+
+  // Only one default at a time
+  if (bp.isDefault) {
+    await run('UPDATE exam_blueprints SET is_default = 0 WHERE id != ?', [id || 0]);
+  }
+
+  const params = [
+    bp.slug, bp.name, bp.description, bp.questionCount, JSON.stringify(bp.pbqCounts),
+    bp.durationMinutes, JSON.stringify(bp.domainWeights),
+    bp.difficultyMix ? JSON.stringify(bp.difficultyMix) : null,
+    bp.passingScore, bp.isDefault ? 1 : 0, bp.isActive ? 1 : 0
+  ];
+
+  if (id) {
+    await run(
+      `UPDATE exam_blueprints
+       SET slug = ?, name = ?, description = ?, question_count = ?, pbq_counts = ?,
+           duration_minutes = ?, domain_weights = ?, difficulty_mix = ?, passing_score = ?,
+           is_default = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...params, id]
+    );
+    return id;
+  }
+
+  const result = await run(
+    `INSERT INTO exam_blueprints
+       (slug, name, description, question_count, pbq_counts, duration_minutes,
+        domain_weights, difficulty_mix, passing_score, is_default, is_active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    params
+  );
+  return result.lastID;
+}
+
+/**
+ * Create a blueprint (admin)
+ * @param {Object} input - Blueprint fields (camelCase)
+ */
+export async function createBlueprint(input) {
+  const bp = normalizeBlueprint(input);
+  const id = await saveBlueprintRow(bp);
+  return getBlueprint(id);
+}
+
+/**
+ * Update a blueprint (admin). Exams already started keep their own snapshot.
+ * @param {number} id - Blueprint ID
+ * @param {Object} input - Fields to change (camelCase)
+ */
+export async function updateBlueprint(id, input) {
+  const existing = await getBlueprint(id);
+  const bp = normalizeBlueprint(input, existing);
+
+  if (existing.isDefault && (!bp.isDefault || !bp.isActive)) {
+    throw { status: 400, message: 'Make another blueprint the default first' };
+  }
+
+  await saveBlueprintRow(bp, id);
+  return getBlueprint(id);
+}
+
+/**
+ * Retire a blueprint (admin). Blueprints are never hard-deleted because exams reference them.
+ * @param {number} id - Blueprint ID
+ */
+export async function retireBlueprint(id) {
+  const existing = await getBlueprint(id);
+  if (existing.isDefault) {
+    throw { status: 400, message: 'Cannot retire the default blueprint' };
+  }
+
+  await run(
+    'UPDATE exam_blueprints SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [id]
+  );
+  return getBlueprint(id);
+}
@@ -86,4 +86,35 @@ export function run(sql, params = []) {
   });
 }
 
+// Run fn's statements as one transaction: committed together, or rolled back if fn throws.
+// Transactions wait for each other, since they all share one connection; don't nest them.
+let transactionQueue = Promise.resolve();
+
+export function transaction(fn) {
+  const result = transactionQueue.then(async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const value = await fn();
+      await run('COMMIT');
+      return value;
+    } catch (err) {
+      await run('ROLLBACK').catch(rollbackErr => console.error('Error rolling back transaction:', rollbackErr));
+      throw err;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+// Migration helper: SQLite has no ADD COLUMN IF NOT EXISTS, so re-running a migration checks first
+export async function addColumnIfMissing(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) {
+    console.log(`${table}.${column} already exists`);
+    return;
+  }
+  await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`${table}.${column} added`);
+}
+
 export { db, initDatabase };
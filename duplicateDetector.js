@@ -0,0 +1,146 @@
+// Duplicate Question Detection
+// Pure text comparison for the question bank; duplicateService.js applies it to the
+// database, scripts/find_duplicates.js to the JSON files, and examService.js uses
+// onePerCluster to keep clusters out of the same exam.
+//
+// Each question is reduced to its normalized stem plus its choices (MCQ) or the
+// items it shows (PBQ). Two questions are exact duplicates when that content is
+// identical apart from case, punctuation and choice order, and near duplicates
+// when the Jaccard similarity of their word sets reaches the threshold.
+// Duplicates are grouped into clusters, so A~B and B~C puts A, B and C together.
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Lowercase, drop punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Texts a student sees besides the stem
+function answerTexts(question) {
+  if (question.qtype === 'pbq') {
+    const pbq = question.pbq || {};
+    return [pbq.options, pbq.items, pbq.left, pbq.right]
+      .filter(Array.isArray)
+      .flat();
+  }
+  return Object.values(question.choices || {});
+}
+
+/**
+ * Build the comparison signature of a question
+ * @param {Object} question - { qtype, question, choices } or { qtype: 'pbq', question, pbq }
+ * @returns {Object} - { exactKey, tokens }
+ */
+export function questionSignature(question) {
+  const stem = normalizeText(question.question);
+  const texts = answerTexts(question).map(normalizeText).sort();
+
+  return {
+    exactKey: JSON.stringify([question.qtype || 'mcq', stem, texts]),
+    tokens: new Set(`${stem} ${texts.join(' ')}`.split(' ').filter(Boolean))
+  };
+}
+
+/**
+ * Jaccard similarity of two token sets (1 = same words)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  smaller.forEach(token => {
+    if (larger.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group exact and near-duplicate questions into clusters
+ * @param {Array<Object>} questions - Questions with an `id` (see questionSignature for the rest)
+ * @param {Object} options - { threshold } similarity needed for a near duplicate (0-1)
+ * @returns {Array<Object>} - Clusters of 2+ questions, largest first:
+ *   { ids, exact, minSimilarity } where exact means every member has identical content
+ */
+export function findDuplicateClusters(questions, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const signatures = questions.map(questionSignature);
+  const parent = questions.map((_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const minSimilarity = new Map();
+  const union = (a, b, similarity) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const lowest = Math.min(similarity, minSimilarity.get(rootA) ?? 1, minSimilarity.get(rootB) ?? 1);
+    if (rootA !== rootB) parent[rootB] = rootA;
+    minSimilarity.set(rootA, lowest);
+  };
+
+  // Sorting by size lets the scan stop once no longer set can reach the threshold
+  const order = questions.map((_, index) => index)
+    .sort((a, b) => signatures[a].tokens.size - signatures[b].tokens.size);
+
+  for (let i = 0; i < order.length; i++) {
+    const a = order[i];
+    for (let j = i + 1; j < order.length; j++) {
+      const b = order[j];
+      if (signatures[a].tokens.size < threshold * signatures[b].tokens.size) break;
+
+      if (signatures[a].exactKey === signatures[b].exactKey) {
+        union(a, b, 1);
+        continue;
+      }
+      const similarity = jaccardSimilarity(signatures[a].tokens, signatures[b].tokens);
+      if (similarity >= threshold) union(a, b, similarity);
+    }
+  }
+
+  const members = new Map();
+  questions.forEach((_, index) => {
+    const root = find(index);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(index);
+  });
+
+  return [...members.entries()]
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([root, indexes]) => ({
+      ids: indexes.map(index => questions[index].id),
+      exact: indexes.every(index => signatures[index].exactKey === signatures[indexes[0]].exactKey),
+      minSimilarity: Math.round((minSimilarity.get(root) ?? 1) * 100) / 100
+    }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
+
+/**
+ * Keep only the first question of each duplicate cluster so an exam never repeats a question
+ * @param {Array<Object>} questions - Questions with an `id`, most preferred first
+ * @param {Map<number, number>} clusterOf - Question id to cluster number; unclustered ids are absent
+ * @returns {Array<Object>} - The questions that may appear together, in their original order
+ */
+export function onePerCluster(questions, clusterOf) {
+  const usedClusters = new Set();
+  return questions.filter(q => {
+    if (!clusterOf.has(q.id)) return true;
+    const cluster = clusterOf.get(q.id);
+    if (usedClusters.has(cluster)) return false;
+    usedClusters.add(cluster);
+    return true;
+  });
+}
@@ -0,0 +1,218 @@
+import { run, get, all, transaction } from './database/db.js';
+import { findDuplicateClusters, DEFAULT_SIMILARITY_THRESHOLD } from './duplicateDetector.js';
+import { getQuestion } from './questionBankService.js';
+
+/**
+ * Duplicate Service
+ * Finds duplicate clusters in the question bank (see duplicateDetector.js) and lets
+ * admins resolve them: "retire" takes the extra copies out of circulation, "merge"
+ * also moves students' usage stats, bookmarks and review schedules onto the copy
+ * that is kept. Past exam answers stay on the question the student actually saw.
+ */
+
+const QUESTION_COLUMNS = `id, external_id, question, choice_a, choice_b, choice_c, choice_d, answer,
+  qtype, pbq_json, domain, difficulty, retired_at`;
+
+function parsePbq(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function toDetectorShape(row) {
+  return {
+    id: row.id,
+    qtype: row.qtype || 'mcq',
+    question: row.question,
+    choices: { A: row.choice_a, B: row.choice_b, C: row.choice_c, D: row.choice_d },
+    pbq: parsePbq(row.pbq_json)
+  };
+}
+
+function parseThreshold(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SIMILARITY_THRESHOLD;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw { status: 400, message: 'threshold must be a number between 0 and 1' };
+  }
+  return threshold;
+}
+
+/**
+ * Report duplicate clusters in the question bank (admin)
+ * @param {Object} options - { threshold (0-1, default 0.85), includeRetired }
+ * @returns {Object} - { threshold, questionCount, duplicateCount, clusters }
+ */
+export async function getDuplicateReport({ threshold, includeRetired = false } = {}) {
+  const similarity = parseThreshold(threshold);
+  const rows = await all(
+    `SELECT ${QUESTION_COLUMNS} FROM questions ${includeRetired ? '' : 'WHERE retired_at IS NULL'} ORDER BY id`
+  );
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+
+  const clusters = findDuplicateClusters(rows.map(toDetectorShape), { threshold: similarity })
+    .map(cluster => ({
+      exact: cluster.exact,
+      minSimilarity: cluster.minSimilarity,
+      questions: cluster.ids.map(id => {
+        const row = rowsById.get(id);
+        return {
+          id,
+          externalId: row.external_id || null,
+          qtype: row.qtype || 'mcq',
+          question: row.question,
+          domain: row.domain,
+          difficulty: row.difficulty,
+          retired: !!row.retired_at
+        };
+      })
+    }));
+
+  return {
+    threshold: similarity,
+    questionCount: rows.length,
+    // Copies beyond the first in every cluster
+    duplicateCount: clusters.reduce((sum, cluster) => sum + cluster.questions.length - 1, 0),
+    clusters
+  };
+}
+
+// Clusters of active questions, recomputed only when the active bank changes
+let clusterCache = { stamp: null, index: new Map() };
+
+/**
+ * Map each active question that has duplicates to its cluster number
+ * @returns {Map<number, number>} - questionId -> cluster number (questions without duplicates are absent)
+ */
+export async function getDuplicateClusterIndex() {
+  const { count, id_sum, max_revision } = await get(
+    `SELECT COUNT(*) as count, SUM(id) as id_sum, MAX(current_revision_id) as max_revision
+     FROM questions WHERE retired_at IS NULL`
+  );
+  const stamp = `${count}:${id_sum}:${max_revision}`;
+  if (clusterCache.stamp === stamp) return clusterCache.index;
+
+  const rows = await all(`SELECT ${QUESTION_COLUMNS} FROM questions WHERE retired_at IS NULL`);
+  const index = new Map();
+  findDuplicateClusters(rows.map(toDetectorShape)).forEach((cluster, clusterNumber) => {
+    cluster.ids.forEach(id => index.set(id, clusterNumber));
+  });
+
+  clusterCache = { stamp, index };
+  return index;
+}
+
+// Validate a keep/duplicates pair of a merge or retire action
+async function resolveDuplicateSet(keepId, duplicateIds) {
+  if (!Number.isInteger(keepId) || keepId <= 0) {
+    throw { status: 400, message: 'keepId must be a question id' };
+  }
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 ||
+      duplicateIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw { status: 400, message: 'duplicateIds must be a non-empty array of question ids' };
+  }
+  if (new Set(duplicateIds).size !== duplicateIds.length || duplicateIds.includes(keepId)) {
+    throw { status: 400, message: 'duplicateIds must be distinct and must not include keepId' };
+  }
+
+  const keep = await getQuestion(keepId);
+  if (keep.retired) throw { status: 409, message: 'The question to keep is retired' };
+
+  for (const id of duplicateIds) {
+    const duplicate = await getQuestion(id);
+    if (duplicate.qtype !== keep.qtype) {
+      throw { status: 400, message: `Question ${id} is a ${duplicate.qtype.toUpperCase()} and cannot duplicate a ${keep.qtype.toUpperCase()}` };
+    }
+  }
+
+  // Only copies the detector puts in keepId's cluster; retired copies count, so a retire can become a merge later
+  const rows = await all(`SELECT ${QUESTION_COLUMNS} FROM questions`);
+  const cluster = findDuplicateClusters(rows.map(toDetectorShape)).find(c => c.ids.includes(keepId));
+  const outside = duplicateIds.filter(id => !cluster || !cluster.ids.includes(id));
+  if (outside.length > 0) {
+    throw { status: 409, message: `Not in the same duplicate cluster as question ${keepId}: ${outside.join(', ')}` };
+  }
+
+  return keep;
+}
+
+async function retireAsDuplicates(keepId, duplicateIds) {
+  await run(
+    `UPDATE questions
+     SET retired_at = COALESCE(retired_at, CURRENT_TIMESTAMP), duplicate_of = ?
+     WHERE id IN (${duplicateIds.map(() => '?').join(',')})`,
+    [keepId, ...duplicateIds]
+  );
+}
+
+/**
+ * Retire duplicate copies of a question without touching student data (admin)
+ * @param {number} keepId - Question that stays in circulation
+ * @param {Array<number>} duplicateIds - Copies to retire
+ */
+export async function retireDuplicates(keepId, duplicateIds) {
+  await resolveDuplicateSet(keepId, duplicateIds);
+  await retireAsDuplicates(keepId, duplicateIds);
+
+  return { kept: await getQuestion(keepId), retired: duplicateIds };
+}
+
+/**
+ * Merge duplicate copies into one question (admin): usage stats are added up,
+ * bookmarks, review schedules and tags move to the kept question (the kept
+ * question's own bookmark or schedule wins), then the copies are retired.
+ * @param {number} keepId - Question that stays in circulation
+ * @param {Array<number>} duplicateIds - Copies to merge into it
+ */
+export async function mergeDuplicates(keepId, duplicateIds) {
+  await resolveDuplicateSet(keepId, duplicateIds);
+  const moved = { usage: 0, bookmarks: 0, reviews: 0 };
+
+  // All or nothing, so a failure halfway never leaves student data split between copies
+  await transaction(async () => {
+    for (const id of duplicateIds) {
+      const usage = await run(
+        `INSERT INTO question_usage (user_id, question_id, times_used, times_correct, last_used_at)
+         SELECT user_id, ?, times_used, times_correct, last_used_at FROM question_usage WHERE question_id = ?
+         ON CONFLICT(user_id, question_id) DO UPDATE SET
+           times_used = times_used + excluded.times_used,
+           times_correct = times_correct + excluded.times_correct,
+           last_used_at = MAX(last_used_at, excluded.last_used_at)`,
+        [keepId, id]
+      );
+      await run('DELETE FROM question_usage WHERE question_id = ?', [id]);
+
+      const bookmarks = await run(
+        `INSERT OR IGNORE INTO bookmarked_questions (user_id, question_id, notes, created_at)
+         SELECT user_id, ?, notes, created_at FROM bookmarked_questions WHERE question_id = ?`,
+        [keepId, id]
+      );
+      await run('DELETE FROM bookmarked_questions WHERE question_id = ?', [id]);
+
+      const reviews = await run(
+        `INSERT OR IGNORE INTO review_schedule
+           (user_id, question_id, ease_factor, interval_days, repetitions, lapses, last_quality, last_reviewed_at, due_at)
+         SELECT user_id, ?, ease_factor, interval_days, repetitions, lapses, last_quality, last_reviewed_at, due_at
+         FROM review_schedule WHERE question_id = ?`,
+        [keepId, id]
+      );
+      await run('DELETE FROM review_schedule WHERE question_id = ?', [id]);
+
+      await run(
+        'INSERT OR IGNORE INTO question_tags (question_id, tag_id) SELECT ?, tag_id FROM question_tags WHERE question_id = ?',
+        [keepId, id]
+      );
+
+      moved.usage += usage.changes;
+      moved.bookmarks += bookmarks.changes;
+      moved.reviews += reviews.changes;
+    }
+
+    await retireAsDuplicates(keepId, duplicateIds);
+  });
+
+  return { kept: await getQuestion(keepId), merged: duplicateIds, moved };
+}
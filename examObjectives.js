@@ -0,0 +1,76 @@
+// CompTIA Security+ SY0-701 exam objectives
+// The canonical list every question is mapped to (question_objectives table).
+// Domain names match the `domain` labels used in questions.json and the blueprints.
+
+export const EXAM_CODE = 'SY0-701';
+
+// Official domains with their share of the real exam
+export const OFFICIAL_DOMAINS = [
+  { number: 1, name: 'General Security Concepts', weight: 0.12 },
+  { number: 2, name: 'Threats, Vulnerabilities & Mitigations', weight: 0.22 },
+  { number: 3, name: 'Security Architecture', weight: 0.18 },
+  { number: 4, name: 'Security Operations', weight: 0.28 },
+  { number: 5, name: 'Security Program Management & Oversight', weight: 0.20 }
+];
+
+export const OFFICIAL_DOMAIN_WEIGHTS = Object.fromEntries(
+  OFFICIAL_DOMAINS.map(d => [d.name, d.weight])
+);
+
+export const EXAM_OBJECTIVES = [
+  { code: '1.1', title: 'Compare and contrast various types of security controls' },
+  { code: '1.2', title: 'Summarize fundamental security concepts' },
+  { code: '1.3', title: 'Explain the importance of change management processes and the impact to security' },
+  { code: '1.4', title: 'Explain the importance of using appropriate cryptographic solutions' },
+  { code: '2.1', title: 'Compare and contrast common threat actors and motivations' },
+  { code: '2.2', title: 'Explain common threat vectors and attack surfaces' },
+  { code: '2.3', title: 'Explain various types of vulnerabilities' },
+  { code: '2.4', title: 'Given a scenario, analyze indicators of malicious activity' },
+  { code: '2.5', title: 'Explain the purpose of mitigation techniques used to secure the enterprise' },
+  { code: '3.1', title: 'Compare and contrast security implications of different architecture models' },
+  { code: '3.2', title: 'Given a scenario, apply security principles to secure enterprise infrastructure' },
+  { code: '3.3', title: 'Compare and contrast concepts and strategies to protect data' },
+  { code: '3.4', title: 'Explain the importance of resilience and recovery in security architecture' },
+  { code: '4.1', title: 'Given a scenario, apply common security techniques to computing resources' },
+  { code: '4.2', title: 'Explain the security implications of proper hardware, software, and data asset management' },
+  { code: '4.3', title: 'Explain various activities associated with vulnerability management' },
+  { code: '4.4', title: 'Explain security alerting and monitoring concepts and tools' },
+  { code: '4.5', title: 'Given a scenario, modify enterprise capabilities to enhance security' },
+  { code: '4.6', title: 'Given a scenario, implement and maintain identity and access management' },
+  { code: '4.7', title: 'Explain the importance of automation and orchestration related to secure operations' },
+  { code: '4.8', title: 'Explain appropriate incident response activities' },
+  { code: '4.9', title: 'Given a scenario, use data sources to support an investigation' },
+  { code: '5.1', title: 'Summarize elements of effective security governance' },
+  { code: '5.2', title: 'Explain elements of the risk management process' },
+  { code: '5.3', title: 'Explain the processes associated with third-party risk assessment and management' },
+  { code: '5.4', title: 'Summarize elements of effective security compliance' },
+  { code: '5.5', title: 'Explain types and processes used for audits and assessments' },
+  { code: '5.6', title: 'Given a scenario, implement security awareness practices' }
+].map(objective => {
+  const domainNumber = Number(objective.code.split('.')[0]);
+  return {
+    ...objective,
+    domainNumber,
+    domain: OFFICIAL_DOMAINS.find(d => d.number === domainNumber).name
+  };
+});
+
+const OBJECTIVES_BY_CODE = new Map(EXAM_OBJECTIVES.map(o => [o.code, o]));
+
+/**
+ * Look up an objective by its code (e.g. '2.4')
+ * @param {string} code - Objective code
+ * @returns {Object|null} - { code, title, domainNumber, domain }
+ */
+export function getObjective(code) {
+  return OBJECTIVES_BY_CODE.get(String(code)) || null;
+}
+
+/**
+ * Check that a list of objective codes is non-empty and only holds known codes
+ * @param {Array} codes - Objective codes
+ * @returns {boolean}
+ */
+export function isValidObjectiveList(codes) {
+  return Array.isArray(codes) && codes.length > 0 && codes.every(code => OBJECTIVES_BY_CODE.has(String(code)));
+}
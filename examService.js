@@ -1,32 +1,166 @@
-import { db, run, get } from './database/db.js';
-import { scorePBQ } from './pbqScoring.js';
-
-// Domain weights based on CompTIA Security+ exam objectives
-// These percentages reflect the actual exam distribution
-const DOMAIN_WEIGHTS = {
-  'Security Operations': 0.30,  // 30% - Largest domain
-  'Threats, Vulnerabilities & Mitigations': 0.22,  // 22%
-  'Threats and Vulnerabilities': 0.03,  // Combined with above
-  'Security Architecture': 0.18,  // 18%
-  'Security Program Management & Oversight': 0.20,  // 20%
-  'General Security Concepts': 0.12,  // 12%
-  'Security Governance': 0.03,
-  'Identity and Access Management': 0.03,
-  'Network Security': 0.03,
-  'Cryptography': 0.02,
-  'Application Security': 0.02,
-  'Data Security': 0.02,
-  'Risk Management': 0.02,
-  'Cloud Security': 0.02,
-  'Endpoint Security': 0.01,
-  'Mobile Security': 0.01,
-  'Business Continuity': 0.01,
-  'Security Assessment': 0.01,
-  'Vulnerability Management': 0.01,
-  'Security Fundamentals': 0.01,
-  'Security Models': 0.01
+import { db, run, get, all } from './database/db.js';
+import { scorePBQ, validatePbqAnswer } from './pbqScoring.js';
+import { calculateScaledScore, resolvePassed } from './scoringModel.js';
+import { getBlueprint, getDefaultBlueprint } from './blueprintService.js';
+import { OFFICIAL_DOMAIN_WEIGHTS } from './examObjectives.js';
+import { recordReview } from './reviewService.js';
+import { revisionContentSql, explainAnswer } from './questionBankService.js';
+import { getDuplicateClusterIndex } from './duplicateService.js';
+import { onePerCluster } from './duplicateDetector.js';
+import { CHOICE_LETTERS } from './questionValidator.js';
+
+// Official domain of a question: its primary objective's domain, else the free-text label
+const OFFICIAL_DOMAIN_SQL = `(SELECT eo.domain FROM question_objectives qo
+   JOIN exam_objectives eo ON eo.id = qo.objective_id
+   WHERE qo.question_id = q.id AND qo.is_primary = 1) AS official_domain`;
+
+// Fallback for exams started before blueprints stored their own duration
+const EXAM_DURATION_MINUTES = 90;
+const EXAM_GRACE_SECONDS = 60;
+
+function getExamDurationMinutes(exam) {
+  return exam.duration_minutes || EXAM_DURATION_MINUTES;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone marker
+function parseDbTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`).getTime();
+}
+
+// Pause policy: how often and for how long a student may step away from an exam.
+// Paused time beyond the cap counts against the exam clock again.
+const PAUSE_POLICY = {
+  maxPauses: parseInt(process.env.EXAM_MAX_PAUSES) || 3,
+  maxTotalPauseMinutes: parseInt(process.env.EXAM_MAX_PAUSE_MINUTES) || 30
+};
+
+function getExamPauses(examId) {
+  return all('SELECT paused_at, resumed_at FROM exam_pauses WHERE exam_id = ? ORDER BY id', [examId]);
+}
+
+// Work out the exam clock from the pause log (an open pause has resumed_at NULL).
+// elapsedSeconds is active exam time: wall time since start minus credited pause time.
+function computeExamClock(exam, pauses, now = Date.now()) {
+  const wallSeconds = Math.max(0, Math.floor((now - parseDbTimestamp(exam.started_at)) / 1000));
+  const maxPauseSeconds = PAUSE_POLICY.maxTotalPauseMinutes * 60;
+
+  let pausedSeconds = 0;
+  let openPause = null;
+  pauses.forEach(p => {
+    const end = p.resumed_at ? parseDbTimestamp(p.resumed_at) : now;
+    if (!p.resumed_at) openPause = p;
+    pausedSeconds += Math.max(0, Math.floor((end - parseDbTimestamp(p.paused_at)) / 1000));
+  });
+
+  const creditedPauseSeconds = Math.min(pausedSeconds, maxPauseSeconds);
+  const elapsedSeconds = Math.max(0, wallSeconds - creditedPauseSeconds);
+  const durationSeconds = getExamDurationMinutes(exam) * 60;
+
+  return {
+    elapsedSeconds,
+    durationSeconds,
+    timeRemaining: Math.max(0, durationSeconds - elapsedSeconds),
+    expired: elapsedSeconds > durationSeconds + EXAM_GRACE_SECONDS,
+    isPaused: openPause !== null,
+    pausedAt: openPause ? openPause.paused_at : null,
+    pauseCount: pauses.length,
+    pausedSeconds: creditedPauseSeconds,
+    pausesRemaining: Math.max(0, PAUSE_POLICY.maxPauses - pauses.length),
+    pauseSecondsRemaining: Math.max(0, maxPauseSeconds - pausedSeconds)
+  };
+}
+
+async function getExamClock(exam, now = Date.now()) {
+  return computeExamClock(exam, await getExamPauses(exam.id), now);
+}
+
+// Clock fields shared by the pause, resume and in-progress responses
+function summarizeClock(clock) {
+  return {
+    timeRemaining: clock.timeRemaining,
+    timeUsed: clock.elapsedSeconds,
+    isPaused: clock.isPaused,
+    pausedAt: clock.pausedAt,
+    pauseCount: clock.pauseCount,
+    pausesRemaining: clock.pausesRemaining,
+    pauseSecondsRemaining: clock.pauseSecondsRemaining
+  };
+}
+
+function expiredError(exam) {
+  return { status: 400, message: `Exam time expired. Maximum time is ${getExamDurationMinutes(exam)} minutes.` };
+}
+
+// Adaptive exams are answered and finished through adaptiveExamService.js
+const ADAPTIVE_EXAM_ERROR = {
+  status: 400,
+  message: 'Adaptive exams are answered one question at a time (POST /api/exams/:id/adaptive/answer)'
 };
 
+// Remove keys that reveal answers before a PBQ is sent to the client (exam and study screens)
+function stripPbqCorrectFields(pbqJson) {
+  if (!pbqJson) return null;
+  let obj;
+  try { obj = JSON.parse(pbqJson); } catch { return null; }
+
+  delete obj.correct;
+  delete obj.correct_order;
+  delete obj.correct_map;
+  delete obj.correct_buckets;
+  delete obj.correct_rules;
+  delete obj.suspicious;
+  delete obj.correct_classification;
+  delete obj.correct_zones;
+  delete obj.correct_answers;
+
+  return obj;
+}
+
+// Shape a question row for the exam screen (no answers or explanations)
+function formatExamQuestion(q, questionNumber) {
+  const qtype = q.qtype || 'mcq';
+
+  if (qtype === 'pbq') {
+    return {
+      questionNumber,
+      id: q.id,
+      qtype: 'pbq',
+      question: q.question,
+      pbq: stripPbqCorrectFields(q.pbq_json),
+      domain: q.domain,
+      difficulty: q.difficulty
+    };
+  }
+
+  return {
+    questionNumber,
+    id: q.id,
+    qtype: 'mcq',
+    question: q.question,
+    choices: {
+      A: q.choice_a,
+      B: q.choice_b,
+      C: q.choice_c,
+      D: q.choice_d
+    },
+    domain: q.domain,
+    difficulty: q.difficulty
+  };
+}
+
+// Saved answers are stored as text; PBQ answers are JSON objects
+function parseSavedAnswer(value, qtype) {
+  if (value === null || value === undefined || value === '') return null;
+  if ((qtype || 'mcq') !== 'pbq') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
 // Get user's recent performance to determine difficulty adaptation
 function getUserRecentPerformance(userId) {
   return new Promise((resolve, reject) => {
@@ -51,18 +185,47 @@ function getUserRecentPerformance(userId) {
   });
 }
 
-// Get random questions for exam, avoiding recently used ones
-async function selectRandomQuestions(userId, totalCount, retakeMissed = false) {
-  const PBQ_COUNT = 5;
-  const MCQ_COUNT = totalCount - PBQ_COUNT;
+// Pick PBQs per the blueprint's per-type counts; 'any' and shortfalls draw from the rest
+function pickPbqsByType(pbqs, pbqCounts) {
+  const byType = {};
+  pbqs.forEach(q => {
+    let type = null;
+    try { type = JSON.parse(q.pbq_json).type; } catch { type = null; }
+    if (!byType[type]) byType[type] = [];
+    byType[type].push(q);
+  });
+
+  const picked = [];
+  Object.entries(pbqCounts).forEach(([type, count]) => {
+    if (type === 'any') return;
+    picked.push(...(byType[type] || []).slice(0, count));
+  });
+
+  const total = Object.values(pbqCounts).reduce((sum, n) => sum + n, 0);
+  const leftovers = pbqs.filter(q => !picked.includes(q));
+  picked.push(...leftovers.slice(0, total - picked.length));
+
+  return picked;
+}
+
+// Get random questions for exam following a blueprint, avoiding recently used ones
+// and never picking two questions from the same duplicate cluster
+async function selectRandomQuestions(userId, blueprint, retakeMissed = false) {
+  const PBQ_COUNT = Object.values(blueprint.pbqCounts).reduce((sum, n) => sum + n, 0);
+  const MCQ_COUNT = blueprint.questionCount - PBQ_COUNT;
+  const domainWeights = blueprint.domainWeights || {};
+  const hasDomainWeights = Object.keys(domainWeights).length > 0;
+  const clusterOf = await getDuplicateClusterIndex();
 
   // Get user's recent performance for adaptive difficulty
   const performance = await getUserRecentPerformance(userId);
   
-  // Determine difficulty distribution based on performance
+  // Determine difficulty distribution: fixed by the blueprint, otherwise adapted to performance
   let difficultyWeights = { Easy: 0.3, Medium: 0.5, Hard: 0.2 }; // Default
   
-  if (performance.questionCount >= 50) { // Only adapt if enough data
+  if (blueprint.difficultyMix) {
+    difficultyWeights = { Easy: 0, Medium: 0, Hard: 0, ...blueprint.difficultyMix };
+  } else if (performance.questionCount >= 50) { // Only adapt if enough data
     if (performance.accuracy > 80) {
       // High performer - more challenging questions
       difficultyWeights = { Easy: 0.1, Medium: 0.4, Hard: 0.5 };
@@ -72,49 +235,71 @@ async function selectRandomQuestions(userId, totalCount, retakeMissed = false) {
     }
   }
 
-  // Helper: get PBQs (random)
+  // Helper: get PBQs (random, split by type per the blueprint)
   const getPbqs = () => new Promise((resolve, reject) => {
+    if (PBQ_COUNT === 0) return resolve([]);
     const pbqQuery = `
       SELECT q.*
       FROM questions q
-      WHERE q.qtype = 'pbq'
+      WHERE q.qtype = 'pbq' AND q.retired_at IS NULL
       ORDER BY RANDOM()
-      LIMIT ?
     `;
-    db.all(pbqQuery, [PBQ_COUNT], (err, rows) => {
+    db.all(pbqQuery, [], (err, rows) => {
       if (err) return reject(err);
-      resolve(rows || []);
+      resolve(pickPbqsByType(onePerCluster(rows || [], clusterOf), blueprint.pbqCounts));
     });
   });
 
   // Helper: get MCQs with domain weighting
   const getMcqs = () => new Promise((resolve, reject) => {
+    if (MCQ_COUNT === 0) return resolve([]);
     // First, get all available MCQs with their metadata
     const baseQuery = retakeMissed 
       ? `SELECT DISTINCT q.*, 
                qu.times_correct, 
                qu.times_used,
                qu.last_used_at,
-               (qu.times_used - qu.times_correct) as times_incorrect
+               (qu.times_used - qu.times_correct) as times_incorrect,
+               ${OFFICIAL_DOMAIN_SQL}
          FROM questions q
          LEFT JOIN question_usage qu ON q.id = qu.question_id AND qu.user_id = ?
-         WHERE (q.qtype IS NULL OR q.qtype = 'mcq')`
+         WHERE (q.qtype IS NULL OR q.qtype = 'mcq') AND q.retired_at IS NULL`
       : `SELECT q.*, 
                qu.last_used_at,
                qu.times_used,
-               qu.times_correct
+               qu.times_correct,
+               ${OFFICIAL_DOMAIN_SQL}
          FROM questions q
          LEFT JOIN question_usage qu ON q.id = qu.question_id AND qu.user_id = ?
-         WHERE (q.qtype IS NULL OR q.qtype = 'mcq')`;
+         WHERE (q.qtype IS NULL OR q.qtype = 'mcq') AND q.retired_at IS NULL`;
+
+    // Selection strategy: missed questions first when retaking, otherwise least recently used
+    const preferOrder = (a, b) => {
+      if (retakeMissed) {
+        // Prioritize incorrect questions
+        const aIncorrect = (a.times_used || 0) - (a.times_correct || 0);
+        const bIncorrect = (b.times_used || 0) - (b.times_correct || 0);
+        if (aIncorrect !== bIncorrect) return bIncorrect - aIncorrect;
+      } else {
+        // Prioritize least recently used
+        const aTime = a.last_used_at || 0;
+        const bTime = b.last_used_at || 0;
+        if (aTime !== bTime) return aTime - bTime;
+      }
+      return Math.random() - 0.5; // Random tiebreaker
+    };
 
-    db.all(baseQuery, [userId], (err, allQuestions) => {
+    db.all(baseQuery, [userId], (err, rows) => {
       if (err) return reject(err);
-      if (!allQuestions || allQuestions.length === 0) return resolve([]);
+      if (!rows || rows.length === 0) return resolve([]);
 
-      // Group questions by domain
+      // Of each duplicate cluster, only the copy the strategy prefers is eligible
+      const allQuestions = onePerCluster([...rows].sort(preferOrder), clusterOf);
+
+      // Group questions by official domain
       const questionsByDomain = {};
       allQuestions.forEach(q => {
-        const domain = q.domain || 'General Security Concepts';
+        const domain = q.official_domain || q.domain || 'General Security Concepts';
         if (!questionsByDomain[domain]) {
           questionsByDomain[domain] = [];
         }
@@ -123,44 +308,38 @@ async function selectRandomQuestions(userId, totalCount, retakeMissed = false) {
 
       // Sort questions within each domain based on selection strategy
       Object.keys(questionsByDomain).forEach(domain => {
-        questionsByDomain[domain].sort((a, b) => {
-          if (retakeMissed) {
-            // Prioritize incorrect questions
-            const aIncorrect = (a.times_used || 0) - (a.times_correct || 0);
-            const bIncorrect = (b.times_used || 0) - (b.times_correct || 0);
-            if (aIncorrect !== bIncorrect) return bIncorrect - aIncorrect;
-          } else {
-            // Prioritize least recently used
-            const aTime = a.last_used_at || 0;
-            const bTime = b.last_used_at || 0;
-            if (aTime !== bTime) return aTime - bTime;
-          }
-          return Math.random() - 0.5; // Random tiebreaker
-        });
+        questionsByDomain[domain].sort(preferOrder);
       });
 
       // Select questions based on domain weights AND difficulty adaptation
       const selected = [];
       const domains = Object.keys(questionsByDomain);
       
-      // Calculate how many questions to pick from each domain
+      // Calculate how many questions to pick from each domain.
+      // Blueprint weights are relative; with no weights every domain counts equally.
+      const weightFor = domain => (hasDomainWeights ? domainWeights[domain] || 0 : 1);
+      const totalWeight = domains.reduce((sum, domain) => sum + weightFor(domain), 0) || 1;
       const domainQuotas = {};
       let assignedCount = 0;
       
       domains.forEach(domain => {
-        const weight = DOMAIN_WEIGHTS[domain] || 0.01;
-        const quota = Math.round(MCQ_COUNT * weight);
+        const quota = Math.round(MCQ_COUNT * weightFor(domain) / totalWeight);
         domainQuotas[domain] = Math.min(quota, questionsByDomain[domain].length);
         assignedCount += domainQuotas[domain];
       });
 
-      // Adjust if we haven't assigned enough questions due to rounding
-      while (assignedCount < MCQ_COUNT) {
-        for (const domain of domains) {
+      // Adjust if we haven't assigned enough questions due to rounding,
+      // topping up weighted domains before falling back to the rest
+      const fillOrder = [...domains].sort((a, b) => weightFor(b) - weightFor(a));
+      let progress = true;
+      while (assignedCount < MCQ_COUNT && progress) {
+        progress = false;
+        for (const domain of fillOrder) {
           if (assignedCount >= MCQ_COUNT) break;
           if (domainQuotas[domain] < questionsByDomain[domain].length) {
             domainQuotas[domain]++;
             assignedCount++;
+            progress = true;
           }
         }
       }
@@ -183,13 +362,16 @@ async function selectRandomQuestions(userId, totalCount, retakeMissed = false) {
         };
         
         // Select from each difficulty tier
-        selected.push(...byDifficulty.Easy.slice(0, easyCount));
-        selected.push(...byDifficulty.Medium.slice(0, mediumCount));
-        selected.push(...byDifficulty.Hard.slice(0, hardCount));
+        const domainPicks = [
+          ...byDifficulty.Easy.slice(0, easyCount),
+          ...byDifficulty.Medium.slice(0, mediumCount),
+          ...byDifficulty.Hard.slice(0, hardCount)
+        ];
         
-        // Fill remaining with any difficulty
-        const remaining = available.filter(q => !selected.includes(q));
-        selected.push(...remaining.slice(0, quota - selected.length));
+        // Fill this domain's remaining quota with any difficulty
+        const remaining = available.filter(q => !domainPicks.includes(q));
+        domainPicks.push(...remaining.slice(0, quota - domainPicks.length));
+        selected.push(...domainPicks);
       });
 
       // If we still don't have enough, fill with remaining questions
@@ -224,96 +406,69 @@ async function selectRandomQuestions(userId, totalCount, retakeMissed = false) {
 }
 
 // Start a new exam
-async function startExam(userId, isRetakeMissed = false) {
+async function startExam(userId, isRetakeMissed = false, blueprintId = null) {
   try {
-    const questions = await selectRandomQuestions(userId, 90, isRetakeMissed);
+    const blueprint = blueprintId
+      ? await getBlueprint(blueprintId, { activeOnly: true })
+      : await getDefaultBlueprint();
+    const questions = await selectRandomQuestions(userId, blueprint, isRetakeMissed);
     
-    if (questions.length < 90) {
+    if (questions.length === 0) {
       throw { status: 400, message: 'Not enough questions available in the question bank' };
     }
 
+    // Duplicate clusters count once, so a bank with many copies yields a shorter exam
+    // until an admin resolves them (GET /api/admin/questions/duplicates); the response says so
+    const totalQuestions = Math.min(blueprint.questionCount, questions.length);
+    const shortened = totalQuestions < blueprint.questionCount;
+
     // Create exam_attempts record
     const attemptResult = await run(
-      'INSERT INTO exam_attempts (user_id, mode, total_questions) VALUES (?, ?, ?)',
-      [userId, 'exam', 90]
+      'INSERT INTO exam_attempts (user_id, mode, total_questions, blueprint_id) VALUES (?, ?, ?, ?)',
+      [userId, 'exam', totalQuestions, blueprint.id]
     );
     
     const attemptId = attemptResult.lastID;
 
     return new Promise((resolve, reject) => {
-      // Create exam record (keep for backward compatibility)
+      // Create exam record (keep for backward compatibility).
+      // Duration and pass mark are copied so later blueprint edits don't change running exams.
       db.run(
-        'INSERT INTO exams (user_id, is_retake_missed) VALUES (?, ?)',
-        [userId, isRetakeMissed ? 1 : 0],
+        `INSERT INTO exams
+           (user_id, is_retake_missed, attempt_id, blueprint_id, total_questions, duration_minutes, passing_score)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, isRetakeMissed ? 1 : 0, attemptId, blueprint.id, totalQuestions, blueprint.durationMinutes, blueprint.passingScore],
         function(err) {
           if (err) return reject({ status: 500, message: 'Error creating exam' });
           
           const examId = this.lastID;
           
-          // Insert exam questions
+          // Insert exam questions, pinned to the revision being shown
           const stmt = db.prepare(
-            'INSERT INTO exam_questions (exam_id, question_id, question_number) VALUES (?, ?, ?)'
+            'INSERT INTO exam_questions (exam_id, question_id, revision_id, question_number) VALUES (?, ?, ?, ?)'
           );
           
           questions.forEach((q, index) => {
-            stmt.run(examId, q.id, index + 1);
+            stmt.run(examId, q.id, q.current_revision_id, index + 1);
           });
           
           stmt.finalize((err) => {
             if (err) return reject({ status: 500, message: 'Error saving exam questions' });
             
             // Return questions without answers
-            function stripPbqCorrectFields(pbqJson) {
-              if (!pbqJson) return null;
-              let obj;
-              try { obj = JSON.parse(pbqJson); } catch { return null; }
-
-              // Remove keys that reveal answers
-              delete obj.correct;
-              delete obj.correct_order;
-              delete obj.correct_map;
-
-              return obj;
-            }
-
-            const questionsForClient = questions.map((q, index) => {
-              const qtype = q.qtype || "mcq";
-
-              if (qtype === "pbq") {
-                return {
-                  questionNumber: index + 1,
-                  id: q.id,
-                  qtype: "pbq",
-                  question: q.question,
-                  pbq: stripPbqCorrectFields(q.pbq_json),
-                  domain: q.domain,
-                  difficulty: q.difficulty
-                };
-              }
-
-              // MCQ (existing behavior)
-              return {
-                questionNumber: index + 1,
-                id: q.id,
-                qtype: "mcq",
-                question: q.question,
-                choices: {
-                  A: q.choice_a,
-                  B: q.choice_b,
-                  C: q.choice_c,
-                  D: q.choice_d
-                },
-                domain: q.domain,
-                difficulty: q.difficulty
-              };
-            });
+            const questionsForClient = questions.map((q, index) => formatExamQuestion(q, index + 1));
             
             resolve({
               examId,
               attemptId,
               questions: questionsForClient,
-              duration: 90, // minutes
-              totalQuestions: 90
+              duration: blueprint.durationMinutes, // minutes
+              timeRemaining: blueprint.durationMinutes * 60,
+              totalQuestions,
+              requestedQuestions: blueprint.questionCount,
+              shortened,
+              passingScore: blueprint.passingScore,
+              blueprint: { id: blueprint.id, name: blueprint.name, slug: blueprint.slug }
             });
           });
         }
@@ -324,8 +479,27 @@ async function startExam(userId, isRetakeMissed = false) {
   }
 }
 
-// Submit exam answers
-async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
+// Why a PBQ answer can't be accepted for the stored definition, or null
+function pbqAnswerProblem(pbqJson, answer) {
+  let pbq = null;
+  try {
+    pbq = JSON.parse(pbqJson);
+  } catch {
+    return null;
+  }
+  const problems = validatePbqAnswer(answer, pbq);
+  return problems.length > 0 ? `Invalid answer: ${problems.join('; ')}` : null;
+}
+
+// Seconds the browser says were spent on a question, bounded by the server clock
+function questionTimeSpent(questionTimes, questionNumber, timeUsed) {
+  const seconds = Math.round(Number(questionTimes && questionTimes[questionNumber]));
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.min(seconds, timeUsed);
+}
+
+// Submit exam answers; questionTimes maps question numbers to seconds spent on them
+async function submitExam(examId, userId, answers, timeUsed, attemptId = null, questionTimes = {}) {
   return new Promise(async (resolve, reject) => {
     // Verify exam belongs to user
     db.get(
@@ -335,51 +509,73 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
         if (err) return reject({ status: 500, message: 'Database error' });
         if (!exam) return reject({ status: 404, message: 'Exam not found' });
         if (exam.submitted_at) return reject({ status: 400, message: 'Exam already submitted' });
+        if (exam.is_adaptive) return reject(ADAPTIVE_EXAM_ERROR);
         
-        // Server-side time enforcement
-        const startTime = new Date(exam.started_at).getTime();
-        const now = new Date().getTime();
-        const elapsedMinutes = (now - startTime) / (1000 * 60);
-        const MAX_EXAM_TIME = 90; // minutes
-        
-        if (elapsedMinutes > MAX_EXAM_TIME + 1) { // 1 minute grace period
-          return reject({ 
-            status: 400, 
-            message: `Exam time expired. Maximum time is ${MAX_EXAM_TIME} minutes.` 
-          });
+        // Server-side time enforcement (1 minute grace period), excluding paused time
+        let clock;
+        try {
+          clock = await getExamClock(exam);
+          if (clock.isPaused) {
+            await run('UPDATE exam_pauses SET resumed_at = CURRENT_TIMESTAMP WHERE exam_id = ? AND resumed_at IS NULL', [examId]);
+            await run('UPDATE exams SET paused_at = NULL WHERE id = ?', [examId]);
+          }
+        } catch (e) {
+          return reject({ status: 500, message: 'Database error' });
         }
+        if (clock.expired) return reject(expiredError(exam));
+        
+        // Recorded duration comes from the server clock, not the browser
+        timeUsed = Math.min(clock.elapsedSeconds, clock.durationSeconds);
         
-        // Get exam questions with correct answers
+        // A resumed exam may submit without knowing its attempt id
+        if (!attemptId) attemptId = exam.attempt_id || null;
+        
+        // Get exam questions (as the student saw them) with correct answers and anything autosaved
         db.all(
-          `SELECT eq.question_number, eq.question_id, q.answer, q.explanation, 
-                  q.question, q.choice_a, q.choice_b, q.choice_c, q.choice_d, q.domain,
-                  q.qtype, q.pbq_json
+          `SELECT eq.question_number, eq.question_id, eq.revision_id, eq.user_answer AS saved_answer,
+                  ${revisionContentSql()}
            FROM exam_questions eq
            JOIN questions q ON eq.question_id = q.id
+           LEFT JOIN question_revisions r ON r.id = eq.revision_id
            WHERE eq.exam_id = ?
            ORDER BY eq.question_number`,
           [examId],
           (err, questions) => {
             if (err) return reject({ status: 500, message: 'Error fetching questions' });
             
+            // Answers sent with the submission are checked like autosaved ones
+            for (const q of questions) {
+              const answer = answers[q.question_number];
+              const problem = q.qtype === 'pbq' && answer && typeof answer === 'object' && pbqAnswerProblem(q.pbq_json, answer);
+              if (problem) return reject({ status: 400, message: `Question ${q.question_number}: ${problem}` });
+            }
+
             let correctCount = 0;
             let answeredCount = 0;
             let partialCount = 0;
             let incorrectCount = 0;
             const results = [];
+            const scoringItems = [];
             
             // Calculate score and build results
             questions.forEach(q => {
-              const userAnswer = answers[q.question_number];
+              // Answers sent with the submission win over autosaved ones
+              const userAnswer = answers[q.question_number] !== undefined
+                ? answers[q.question_number]
+                : parseSavedAnswer(q.saved_answer, q.qtype);
               const isAnswered = userAnswer && userAnswer !== null && userAnswer !== '';
               
-              if (isAnswered) {
+              if (!isAnswered) {
+                // Unanswered questions still count against the scaled score
+                scoringItems.push({ qtype: q.qtype || 'mcq', domain: q.domain, points: 0 });
+              } else {
                 answeredCount++;
                 
                 const qtype = q.qtype || 'mcq';
                 let isCorrect = false;
                 let isPartial = false;
                 let points = 0;
+                let breakdown = null;
                 let userAnswerStr = userAnswer;
                 
                 // Score based on question type
@@ -395,15 +591,10 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                   // Score PBQ
                   if (pbqData && typeof userAnswer === 'object') {
                     const pbqResult = scorePBQ(userAnswer, pbqData);
-                    isCorrect = pbqResult === true || (typeof pbqResult === 'object' && pbqResult.isCorrect);
-                    
-                    // Check for partial credit
-                    if (typeof pbqResult === 'object') {
-                      points = pbqResult.points || (isCorrect ? 1 : 0);
-                      isPartial = pbqResult.isPartial || false;
-                    } else {
-                      points = isCorrect ? 1 : 0;
-                    }
+                    isCorrect = pbqResult.isCorrect;
+                    isPartial = pbqResult.isPartial;
+                    points = pbqResult.points;
+                    breakdown = pbqResult.breakdown;
                   }
                   
                   // Store as JSON string
@@ -418,6 +609,8 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                 else if (isPartial) partialCount++;
                 else incorrectCount++;
                 
+                scoringItems.push({ qtype, domain: q.domain, points });
+                
                 // Update exam_questions table (for backward compatibility)
                 db.run(
                   'UPDATE exam_questions SET user_answer = ?, is_correct = ? WHERE exam_id = ? AND question_number = ?',
@@ -427,8 +620,8 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                 // Insert into exam_attempt_answers if attemptId exists
                 if (attemptId) {
                   run(
-                    'INSERT INTO exam_attempt_answers (attempt_id, question_id, question_number, user_answer_json, is_correct, is_partial, points) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                    [attemptId, q.question_id, q.question_number, userAnswerStr, isCorrect ? 1 : 0, isPartial ? 1 : 0, points]
+                    'INSERT INTO exam_attempt_answers (attempt_id, question_id, revision_id, question_number, user_answer_json, is_correct, is_partial, points, time_spent_seconds) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [attemptId, q.question_id, q.revision_id, q.question_number, userAnswerStr, isCorrect ? 1 : 0, isPartial ? 1 : 0, points, questionTimeSpent(questionTimes, q.question_number, timeUsed)]
                   ).catch(err => console.error('Error saving exam_attempt_answers:', err));
                 }
                 
@@ -442,6 +635,10 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                      last_used_at = CURRENT_TIMESTAMP`,
                   [userId, q.question_id, isCorrect ? 1 : 0, isCorrect ? 1 : 0]
                 );
+
+                // Reschedule the question in the student's review queue
+                recordReview(userId, q.question_id, { isCorrect, isPartial, points })
+                  .catch(err => console.error('Error updating review schedule:', err));
                 
                 // Build result object
                 if (qtype === 'pbq') {
@@ -452,7 +649,11 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                     userAnswer: userAnswer, // Keep as object
                     correctAnswer: q.pbq_json, // Keep raw JSON
                     isCorrect,
+                    isPartial,
+                    points,
+                    breakdown,
                     explanation: q.explanation,
+                    ...explainAnswer(q, userAnswer, breakdown),
                     domain: q.domain
                   });
                 } else {
@@ -470,6 +671,7 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                     correctAnswer: q.answer,
                     isCorrect,
                     explanation: q.explanation,
+                    ...explainAnswer(q, userAnswer),
                     domain: q.domain
                   });
                 }
@@ -480,15 +682,23 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
               ? Math.round((correctCount / answeredCount) * 100)
               : 0;
             
+            // Pass mark comes from the exam's blueprint snapshot when it has one
+            const scaled = calculateScaledScore(
+              scoringItems,
+              exam.passing_score ? { passMark: exam.passing_score } : {}
+            );
+            
             // Update exam record (for backward compatibility)
             db.run(
               `UPDATE exams 
                SET submitted_at = CURRENT_TIMESTAMP, 
                    time_used = ?, 
                    score = ?, 
+                   scaled_score = ?,
+                   passed = ?,
                    answered_count = ?
                WHERE id = ?`,
-              [timeUsed, scorePercentage, answeredCount, examId],
+              [timeUsed, scorePercentage, scaled.scaledScore, scaled.passed ? 1 : 0, answeredCount, examId],
               async (err) => {
                 if (err) return reject({ status: 500, message: 'Error updating exam' });
                 
@@ -500,11 +710,13 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                        SET submitted_at = CURRENT_TIMESTAMP,
                            duration = ?,
                            score_percent = ?,
+                           scaled_score = ?,
+                           passed = ?,
                            correct_count = ?,
                            partial_count = ?,
                            incorrect_count = ?
                        WHERE id = ?`,
-                      [timeUsed, scorePercentage, correctCount, partialCount, incorrectCount, attemptId]
+                      [timeUsed, scorePercentage, scaled.scaledScore, scaled.passed ? 1 : 0, correctCount, partialCount, incorrectCount, attemptId]
                     );
                   } catch (err) {
                     console.error('Error updating exam_attempts:', err);
@@ -531,11 +743,16 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
                 resolve({
                   examId,
                   score: scorePercentage,
+                  scaledScore: scaled.scaledScore,
+                  passingScore: scaled.passingScore,
+                  maxScore: scaled.maxScore,
+                  weightedPercent: scaled.rawPercent,
                   correctCount,
+                  partialCount,
                   answeredCount,
-                  totalQuestions: 90,
+                  totalQuestions: questions.length,
                   timeUsed,
-                  passed: scorePercentage >= 75, // Assuming 75% passing score
+                  passed: scaled.passed,
                   results,
                   domainBreakdown
                 });
@@ -548,12 +765,30 @@ async function submitExam(examId, userId, answers, timeUsed, attemptId = null) {
   });
 }
 
+// Attempts submitted before scaled scoring have no stored pass/fail
+function hasPassed(exam) {
+  if (exam.passed === null || exam.passed === undefined) {
+    return resolvePassed(exam.scaled_score, exam.score, exam.passing_score ? { passMark: exam.passing_score } : {});
+  }
+  return exam.passed === 1;
+}
+
+// Ability estimate of a finished adaptive exam, for history and review
+function adaptiveSummary(exam) {
+  if (!exam.is_adaptive) return {};
+  return {
+    adaptive: true,
+    ability: { theta: exam.ability_theta, standardError: exam.ability_se },
+    stopReason: exam.stop_reason || null
+  };
+}
+
 // Get exam history
 async function getExamHistory(userId) {
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT id, started_at, submitted_at, time_used, score, 
-              total_questions, answered_count, is_retake_missed
+      `SELECT id, started_at, submitted_at, time_used, score, scaled_score, passed,
+              total_questions, answered_count, is_retake_missed, is_adaptive, ability_theta, ability_se
        FROM exams
        WHERE user_id = ? AND submitted_at IS NOT NULL AND deleted_at IS NULL
        ORDER BY submitted_at DESC`,
@@ -567,10 +802,12 @@ async function getExamHistory(userId) {
           submittedAt: exam.submitted_at,
           timeUsed: exam.time_used,
           score: exam.score,
+          scaledScore: exam.scaled_score,
           totalQuestions: exam.total_questions,
           answeredCount: exam.answered_count,
-          passed: exam.score >= 75,
-          isRetakeMissed: exam.is_retake_missed === 1
+          passed: hasPassed(exam),
+          isRetakeMissed: exam.is_retake_missed === 1,
+          ...adaptiveSummary(exam)
         }));
         
         resolve(history);
@@ -593,11 +830,10 @@ async function getExamReview(examId, userId) {
         
         // Get all questions with answers
         db.all(
-          `SELECT eq.question_number, eq.user_answer, eq.is_correct,
-                  q.question, q.choice_a, q.choice_b, q.choice_c, q.choice_d,
-                  q.answer, q.explanation, q.domain, q.qtype, q.pbq_json
+          `SELECT eq.question_number, eq.user_answer, eq.is_correct, ${revisionContentSql()}
            FROM exam_questions eq
            JOIN questions q ON eq.question_id = q.id
+           LEFT JOIN question_revisions r ON r.id = eq.revision_id
            WHERE eq.exam_id = ?
            ORDER BY eq.question_number`,
           [examId],
@@ -617,6 +853,14 @@ async function getExamReview(examId, userId) {
                     userAnswer = q.user_answer;
                   }
                   
+                  // Re-score to rebuild the per-item breakdown for the review screen
+                  let pbqResult = null;
+                  try {
+                    pbqResult = scorePBQ(userAnswer, JSON.parse(q.pbq_json));
+                  } catch (e) {
+                    console.error('Failed to parse PBQ JSON:', e);
+                  }
+                  
                   return {
                     questionNumber: q.question_number,
                     question: q.question,
@@ -624,7 +868,11 @@ async function getExamReview(examId, userId) {
                     userAnswer: userAnswer,
                     correctAnswer: q.pbq_json,
                     isCorrect: q.is_correct === 1,
+                    isPartial: pbqResult ? pbqResult.isPartial : false,
+                    points: pbqResult ? pbqResult.points : (q.is_correct === 1 ? 1 : 0),
+                    breakdown: pbqResult ? pbqResult.breakdown : null,
                     explanation: q.explanation,
+                    ...explainAnswer(q, userAnswer, pbqResult ? pbqResult.breakdown : null),
                     domain: q.domain
                   };
                 } else {
@@ -642,6 +890,7 @@ async function getExamReview(examId, userId) {
                     correctAnswer: q.answer,
                     isCorrect: q.is_correct === 1,
                     explanation: q.explanation,
+                    ...explainAnswer(q, q.user_answer),
                     domain: q.domain
                   };
                 }
@@ -653,9 +902,11 @@ async function getExamReview(examId, userId) {
               submittedAt: exam.submitted_at,
               timeUsed: exam.time_used,
               score: exam.score,
+              scaledScore: exam.scaled_score,
               totalQuestions: exam.total_questions,
               answeredCount: exam.answered_count,
-              passed: exam.score >= 75,
+              passed: hasPassed(exam),
+              ...adaptiveSummary(exam),
               results
             });
           }
@@ -665,14 +916,178 @@ async function getExamReview(examId, userId) {
   });
 }
 
+// Autosave a single answer and/or mark-for-review flag against an in-progress exam
+async function saveExamAnswer(examId, userId, questionNumber, { answer, markedForReview } = {}) {
+  const exam = await get(
+    'SELECT * FROM exams WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [examId, userId]
+  );
+
+  if (!exam) throw { status: 404, message: 'Exam not found' };
+  if (exam.submitted_at) throw { status: 400, message: 'Exam already submitted' };
+  if (exam.is_adaptive) throw ADAPTIVE_EXAM_ERROR;
+
+  const clock = await getExamClock(exam);
+  if (clock.expired) throw expiredError(exam);
+  if (clock.isPaused) throw { status: 409, message: 'Exam is paused. Resume it to keep answering.' };
+
+  const row = await get(
+    `SELECT eq.user_answer, eq.marked_for_review, ${revisionContentSql(['qtype', 'pbq_json'])}
+     FROM exam_questions eq
+     JOIN questions q ON eq.question_id = q.id
+     LEFT JOIN question_revisions r ON r.id = eq.revision_id
+     WHERE eq.exam_id = ? AND eq.question_number = ?`,
+    [examId, questionNumber]
+  );
+  if (!row) throw { status: 404, message: 'Question not found' };
+
+  if (answer !== undefined && answer !== null && answer !== '') {
+    const expectsObject = (row.qtype || 'mcq') === 'pbq';
+    if (expectsObject ? typeof answer !== 'object' : !CHOICE_LETTERS.includes(answer)) {
+      throw { status: 400, message: expectsObject ? 'PBQ answers must be objects' : 'MCQ answers must be A, B, C or D' };
+    }
+    const problem = expectsObject && pbqAnswerProblem(row.pbq_json, answer);
+    if (problem) throw { status: 400, message: problem };
+  }
+
+  // Omitted fields keep their saved value; null or '' clears the answer
+  let userAnswer = row.user_answer;
+  if (answer !== undefined) {
+    if (answer === null || answer === '') userAnswer = null;
+    else userAnswer = typeof answer === 'object' ? JSON.stringify(answer) : String(answer);
+  }
+  const marked = markedForReview !== undefined ? (markedForReview ? 1 : 0) : (row.marked_for_review ? 1 : 0);
+
+  await run(
+    `UPDATE exam_questions
+     SET user_answer = ?, marked_for_review = ?, answered_at = CURRENT_TIMESTAMP
+     WHERE exam_id = ? AND question_number = ?`,
+    [userAnswer, marked, examId, questionNumber]
+  );
+  await run(
+    `UPDATE exams
+     SET last_saved_at = CURRENT_TIMESTAMP,
+         answered_count = (SELECT COUNT(*) FROM exam_questions WHERE exam_id = ? AND user_answer IS NOT NULL)
+     WHERE id = ?`,
+    [examId, examId]
+  );
+
+  return {
+    examId,
+    questionNumber,
+    answered: userAnswer !== null,
+    markedForReview: marked === 1,
+    timeRemaining: clock.timeRemaining
+  };
+}
+
+// Rebuild the user's in-progress exam (questions, saved responses, time left) for any device
+async function getInProgressExam(userId) {
+  const exam = await get(
+    `SELECT * FROM exams
+     WHERE user_id = ? AND submitted_at IS NULL AND deleted_at IS NULL
+     ORDER BY started_at DESC, id DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  if (!exam) return null;
+
+  // Exams left past their time limit can no longer be submitted
+  const clock = await getExamClock(exam);
+  if (clock.expired) return null;
+
+  const rows = await all(
+    `SELECT eq.question_number, eq.user_answer, eq.marked_for_review, q.id, ${revisionContentSql()}
+     FROM exam_questions eq
+     JOIN questions q ON eq.question_id = q.id
+     LEFT JOIN question_revisions r ON r.id = eq.revision_id
+     WHERE eq.exam_id = ?
+     ORDER BY eq.question_number`,
+    [exam.id]
+  );
+
+  const answers = {};
+  const markedForReview = [];
+  rows.forEach(row => {
+    const saved = parseSavedAnswer(row.user_answer, row.qtype);
+    if (saved !== null) answers[row.question_number] = saved;
+    if (row.marked_for_review) markedForReview.push(row.question_number);
+  });
+
+  return {
+    examId: exam.id,
+    attemptId: exam.attempt_id,
+    questions: rows.map(row => formatExamQuestion(row, row.question_number)),
+    answers,
+    markedForReview,
+    duration: getExamDurationMinutes(exam), // minutes
+    passingScore: exam.passing_score || null,
+    ...summarizeClock(clock),
+    totalQuestions: rows.length,
+    isRetakeMissed: exam.is_retake_missed === 1,
+    // An adaptive exam's last question is the one waiting for an answer
+    adaptive: exam.is_adaptive === 1,
+    ...(exam.is_adaptive ? { maxQuestions: exam.total_questions } : {}),
+    lastSavedAt: exam.last_saved_at
+  };
+}
+
+async function getOpenExam(examId, userId) {
+  const exam = await get(
+    'SELECT * FROM exams WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [examId, userId]
+  );
+
+  if (!exam) throw { status: 404, message: 'Exam not found' };
+  if (exam.submitted_at) throw { status: 400, message: 'Exam already submitted' };
+  return exam;
+}
+
+// Pause the exam clock, subject to PAUSE_POLICY
+async function pauseExam(examId, userId) {
+  const exam = await getOpenExam(examId, userId);
+  const clock = await getExamClock(exam);
+
+  if (clock.expired) throw expiredError(exam);
+  if (clock.isPaused) throw { status: 409, message: 'Exam is already paused' };
+  if (clock.pausesRemaining === 0) {
+    throw { status: 409, message: `Pause limit reached (${PAUSE_POLICY.maxPauses} pauses per exam)` };
+  }
+  if (clock.pauseSecondsRemaining === 0) {
+    throw { status: 409, message: `No pause time left (${PAUSE_POLICY.maxTotalPauseMinutes} minutes per exam)` };
+  }
+
+  await run('INSERT INTO exam_pauses (exam_id, paused_at) VALUES (?, CURRENT_TIMESTAMP)', [examId]);
+  await run('UPDATE exams SET paused_at = CURRENT_TIMESTAMP WHERE id = ?', [examId]);
+
+  return { examId, ...summarizeClock(await getExamClock(exam)) };
+}
+
+// Restart the exam clock after a pause
+async function resumeExam(examId, userId) {
+  const exam = await getOpenExam(examId, userId);
+  const clock = await getExamClock(exam);
+
+  if (!clock.isPaused) throw { status: 409, message: 'Exam is not paused' };
+
+  await run('UPDATE exam_pauses SET resumed_at = CURRENT_TIMESTAMP WHERE exam_id = ? AND resumed_at IS NULL', [examId]);
+  await run('UPDATE exams SET paused_at = NULL WHERE id = ?', [examId]);
+
+  const resumed = await getExamClock(exam);
+  if (resumed.expired) throw expiredError(exam);
+
+  return { examId, ...summarizeClock(resumed) };
+}
+
 // Get domain distribution statistics for a generated exam (for debugging/transparency)
 async function getDomainStats() {
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT domain, COUNT(*) as count
-       FROM questions
-       WHERE qtype IS NULL OR qtype = 'mcq'
-       GROUP BY domain
+      `SELECT COALESCE(official_domain, domain) as domain, COUNT(*) as count
+       FROM (SELECT q.domain, ${OFFICIAL_DOMAIN_SQL} FROM questions q
+             WHERE (q.qtype IS NULL OR q.qtype = 'mcq') AND q.retired_at IS NULL)
+       GROUP BY COALESCE(official_domain, domain)
        ORDER BY count DESC`,
       [],
       (err, rows) => {
@@ -683,13 +1098,13 @@ async function getDomainStats() {
           domain: row.domain,
           count: row.count,
           percentage: Math.round((row.count / total) * 100 * 10) / 10,
-          targetWeight: Math.round((DOMAIN_WEIGHTS[row.domain] || 0.01) * 100 * 10) / 10
+          targetWeight: Math.round((OFFICIAL_DOMAIN_WEIGHTS[row.domain] || 0) * 100 * 10) / 10
         }));
         
         resolve({
           total,
           domains: stats,
-          weights: DOMAIN_WEIGHTS
+          weights: OFFICIAL_DOMAIN_WEIGHTS
         });
       }
     );
@@ -697,9 +1112,21 @@ async function getDomainStats() {
 }
 
 export {
+  OFFICIAL_DOMAIN_SQL,
+  parseDbTimestamp,
+  getExamClock,
+  summarizeClock,
+  formatExamQuestion,
+  getOpenExam,
   startExam,
   submitExam,
   getExamHistory,
   getExamReview,
-  getDomainStats
+  getDomainStats,
+  saveExamAnswer,
+  getInProgressExam,
+  pauseExam,
+  resumeExam,
+  PAUSE_POLICY,
+  stripPbqCorrectFields
 };
@@ -0,0 +1,220 @@
+// Item Analysis Module
+// Classical test theory statistics for one question, computed from the exam
+// answers of every student who saw it. itemStatsService.js feeds it from the
+// database and stores the results.
+//
+// Each response is { points, answer, timeSpentSeconds, restScore }:
+//   points    - 0-1 credit the answer earned (PBQs can be partial)
+//   answer    - the choice letter picked (MCQ only)
+//   restScore - the student's attempt score without this question, 0-1
+//
+// The p-value is the mean credit, i.e. the share of students who got it right.
+// Discrimination is the point-biserial correlation of the credit with the rest
+// score; leaving the item out of the total keeps it from correlating with itself.
+//
+// Distractor analysis splits students into quartiles by overall score and shows
+// which choice each quartile picks: a wrong choice nobody picks does no work,
+// and one the top quartile prefers points to a miskey or an ambiguous stem.
+
+import { CHOICE_LETTERS } from './questionValidator.js';
+
+export const ITEM_ANALYSIS_DEFAULTS = {
+  minResponses: 30, // fewer responses than this are reported but never flagged
+  weakDistractorRate: 0.05 // wrong choices picked less often than this do no work
+};
+
+// Score quartiles, weakest students first
+export const QUARTILES = [1, 2, 3, 4];
+
+// Labelled difficulty -> p-value range [min, max) students should land in
+export const DIFFICULTY_P_VALUE_RANGES = {
+  Easy: [0.8, Infinity],
+  Medium: [0.5, 0.8],
+  Hard: [-Infinity, 0.5]
+};
+
+function round(value, places = 3) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation of two equal-length series (point-biserial when one is 0/1)
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys
+ * @returns {number|null} - null when there are fewer than 2 values or either series is constant
+ */
+export function pointBiserial(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Difficulty label the p-value points to
+ * @param {number|null} pValue
+ * @returns {string|null} - Easy, Medium, Hard, or null without data
+ */
+export function empiricalDifficulty(pValue) {
+  if (pValue === null || pValue === undefined) return null;
+  return Object.keys(DIFFICULTY_P_VALUE_RANGES).find(label => {
+    const [min, max] = DIFFICULTY_P_VALUE_RANGES[label];
+    return pValue >= min && pValue < max;
+  }) || null;
+}
+
+// Share of students picking each choice, and how well those students did elsewhere
+function distractorStats(question, responses) {
+  return CHOICE_LETTERS.map(choice => {
+    const choosers = responses.filter(r => r.answer === choice);
+    return {
+      choice,
+      isKey: choice === question.answer,
+      count: choosers.length,
+      rate: responses.length > 0 ? round(choosers.length / responses.length) : null,
+      meanRestScore: round(mean(choosers.map(r => r.restScore)))
+    };
+  });
+}
+
+/**
+ * Compute item statistics and review flags for one question
+ * @param {Object} question - { qtype, answer, difficulty }
+ * @param {Array<Object>} responses - { points, answer, timeSpentSeconds, restScore }
+ * @param {Object} options - { minResponses }
+ * @returns {Object} - { responses, pValue, discrimination, empiricalDifficulty, avgTimeSeconds, timedResponses, distractors, flags }
+ */
+export function analyzeItem(question, responses, options = {}) {
+  const { minResponses } = { ...ITEM_ANALYSIS_DEFAULTS, ...options };
+  const qtype = question.qtype || 'mcq';
+
+  const points = responses.map(r => Math.max(0, Math.min(1, Number(r.points) || 0)));
+  const pValue = round(mean(points));
+  const discrimination = round(pointBiserial(points, responses.map(r => r.restScore)));
+  const times = responses
+    .map(r => r.timeSpentSeconds)
+    .filter(seconds => Number.isFinite(seconds) && seconds > 0);
+
+  const stats = {
+    responses: responses.length,
+    pValue,
+    discrimination,
+    empiricalDifficulty: empiricalDifficulty(pValue),
+    avgTimeSeconds: times.length > 0 ? round(mean(times), 1) : null,
+    timedResponses: times.length,
+    distractors: qtype === 'mcq' ? distractorStats(question, responses) : null,
+    flags: []
+  };
+
+  if (responses.length < minResponses) return stats;
+
+  if (question.difficulty && stats.empiricalDifficulty && question.difficulty !== stats.empiricalDifficulty) {
+    stats.flags.push({
+      flag: 'difficulty-mismatch',
+      message: `Labelled ${question.difficulty} but ${Math.round(pValue * 100)}% of students answer it correctly, which is ${stats.empiricalDifficulty}`
+    });
+  }
+
+  if (discrimination !== null && discrimination < 0) {
+    const flag = {
+      flag: 'negative-discrimination',
+      message: `Stronger students do worse on this question (discrimination ${discrimination}); check the answer key`
+    };
+    // The choice picked by the strongest students is the usual culprit of a miskey
+    if (stats.distractors) {
+      const key = stats.distractors.find(d => d.isKey);
+      const suspect = stats.distractors
+        .filter(d => !d.isKey && d.count > 0)
+        .sort((a, b) => b.meanRestScore - a.meanRestScore)[0];
+      if (suspect && (key.meanRestScore === null || suspect.meanRestScore > key.meanRestScore)) {
+        flag.suggestedKey = suspect.choice;
+        flag.message += `; students who picked ${suspect.choice} score higher than those who picked ${question.answer}`;
+      }
+    }
+    stats.flags.push(flag);
+  }
+
+  return stats;
+}
+
+/**
+ * Put students into overall-score quartiles (1 = bottom 25%, 4 = top 25%)
+ * @param {Map<number, number>} scores - userId -> overall score
+ * @returns {Map<number, number>} - userId -> quartile
+ */
+export function assignQuartiles(scores) {
+  const ranked = [...scores.entries()].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  return new Map(ranked.map(([userId], rank) => [userId, Math.floor(rank * 4 / ranked.length) + 1]));
+}
+
+/**
+ * Share of students choosing each MCQ choice, overall and per score quartile
+ * @param {Object} question - { answer }
+ * @param {Array<Object>} responses - { answer, quartile }, one per student
+ * @param {Object} options - { minResponses, weakDistractorRate }
+ * @returns {Object} - { responses, quartileResponses, choices, weakDistractors, topQuartileChoice, flags }
+ */
+export function analyzeDistractors(question, responses, options = {}) {
+  const { minResponses, weakDistractorRate } = { ...ITEM_ANALYSIS_DEFAULTS, ...options };
+  const inQuartile = Object.fromEntries(QUARTILES.map(q => [q, responses.filter(r => r.quartile === q)]));
+  const share = (group, choice) => (group.length > 0 ? round(group.filter(r => r.answer === choice).length / group.length) : null);
+
+  const choices = CHOICE_LETTERS.map(choice => ({
+    choice,
+    isKey: choice === question.answer,
+    count: responses.filter(r => r.answer === choice).length,
+    rate: share(responses, choice),
+    byQuartile: Object.fromEntries(QUARTILES.map(q => [q, share(inQuartile[q], choice)]))
+  }));
+
+  // Most popular choice among the strongest students; the key wins a tie
+  const top = inQuartile[4].length > 0
+    ? choices.reduce((best, c) => {
+      const diff = c.byQuartile[4] - best.byQuartile[4];
+      return diff > 0 || (diff === 0 && c.isKey) ? c : best;
+    })
+    : null;
+
+  const result = {
+    responses: responses.length,
+    quartileResponses: Object.fromEntries(QUARTILES.map(q => [q, inQuartile[q].length])),
+    choices,
+    weakDistractors: choices.filter(c => !c.isKey && c.rate !== null && c.rate < weakDistractorRate).map(c => c.choice),
+    topQuartileChoice: top ? top.choice : null,
+    flags: []
+  };
+
+  if (responses.length < minResponses) return result;
+
+  if (result.weakDistractors.length > 0) {
+    result.flags.push({
+      flag: 'weak-distractor',
+      message: `Hardly anyone picks ${result.weakDistractors.join(', ')}; rewrite ${result.weakDistractors.length === 1 ? 'it' : 'them'} to be plausible`
+    });
+  }
+
+  if (top && !top.isKey) {
+    result.flags.push({
+      flag: 'top-quartile-prefers-distractor',
+      message: `The top quartile picks ${top.choice} more often than the key ${question.answer}; check for a miskey or an ambiguous stem`,
+      suggestedKey: top.choice
+    });
+  }
+
+  return result;
+}
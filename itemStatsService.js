@@ -0,0 +1,356 @@
+import { run, get, all, transaction } from './database/db.js';
+import { analyzeItem, analyzeDistractors, assignQuartiles, ITEM_ANALYSIS_DEFAULTS } from './itemAnalysis.js';
+import { calibrateItems } from './adaptiveTesting.js';
+
+/**
+ * Item Statistics Service
+ * Runs item analysis (see itemAnalysis.js) over every submitted exam answer and
+ * stores the results in question_item_stats for the admin report.
+ * The distractor report is computed on request from exam and study answers.
+ * Only answers to a question's current revision are analysed: earlier revisions
+ * were scored against their own answer key, so they would hide a fixed miskey.
+ *
+ * The same job calibrates the Rasch difficulties the adaptive exam mode serves
+ * questions by (question_irt_parameters). Adaptive attempts feed the calibration
+ * but not the classical statistics: every student there gets about half right,
+ * so their rest score does not rank them.
+ */
+
+const FLAGS = ['difficulty-mismatch', 'negative-discrimination'];
+const DISTRACTOR_FLAGS = ['weak-distractor', 'top-quartile-prefers-distractor'];
+const MAX_PAGE_SIZE = 200;
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// Each attempt's total credit, so every answer can be set against the rest of its attempt
+async function getAttemptTotals() {
+  const rows = await all(
+    `SELECT a.attempt_id, t.total_questions, SUM(a.points) as total_points
+     FROM exam_attempt_answers a
+     JOIN exam_attempts t ON t.id = a.attempt_id
+     WHERE t.submitted_at IS NOT NULL AND t.deleted_at IS NULL AND t.mode <> 'adaptive'
+     GROUP BY a.attempt_id`
+  );
+  return new Map(rows.map(row => [row.attempt_id, row]));
+}
+
+/**
+ * Calibrate Rasch difficulties of MCQs from every submitted exam answer to their
+ * current revision; questions with fewer than minResponses answers are left to
+ * the prior for their labelled difficulty
+ * @param {Object} options - { minResponses }
+ * @returns {number} - Questions calibrated
+ */
+export async function calibrateItemBank({ minResponses = ITEM_ANALYSIS_DEFAULTS.minResponses } = {}) {
+  const answers = await all(
+    `SELECT a.attempt_id, a.question_id, a.points, q.current_revision_id
+     FROM exam_attempt_answers a
+     JOIN exam_attempts t ON t.id = a.attempt_id
+     JOIN questions q ON q.id = a.question_id
+     WHERE t.submitted_at IS NOT NULL AND t.deleted_at IS NULL
+       AND (q.qtype IS NULL OR q.qtype = 'mcq') AND a.revision_id IS q.current_revision_id`
+  );
+  const calibrated = calibrateItems(answers.map(answer => ({
+    person: answer.attempt_id,
+    item: answer.question_id,
+    score: answer.points || 0
+  })));
+  const revisionOf = new Map(answers.map(answer => [answer.question_id, answer.current_revision_id]));
+
+  return transaction(async () => {
+    await run('DELETE FROM question_irt_parameters');
+
+    let stored = 0;
+    for (const [questionId, item] of calibrated) {
+      if (item.responses < minResponses) continue;
+      await run(
+        'INSERT INTO question_irt_parameters (question_id, revision_id, difficulty, responses) VALUES (?, ?, ?, ?)',
+        [questionId, revisionOf.get(questionId), item.difficulty, item.responses]
+      );
+      stored++;
+    }
+    return stored;
+  });
+}
+
+/**
+ * Recompute item statistics for every question that has exam answers, and
+ * recalibrate the adaptive mode's difficulties (admin job)
+ * @param {Object} options - { minResponses }
+ * @returns {Object} - { analyzed, flagged, calibrated, computedAt }
+ */
+export async function runItemAnalysis({ minResponses = ITEM_ANALYSIS_DEFAULTS.minResponses } = {}) {
+  const attempts = await getAttemptTotals();
+  const questions = await all(
+    `SELECT id, current_revision_id, qtype, answer, difficulty FROM questions
+     WHERE id IN (SELECT DISTINCT question_id FROM exam_attempt_answers)`
+  );
+
+  const rows = [];
+  for (const question of questions) {
+    const answers = await all(
+      `SELECT attempt_id, user_answer_json, points, time_spent_seconds
+       FROM exam_attempt_answers
+       WHERE question_id = ? AND revision_id IS ?`,
+      [question.id, question.current_revision_id]
+    );
+
+    const responses = [];
+    answers.forEach(answer => {
+      const attempt = attempts.get(answer.attempt_id);
+      // A one-question attempt has no rest score to compare against
+      if (!attempt || attempt.total_questions < 2) return;
+      const points = answer.points || 0;
+      responses.push({
+        points,
+        answer: answer.user_answer_json,
+        timeSpentSeconds: answer.time_spent_seconds,
+        restScore: (attempt.total_points - points) / (attempt.total_questions - 1)
+      });
+    });
+
+    rows.push({ question, stats: analyzeItem(question, responses, { minResponses }) });
+  }
+
+  // Swap the whole table at once, so the report never shows a half-written run
+  await transaction(async () => {
+    await run('DELETE FROM question_item_stats');
+    for (const { question, stats } of rows) {
+      await run(
+        `INSERT INTO question_item_stats
+           (question_id, revision_id, responses, p_value, discrimination, empirical_difficulty,
+            avg_time_seconds, timed_responses, distractors_json, flags_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          question.id, question.current_revision_id, stats.responses, stats.pValue, stats.discrimination,
+          stats.empiricalDifficulty, stats.avgTimeSeconds, stats.timedResponses,
+          stats.distractors ? JSON.stringify(stats.distractors) : null, JSON.stringify(stats.flags)
+        ]
+      );
+    }
+  });
+  const flagged = rows.filter(row => row.stats.flags.length > 0).length;
+
+  const calibrated = await calibrateItemBank({ minResponses });
+
+  const { computed_at } = await get('SELECT MAX(computed_at) as computed_at FROM question_item_stats');
+  return { analyzed: questions.length, flagged, calibrated, computedAt: computed_at || null };
+}
+
+/**
+ * Report stored item statistics (admin)
+ * @param {Object} filters - { flag: 'any'|'difficulty-mismatch'|'negative-discrimination', domain, limit, offset }
+ * @returns {Object} - { computedAt, items, total, limit, offset }
+ */
+export async function getItemStatsReport(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.flag === 'any') {
+    conditions.push("s.flags_json <> '[]'");
+  } else if (filters.flag) {
+    if (!FLAGS.includes(filters.flag)) {
+      throw { status: 400, message: `flag must be any, ${FLAGS.join(' or ')}` };
+    }
+    conditions.push('s.flags_json LIKE ?');
+    params.push(`%"flag":"${filters.flag}"%`);
+  }
+  if (filters.domain) {
+    conditions.push('q.domain = ?');
+    params.push(filters.domain);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const { total } = await get(
+    `SELECT COUNT(*) as total FROM question_item_stats s JOIN questions q ON q.id = s.question_id ${where}`,
+    params
+  );
+  // Most suspicious first: negative discrimination, then the weakest discriminators
+  const rows = await all(
+    `SELECT s.*, q.external_id, q.question, q.qtype, q.answer, q.domain, q.difficulty, q.retired_at
+     FROM question_item_stats s
+     JOIN questions q ON q.id = s.question_id
+     ${where}
+     ORDER BY s.discrimination IS NULL, s.discrimination, s.question_id
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const { computed_at } = await get('SELECT MAX(computed_at) as computed_at FROM question_item_stats');
+
+  return {
+    computedAt: computed_at || null,
+    items: rows.map(row => ({
+      questionId: row.question_id,
+      externalId: row.external_id || null,
+      question: row.question,
+      qtype: row.qtype || 'mcq',
+      answer: row.qtype === 'pbq' ? null : row.answer,
+      domain: row.domain,
+      difficulty: row.difficulty,
+      retired: !!row.retired_at,
+      responses: row.responses,
+      pValue: row.p_value,
+      discrimination: row.discrimination,
+      empiricalDifficulty: row.empirical_difficulty,
+      avgTimeSeconds: row.avg_time_seconds,
+      timedResponses: row.timed_responses,
+      distractors: parseJson(row.distractors_json, null),
+      flags: parseJson(row.flags_json, [])
+    })),
+    total,
+    limit,
+    offset
+  };
+}
+
+// Students' overall percent correct across exams and study, split into quartiles
+async function getStudentQuartiles() {
+  const rows = await all(
+    `SELECT qu.user_id, SUM(qu.times_correct) * 1.0 / SUM(qu.times_used) as score
+     FROM question_usage qu
+     JOIN users u ON u.id = qu.user_id
+     WHERE u.deleted_at IS NULL
+     GROUP BY qu.user_id
+     HAVING SUM(qu.times_used) > 0`
+  );
+  return assignQuartiles(new Map(rows.map(row => [row.user_id, row.score])));
+}
+
+// Each student's latest exam or study answer to the current revision of every MCQ
+async function getLatestMcqAnswers(questionId = null) {
+  const questionFilter = questionId ? 'AND q.id = ?' : '';
+  const rows = await all(
+    `SELECT t.user_id, a.question_id, a.user_answer_json as answer, t.submitted_at as answered_at
+     FROM exam_attempt_answers a
+     JOIN exam_attempts t ON t.id = a.attempt_id
+     JOIN questions q ON q.id = a.question_id
+     WHERE t.submitted_at IS NOT NULL AND t.deleted_at IS NULL
+       AND a.revision_id IS q.current_revision_id
+       AND (q.qtype IS NULL OR q.qtype = 'mcq') ${questionFilter}
+     UNION ALL
+     SELECT ss.user_id, ssq.question_id, ssq.user_answer as answer, ssq.answered_at
+     FROM study_session_questions ssq
+     JOIN study_sessions ss ON ss.id = ssq.session_id
+     JOIN questions q ON q.id = ssq.question_id
+     WHERE ssq.user_answer IS NOT NULL
+       AND ssq.revision_id IS q.current_revision_id
+       AND (q.qtype IS NULL OR q.qtype = 'mcq') ${questionFilter}
+     ORDER BY answered_at`,
+    questionId ? [questionId, questionId] : []
+  );
+
+  const latest = new Map();
+  rows.forEach(row => latest.set(`${row.question_id}:${row.user_id}`, row));
+
+  const byQuestion = new Map();
+  latest.forEach(row => {
+    if (!byQuestion.has(row.question_id)) byQuestion.set(row.question_id, []);
+    byQuestion.get(row.question_id).push(row);
+  });
+  return byQuestion;
+}
+
+function formatDistractorItem(row, analysis) {
+  return {
+    questionId: row.id,
+    externalId: row.external_id || null,
+    question: row.question,
+    choiceText: { A: row.choice_a, B: row.choice_b, C: row.choice_c, D: row.choice_d },
+    answer: row.answer,
+    domain: row.domain,
+    difficulty: row.difficulty,
+    retired: !!row.retired_at,
+    ...analysis
+  };
+}
+
+async function buildDistractorItems(questionId = null) {
+  const quartiles = await getStudentQuartiles();
+  const answers = await getLatestMcqAnswers(questionId);
+  if (answers.size === 0) return [];
+
+  const ids = [...answers.keys()];
+  const rows = await all(
+    `SELECT id, external_id, question, choice_a, choice_b, choice_c, choice_d, answer, domain, difficulty, retired_at
+     FROM questions WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+
+  return rows.map(row => {
+    const responses = answers.get(row.id)
+      .filter(answer => quartiles.has(answer.user_id))
+      .map(answer => ({ answer: answer.answer, quartile: quartiles.get(answer.user_id) }));
+    return formatDistractorItem(row, analyzeDistractors(row, responses));
+  });
+}
+
+/**
+ * Distractor analysis of every answered MCQ (admin)
+ * @param {Object} filters - { flag: 'any'|'weak-distractor'|'top-quartile-prefers-distractor', domain, limit, offset }
+ * @returns {Object} - { students, items, total, limit, offset }; items with the most responses first
+ */
+export async function getDistractorReport(filters = {}) {
+  if (filters.flag && filters.flag !== 'any' && !DISTRACTOR_FLAGS.includes(filters.flag)) {
+    throw { status: 400, message: `flag must be any, ${DISTRACTOR_FLAGS.join(' or ')}` };
+  }
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const items = (await buildDistractorItems())
+    .filter(item => !filters.domain || item.domain === filters.domain)
+    .filter(item => {
+      if (!filters.flag) return true;
+      if (filters.flag === 'any') return item.flags.length > 0;
+      return item.flags.some(f => f.flag === filters.flag);
+    })
+    .sort((a, b) => b.responses - a.responses || a.questionId - b.questionId);
+
+  const { students } = await get(
+    `SELECT COUNT(DISTINCT qu.user_id) as students FROM question_usage qu
+     JOIN users u ON u.id = qu.user_id WHERE u.deleted_at IS NULL`
+  );
+
+  return { students, items: items.slice(offset, offset + limit), total: items.length, limit, offset };
+}
+
+/**
+ * Distractor analysis of one MCQ (admin)
+ * @param {number} questionId - Question ID
+ */
+export async function getQuestionDistractors(questionId) {
+  const row = await get(
+    `SELECT id, external_id, question, choice_a, choice_b, choice_c, choice_d, answer, qtype, domain, difficulty, retired_at
+     FROM questions WHERE id = ?`,
+    [questionId]
+  );
+  if (!row) throw { status: 404, message: 'Question not found' };
+  if (row.qtype === 'pbq') throw { status: 400, message: 'Distractor analysis covers MCQs only' };
+
+  const [item] = await buildDistractorItems(questionId);
+  return item || formatDistractorItem(row, analyzeDistractors(row, []));
+}
+
+/**
+ * Recompute item statistics every 24 hours
+ */
+export function scheduleItemAnalysis() {
+  const INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+
+  setInterval(() => {
+    runItemAnalysis().catch(err => {
+      console.error('Scheduled item analysis failed:', err);
+    });
+  }, INTERVAL);
+
+  console.log('Item analysis scheduled (runs daily)');
+}
@@ -0,0 +1,21 @@
+import { addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Adding scaled score columns...');
+
+  await addColumnIfMissing('exam_attempts', 'scaled_score', 'INTEGER');
+  await addColumnIfMissing('exam_attempts', 'passed', 'INTEGER');
+  await addColumnIfMissing('exams', 'scaled_score', 'INTEGER');
+  await addColumnIfMissing('exams', 'passed', 'INTEGER');
+  // History and progress queries filter exams on deleted_at, which 001 never created
+  await addColumnIfMissing('exams', 'deleted_at', 'DATETIME DEFAULT NULL');
+
+  console.log('Scaled score columns added successfully');
+}
+
+async function down() {
+  // SQLite doesn't support dropping columns easily
+  console.log('Cannot remove scaled score columns (SQLite limitation)');
+}
+
+export { up, down };
@@ -0,0 +1,24 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Adding exam autosave columns...');
+
+  // Link the legacy exams row to its exam_attempts row so a resumed exam can submit
+  await addColumnIfMissing('exams', 'attempt_id', 'INTEGER REFERENCES exam_attempts(id)');
+  await addColumnIfMissing('exams', 'last_saved_at', 'DATETIME');
+  await addColumnIfMissing('exam_questions', 'answered_at', 'DATETIME');
+
+  await run('CREATE INDEX IF NOT EXISTS idx_exam_questions_exam_number ON exam_questions(exam_id, question_number)');
+  await run('CREATE INDEX IF NOT EXISTS idx_exams_user_in_progress ON exams(user_id, submitted_at)');
+
+  console.log('Exam autosave columns added successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_exam_questions_exam_number');
+  await run('DROP INDEX IF EXISTS idx_exams_user_in_progress');
+  // SQLite doesn't support dropping columns easily
+  console.log('Cannot remove exam autosave columns (SQLite limitation)');
+}
+
+export { up, down };
@@ -0,0 +1,35 @@
+import { run } from '../database/db.js';
+
+async function up() {
+  console.log('Creating exam_pauses table...');
+
+  // One row per pause; resumed_at stays NULL while the exam is paused
+  await run(`
+    CREATE TABLE IF NOT EXISTS exam_pauses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      exam_id INTEGER NOT NULL,
+      paused_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resumed_at DATETIME,
+      FOREIGN KEY (exam_id) REFERENCES exams(id)
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_exam_pauses_exam ON exam_pauses(exam_id)');
+
+  // Carry over exams that are paused right now under the old paused_at flag
+  await run(`
+    INSERT INTO exam_pauses (exam_id, paused_at)
+    SELECT id, paused_at FROM exams
+    WHERE paused_at IS NOT NULL AND submitted_at IS NULL
+  `);
+
+  console.log('exam_pauses table created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_exam_pauses_exam');
+  await run('DROP TABLE IF EXISTS exam_pauses');
+  console.log('exam_pauses table dropped');
+}
+
+export { up, down };
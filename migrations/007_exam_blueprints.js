@@ -0,0 +1,105 @@
+import { run, get, addColumnIfMissing } from '../database/db.js';
+
+const OFFICIAL_DOMAIN_WEIGHTS = {
+  'General Security Concepts': 0.12,
+  'Threats, Vulnerabilities & Mitigations': 0.22,
+  'Security Architecture': 0.18,
+  'Security Operations': 0.28,
+  'Security Program Management & Oversight': 0.20
+};
+
+const SEED_BLUEPRINTS = [
+  {
+    slug: 'full-exam',
+    name: 'Full Exam',
+    description: 'Full-length practice exam matching the real Security+ format',
+    question_count: 90,
+    pbq_counts: { multi_select: 2, ordering: 2, matching: 1 },
+    duration_minutes: 90,
+    domain_weights: OFFICIAL_DOMAIN_WEIGHTS,
+    difficulty_mix: null,
+    passing_score: 750,
+    is_default: 1
+  },
+  {
+    slug: 'sprint-30',
+    name: '30-Minute Sprint',
+    description: 'Short timed session for busy days',
+    question_count: 30,
+    pbq_counts: { any: 2 },
+    duration_minutes: 30,
+    domain_weights: OFFICIAL_DOMAIN_WEIGHTS,
+    difficulty_mix: null,
+    passing_score: 750,
+    is_default: 0
+  },
+  {
+    slug: 'pbq-lab',
+    name: 'PBQ-Only Lab',
+    description: 'Performance-based questions only',
+    question_count: 10,
+    pbq_counts: { multi_select: 4, ordering: 3, matching: 3 },
+    duration_minutes: 30,
+    domain_weights: {},
+    difficulty_mix: null,
+    passing_score: 750,
+    is_default: 0
+  }
+];
+
+async function up() {
+  console.log('Creating exam_blueprints table...');
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS exam_blueprints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      question_count INTEGER NOT NULL,
+      pbq_counts TEXT NOT NULL DEFAULT '{}',
+      duration_minutes INTEGER NOT NULL,
+      domain_weights TEXT NOT NULL DEFAULT '{}',
+      difficulty_mix TEXT,
+      passing_score INTEGER NOT NULL DEFAULT 750,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Exams keep a snapshot of the rules they were started under
+  await addColumnIfMissing('exams', 'blueprint_id', 'INTEGER REFERENCES exam_blueprints(id)');
+  await addColumnIfMissing('exams', 'duration_minutes', 'INTEGER');
+  await addColumnIfMissing('exams', 'passing_score', 'INTEGER');
+  await addColumnIfMissing('exam_attempts', 'blueprint_id', 'INTEGER REFERENCES exam_blueprints(id)');
+
+  for (const bp of SEED_BLUEPRINTS) {
+    const existing = await get('SELECT id FROM exam_blueprints WHERE slug = ?', [bp.slug]);
+    if (existing) continue;
+
+    await run(
+      `INSERT INTO exam_blueprints
+         (slug, name, description, question_count, pbq_counts, duration_minutes,
+          domain_weights, difficulty_mix, passing_score, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bp.slug, bp.name, bp.description, bp.question_count, JSON.stringify(bp.pbq_counts),
+        bp.duration_minutes, JSON.stringify(bp.domain_weights),
+        bp.difficulty_mix ? JSON.stringify(bp.difficulty_mix) : null, bp.passing_score, bp.is_default
+      ]
+    );
+    console.log(`Seeded blueprint ${bp.slug}`);
+  }
+
+  console.log('exam_blueprints table created successfully');
+}
+
+async function down() {
+  await run('DROP TABLE IF EXISTS exam_blueprints');
+  // SQLite doesn't support dropping columns easily
+  console.log('exam_blueprints table dropped (blueprint columns on exams remain)');
+}
+
+export { up, down };
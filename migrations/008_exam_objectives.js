@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { run, all } from '../database/db.js';
+import { EXAM_OBJECTIVES } from '../examObjectives.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUESTION_FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+
+function loadObjectiveCodesByQuestion() {
+  const codesByQuestion = new Map();
+  QUESTION_FILES.forEach(file => {
+    if (!fs.existsSync(file)) return;
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(q => {
+      if (Array.isArray(q.objectives) && q.objectives.length > 0) {
+        codesByQuestion.set(q.question, q.objectives);
+      }
+    });
+  });
+  return codesByQuestion;
+}
+
+async function up() {
+  console.log('Creating exam objective tables...');
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS exam_objectives (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      domain_number INTEGER NOT NULL,
+      domain TEXT NOT NULL,
+      title TEXT NOT NULL
+    )
+  `);
+
+  // Many-to-many; exactly one primary objective per question decides its official domain
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_objectives (
+      question_id INTEGER NOT NULL,
+      objective_id INTEGER NOT NULL,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (question_id, objective_id),
+      FOREIGN KEY (question_id) REFERENCES questions(id),
+      FOREIGN KEY (objective_id) REFERENCES exam_objectives(id)
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_question_objectives_objective ON question_objectives(objective_id)');
+
+  for (const objective of EXAM_OBJECTIVES) {
+    await run(
+      `INSERT INTO exam_objectives (code, domain_number, domain, title)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(code) DO UPDATE SET domain_number = excluded.domain_number,
+         domain = excluded.domain, title = excluded.title`,
+      [objective.code, objective.domainNumber, objective.domain, objective.title]
+    );
+  }
+  console.log(`Seeded ${EXAM_OBJECTIVES.length} objectives`);
+
+  // Map questions already in the database by matching their text to the tagged JSON files
+  const codesByQuestion = loadObjectiveCodesByQuestion();
+  const questions = await all('SELECT id, question FROM questions');
+  let mapped = 0;
+
+  for (const q of questions) {
+    const codes = codesByQuestion.get(q.question);
+    if (!codes) continue;
+
+    for (const [index, code] of codes.entries()) {
+      await run(
+        `INSERT OR IGNORE INTO question_objectives (question_id, objective_id, is_primary)
+         SELECT ?, id, ? FROM exam_objectives WHERE code = ?`,
+        [q.id, index === 0 ? 1 : 0, code]
+      );
+    }
+    mapped++;
+  }
+  console.log(`Mapped ${mapped} of ${questions.length} existing questions to objectives`);
+
+  console.log('Exam objective tables created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_question_objectives_objective');
+  await run('DROP TABLE IF EXISTS question_objectives');
+  await run('DROP TABLE IF EXISTS exam_objectives');
+  console.log('Exam objective tables dropped');
+}
+
+export { up, down };
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { run, all } from '../database/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUESTION_FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+
+function loadTagsByQuestion() {
+  const tagsByQuestion = new Map();
+  QUESTION_FILES.forEach(file => {
+    if (!fs.existsSync(file)) return;
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(q => {
+      if (Array.isArray(q.tags) && q.tags.length > 0) {
+        tagsByQuestion.set(q.question, q.tags);
+      }
+    });
+  });
+  return tagsByQuestion;
+}
+
+async function up() {
+  console.log('Creating tag tables...');
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_tags (
+      question_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (question_id, tag_id),
+      FOREIGN KEY (question_id) REFERENCES questions(id),
+      FOREIGN KEY (tag_id) REFERENCES tags(id)
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_question_tags_tag ON question_tags(tag_id)');
+
+  // Tag questions already in the database by matching their text to the JSON files
+  const tagsByQuestion = loadTagsByQuestion();
+  const questions = await all('SELECT id, question FROM questions');
+  let tagged = 0;
+
+  for (const q of questions) {
+    const names = tagsByQuestion.get(q.question);
+    if (!names) continue;
+
+    for (const name of names) {
+      await run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+      await run(
+        'INSERT OR IGNORE INTO question_tags (question_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+        [q.id, name]
+      );
+    }
+    tagged++;
+  }
+  console.log(`Tagged ${tagged} of ${questions.length} existing questions`);
+
+  console.log('Tag tables created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_question_tags_tag');
+  await run('DROP TABLE IF EXISTS question_tags');
+  await run('DROP TABLE IF EXISTS tags');
+  console.log('Tag tables dropped');
+}
+
+export { up, down };
@@ -0,0 +1,56 @@
+import { run } from '../database/db.js';
+
+async function up() {
+  console.log('Creating review_schedule table...');
+
+  // One SM-2 card per user and question (see spacedRepetition.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS review_schedule (
+      user_id INTEGER NOT NULL,
+      question_id INTEGER NOT NULL,
+      ease_factor REAL NOT NULL DEFAULT 2.5,
+      interval_days INTEGER NOT NULL DEFAULT 0,
+      repetitions INTEGER NOT NULL DEFAULT 0,
+      lapses INTEGER NOT NULL DEFAULT 0,
+      last_quality INTEGER,
+      last_reviewed_at DATETIME,
+      due_at DATETIME NOT NULL,
+      PRIMARY KEY (user_id, question_id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (question_id) REFERENCES questions(id)
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_review_schedule_due ON review_schedule(user_id, due_at)');
+
+  // Seed cards from question_usage: anything ever missed is due a day after it was
+  // last seen with a lowered ease; always-correct questions continue at 1 or 6 days
+  await run(`
+    INSERT OR IGNORE INTO review_schedule
+      (user_id, question_id, ease_factor, interval_days, repetitions, lapses, last_reviewed_at, due_at)
+    SELECT
+      user_id,
+      question_id,
+      CASE WHEN times_correct < times_used
+        THEN MAX(1.3, 2.5 - 0.2 * (times_used - times_correct)) ELSE 2.5 END,
+      CASE WHEN times_correct < times_used THEN 1
+        WHEN times_correct >= 2 THEN 6 ELSE 1 END,
+      CASE WHEN times_correct < times_used THEN 0 ELSE MIN(times_correct, 2) END,
+      times_used - times_correct,
+      last_used_at,
+      datetime(COALESCE(last_used_at, CURRENT_TIMESTAMP),
+        CASE WHEN times_correct < times_used OR times_correct < 2 THEN '+1 day' ELSE '+6 days' END)
+    FROM question_usage
+    WHERE times_used > 0
+  `);
+
+  console.log('review_schedule table created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_review_schedule_due');
+  await run('DROP TABLE IF EXISTS review_schedule');
+  console.log('review_schedule table dropped');
+}
+
+export { up, down };
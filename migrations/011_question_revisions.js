@@ -0,0 +1,85 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+const CONTENT_COLUMNS = [
+  'question', 'choice_a', 'choice_b', 'choice_c', 'choice_d', 'answer',
+  'explanation', 'explanation_short', 'explanation_long', 'explanation_wrong',
+  'domain', 'difficulty', 'qtype', 'pbq_json'
+];
+
+async function up() {
+  console.log('Creating question_revisions table...');
+
+  // Immutable snapshots of question content; questions holds the current one
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question_id INTEGER NOT NULL,
+      revision_number INTEGER NOT NULL,
+      question TEXT NOT NULL,
+      choice_a TEXT NOT NULL,
+      choice_b TEXT NOT NULL,
+      choice_c TEXT NOT NULL,
+      choice_d TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      explanation TEXT NOT NULL,
+      explanation_short TEXT,
+      explanation_long TEXT,
+      explanation_wrong TEXT,
+      domain TEXT,
+      difficulty TEXT,
+      qtype TEXT,
+      pbq_json TEXT,
+      change_note TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (question_id) REFERENCES questions(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      UNIQUE(question_id, revision_number)
+    )
+  `);
+
+  await addColumnIfMissing('questions', 'current_revision_id', 'INTEGER REFERENCES question_revisions(id)');
+  await addColumnIfMissing('questions', 'retired_at', 'DATETIME');
+
+  // Answers remember the exact revision the student saw
+  await addColumnIfMissing('exam_questions', 'revision_id', 'INTEGER REFERENCES question_revisions(id)');
+  await addColumnIfMissing('exam_attempt_answers', 'revision_id', 'INTEGER REFERENCES question_revisions(id)');
+  await addColumnIfMissing('study_session_questions', 'revision_id', 'INTEGER REFERENCES question_revisions(id)');
+
+  // Existing questions become revision 1 as they are today
+  const columns = CONTENT_COLUMNS.join(', ');
+  await run(`
+    INSERT INTO question_revisions (question_id, revision_number, ${columns}, change_note)
+    SELECT id, 1, ${columns}, 'Initial version'
+    FROM questions
+    WHERE current_revision_id IS NULL
+  `);
+  await run(`
+    UPDATE questions
+    SET current_revision_id = (SELECT MAX(r.id) FROM question_revisions r WHERE r.question_id = questions.id)
+    WHERE current_revision_id IS NULL
+  `);
+
+  for (const table of ['exam_questions', 'exam_attempt_answers', 'study_session_questions']) {
+    await run(`
+      UPDATE ${table}
+      SET revision_id = (SELECT q.current_revision_id FROM questions q WHERE q.id = ${table}.question_id)
+      WHERE revision_id IS NULL
+    `);
+  }
+
+  console.log('question_revisions table created successfully');
+}
+
+async function down() {
+  // Clear the pointers so a later up() snapshots everything again
+  await run('UPDATE questions SET current_revision_id = NULL');
+  for (const table of ['exam_questions', 'exam_attempt_answers', 'study_session_questions']) {
+    await run(`UPDATE ${table} SET revision_id = NULL`);
+  }
+  await run('DROP TABLE IF EXISTS question_revisions');
+  // SQLite doesn't support dropping columns easily
+  console.log('question_revisions table dropped (revision columns remain)');
+}
+
+export { up, down };
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { run, all, addColumnIfMissing } from '../database/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUESTION_FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+
+// Question text and answer key; many questions share their wording, so text alone isn't enough
+function fingerprint(q) {
+  return JSON.stringify([
+    q.qtype || 'mcq', q.question, q.choice_a || '', q.choice_b || '', q.choice_c || '',
+    q.choice_d || '', q.answer || '', q.pbq_json || null
+  ]);
+}
+
+// Looser key for questions edited in the database since they were imported: stem and answer only
+function stemKey(q) {
+  return JSON.stringify([q.qtype || 'mcq', (q.question || '').trim(), q.answer || '']);
+}
+
+function loadFileItems() {
+  const seen = new Set();
+  const items = [];
+  QUESTION_FILES.forEach(file => {
+    if (!fs.existsSync(file)) return;
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(q => {
+      if (!q.id || seen.has(q.id)) return;
+      seen.add(q.id);
+      items.push({
+        id: q.id,
+        stemKey: stemKey(q),
+        key: fingerprint({
+          qtype: q.qtype,
+          question: q.question,
+          choice_a: q.choices?.A,
+          choice_b: q.choices?.B,
+          choice_c: q.choices?.C,
+          choice_d: q.choices?.D,
+          answer: q.answer,
+          pbq_json: q.pbq_json ? JSON.stringify(q.pbq_json) : null
+        })
+      });
+    });
+  });
+  return items;
+}
+
+async function up() {
+  console.log('Adding questions.external_id...');
+
+  await addColumnIfMissing('questions', 'external_id', 'TEXT');
+  await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_questions_external_id ON questions(external_id)');
+
+  // The old import scripts inserted the files in order, so pairing each file entry
+  // with the lowest-id unclaimed row of identical content restores the original mapping.
+  // Entries left over are then paired by stem and answer, for rows edited since.
+  const rows = await all(
+    `SELECT q.*, (SELECT r.created_by FROM question_revisions r WHERE r.question_id = q.id
+                  ORDER BY r.revision_number LIMIT 1) as created_by
+     FROM questions q WHERE q.external_id IS NULL ORDER BY q.id`
+  );
+  const claimed = await all('SELECT external_id FROM questions WHERE external_id IS NOT NULL');
+  const taken = new Set(claimed.map(r => r.external_id));
+  const fileItems = loadFileItems();
+  const items = fileItems.filter(item => !taken.has(item.id));
+  const matchedRows = new Set();
+
+  for (const keyOf of [fingerprint, stemKey]) {
+    const rowsByKey = new Map();
+    rows.filter(row => !matchedRows.has(row.id)).forEach(row => {
+      const key = keyOf(row);
+      if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+      rowsByKey.get(key).push(row.id);
+    });
+
+    for (const item of items.filter(i => !taken.has(i.id))) {
+      const ids = rowsByKey.get(keyOf === fingerprint ? item.key : item.stemKey);
+      if (!ids || ids.length === 0) continue;
+
+      const id = ids.shift();
+      await run('UPDATE questions SET external_id = ? WHERE id = ?', [item.id, id]);
+      taken.add(item.id);
+      matchedRows.add(id);
+    }
+  }
+  console.log(`Matched ${matchedRows.size} of ${rows.length} existing questions to their file ids`);
+
+  // The next import adds every unclaimed entry as a new question. That is only right
+  // if no unkeyed question is its old version: leftover copies of a claimed entry,
+  // questions created through the admin API and retired ones can't be.
+  const unclaimed = items.filter(item => !taken.has(item.id));
+  const claimedKeys = new Set(fileItems.filter(item => taken.has(item.id)).map(item => item.key));
+  const unmatched = rows.filter(row => !matchedRows.has(row.id) && !row.retired_at &&
+    row.created_by == null && !claimedKeys.has(fingerprint(row)));
+  if (unclaimed.length > 0 && unmatched.length > 0) {
+    throw new Error(
+      `${unmatched.length} questions (ids ${unmatched.map(row => row.id).join(', ')}) match no file entry, and ` +
+      `${unclaimed.length} file entries (${unclaimed.map(item => item.id).join(', ')}) match no question. ` +
+      'Set questions.external_id to the file id of each edited question, or retire the ones that are not in the files, then run the migration again'
+    );
+  }
+
+  console.log('questions.external_id added successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_questions_external_id');
+  await run('UPDATE questions SET external_id = NULL');
+  // SQLite doesn't support dropping columns easily
+  console.log('external_id index dropped (column remains)');
+}
+
+export { up, down };
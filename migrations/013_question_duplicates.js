@@ -0,0 +1,18 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Adding questions.duplicate_of...');
+
+  // Set when a question is retired as a duplicate of another one (see duplicateService.js)
+  await addColumnIfMissing('questions', 'duplicate_of', 'INTEGER REFERENCES questions(id)');
+
+  console.log('questions.duplicate_of added successfully');
+}
+
+async function down() {
+  await run('UPDATE questions SET duplicate_of = NULL');
+  // SQLite doesn't support dropping columns easily
+  console.log('questions.duplicate_of cleared (column remains)');
+}
+
+export { up, down };
@@ -0,0 +1,40 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Creating question_item_stats table...');
+
+  // Seconds the student spent on the question, reported by the exam page
+  await addColumnIfMissing('exam_attempt_answers', 'time_spent_seconds', 'INTEGER');
+
+  // Latest item analysis of each question (see itemStatsService.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_item_stats (
+      question_id INTEGER PRIMARY KEY,
+      revision_id INTEGER,
+      responses INTEGER NOT NULL DEFAULT 0,
+      p_value REAL,
+      discrimination REAL,
+      empirical_difficulty TEXT,
+      avg_time_seconds REAL,
+      timed_responses INTEGER NOT NULL DEFAULT 0,
+      distractors_json TEXT,
+      flags_json TEXT,
+      computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (question_id) REFERENCES questions(id),
+      FOREIGN KEY (revision_id) REFERENCES question_revisions(id)
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_exam_attempt_answers_question ON exam_attempt_answers(question_id, revision_id)');
+
+  console.log('question_item_stats table created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_exam_attempt_answers_question');
+  await run('DROP TABLE IF EXISTS question_item_stats');
+  // SQLite doesn't support dropping columns easily
+  console.log('question_item_stats table dropped (exam_attempt_answers.time_spent_seconds remains)');
+}
+
+export { up, down };
@@ -0,0 +1,20 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Adding choice explanation columns...');
+
+  // Why each choice is right or wrong (see answerExplanations.js); revisions keep their own copy
+  await addColumnIfMissing('questions', 'choice_explanations_json', 'TEXT');
+  await addColumnIfMissing('question_revisions', 'choice_explanations_json', 'TEXT');
+
+  console.log('Choice explanation columns added successfully');
+}
+
+async function down() {
+  await run('UPDATE questions SET choice_explanations_json = NULL');
+  await run('UPDATE question_revisions SET choice_explanations_json = NULL');
+  // SQLite doesn't support dropping columns easily
+  console.log('Choice explanations cleared (columns remain)');
+}
+
+export { up, down };
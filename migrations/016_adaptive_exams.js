@@ -0,0 +1,38 @@
+import { run, addColumnIfMissing } from '../database/db.js';
+
+async function up() {
+  console.log('Adding adaptive exam support...');
+
+  // Adaptive exams serve one question at a time and end with an ability estimate
+  await addColumnIfMissing('exams', 'is_adaptive', 'BOOLEAN DEFAULT 0');
+  await addColumnIfMissing('exams', 'ability_theta', 'REAL');
+  await addColumnIfMissing('exams', 'ability_se', 'REAL');
+  await addColumnIfMissing('exams', 'stop_reason', 'TEXT');
+
+  // Difficulty each question was served with, so recalibration never changes a running estimate
+  await addColumnIfMissing('exam_questions', 'irt_difficulty', 'REAL');
+  await addColumnIfMissing('exam_questions', 'time_spent_seconds', 'INTEGER');
+
+  // Rasch difficulties calibrated from answer data (see adaptiveTesting.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_irt_parameters (
+      question_id INTEGER PRIMARY KEY,
+      revision_id INTEGER,
+      difficulty REAL NOT NULL,
+      responses INTEGER NOT NULL DEFAULT 0,
+      calibrated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (question_id) REFERENCES questions(id),
+      FOREIGN KEY (revision_id) REFERENCES question_revisions(id)
+    )
+  `);
+
+  console.log('Adaptive exam support added successfully');
+}
+
+async function down() {
+  await run('DROP TABLE IF EXISTS question_irt_parameters');
+  // SQLite doesn't support dropping columns easily
+  console.log('question_irt_parameters table dropped (adaptive exam columns remain)');
+}
+
+export { up, down };
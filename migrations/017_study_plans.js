@@ -0,0 +1,50 @@
+import { run } from '../database/db.js';
+
+async function up() {
+  console.log('Creating study plan tables...');
+
+  // One plan per user towards their exam date (see studyPlanner.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS study_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL UNIQUE,
+      exam_date TEXT NOT NULL,
+      weekly_hours REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      replanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Scheduled sessions and practice exams; options holds the study session filters
+  await run(`
+    CREATE TABLE IF NOT EXISTS study_plan_tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL,
+      scheduled_date TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      task_type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      domain TEXT,
+      tag TEXT,
+      question_count INTEGER NOT NULL,
+      minutes INTEGER NOT NULL,
+      options TEXT,
+      completed_at DATETIME,
+      FOREIGN KEY (plan_id) REFERENCES study_plans(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_study_plan_tasks_date ON study_plan_tasks(plan_id, scheduled_date)');
+
+  console.log('Study plan tables created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_study_plan_tasks_date');
+  await run('DROP TABLE IF EXISTS study_plan_tasks');
+  await run('DROP TABLE IF EXISTS study_plans');
+  console.log('Study plan tables dropped');
+}
+
+export { up, down };
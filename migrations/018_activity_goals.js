@@ -0,0 +1,30 @@
+import { run } from '../database/db.js';
+
+async function up() {
+  console.log('Creating activity goals table...');
+
+  // Daily goal and the time zone days are counted in (see activityStreaks.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS activity_goals (
+      user_id INTEGER PRIMARY KEY,
+      goal_type TEXT NOT NULL DEFAULT 'questions',
+      goal_target INTEGER NOT NULL,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Streaks read every answer a student gave in study sessions
+  await run('CREATE INDEX IF NOT EXISTS idx_study_session_questions_answered ON study_session_questions(session_id, answered_at)');
+
+  console.log('Activity goals table created successfully');
+}
+
+async function down() {
+  await run('DROP INDEX IF EXISTS idx_study_session_questions_answered');
+  await run('DROP TABLE IF EXISTS activity_goals');
+  console.log('Activity goals table dropped');
+}
+
+export { up, down };
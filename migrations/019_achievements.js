@@ -0,0 +1,96 @@
+import { run } from '../database/db.js';
+
+// Starter badges; admins add more through /api/admin/badges (rule format in achievementRules.js)
+const DEFAULT_BADGES = [
+  {
+    code: 'first-full-exam',
+    name: 'First Full Exam',
+    description: 'Submit a full-length 90-question practice exam',
+    icon: '🎯',
+    rule: { metric: 'examsCompleted', minQuestions: 90, min: 1 }
+  },
+  {
+    code: 'passing-score',
+    name: 'Pass Mark',
+    description: 'Score 750 or more on a full-length practice exam',
+    icon: '🏅',
+    rule: { metric: 'bestScore', minQuestions: 90, min: 750 }
+  },
+  {
+    code: 'all-rounder',
+    name: 'All-Rounder',
+    description: '80% or better in every exam domain (at least 10 answers each)',
+    icon: '🌐',
+    rule: { metric: 'domainAccuracy', domain: '*', minAnswered: 10, min: 80 }
+  },
+  {
+    code: 'pbq-100',
+    name: 'PBQ Centurion',
+    description: 'Answer 100 performance-based questions',
+    icon: '🧩',
+    rule: { metric: 'answered', qtype: 'pbq', min: 100 }
+  },
+  {
+    code: 'streak-7',
+    name: 'Week Streak',
+    description: 'Practise 7 days in a row',
+    icon: '🔥',
+    rule: { metric: 'streak', kind: 'active', min: 7 }
+  },
+  {
+    code: 'hard-crypto',
+    name: 'Cryptographer',
+    description: 'Answer every Hard Cryptography question correctly',
+    icon: '🔐',
+    rule: { metric: 'bankMastered', difficulty: 'Hard', tag: 'Cryptography', min: 100 }
+  }
+];
+
+async function up() {
+  console.log('Creating achievement tables...');
+
+  // Badges and the rules that award them
+  await run(`
+    CREATE TABLE IF NOT EXISTS badges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      description TEXT NOT NULL,
+      icon TEXT,
+      rule TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Badges each student has earned; awards are kept when a rule changes later
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_badges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      badge_id INTEGER NOT NULL,
+      awarded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (badge_id) REFERENCES badges(id),
+      UNIQUE(user_id, badge_id)
+    )
+  `);
+
+  for (const badge of DEFAULT_BADGES) {
+    await run(
+      'INSERT OR IGNORE INTO badges (code, name, description, icon, rule) VALUES (?, ?, ?, ?, ?)',
+      [badge.code, badge.name, badge.description, badge.icon, JSON.stringify(badge.rule)]
+    );
+  }
+
+  console.log('Achievement tables created successfully');
+}
+
+async function down() {
+  await run('DROP TABLE IF EXISTS user_badges');
+  await run('DROP TABLE IF EXISTS badges');
+  console.log('Achievement tables dropped');
+}
+
+export { up, down };
@@ -1,101 +1,446 @@
 // PBQ Scoring Module
-// Handles scoring for different PBQ types: multi_select, ordering, matching
+// Handles scoring for different PBQ types: multi_select, ordering, matching, categorize,
+// firewall_rules, log_analysis, placement, fill_in
+//
+// Every scorer returns a result object:
+//   { type, isCorrect, isPartial, points, maxPoints, breakdown }
+// points is the fractional credit earned (0 to maxPoints, rounded to 2 decimals)
+// and breakdown lists every selection, position, pair, sorted item, traffic flow, log line, diagram zone or blank with its own correctness
+// so the review screen can show exactly what was wrong.
+
+// PBQ types the scorers (and exam blueprints) understand
+export const PBQ_TYPES = ['multi_select', 'ordering', 'matching', 'categorize', 'firewall_rules', 'log_analysis', 'placement', 'fill_in'];
+
+// Categorize: many items sorted into a few buckets
+const MAX_CATEGORIZE_ITEMS = 20;
+const MAX_CATEGORIZE_BUCKETS = 6;
+
+// Columns of a firewall rule besides its action, and the wildcard each accepts
+export const FIREWALL_RULE_FIELDS = ['source', 'destination', 'port', 'protocol'];
+export const FIREWALL_ANY = 'any';
+const FIREWALL_ACTIONS = ['allow', 'deny'];
+const MAX_FIREWALL_ROWS = 10;
+const MAX_FIREWALL_VALUES = 10;
+
+// Log analysis: the marked lines and the classification each earn this share of the credit
+const LOG_LINES_WEIGHT = 0.5;
+const LOG_CLASSIFICATION_WEIGHT = 0.5;
+const MAX_LOG_LINES = 50;
+
+// Placement diagrams: zones sit on a grid of at most this many rows and columns
+const MAX_PLACEMENT_ZONES = 10;
+const MAX_PLACEMENT_TILES = 12;
+const MAX_PLACEMENT_GRID = 6;
+const MAX_ACCEPTED_SETS = 4;
+
+// Fill-in: blanks per question, accepted answers per blank and characters per typed answer
+const MAX_FILL_IN_BLANKS = 10;
+const MAX_ACCEPTED_ANSWERS = 10;
+const MAX_FILL_IN_LENGTH = 200;
+const FILL_IN_REGEX_FLAGS = /^[imsu]*$/;
+
+const MAX_POINTS = 1;
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function buildResult(type, points, breakdown) {
+  const rounded = roundPoints(Math.min(Math.max(points, 0), MAX_POINTS));
+  const isCorrect = rounded === MAX_POINTS;
+
+  return {
+    type,
+    isCorrect,
+    isPartial: !isCorrect && rounded > 0,
+    points: rounded,
+    maxPoints: MAX_POINTS,
+    breakdown
+  };
+}
 
 /**
  * Score a multi-select PBQ
+ *
+ * Policy: each correct option picked earns 1/N (N = number of correct options),
+ * each wrong option picked deducts 1/N, and the total is floored at 0.
+ * Full credit only for exactly the correct set.
+ *
  * @param {Array} userSelected - Array of selected indices
  * @param {Array} correctIndices - Array of correct indices
- * @returns {boolean} - True if correct
+ * @param {number} optionCount - Number of options shown (for the breakdown)
+ * @returns {Object} - Result with breakdown [{ index, selected, expected, correct }]
  */
-export function scoreMultiSelect(userSelected, correctIndices) {
-  if (!Array.isArray(userSelected) || !Array.isArray(correctIndices)) {
-    return false;
+export function scoreMultiSelect(userSelected, correctIndices, optionCount = 0) {
+  if (!Array.isArray(correctIndices) || correctIndices.length === 0) {
+    return buildResult('multi_select', 0, []);
   }
-  
-  // Convert to sets for order-independent comparison
-  const userSet = new Set(userSelected);
+
+  const userSet = new Set(Array.isArray(userSelected) ? userSelected : []);
   const correctSet = new Set(correctIndices);
-  
-  if (userSet.size !== correctSet.size) {
-    return false;
-  }
-  
-  for (const item of userSet) {
-    if (!correctSet.has(item)) {
-      return false;
-    }
+  // Every option shown plus whatever else was picked; never a dense range up to a submitted index
+  const indices = [...new Set([...Array(optionCount).keys(), ...userSet, ...correctSet])]
+    .filter(index => Number.isInteger(index) && index >= 0)
+    .sort((a, b) => a - b);
+
+  const breakdown = [];
+  let hits = 0;
+  let wrongPicks = 0;
+
+  for (const index of indices) {
+    const selected = userSet.has(index);
+    const expected = correctSet.has(index);
+
+    if (selected && expected) hits++;
+    if (selected && !expected) wrongPicks++;
+
+    breakdown.push({ index, selected, expected, correct: selected === expected });
   }
-  
-  return true;
+
+  return buildResult('multi_select', (hits - wrongPicks) / correctSet.size, breakdown);
 }
 
 /**
  * Score an ordering PBQ
+ *
+ * Policy: credit for each item placed in its correct position,
+ * i.e. points = correct positions / total positions.
+ *
  * @param {Array} userOrder - Array of ordered items
  * @param {Array} correctOrder - Array of correct ordered items
- * @returns {boolean} - True if correct
+ * @returns {Object} - Result with breakdown [{ position, item, expected, correct }]
  */
 export function scoreOrdering(userOrder, correctOrder) {
-  if (!Array.isArray(userOrder) || !Array.isArray(correctOrder)) {
-    return false;
+  if (!Array.isArray(correctOrder) || correctOrder.length === 0) {
+    return buildResult('ordering', 0, []);
   }
-  
-  if (userOrder.length !== correctOrder.length) {
-    return false;
-  }
-  
-  for (let i = 0; i < userOrder.length; i++) {
-    if (userOrder[i] !== correctOrder[i]) {
-      return false;
-    }
-  }
-  
-  return true;
+
+  const order = Array.isArray(userOrder) ? userOrder : [];
+  let correctPositions = 0;
+
+  const breakdown = correctOrder.map((expected, position) => {
+    const item = order[position] !== undefined ? order[position] : null;
+    const correct = item === expected;
+    if (correct) correctPositions++;
+    return { position, item, expected, correct };
+  });
+
+  return buildResult('ordering', correctPositions / correctOrder.length, breakdown);
 }
 
 /**
  * Score a matching PBQ
+ *
+ * Policy: credit for each correct pair, i.e. points = correct pairs / total pairs.
+ * Unmatched items simply earn nothing for that pair.
+ *
  * @param {Object} userMap - Object mapping keys to values
  * @param {Object} correctMap - Object with correct mappings
- * @returns {boolean} - True if correct
+ * @returns {Object} - Result with breakdown [{ left, selected, expected, correct }]
  */
 export function scoreMatching(userMap, correctMap) {
-  if (!userMap || typeof userMap !== 'object' || !correctMap || typeof correctMap !== 'object') {
-    return false;
+  if (!correctMap || typeof correctMap !== 'object' || Object.keys(correctMap).length === 0) {
+    return buildResult('matching', 0, []);
   }
-  
-  const userKeys = Object.keys(userMap);
+
+  const map = userMap && typeof userMap === 'object' ? userMap : {};
   const correctKeys = Object.keys(correctMap);
-  
-  if (userKeys.length !== correctKeys.length) {
-    return false;
+  let correctPairs = 0;
+
+  const breakdown = correctKeys.map(key => {
+    const selected = map[key] !== undefined && map[key] !== null ? Number(map[key]) : null;
+    const expected = Number(correctMap[key]);
+    const correct = selected === expected;
+    if (correct) correctPairs++;
+    return { left: Number(key), selected, expected, correct };
+  });
+
+  return buildResult('matching', correctPairs / correctKeys.length, breakdown);
+}
+
+/**
+ * Score a categorize PBQ
+ *
+ * Policy: credit for each item sorted into its bucket, i.e. points = items in the
+ * right bucket / total items. A bucket holds any number of items; items left
+ * unsorted, or given anything but a whole bucket index, earn nothing.
+ *
+ * @param {Object} userMap - Object mapping item indices to bucket indices
+ * @param {Object} pbq - PBQ definition with items, buckets and correct_buckets
+ * @returns {Object} - Result with breakdown [{ item, selected, expected, correct }]
+ */
+export function scoreCategorize(userMap, pbq) {
+  const correctBuckets = pbq && pbq.correct_buckets;
+  if (!Array.isArray(correctBuckets) || correctBuckets.length === 0) {
+    return buildResult('categorize', 0, []);
   }
-  
-  for (const key of correctKeys) {
-    if (userMap[key] !== correctMap[key]) {
+
+  const map = userMap && typeof userMap === 'object' ? userMap : {};
+  let sortedItems = 0;
+
+  const breakdown = correctBuckets.map((expected, item) => {
+    const selected = Number.isInteger(map[item]) ? map[item] : null;
+    const correct = selected === expected;
+    if (correct) sortedItems++;
+    return { item, selected, expected, correct };
+  });
+
+  return buildResult('categorize', sortedItems / correctBuckets.length, breakdown);
+}
+
+// Whether a rule row is filled in completely with values the scenario offers
+function isCompleteRule(rule, fields) {
+  return !!rule && typeof rule === 'object' &&
+    FIREWALL_ACTIONS.includes(rule.action) &&
+    FIREWALL_RULE_FIELDS.every(field => rule[field] === FIREWALL_ANY || (fields[field] || []).includes(rule[field]));
+}
+
+// Every combination of the scenario's sources, destinations, ports and protocols
+function firewallFlows(fields) {
+  return FIREWALL_RULE_FIELDS.reduce(
+    (flows, field) => flows.flatMap(flow => (fields[field] || []).map(value => ({ ...flow, [field]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Decide a flow against a rule table: the first matching rule wins, and traffic
+ * no rule matches is denied (implicit deny)
+ * @param {Array} rules - Complete rules, in order
+ * @param {Object} flow - { source, destination, port, protocol }
+ * @returns {Object} - { action, rule (index of the matching rule, null for the implicit deny) }
+ */
+export function evaluateFirewall(rules, flow) {
+  const rule = rules.findIndex(r => FIREWALL_RULE_FIELDS.every(field => r[field] === FIREWALL_ANY || r[field] === flow[field]));
+  return rule === -1 ? { action: 'deny', rule: null } : { action: rules[rule].action, rule };
+}
+
+/**
+ * Score a firewall rules PBQ
+ *
+ * Policy: rule tables are compared by what they do, not how they are written.
+ * Both tables are run against every combination of the scenario's field values
+ * (first match wins, implicit deny), so the values listed are all the traffic
+ * there is. Credit = flows both tables allow / flows either table allows; full
+ * credit only when the tables allow exactly the same traffic. Rows that are not
+ * filled in completely are ignored.
+ *
+ * @param {Array} userRules - [{ source, destination, port, protocol, action }], in order
+ * @param {Object} pbq - PBQ definition with fields, rows and correct_rules
+ * @returns {Object} - Result with breakdown [{ flow, selected, expected, correct, rule }] for every
+ *   flow either table allows; rule is the index of the student's matching row (null: implicit deny)
+ */
+export function scoreFirewallRules(userRules, pbq) {
+  const fields = pbq && pbq.fields;
+  if (!fields || !Array.isArray(pbq.correct_rules) || pbq.correct_rules.length === 0) {
+    return buildResult('firewall_rules', 0, []);
+  }
+
+  // Keep row numbers so the breakdown points at the row the student wrote
+  const rows = (Array.isArray(userRules) ? userRules : []).slice(0, pbq.rows || MAX_FIREWALL_ROWS);
+  const complete = rows.map((rule, index) => ({ ...rule, index })).filter(rule => isCompleteRule(rule, fields));
+  const expectedRules = pbq.correct_rules.filter(rule => isCompleteRule(rule, fields));
+
+  const breakdown = [];
+  let bothAllow = 0;
+  firewallFlows(fields).forEach(flow => {
+    const user = evaluateFirewall(complete, flow);
+    const expected = evaluateFirewall(expectedRules, flow).action;
+    if (user.action !== 'allow' && expected !== 'allow') return;
+    if (user.action === expected) bothAllow++;
+    breakdown.push({
+      flow,
+      selected: user.action,
+      expected,
+      correct: user.action === expected,
+      rule: user.rule === null ? null : complete[user.rule].index
+    });
+  });
+
+  return buildResult('firewall_rules', breakdown.length === 0 ? 0 : bothAllow / breakdown.length, breakdown);
+}
+
+/**
+ * Score a log analysis PBQ
+ *
+ * Policy: half the credit is for the marked lines and half for the classification.
+ * Lines are scored like a multi-select: each suspicious line marked earns 1/N of
+ * the line half (N = number of suspicious lines), each innocent line marked
+ * deducts 1/N, floored at 0. The classification half is all or nothing.
+ *
+ * @param {Object} userAnswer - { lines: [marked line indices], classification: index }
+ * @param {Object} pbq - PBQ definition with lines, suspicious, classifications and correct_classification
+ * @returns {Object} - Result with breakdown [{ line, selected, expected, correct }] for every line
+ *   marked or suspicious, then { classification, expected, correct }
+ */
+export function scoreLogAnalysis(userAnswer, pbq) {
+  if (!pbq || !Array.isArray(pbq.suspicious) || pbq.suspicious.length === 0) {
+    return buildResult('log_analysis', 0, []);
+  }
+
+  const answer = userAnswer && typeof userAnswer === 'object' ? userAnswer : {};
+  const lineCount = (pbq.lines || []).length;
+  // Picks past the end of the log are dropped before scoring
+  const picked = Array.isArray(answer.lines)
+    ? answer.lines.filter(line => Number.isInteger(line) && line >= 0 && line < lineCount)
+    : [];
+  const lines = scoreMultiSelect(picked, pbq.suspicious, lineCount);
+  const breakdown = lines.breakdown
+    .filter(entry => entry.selected || entry.expected)
+    .map(({ index, ...entry }) => ({ line: index, ...entry }));
+
+  // Recount from the breakdown so the line half is not rounded before it is weighted
+  const hits = breakdown.filter(entry => entry.selected && entry.expected).length;
+  const wrongPicks = breakdown.filter(entry => entry.selected && !entry.expected).length;
+  const linePoints = Math.max(hits - wrongPicks, 0) / pbq.suspicious.length;
+
+  const selected = Number.isInteger(answer.classification) ? answer.classification : null;
+  const classificationCorrect = selected === pbq.correct_classification;
+  breakdown.push({ classification: selected, expected: pbq.correct_classification, correct: classificationCorrect });
+
+  return buildResult(
+    'log_analysis',
+    LOG_LINES_WEIGHT * linePoints + LOG_CLASSIFICATION_WEIGHT * (classificationCorrect ? 1 : 0),
+    breakdown
+  );
+}
+
+// Tiles dropped in each zone, as sorted tile indices; unknown tiles and zones are ignored
+function tilesByZone(placements, pbq) {
+  const zones = new Map(pbq.zones.map(zone => [zone.id, []]));
+  if (placements && typeof placements === 'object' && !Array.isArray(placements)) {
+    Object.entries(placements).forEach(([tile, zone]) => {
+      const index = Number(tile);
+      if (Number.isInteger(index) && index >= 0 && index < (pbq.tiles || []).length && zones.has(zone)) {
+        zones.get(zone).push(index);
+      }
+    });
+  }
+  zones.forEach(tiles => tiles.sort((a, b) => a - b));
+  return zones;
+}
+
+function sameTiles(a, b) {
+  return a.length === b.length && a.every(tile => b.includes(tile));
+}
+
+/**
+ * Score a placement PBQ
+ *
+ * Policy: every zone is scored on its own, all or nothing. A zone listed in
+ * correct_zones is right when its tiles are exactly one of its acceptable sets
+ * ("WAF or reverse proxy" is two sets). Zones left out of correct_zones should
+ * stay empty; tiles dropped there count as one more wrong zone.
+ * Credit = right zones / (zones in correct_zones + other zones holding tiles).
+ *
+ * @param {Object} placements - { tileIndex: zoneId }, so each tile is in one zone at most
+ * @param {Object} pbq - PBQ definition with zones, tiles and correct_zones
+ * @returns {Object} - Result with breakdown [{ zone, selected, expected, correct }] for every scored
+ *   zone; selected is the sorted tile indices dropped there and expected the acceptable sets
+ */
+export function scorePlacement(placements, pbq) {
+  const key = pbq && pbq.correct_zones;
+  if (!key || typeof key !== 'object' || !Array.isArray(pbq.zones)) {
+    return buildResult('placement', 0, []);
+  }
+
+  const placed = tilesByZone(placements, pbq);
+  const breakdown = [];
+  pbq.zones.forEach(({ id }) => {
+    const selected = placed.get(id);
+    if (!Array.isArray(key[id]) && selected.length === 0) return;
+    const expected = Array.isArray(key[id]) ? key[id] : [[]];
+    breakdown.push({ zone: id, selected, expected, correct: expected.some(set => sameTiles(set, selected)) });
+  });
+
+  const right = breakdown.filter(entry => entry.correct).length;
+  return buildResult('placement', breakdown.length === 0 ? 0 : right / breakdown.length, breakdown);
+}
+
+// Trim and collapse runs of whitespace, so "chmod  600 " matches "chmod 600"
+function normalizeFillIn(value, caseSensitive) {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+}
+
+/**
+ * Whether a typed answer meets one accepted answer
+ * @param {string} value - The student's answer
+ * @param {string|Object} spec - Text, { regex, flags } matching the whole answer, or { min, max } numeric range
+ * @param {boolean} caseSensitive - Compare text and patterns case-sensitively
+ * @returns {boolean}
+ */
+export function matchesFillIn(value, spec, caseSensitive = false) {
+  if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_FILL_IN_LENGTH) return false;
+  const text = normalizeFillIn(value, true);
+
+  if (typeof spec === 'string') {
+    return normalizeFillIn(value, caseSensitive) === normalizeFillIn(spec, caseSensitive);
+  }
+  if (spec && typeof spec.regex === 'string') {
+    const flags = (spec.flags || '') + (caseSensitive || (spec.flags || '').includes('i') ? '' : 'i');
+    try {
+      return new RegExp(`^(?:${spec.regex})$`, flags).test(text);
+    } catch {
       return false;
     }
   }
-  
-  return true;
+  if (spec && (typeof spec.min === 'number' || typeof spec.max === 'number')) {
+    if (!/^[-+]?\d+(\.\d+)?$/.test(text)) return false;
+    const number = Number(text);
+    return (typeof spec.min !== 'number' || number >= spec.min) && (typeof spec.max !== 'number' || number <= spec.max);
+  }
+  return false;
+}
+
+/**
+ * Score a fill-in PBQ
+ *
+ * Policy: credit for each blank filled in with an accepted answer, i.e. points =
+ * right blanks / total blanks. Answers are compared after trimming and collapsing
+ * whitespace, ignoring case unless the blank is case_sensitive; any one of a
+ * blank's accepted answers (text, regex or numeric range) is enough.
+ *
+ * @param {Array<string>} values - The student's answer for each blank, in order
+ * @param {Object} pbq - PBQ definition with blanks and correct_answers
+ * @returns {Object} - Result with breakdown [{ blank, selected, correct }]
+ */
+export function scoreFillIn(values, pbq) {
+  const correctAnswers = pbq && pbq.correct_answers;
+  if (!Array.isArray(correctAnswers) || correctAnswers.length === 0) {
+    return buildResult('fill_in', 0, []);
+  }
+
+  const answers = Array.isArray(values) ? values : [];
+  let rightBlanks = 0;
+
+  const breakdown = correctAnswers.map((accepted, blank) => {
+    const selected = typeof answers[blank] === 'string' && answers[blank].trim() !== '' ? answers[blank] : null;
+    const caseSensitive = !!(pbq.blanks && pbq.blanks[blank] && pbq.blanks[blank].case_sensitive);
+    const correct = selected !== null && (accepted || []).some(spec => matchesFillIn(selected, spec, caseSensitive));
+    if (correct) rightBlanks++;
+    return { blank, selected, correct };
+  });
+
+  return buildResult('fill_in', rightBlanks / correctAnswers.length, breakdown);
 }
 
 /**
  * Score any PBQ based on its type
  * @param {Object} userAnswer - User's answer object with type
  * @param {Object} correctAnswer - Correct answer object with type
- * @returns {boolean} - True if correct
+ * @returns {Object} - { type, isCorrect, isPartial, points, maxPoints, breakdown }
  */
 export function scorePBQ(userAnswer, correctAnswer) {
   if (!userAnswer || !correctAnswer) {
-    return false;
+    return buildResult(correctAnswer?.type || null, 0, []);
   }
   
-  const type = userAnswer.type || correctAnswer.type;
+  const type = correctAnswer.type || userAnswer.type;
   
   switch (type) {
     case 'multi_select':
-      return scoreMultiSelect(userAnswer.selected, correctAnswer.correct);
+      return scoreMultiSelect(userAnswer.selected, correctAnswer.correct, (correctAnswer.options || []).length);
       
     case 'ordering':
       return scoreOrdering(userAnswer.order, correctAnswer.correct_order);
@@ -103,8 +448,401 @@ export function scorePBQ(userAnswer, correctAnswer) {
     case 'matching':
       return scoreMatching(userAnswer.map, correctAnswer.correct_map);
       
+    case 'categorize':
+      return scoreCategorize(userAnswer.map, correctAnswer);
+
+    case 'firewall_rules':
+      return scoreFirewallRules(userAnswer.rules, correctAnswer);
+
+    case 'log_analysis':
+      return scoreLogAnalysis(userAnswer, correctAnswer);
+
+    case 'placement':
+      return scorePlacement(userAnswer.placements, correctAnswer);
+
+    case 'fill_in':
+      return scoreFillIn(userAnswer.values, correctAnswer);
+
     default:
       console.warn(`Unknown PBQ type: ${type}`);
-      return false;
+      return buildResult(type, 0, []);
   }
 }
+
+function isIndexList(list, length) {
+  return Array.isArray(list) && list.every(i => Number.isInteger(i) && i >= 0 && i < length);
+}
+
+// Problem with a list of indices from an answer, or null when each is one of count items
+function checkAnswerIndices(list, count, field, noun) {
+  if (list === undefined || list === null) return null;
+  if (!Array.isArray(list) || list.length > count || !isIndexList(list, count)) {
+    return `${field} must list ${noun} indices from 0 to ${count - 1}`;
+  }
+  return null;
+}
+
+// Problem with an answer object keyed by item or tile index, or null when every key
+// is one of count items and every value passes isValue
+function checkAnswerMap(map, count, isValue, message) {
+  if (map === undefined || map === null) return null;
+  const isValid = typeof map === 'object' && !Array.isArray(map) &&
+    Object.entries(map).every(([key, value]) => /^\d+$/.test(key) && Number(key) < count && isValue(value));
+  return isValid ? null : message;
+}
+
+// Problem with a firewall rule table, or null when each row only uses the scenario's values
+function checkFirewallAnswer(rules, pbq) {
+  if (rules === undefined || rules === null) return null;
+  const fields = pbq.fields || {};
+  const rows = pbq.rows || MAX_FIREWALL_ROWS;
+  // Rows may be half filled in while the student is still working on them
+  const isRow = rule => !!rule && typeof rule === 'object' && !Array.isArray(rule) &&
+    Object.entries(rule).every(([column, value]) => (column === 'action'
+      ? FIREWALL_ACTIONS.includes(value)
+      : FIREWALL_RULE_FIELDS.includes(column) && (value === FIREWALL_ANY || (fields[column] || []).includes(value))));
+  if (!Array.isArray(rules) || rules.length > rows || !rules.every(isRow)) {
+    return `rules must list up to ${rows} rows using this question's values`;
+  }
+  return null;
+}
+
+// Problem with the typed answers, or null when there is at most one short text per blank
+function checkFillInAnswer(values, blankCount) {
+  if (values === undefined || values === null) return null;
+  if (!Array.isArray(values) || values.length > blankCount ||
+      !values.every(value => typeof value === 'string' && value.length <= MAX_FILL_IN_LENGTH)) {
+    return `values must list up to ${blankCount} answers of at most ${MAX_FILL_IN_LENGTH} characters`;
+  }
+  return null;
+}
+
+function isTextList(list, minLength = 2) {
+  return Array.isArray(list) && list.length >= minLength &&
+    list.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Check that a student's answer only refers to what the PBQ shows
+ * Run before storing or scoring an answer so out-of-range indices get a 400.
+ * @param {Object} answer - The student's answer
+ * @param {Object} pbq - PBQ definition the answer is for
+ * @returns {Array<string>} - Problems found (empty when the answer is usable)
+ */
+export function validatePbqAnswer(answer, pbq) {
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    return ['answer must be an object'];
+  }
+  if (!pbq || typeof pbq !== 'object') return [];
+
+  const errors = [];
+
+  switch (pbq.type) {
+    case 'multi_select':
+      errors.push(checkAnswerIndices(answer.selected, (pbq.options || []).length, 'selected', 'option'));
+      break;
+
+    case 'categorize': {
+      const itemCount = (pbq.items || []).length;
+      const bucketCount = (pbq.buckets || []).length;
+      errors.push(checkAnswerMap(
+        answer.map, itemCount, bucket => Number.isInteger(bucket) && bucket >= 0 && bucket < bucketCount,
+        `map must sort item indices from 0 to ${itemCount - 1} into bucket indices from 0 to ${bucketCount - 1}`
+      ));
+      break;
+    }
+
+    case 'firewall_rules':
+      errors.push(checkFirewallAnswer(answer.rules, pbq));
+      break;
+
+    case 'log_analysis':
+      errors.push(checkAnswerIndices(answer.lines, (pbq.lines || []).length, 'lines', 'line'));
+      break;
+
+    case 'placement': {
+      const tileCount = (pbq.tiles || []).length;
+      const zoneIds = (pbq.zones || []).map(zone => zone.id);
+      errors.push(checkAnswerMap(
+        answer.placements, tileCount, zone => zoneIds.includes(zone),
+        `placements must put tile indices from 0 to ${tileCount - 1} in zones: ${zoneIds.join(', ')}`
+      ));
+      break;
+    }
+
+    case 'fill_in':
+      errors.push(checkFillInAnswer(answer.values, (pbq.correct_answers || []).length));
+      break;
+  }
+
+  return errors.filter(Boolean);
+}
+
+/**
+ * Check that a PBQ definition can be rendered and scored
+ * @param {Object} pbq - PBQ definition as stored in pbq_json
+ * @returns {Array<string>} - Problems found (empty when the definition is usable)
+ */
+export function validatePbqDefinition(pbq) {
+  if (!pbq || typeof pbq !== 'object' || Array.isArray(pbq)) {
+    return ['PBQ definition must be an object'];
+  }
+  if (!PBQ_TYPES.includes(pbq.type)) {
+    return [`PBQ type must be one of: ${PBQ_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+
+  switch (pbq.type) {
+    case 'multi_select':
+      if (!isTextList(pbq.options)) {
+        errors.push('options must list at least 2 non-empty strings');
+      } else if (!isIndexList(pbq.correct, pbq.options.length) || pbq.correct.length === 0 ||
+          new Set(pbq.correct).size !== pbq.correct.length) {
+        errors.push('correct must list distinct option indices');
+      }
+      break;
+
+    case 'ordering':
+      if (!isTextList(pbq.items)) {
+        errors.push('items must list at least 2 non-empty strings');
+      } else if (!isIndexList(pbq.correct_order, pbq.items.length) ||
+          pbq.correct_order.length !== pbq.items.length ||
+          new Set(pbq.correct_order).size !== pbq.items.length) {
+        errors.push('correct_order must use every item index exactly once');
+      }
+      break;
+
+    case 'matching': {
+      if (!isTextList(pbq.left) || !isTextList(pbq.right)) {
+        errors.push('left and right must each list at least 2 non-empty strings');
+        break;
+      }
+      const map = pbq.correct_map;
+      const isMapValid = map && typeof map === 'object' && !Array.isArray(map) &&
+        pbq.left.every((_, index) => isIndexList([map[index]], pbq.right.length)) &&
+        Object.keys(map).length === pbq.left.length;
+      if (!isMapValid) {
+        errors.push('correct_map must match every left index to a right index');
+      }
+      break;
+  }
+
+  case 'categorize': {
+    const isDistinctList = (list, max) => isTextList(list) && list.length <= max && new Set(list).size === list.length;
+    if (!isDistinctList(pbq.items, MAX_CATEGORIZE_ITEMS)) {
+      errors.push(`items must list 2-${MAX_CATEGORIZE_ITEMS} distinct non-empty strings`);
+    } else if (!isDistinctList(pbq.buckets, MAX_CATEGORIZE_BUCKETS)) {
+      errors.push(`buckets must list 2-${MAX_CATEGORIZE_BUCKETS} distinct non-empty strings`);
+    } else if (!isIndexList(pbq.correct_buckets, pbq.buckets.length) || pbq.correct_buckets.length !== pbq.items.length) {
+      errors.push('correct_buckets must give a bucket index for every item');
+    }
+    break;
+  }
+
+  case 'firewall_rules':
+    errors.push(...validateFirewallRules(pbq));
+    break;
+
+  case 'log_analysis':
+    if (pbq.log_source !== undefined && (typeof pbq.log_source !== 'string' || pbq.log_source.trim() === '')) {
+      errors.push('log_source must be non-empty text');
+    }
+    if (!isTextList(pbq.lines) || pbq.lines.length > MAX_LOG_LINES) {
+      errors.push(`lines must list 2-${MAX_LOG_LINES} non-empty strings`);
+    } else if (!isIndexList(pbq.suspicious, pbq.lines.length) || pbq.suspicious.length === 0 ||
+        new Set(pbq.suspicious).size !== pbq.suspicious.length) {
+      errors.push('suspicious must list distinct line indices');
+    }
+    if (!isTextList(pbq.classifications) || new Set(pbq.classifications).size !== pbq.classifications.length) {
+      errors.push('classifications must list at least 2 distinct non-empty strings');
+    } else if (!isIndexList([pbq.correct_classification], pbq.classifications.length)) {
+      errors.push('correct_classification must be a classification index');
+    }
+    break;
+
+  case 'placement':
+    errors.push(...validatePlacement(pbq));
+    break;
+
+  case 'fill_in':
+    errors.push(...validateFillIn(pbq));
+    break;
+  }
+
+  return errors;
+}
+
+// Firewall scenario: the values each column offers, the rows of the grid and the
+// expected rule table (see scoreFirewallRules)
+function validateFirewallRules(pbq) {
+  const errors = [];
+  if (pbq.requirements !== undefined && !isTextList(pbq.requirements, 1)) {
+    errors.push('requirements must list non-empty strings');
+  }
+
+  const fields = pbq.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return [...errors, `fields must list the values of ${FIREWALL_RULE_FIELDS.join(', ')}`];
+  }
+  FIREWALL_RULE_FIELDS.forEach(field => {
+    const values = fields[field];
+    if (!isTextList(values, 1) || values.length > MAX_FIREWALL_VALUES) {
+      errors.push(`fields.${field} must list 1-${MAX_FIREWALL_VALUES} non-empty strings`);
+    } else if (new Set(values).size !== values.length || values.some(v => v.trim().toLowerCase() === FIREWALL_ANY)) {
+      errors.push(`fields.${field} must list distinct values other than "${FIREWALL_ANY}"`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  if (!Number.isInteger(pbq.rows) || pbq.rows < 1 || pbq.rows > MAX_FIREWALL_ROWS) {
+    errors.push(`rows must be a whole number from 1 to ${MAX_FIREWALL_ROWS}`);
+  }
+
+  const rules = pbq.correct_rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return [...errors, 'correct_rules must list at least one rule'];
+  }
+  rules.forEach((rule, index) => {
+    if (!isCompleteRule(rule, fields)) {
+      errors.push(`correct_rules[${index}] must use the listed values or "${FIREWALL_ANY}" and an action of allow or deny`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  if (rules.length > pbq.rows) {
+    errors.push('rows must leave room for every rule in correct_rules');
+  }
+  if (!firewallFlows(fields).some(flow => evaluateFirewall(rules, flow).action === 'allow')) {
+    errors.push('correct_rules must allow some traffic');
+  }
+  return errors;
+}
+
+function isGridPosition(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_PLACEMENT_GRID;
+}
+
+// Whether one acceptable set can be picked per zone without using a tile twice
+function hasPlacementSolution(zoneSets, used = new Set(), placed = 0) {
+  if (zoneSets.length === 0) return placed > 0;
+  const [sets, ...rest] = zoneSets;
+  return sets.some(set => !set.some(tile => used.has(tile)) &&
+    hasPlacementSolution(rest, new Set([...used, ...set]), placed + set.length));
+}
+
+function validatePlacement(pbq) {
+  const errors = [];
+  const zones = pbq.zones;
+  const isZone = zone => zone && typeof zone === 'object' &&
+    typeof zone.id === 'string' && zone.id.trim() !== '' && typeof zone.label === 'string' && zone.label.trim() !== '';
+  if (!Array.isArray(zones) || zones.length < 2 || zones.length > MAX_PLACEMENT_ZONES || !zones.every(isZone)) {
+    return [`zones must list 2-${MAX_PLACEMENT_ZONES} zones with an id and a label`];
+  }
+
+  const ids = zones.map(zone => zone.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push('zone ids must be distinct');
+  }
+  if (zones.some(zone => zone.row !== undefined || zone.column !== undefined)) {
+    const cells = zones.map(zone => `${zone.row},${zone.column}`);
+    if (!zones.every(zone => isGridPosition(zone.row) && isGridPosition(zone.column))) {
+      errors.push(`zones must all give a row and column from 1 to ${MAX_PLACEMENT_GRID}, or none`);
+    } else if (new Set(cells).size !== cells.length) {
+      errors.push('zones must not share a row and column');
+    }
+  }
+  const isLink = link => Array.isArray(link) && link.length === 2 && link[0] !== link[1] && link.every(id => ids.includes(id));
+  if (pbq.links !== undefined && (!Array.isArray(pbq.links) || !pbq.links.every(isLink))) {
+    errors.push('links must be pairs of different zone ids');
+  }
+
+  if (!isTextList(pbq.tiles) || pbq.tiles.length > MAX_PLACEMENT_TILES || new Set(pbq.tiles).size !== pbq.tiles.length) {
+    return [...errors, `tiles must list 2-${MAX_PLACEMENT_TILES} distinct non-empty strings`];
+  }
+
+  const key = pbq.correct_zones;
+  if (!key || typeof key !== 'object' || Array.isArray(key) || Object.keys(key).length === 0) {
+    return [...errors, 'correct_zones must give the acceptable tiles of at least one zone'];
+  }
+  Object.entries(key).forEach(([id, sets]) => {
+    const isSet = set => isIndexList(set, pbq.tiles.length) && new Set(set).size === set.length;
+    if (!ids.includes(id)) {
+      errors.push(`correct_zones.${id} is not a zone id`);
+    } else if (!Array.isArray(sets) || sets.length === 0 || sets.length > MAX_ACCEPTED_SETS || !sets.every(isSet)) {
+      errors.push(`correct_zones.${id} must list 1-${MAX_ACCEPTED_SETS} sets of distinct tile indices`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  if (!hasPlacementSolution(Object.values(key))) {
+    errors.push('correct_zones must have an answer that places some tiles and uses each tile once');
+  }
+  return errors;
+}
+
+// Problem with one accepted answer of a fill-in blank, or null when it is usable
+function checkAcceptedAnswer(spec) {
+  if (typeof spec === 'string') {
+    return spec.trim() === '' ? 'must not be blank' : null;
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return 'must be text, { regex } or { min, max }';
+  }
+  if (spec.regex !== undefined) {
+    if (typeof spec.regex !== 'string' || spec.regex === '') return 'regex must be a non-empty string';
+    if (spec.flags !== undefined && (typeof spec.flags !== 'string' || !FILL_IN_REGEX_FLAGS.test(spec.flags))) {
+      return 'flags may only use i, m, s and u';
+    }
+    try {
+      new RegExp(spec.regex, spec.flags);
+    } catch {
+      return 'regex is not a valid regular expression';
+    }
+    return null;
+  }
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  if ((spec.min !== undefined && !isNumber(spec.min)) || (spec.max !== undefined && !isNumber(spec.max)) ||
+      (spec.min === undefined && spec.max === undefined)) {
+    return 'must be text, { regex } or { min, max }';
+  }
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    return 'min must not be more than max';
+  }
+  return null;
+}
+
+function validateFillIn(pbq) {
+  const errors = [];
+  const blanks = pbq.blanks;
+  const isBlank = blank => blank && typeof blank === 'object' && !Array.isArray(blank) &&
+    (blank.label === undefined || (typeof blank.label === 'string' && blank.label.trim() !== '')) &&
+    (blank.case_sensitive === undefined || typeof blank.case_sensitive === 'boolean');
+  if (!Array.isArray(blanks) || blanks.length === 0 || blanks.length > MAX_FILL_IN_BLANKS || !blanks.every(isBlank)) {
+    return [`blanks must list 1-${MAX_FILL_IN_BLANKS} blanks, each with an optional label and case_sensitive flag`];
+  }
+
+  if (pbq.template !== undefined) {
+    const placeholders = typeof pbq.template === 'string' ? pbq.template.match(/\{\d+\}/g) || [] : null;
+    const expected = blanks.map((_, index) => `{${index}}`);
+    if (!placeholders || placeholders.length !== expected.length || !expected.every(p => placeholders.includes(p))) {
+      errors.push(`template must contain each of ${expected.join(', ')} exactly once`);
+    }
+  }
+
+  const correctAnswers = pbq.correct_answers;
+  if (!Array.isArray(correctAnswers) || correctAnswers.length !== blanks.length) {
+    return [...errors, 'correct_answers must list the accepted answers of every blank'];
+  }
+  correctAnswers.forEach((accepted, blank) => {
+    if (!Array.isArray(accepted) || accepted.length === 0 || accepted.length > MAX_ACCEPTED_ANSWERS) {
+      errors.push(`correct_answers[${blank}] must list 1-${MAX_ACCEPTED_ANSWERS} accepted answers`);
+      return;
+    }
+    accepted.forEach((spec, index) => {
+      const problem = checkAcceptedAnswer(spec);
+      if (problem) errors.push(`correct_answers[${blank}][${index}] ${problem}`);
+    });
+  });
+  return errors;
+}
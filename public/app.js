@@ -13,7 +13,13 @@ const state = {
   mode: 'exam', // 'exam' or 'study'
   studySession: null,
   immediateFeedback: false,
-  currentFeedback: null
+  currentFeedback: null,
+  savedSnapshots: {}, // questionNum -> last answer/flag state the server acknowledged
+  saveTimers: {},
+  questionTimes: {}, // questionNum -> seconds spent on it, sent with the submission for item analysis
+  blueprints: [], // exam formats offered on the dashboard
+  studyPlan: null, // plan towards the exam date, see loadStudyPlan
+  planTaskId: null // study plan task the running session was started from
 };
 
 // Exam state persistence
@@ -26,51 +32,225 @@ function saveExamState() {
     answers: state.answers,
     markedForReview: Array.from(state.markedForReview),
     timeRemaining: state.timeRemaining,
-    examStartTime: state.examStartTime
+    examStartTime: state.examStartTime,
+    questionTimes: state.questionTimes
   };
   
   localStorage.setItem('examState', JSON.stringify(examState));
 }
 
+// Local copy of the exam, used only to recover answers whose autosave never reached the server
 function loadExamState() {
   const saved = localStorage.getItem('examState');
-  if (!saved) return false;
+  if (!saved) return null;
   
   try {
-    const examState = JSON.parse(saved);
-    
-    // Check if exam is still valid (not expired)
-    if (examState.examStartTime) {
-      const elapsed = Math.floor((Date.now() - examState.examStartTime) / 1000);
-      const maxTime = 90 * 60 + 60; // 91 minutes grace period
-      
-      if (elapsed > maxTime) {
-        clearExamState();
-        return false;
-      }
-      
-      // Restore state
-      state.currentExam = examState.currentExam;
-      state.currentQuestionIndex = examState.currentQuestionIndex;
-      state.answers = examState.answers;
-      state.markedForReview = new Set(examState.markedForReview);
-      state.timeRemaining = Math.max(0, examState.timeRemaining - Math.floor(elapsed / 10)); // Slight penalty for refresh
-      state.examStartTime = examState.examStartTime;
-      
-      return true;
-    }
+    return JSON.parse(saved);
   } catch (e) {
     console.error('Failed to load exam state:', e);
     clearExamState();
+    return null;
+  }
+}
+
+// Restore the in-progress exam from the server so it can be resumed on any device.
+// Time left comes from the server clock, so a refresh costs nothing.
+async function resumeExamFromServer() {
+  let data;
+  try {
+    data = await apiCall('/api/exams/in-progress');
+  } catch (err) {
+    clearExamState();
+    return false;
   }
   
-  return false;
+  const local = loadExamState();
+  const sameExam = local && local.currentExam && local.currentExam.examId === data.examId;
+  
+  state.mode = 'exam';
+  state.currentExam = data;
+  // An adaptive exam can only continue with its last question
+  state.currentQuestionIndex = data.adaptive ? data.questions.length - 1 : (sameExam ? local.currentQuestionIndex || 0 : 0);
+  state.answers = { ...data.answers };
+  state.markedForReview = new Set(data.markedForReview);
+  state.timeRemaining = data.timeRemaining;
+  state.examStartTime = Date.now() - data.timeUsed * 1000;
+  state.questionTimes = sameExam ? { ...local.questionTimes } : {};
+  state.savedSnapshots = {};
+  data.questions.forEach(q => {
+    state.savedSnapshots[q.questionNumber] = answerSnapshot(q.questionNumber);
+  });
+  
+  // Answers given on this device that the server never acknowledged
+  if (sameExam) {
+    Object.keys(local.answers || {}).forEach(questionNum => {
+      if (state.answers[questionNum] === undefined) {
+        state.answers[questionNum] = local.answers[questionNum];
+        queueAnswerSave(Number(questionNum));
+      }
+    });
+  }
+  
+  return true;
 }
 
 function clearExamState() {
   localStorage.removeItem('examState');
 }
 
+// Server autosave: one request per changed question, debounced
+function answerSnapshot(questionNum) {
+  const answer = state.answers[questionNum];
+  return JSON.stringify([answer === undefined ? null : answer, state.markedForReview.has(questionNum)]);
+}
+
+function queueAnswerSave(questionNum) {
+  if (state.mode !== 'exam' || !state.currentExam || !state.currentExam.examId) return;
+  if (state.currentExam.adaptive) return; // answers are sent one at a time instead
+  if (state.savedSnapshots[questionNum] === answerSnapshot(questionNum)) return;
+  
+  clearTimeout(state.saveTimers[questionNum]);
+  state.saveTimers[questionNum] = setTimeout(() => saveAnswerToServer(questionNum), 500);
+}
+
+async function saveAnswerToServer(questionNum) {
+  delete state.saveTimers[questionNum];
+  if (!state.currentExam || !state.currentExam.examId) return;
+  
+  const snapshot = answerSnapshot(questionNum);
+  const answer = state.answers[questionNum];
+  
+  try {
+    const result = await apiCall(
+      `/api/exams/${state.currentExam.examId}/answers/${questionNum}`,
+      'PUT',
+      { answer: answer === undefined ? null : answer, markedForReview: state.markedForReview.has(questionNum) }
+    );
+    state.savedSnapshots[questionNum] = snapshot;
+    state.timeRemaining = Math.min(state.timeRemaining, result.timeRemaining);
+  } catch (err) {
+    // The localStorage copy still holds the answer; the next change retries
+    console.error('Autosave failed:', err.message);
+  }
+}
+
+// Send every question whose latest state the server has not acknowledged
+function flushPendingSaves() {
+  if (!state.currentExam || !state.currentExam.examId || state.currentExam.adaptive) return;
+  cancelPendingSaves();
+  state.currentExam.questions.forEach(q => {
+    if (state.savedSnapshots[q.questionNumber] !== answerSnapshot(q.questionNumber)) {
+      saveAnswerToServer(q.questionNumber);
+    }
+  });
+}
+
+function cancelPendingSaves() {
+  Object.values(state.saveTimers).forEach(timer => clearTimeout(timer));
+  state.saveTimers = {};
+}
+
+// Exam blueprints: each format defines question count, PBQs, duration and pass mark
+async function loadBlueprints() {
+  const picker = document.getElementById('blueprint-picker');
+  const select = document.getElementById('blueprint-select');
+  if (!picker || !select) return;
+  
+  try {
+    state.blueprints = await apiCall('/api/blueprints');
+  } catch (err) {
+    state.blueprints = [];
+  }
+  
+  if (state.blueprints.length === 0) {
+    picker.style.display = 'none';
+    renderExamInfo();
+    return;
+  }
+  
+  const previous = select.value;
+  select.innerHTML = state.blueprints.map(bp =>
+    `<option value="${bp.id}">${bp.name} — ${bp.questionCount} questions, ${bp.durationMinutes} min</option>`
+  ).join('');
+  
+  const defaultBlueprint = state.blueprints.find(bp => String(bp.id) === previous) ||
+    state.blueprints.find(bp => bp.isDefault) || state.blueprints[0];
+  select.value = defaultBlueprint.id;
+  picker.style.display = isExamModeSelected() ? 'block' : 'none';
+  renderExamInfo();
+}
+
+// Which tab the dashboard shows (state.mode tracks the running session instead)
+function isExamModeSelected() {
+  const examBtn = document.getElementById('exam-mode-btn');
+  return !examBtn || examBtn.classList.contains('active');
+}
+
+function getSelectedBlueprint() {
+  const select = document.getElementById('blueprint-select');
+  if (!select || state.blueprints.length === 0) return null;
+  return state.blueprints.find(bp => String(bp.id) === select.value) || null;
+}
+
+function renderExamInfo() {
+  const infoList = document.getElementById('mode-info-list');
+  const description = document.getElementById('blueprint-description');
+  if (!infoList || !isExamModeSelected()) return;
+  
+  const bp = getSelectedBlueprint() || { questionCount: 90, durationMinutes: 90, passingScore: 750, pbqCount: 5 };
+  if (description) description.textContent = bp.description || '';
+  
+  infoList.innerHTML = `
+    <li>${bp.questionCount} questions per exam${bp.pbqCount ? ` (including ${bp.pbqCount} performance-based)` : ''}</li>
+    <li>${bp.durationMinutes} minutes time limit</li>
+    <li>Passing score: ${bp.passingScore} on a 100–900 scale</li>
+    <li>Questions are randomly selected from the question bank</li>
+    <li>You can mark questions for review and navigate between them</li>
+    <li>Adaptive exams pick each question from your answers so far and end once your ability is measured precisely</li>
+  `;
+}
+
+// Offer to resume an exam started on another device or left mid-way
+async function refreshResumeButton() {
+  const resumeBtn = document.getElementById('resume-exam-btn');
+  if (!resumeBtn) return;
+  
+  try {
+    const data = await apiCall('/api/exams/in-progress');
+    const minutes = Math.floor(data.timeRemaining / 60);
+    resumeBtn.textContent = `▶ Resume Exam (${Object.keys(data.answers).length} answered, ${minutes} min left)`;
+    resumeBtn.style.display = 'inline-block';
+  } catch (err) {
+    resumeBtn.style.display = 'none';
+  }
+}
+
+async function handleResumeExam() {
+  showLoading('Resuming exam...');
+  const resumed = await resumeExamFromServer();
+  hideLoading();
+  
+  if (!resumed) {
+    showError('dashboard-error', 'No exam in progress to resume');
+    refreshResumeButton();
+    return;
+  }
+  
+  initializeExam();
+  showScreen('exam-screen');
+  document.getElementById('back-to-dashboard-btn').style.display = 'inline-block';
+  startExamClock();
+}
+
+// Start the countdown, or show the pause screen if the exam was left paused
+function startExamClock() {
+  if (state.currentExam.isPaused) {
+    showPauseModal(state.currentExam);
+  } else {
+    startTimer();
+  }
+}
+
 // API Base URL
 const API_URL = window.location.origin;
 
@@ -139,7 +319,9 @@ async function apiCall(endpoint, method = 'GET', body = null) {
   const data = await response.json();
 
   if (!response.ok) {
-    throw new Error(data.error || 'Request failed');
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    throw error;
   }
 
   return data;
@@ -180,6 +362,11 @@ async function handleRegister(e) {
       document.getElementById('logout-btn').style.display = 'inline-block';
       document.getElementById('register-form').reset();
       showScreen('dashboard-screen');
+      refreshResumeButton();
+      loadBlueprints();
+      loadStudyPlan();
+      loadStreak();
+      loadAchievements();
     } else {
       showSuccess('register-success', 'Registration successful! Please login.');
       document.getElementById('register-form').reset();
@@ -233,6 +420,11 @@ async function handleLogin(e) {
     }
     
     showScreen('dashboard-screen');
+    refreshResumeButton();
+    loadBlueprints();
+    loadStudyPlan();
+    loadStreak();
+    loadAchievements();
   } catch (err) {
     console.error('Login error:', err);
     showError('login-error', err.message || 'Login failed. Please try again.');
@@ -256,7 +448,7 @@ function handleLogout() {
   document.getElementById('back-to-dashboard-btn').style.display = 'none';
 }
 
-function checkAuth() {
+async function checkAuth() {
   const token = localStorage.getItem('token');
   const user = localStorage.getItem('user');
   
@@ -274,12 +466,12 @@ function checkAuth() {
       }
     }
     
-    // Try to restore exam state if exists
-    if (loadExamState()) {
+    // Try to resume an in-progress exam from the server
+    if (await resumeExamFromServer()) {
       initializeExam();
       showScreen('exam-screen');
       document.getElementById('back-to-dashboard-btn').style.display = 'inline-block';
-      startTimer();
+      startExamClock();
       
       // Show notification
       const notification = document.createElement('div');
@@ -290,6 +482,11 @@ function checkAuth() {
     } else {
       showScreen('dashboard-screen');
       document.getElementById('back-to-dashboard-btn').style.display = 'none';
+      refreshResumeButton();
+      loadBlueprints();
+      loadStudyPlan();
+      loadStreak();
+      loadAchievements();
     }
   } else {
     showScreen('landing-screen');
@@ -297,22 +494,244 @@ function checkAuth() {
   }
 }
 
+// Streak and daily goal, with days ending at midnight in the browser's time zone
+function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+async function loadStreak() {
+  const widget = document.getElementById('streak-widget');
+  if (!widget) return;
+
+  try {
+    const streak = await apiCall(`/api/activity/streak?tz=${encodeURIComponent(browserTimeZone())}`);
+    renderStreak(streak);
+  } catch (err) {
+    console.error('Failed to load streak:', err);
+  }
+}
+
+function renderStreak(streak) {
+  const days = n => `${n} day${n === 1 ? '' : 's'}`;
+  const unit = streak.goal.type === 'minutes' ? 'minutes' : 'questions';
+
+  document.getElementById('streak-title').textContent = streak.current > 0
+    ? `🔥 ${days(streak.current)} streak`
+    : '🔥 No streak yet';
+  document.getElementById('streak-longest').textContent = streak.current > 0 && !streak.activeToday
+    ? 'Practise today to keep it going'
+    : `Longest: ${days(streak.longest)}`;
+
+  const progress = Math.min(streak.goal.progress, streak.goal.target);
+  document.getElementById('goal-progress-fill').style.width = `${(progress / streak.goal.target) * 100}%`;
+  document.getElementById('goal-progress-text').textContent = streak.goal.met
+    ? `✓ Daily goal met: ${Math.round(streak.goal.progress)} ${unit} today` +
+      (streak.goal.streak > 1 ? ` (${days(streak.goal.streak)} in a row)` : '')
+    : `${Math.round(streak.goal.progress)} / ${streak.goal.target} ${unit} today`;
+
+  document.getElementById('goal-target').value = streak.goal.target;
+  document.getElementById('goal-type').value = streak.goal.type;
+}
+
+async function saveGoal(e) {
+  e.preventDefault();
+  try {
+    await apiCall('/api/activity/goal', 'PUT', {
+      type: document.getElementById('goal-type').value,
+      target: parseInt(document.getElementById('goal-target').value),
+      timezone: browserTimeZone()
+    });
+    document.getElementById('goal-form').style.display = 'none';
+    await loadStreak();
+  } catch (err) {
+    showError('dashboard-error', 'Error saving daily goal: ' + err.message);
+  }
+}
+
+// Achievements: earned badges and progress towards the rest (see achievementRules.js)
+async function loadAchievements() {
+  const grid = document.getElementById('badge-grid');
+  if (!grid) return;
+
+  try {
+    const achievements = await apiCall('/api/achievements');
+    document.getElementById('achievements-count').textContent = `${achievements.earned} of ${achievements.total} earned`;
+    grid.innerHTML = '';
+    achievements.badges.forEach(badge => {
+      const item = document.createElement('div');
+      item.className = 'badge-item' + (badge.earned ? ' earned' : '');
+      item.innerHTML = `
+        <div class="badge-icon"></div>
+        <strong></strong>
+        <small></small>
+        <div class="goal-progress-bar"><div class="goal-progress-fill" style="width: ${Math.round(badge.progress * 100)}%"></div></div>
+      `;
+      // Badges are written by admins, so their text goes in as text
+      item.querySelector('.badge-icon').textContent = badge.icon || '🏆';
+      item.querySelector('strong').textContent = badge.name;
+      item.querySelector('small').textContent = badge.earned
+        ? `Earned ${new Date(badge.awardedAt.replace(' ', 'T') + 'Z').toLocaleDateString()}`
+        : badge.description;
+      item.title = badge.description;
+      grid.appendChild(item);
+    });
+  } catch (err) {
+    console.error('Failed to load achievements:', err);
+  }
+}
+
+// Pop up a notice for each badge the last answer earned
+function announceBadges(badges) {
+  (badges || []).forEach((badge, i) => {
+    const notification = document.createElement('div');
+    notification.className = 'badge-notification';
+    notification.style.top = `${80 + i * 70}px`;
+    notification.textContent = `${badge.icon || '🏆'} Badge earned: ${badge.name}`;
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 5000);
+  });
+}
+
+// Study plan: today's tasks towards the exam date (see studyPlanService.js)
+async function loadStudyPlan() {
+  const widget = document.getElementById('study-plan-widget');
+  if (!widget) return;
+
+  try {
+    state.studyPlan = await apiCall('/api/study-plan');
+  } catch (err) {
+    // 404 means no plan yet: offer the form instead
+    state.studyPlan = null;
+    if (err.status !== 404) console.error('Failed to load study plan:', err);
+  }
+  renderStudyPlan();
+}
+
+function renderStudyPlan() {
+  const plan = state.studyPlan;
+  const form = document.getElementById('study-plan-form');
+  const list = document.getElementById('study-plan-tasks');
+  const countdown = document.getElementById('study-plan-countdown');
+  const progress = document.getElementById('study-plan-progress');
+
+  document.getElementById('study-plan-intro').style.display = plan ? 'none' : 'block';
+  document.getElementById('study-plan-edit-btn').style.display = plan ? 'inline-block' : 'none';
+  document.getElementById('study-plan-delete-btn').style.display = plan ? 'inline-block' : 'none';
+  form.style.display = plan ? 'none' : 'flex';
+  list.innerHTML = '';
+
+  if (!plan) {
+    countdown.textContent = '';
+    progress.textContent = '';
+    return;
+  }
+
+  document.getElementById('study-plan-date').value = plan.examDate;
+  document.getElementById('study-plan-hours').value = plan.weeklyHours;
+  countdown.textContent = `${plan.daysLeft} day${plan.daysLeft === 1 ? '' : 's'} until your exam (${plan.examDate})`;
+
+  if (plan.daysLeft <= 0) {
+    list.innerHTML = '<li class="study-plan-task">Your exam date has passed. Set a new date to plan again.</li>';
+  } else if (plan.today.length === 0) {
+    list.innerHTML = '<li class="study-plan-task">Nothing planned for today. Rest up!</li>';
+  }
+
+  plan.today.forEach(task => {
+    const item = document.createElement('li');
+    item.className = 'study-plan-task' + (task.completed ? ' done' : '');
+    item.innerHTML = `
+      <div>
+        <strong></strong>
+        <small>${task.questionCount} question${task.questionCount === 1 ? '' : 's'} · about ${task.minutes} min</small>
+      </div>
+    `;
+    // Titles carry domain and tag names, so they go in as text
+    item.querySelector('strong').textContent = task.title;
+
+    if (task.completed) {
+      item.insertAdjacentHTML('beforeend', '<span>✓ Done</span>');
+    } else {
+      const startBtn = document.createElement('button');
+      startBtn.className = 'btn btn-primary';
+      startBtn.textContent = 'Start';
+      startBtn.addEventListener('click', () => startPlanTask(task));
+      const doneBtn = document.createElement('button');
+      doneBtn.className = 'btn btn-secondary';
+      doneBtn.textContent = 'Mark done';
+      doneBtn.addEventListener('click', () => markPlanTaskDone(task.id));
+      item.append(startBtn, doneBtn);
+    }
+    list.appendChild(item);
+  });
+
+  const { completed, missed, total } = plan.progress;
+  progress.textContent = `${completed} of ${total} tasks done` + (missed > 0 ? `, ${missed} missed` : '');
+}
+
+async function saveStudyPlan(e) {
+  e.preventDefault();
+  try {
+    state.studyPlan = await apiCall('/api/study-plan', 'PUT', {
+      examDate: document.getElementById('study-plan-date').value,
+      weeklyHours: parseFloat(document.getElementById('study-plan-hours').value)
+    });
+    renderStudyPlan();
+  } catch (err) {
+    showError('dashboard-error', 'Error saving study plan: ' + err.message);
+  }
+}
+
+async function deleteStudyPlan() {
+  if (!confirm('Remove your study plan? Your progress on it will be lost.')) return;
+  try {
+    await apiCall('/api/study-plan', 'DELETE');
+    state.studyPlan = null;
+    renderStudyPlan();
+  } catch (err) {
+    showError('dashboard-error', 'Error removing study plan: ' + err.message);
+  }
+}
+
+function startPlanTask(task) {
+  if (task.type === 'exam') {
+    startExam(false, task.id);
+  } else {
+    beginStudySession(task.options, task.id);
+  }
+}
+
+// Completing a task re-plans the days ahead, so the plan is reloaded afterwards
+async function markPlanTaskDone(taskId) {
+  try {
+    await apiCall(`/api/study-plan/tasks/${taskId}/complete`, 'POST');
+  } catch (err) {
+    console.error('Failed to complete study plan task:', err);
+  }
+  await loadStudyPlan();
+}
+
 // Exam Functions
-async function startExam(isRetakeMissed = false) {
+async function startExam(isRetakeMissed = false, planTaskId = null) {
   showLoading('Starting exam...');
   try {
+    const blueprint = getSelectedBlueprint();
     const data = await apiCall(
       isRetakeMissed ? '/api/exams/retake-missed' : '/api/exams/start',
       'POST',
-      { isRetakeMissed }
+      blueprint ? { isRetakeMissed, blueprintId: blueprint.id } : { isRetakeMissed }
     );
     
+    state.mode = 'exam';
+    state.planTaskId = planTaskId;
     state.currentExam = data;
     state.currentQuestionIndex = 0;
     state.answers = {};
     state.markedForReview = new Set();
-    state.timeRemaining = data.duration * 60;
+    state.timeRemaining = data.timeRemaining || data.duration * 60;
     state.examStartTime = Date.now();
+    state.questionTimes = {};
+    state.savedSnapshots = {};
+    cancelPendingSaves();
     
     saveExamState(); // Save initial state
     initializeExam();
@@ -320,12 +739,82 @@ async function startExam(isRetakeMissed = false) {
     showScreen('exam-screen');
     document.getElementById('back-to-dashboard-btn').style.display = 'inline-block';
     startTimer();
+    if (data.shortened) {
+      showError('exam-error', `Only ${data.totalQuestions} distinct questions are available, so this exam is shorter than the ${data.requestedQuestions} the blueprint asks for`);
+    }
   } catch (err) {
     hideLoading();
     showError('dashboard-error', 'Error starting exam: ' + err.message);
   }
 }
 
+// Adaptive exam: the server picks each question from the answers so far,
+// so questions arrive one at a time and answers are final
+async function startAdaptiveExam() {
+  showLoading('Starting adaptive exam...');
+  try {
+    const blueprint = getSelectedBlueprint();
+    const data = await apiCall('/api/exams/adaptive/start', 'POST', blueprint ? { blueprintId: blueprint.id } : {});
+    
+    state.mode = 'exam';
+    state.currentExam = { ...data, questions: [data.question] };
+    state.currentQuestionIndex = 0;
+    state.answers = {};
+    state.markedForReview = new Set();
+    state.timeRemaining = data.timeRemaining;
+    state.examStartTime = Date.now();
+    state.questionTimes = {};
+    state.savedSnapshots = {};
+    cancelPendingSaves();
+    
+    saveExamState();
+    initializeExam();
+    hideLoading();
+    showScreen('exam-screen');
+    document.getElementById('back-to-dashboard-btn').style.display = 'inline-block';
+    startTimer();
+  } catch (err) {
+    hideLoading();
+    showError('dashboard-error', 'Error starting adaptive exam: ' + err.message);
+  }
+}
+
+// Send the answer to the current adaptive question; the reply is the next question or the result
+async function submitAdaptiveAnswer() {
+  const questionNum = state.currentQuestionIndex + 1;
+  const answer = state.answers[questionNum];
+  if (!answer) {
+    showError('exam-error', 'Choose an answer first: the next question depends on it');
+    return;
+  }
+  
+  const nextBtn = document.getElementById('next-btn');
+  nextBtn.disabled = true;
+  try {
+    const data = await apiCall(`/api/exams/${state.currentExam.examId}/adaptive/answer`, 'POST', {
+      questionNumber: questionNum,
+      answer,
+      timeSpent: state.questionTimes[questionNum] || 0
+    });
+    
+    if (data.finished) {
+      if (state.timerInterval) clearInterval(state.timerInterval);
+      document.getElementById('back-to-dashboard-btn').style.display = 'none';
+      announceBadges(data.newBadges);
+      showExamResults(data.result);
+      return;
+    }
+    
+    state.currentExam.questions.push(data.question);
+    state.currentQuestionIndex = state.currentExam.questions.length - 1;
+    state.timeRemaining = Math.min(state.timeRemaining, data.timeRemaining);
+    initializeExam();
+  } catch (err) {
+    nextBtn.disabled = false;
+    showError('exam-error', 'Error submitting answer: ' + err.message);
+  }
+}
+
 function initializeExam() {
   // Create question grid
   const grid = document.getElementById('question-grid');
@@ -335,6 +824,8 @@ function initializeExam() {
     const btn = document.createElement('button');
     btn.className = 'grid-item';
     btn.textContent = i + 1;
+    // Answered adaptive questions cannot be revisited
+    btn.disabled = Boolean(state.currentExam.adaptive);
     btn.onclick = () => navigateToQuestion(i);
     grid.appendChild(btn);
   }
@@ -366,6 +857,16 @@ function displayQuestion() {
       renderOrderingPBQ(pbqData, userAnswer, questionNum);
     } else if (pbqData && pbqData.type === 'matching') {
       renderMatchingPBQ(pbqData, userAnswer, questionNum);
+    } else if (pbqData && pbqData.type === 'categorize') {
+      renderCategorizePBQ(pbqData, userAnswer, questionNum);
+    } else if (pbqData && pbqData.type === 'firewall_rules') {
+      renderFirewallRulesPBQ(pbqData, userAnswer, questionNum);
+    } else if (pbqData && pbqData.type === 'log_analysis') {
+      renderLogAnalysisPBQ(pbqData, userAnswer, questionNum);
+    } else if (pbqData && pbqData.type === 'placement') {
+      renderPlacementPBQ(pbqData, userAnswer, questionNum);
+    } else if (pbqData && pbqData.type === 'fill_in') {
+      renderFillInPBQ(pbqData, userAnswer, questionNum);
     } else {
       choicesContainer.innerHTML = '<p class="error">Unsupported PBQ type</p>';
     }
@@ -415,12 +916,26 @@ function displayQuestion() {
     markBtn.classList.remove('marked');
   }
   
-  // Update navigation buttons
+  // Update navigation buttons (adaptive exams hide some of them below)
   document.getElementById('prev-btn').disabled = state.currentQuestionIndex === 0;
+  document.getElementById('prev-btn').style.display = 'inline-block';
+  document.getElementById('clear-answer-btn').style.display = 'inline-block';
+  document.getElementById('next-btn').textContent = 'Next →';
   
   const isLastQuestion = state.currentQuestionIndex === state.currentExam.questions.length - 1;
   
-  if (state.mode === 'study') {
+  if (state.mode === 'exam' && state.currentExam.adaptive) {
+    // Answers are final and the next question depends on them
+    document.getElementById('exit-study-btn').style.display = 'none';
+    document.getElementById('mark-review-btn').style.display = 'none';
+    document.getElementById('clear-answer-btn').style.display = 'none';
+    document.getElementById('prev-btn').style.display = 'none';
+    document.getElementById('finish-study-btn').style.display = 'none';
+    document.getElementById('next-btn').style.display = 'inline-block';
+    document.getElementById('next-btn').disabled = false;
+    document.getElementById('next-btn').textContent = 'Submit Answer →';
+    document.getElementById('total-questions').textContent = `up to ${state.currentExam.maxQuestions}`;
+  } else if (state.mode === 'study') {
     // Show exit button in study mode
     document.getElementById('exit-study-btn').style.display = 'inline-block';
     document.getElementById('mark-review-btn').style.display = 'none';
@@ -443,7 +958,7 @@ function displayQuestion() {
     document.getElementById('finish-study-btn').style.display = 'none';
     document.getElementById('next-btn').style.display = 'inline-block';
     document.getElementById('next-btn').disabled = isLastQuestion;
-    document.getElementById('total-questions').textContent = '90';
+    document.getElementById('total-questions').textContent = state.currentExam.questions.length;
   }
   
   updateQuestionGrid();
@@ -595,6 +1110,336 @@ function renderMatchingPBQ(pbqData, userAnswer, questionNum) {
   });
 }
 
+// Firewall rule grid columns; every column but the action also offers "any"
+const FIREWALL_COLUMNS = ['source', 'destination', 'port', 'protocol', 'action'];
+
+function firewallValueLabel(value) {
+  return value === 'any' ? 'Any' : value;
+}
+
+function formatFirewallRule(rule) {
+  return `${rule.action === 'allow' ? 'Allow' : 'Deny'} ${firewallValueLabel(rule.source)} → ${firewallValueLabel(rule.destination)}, ${firewallValueLabel(rule.protocol)}/${firewallValueLabel(rule.port)}`;
+}
+
+function renderFirewallRulesPBQ(pbqData, userAnswer, questionNum) {
+  const fields = pbqData.fields || {};
+  const rowCount = pbqData.rows || 5;
+  const rules = userAnswer?.rules || [];
+  const requirements = pbqData.requirements || [];
+  const container = document.getElementById('choices-container');
+  
+  container.innerHTML = `
+    <div class="pbq-container pbq-firewall">
+      <div class="pbq-header">
+        <span class="pbq-badge">Performance-Based Question</span>
+      </div>
+      <p class="pbq-prompt">${pbqData.prompt || 'Configure the firewall rules:'}</p>
+      ${requirements.length > 0 ? `<ul class="pbq-firewall-requirements">${requirements.map(r => `<li>${r}</li>`).join('')}</ul>` : ''}
+      <p class="pbq-helper-text">💡 Rules are checked top to bottom and the first match wins; traffic no rule matches is denied</p>
+      <table class="firewall-table">
+        <thead>
+          <tr><th>#</th><th>Source</th><th>Destination</th><th>Port</th><th>Protocol</th><th>Action</th></tr>
+        </thead>
+        <tbody id="pbq-firewall-rows"></tbody>
+      </table>
+    </div>
+  `;
+  
+  const body = document.getElementById('pbq-firewall-rows');
+  for (let row = 0; row < rowCount; row++) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td class="firewall-row-number">${row + 1}</td>`;
+    
+    FIREWALL_COLUMNS.forEach(column => {
+      const values = column === 'action' ? ['allow', 'deny'] : ['any', ...(fields[column] || [])];
+      const select = document.createElement('select');
+      select.className = 'pbq-firewall-select';
+      select.innerHTML = '<option value="">--</option>';
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = column === 'action' ? value.toUpperCase() : firewallValueLabel(value);
+        if (rules[row] && rules[row][column] === value) option.selected = true;
+        select.appendChild(option);
+      });
+      
+      select.onchange = () => {
+        const current = state.answers[questionNum] || { type: 'firewall_rules', rules: [] };
+        // One entry per row up to this one, so row numbers survive JSON
+        for (let i = 0; i <= row; i++) current.rules[i] = current.rules[i] || {};
+        if (select.value === '') {
+          delete current.rules[row][column];
+        } else {
+          current.rules[row][column] = select.value;
+        }
+        state.answers[questionNum] = current;
+        updateQuestionGrid();
+      };
+      
+      const td = document.createElement('td');
+      td.appendChild(select);
+      tr.appendChild(td);
+    });
+    
+    body.appendChild(tr);
+  }
+}
+
+function renderLogAnalysisPBQ(pbqData, userAnswer, questionNum) {
+  const marked = userAnswer?.lines || [];
+  const container = document.getElementById('choices-container');
+  
+  container.innerHTML = `
+    <div class="pbq-container pbq-log-analysis">
+      <div class="pbq-header">
+        <span class="pbq-badge">Performance-Based Question</span>
+      </div>
+      <p class="pbq-prompt">${pbqData.prompt || 'Review the log and identify the attack:'}</p>
+      <p class="pbq-helper-text">💡 Click every suspicious line, then classify the activity</p>
+      <h4 class="pbq-section-title" id="pbq-log-title"></h4>
+      <div class="pbq-log" id="pbq-log-lines"></div>
+      <h4 class="pbq-section-title">Classification</h4>
+      <select class="pbq-matching-select pbq-log-classification" id="pbq-log-classification"></select>
+    </div>
+  `;
+  document.getElementById('pbq-log-title').textContent = pbqData.log_source || 'Log';
+  
+  // Keep the rest of the answer when one part changes
+  const update = change => {
+    const current = state.answers[questionNum] || { type: 'log_analysis', lines: [] };
+    state.answers[questionNum] = { ...current, ...change };
+    updateQuestionGrid();
+  };
+  
+  const linesDiv = document.getElementById('pbq-log-lines');
+  (pbqData.lines || []).forEach((line, index) => {
+    const label = document.createElement('label');
+    label.className = `pbq-log-line${marked.includes(index) ? ' marked' : ''}`;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = marked.includes(index);
+    checkbox.onchange = () => {
+      const lines = (state.answers[questionNum]?.lines || []).filter(i => i !== index);
+      if (checkbox.checked) lines.push(index);
+      label.classList.toggle('marked', checkbox.checked);
+      update({ lines: lines.sort((a, b) => a - b) });
+    };
+    
+    const number = document.createElement('span');
+    number.className = 'pbq-log-number';
+    number.textContent = index + 1;
+    const text = document.createElement('code');
+    text.textContent = line;
+    
+    label.appendChild(checkbox);
+    label.appendChild(number);
+    label.appendChild(text);
+    linesDiv.appendChild(label);
+  });
+  
+  const select = document.getElementById('pbq-log-classification');
+  select.innerHTML = '<option value="">-- Select --</option>';
+  (pbqData.classifications || []).forEach((classification, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = classification;
+    if (userAnswer?.classification === index) option.selected = true;
+    select.appendChild(option);
+  });
+  select.onchange = () => {
+    update({ classification: select.value === '' ? null : parseInt(select.value) });
+  };
+}
+
+// Bucket an item was sorted into, null for items still in the pool
+function categorizedBucket(pbqData, map, itemIndex) {
+  const bucket = map[itemIndex] === undefined || map[itemIndex] === null ? null : Number(map[itemIndex]);
+  return Number.isInteger(bucket) && bucket >= 0 && bucket < (pbqData.buckets || []).length ? bucket : null;
+}
+
+function renderCategorizePBQ(pbqData, userAnswer, questionNum) {
+  const map = userAnswer?.map || {};
+  const container = document.getElementById('choices-container');
+  const itemsIn = bucket => (pbqData.items || [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ index }) => categorizedBucket(pbqData, map, index) === bucket)
+    .map(({ item, index }) => `<div class="pbq-tile" data-tile="${index}">${escapeHtml(item)}</div>`)
+    .join('');
+  const buckets = (pbqData.buckets || []).map((bucket, index) => `
+    <div class="pbq-zone pbq-bucket" data-zone="${index}">
+      <div class="pbq-zone-label">${escapeHtml(bucket)}</div>
+      <div class="pbq-zone-tiles">${itemsIn(index)}</div>
+    </div>
+  `).join('');
+  
+  container.innerHTML = `
+    <div class="pbq-container pbq-categorize" id="pbq-categorize">
+      <div class="pbq-header">
+        <span class="pbq-badge">Performance-Based Question</span>
+      </div>
+      <p class="pbq-prompt">${pbqData.prompt || 'Sort each item into its category:'}</p>
+      <p class="pbq-helper-text">💡 Drag each item into its category, or select an item and then a category. A category can hold any number of items</p>
+      <div class="pbq-buckets">${buckets}</div>
+      <div class="pbq-zone pbq-tile-pool" data-zone="">
+        <div class="pbq-zone-label">Items</div>
+        <div class="pbq-zone-tiles">${itemsIn(null)}</div>
+      </div>
+    </div>
+  `;
+  
+  // Buckets use the placement drag-and-drop from pbq.js
+  if (window.initPBQPlacement) {
+    window.initPBQPlacement(document.getElementById('pbq-categorize'), (itemIndex, bucket) => {
+      const current = state.answers[questionNum] || { type: 'categorize', map: {} };
+      const next = { ...current.map };
+      if (bucket === null) {
+        delete next[itemIndex];
+      } else {
+        next[itemIndex] = parseInt(bucket);
+      }
+      state.answers[questionNum] = { type: 'categorize', map: next };
+      updateQuestionGrid();
+    });
+  }
+}
+
+function fillInBlankLabel(blanks, index) {
+  return (blanks[index] && blanks[index].label) || `Blank ${index + 1}`;
+}
+
+// Template text with renderBlank(index) in place of each {n} placeholder
+function renderFillInTemplate(template, renderBlank) {
+  return template.split(/(\{\d+\})/).map(part => {
+    const placeholder = part.match(/^\{(\d+)\}$/);
+    return placeholder ? renderBlank(Number(placeholder[1])) : escapeHtml(part);
+  }).join('');
+}
+
+function renderFillInPBQ(pbqData, userAnswer, questionNum) {
+  const values = userAnswer?.values || [];
+  const blanks = pbqData.blanks || [];
+  const container = document.getElementById('choices-container');
+  const input = index => `<input type="text" class="pbq-fill-in-input" data-blank="${index}" value="${escapeHtml(values[index] || '')}" aria-label="${escapeHtml(fillInBlankLabel(blanks, index))}" autocomplete="off" autocapitalize="off" spellcheck="false" maxlength="200">`;
+  const fields = pbqData.template
+    ? `<pre class="pbq-fill-in-template"><code>${renderFillInTemplate(pbqData.template, input)}</code></pre>`
+    : blanks.map((_, index) => `
+      <label class="pbq-fill-in-blank"><span>${escapeHtml(fillInBlankLabel(blanks, index))}</span>${input(index)}</label>
+    `).join('');
+  
+  container.innerHTML = `
+    <div class="pbq-container pbq-fill-in">
+      <div class="pbq-header">
+        <span class="pbq-badge">Performance-Based Question</span>
+      </div>
+      <p class="pbq-prompt">${pbqData.prompt || 'Complete the command:'}</p>
+      <p class="pbq-helper-text">💡 Type your answer in each blank. Extra spaces are ignored</p>
+      ${fields}
+    </div>
+  `;
+  
+  container.querySelectorAll('.pbq-fill-in-input').forEach(field => {
+    field.addEventListener('input', () => {
+      const current = state.answers[questionNum] || { type: 'fill_in', values: [] };
+      const next = blanks.map((_, index) => current.values?.[index] ?? '');
+      next[parseInt(field.dataset.blank)] = field.value;
+      state.answers[questionNum] = { type: 'fill_in', values: next };
+      updateQuestionGrid();
+    });
+  });
+}
+
+const PLACEMENT_DEFAULT_COLUMNS = 4;
+
+// Grid cell of every zone: the author's row and column, or left to right in rows of four
+function placementLayout(zones) {
+  const positioned = zones.length > 0 && zones.every(zone => zone.row && zone.column);
+  const cells = zones.map((zone, index) => positioned
+    ? { row: zone.row, column: zone.column }
+    : { row: Math.floor(index / PLACEMENT_DEFAULT_COLUMNS) + 1, column: index % PLACEMENT_DEFAULT_COLUMNS + 1 });
+  return {
+    cells,
+    rows: Math.max(1, ...cells.map(cell => cell.row)),
+    columns: Math.max(1, ...cells.map(cell => cell.column))
+  };
+}
+
+// Zones on a grid with the links drawn between their centres. Grid cells are all
+// the same size, so the SVG can use grid units instead of measuring the page.
+function renderPlacementDiagram(pbqData, zoneContent, zoneClass = () => '') {
+  const zones = pbqData.zones || [];
+  const { cells, rows, columns } = placementLayout(zones);
+  const centre = id => {
+    const cell = cells[zones.findIndex(zone => zone.id === id)];
+    return cell && { x: cell.column - 0.5, y: cell.row - 0.5 };
+  };
+  const links = (pbqData.links || []).map(([a, b]) => {
+    const from = centre(a);
+    const to = centre(b);
+    return from && to ? `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"></line>` : '';
+  }).join('');
+  
+  let html = `<div class="pbq-diagram" style="grid-template-columns: repeat(${columns}, minmax(0, 1fr)); grid-template-rows: repeat(${rows}, 1fr);">`;
+  html += `<svg class="pbq-diagram-links" viewBox="0 0 ${columns} ${rows}" preserveAspectRatio="none" aria-hidden="true">${links}</svg>`;
+  zones.forEach((zone, index) => {
+    html += `
+      <div class="pbq-zone ${zoneClass(zone)}" data-zone="${escapeHtml(zone.id)}" style="grid-row: ${cells[index].row}; grid-column: ${cells[index].column};">
+        <div class="pbq-zone-label">${escapeHtml(zone.label)}</div>
+        <div class="pbq-zone-tiles">${zoneContent(zone)}</div>
+      </div>
+    `;
+  });
+  html += '</div>';
+  return html;
+}
+
+// Zone a tile was dropped in, null for tiles still in the pool
+function placedZone(pbqData, placements, tileIndex) {
+  const zone = placements[tileIndex];
+  return (pbqData.zones || []).some(z => z.id === zone) ? zone : null;
+}
+
+function renderPlacementPBQ(pbqData, userAnswer, questionNum) {
+  const placements = userAnswer?.placements || {};
+  const tiles = pbqData.tiles || [];
+  const container = document.getElementById('choices-container');
+  const tilesIn = zoneId => tiles
+    .map((tile, index) => ({ tile, index }))
+    .filter(({ index }) => placedZone(pbqData, placements, index) === zoneId)
+    .map(({ tile, index }) => `<div class="pbq-tile" data-tile="${index}">${escapeHtml(tile)}</div>`)
+    .join('');
+  
+  container.innerHTML = `
+    <div class="pbq-container pbq-placement" id="pbq-placement">
+      <div class="pbq-header">
+        <span class="pbq-badge">Performance-Based Question</span>
+      </div>
+      <p class="pbq-prompt">${pbqData.prompt || 'Place each control where it belongs:'}</p>
+      <p class="pbq-helper-text">💡 Drag each control onto a zone, or select a control and then a zone. Not every control has to be used</p>
+      ${renderPlacementDiagram(pbqData, zone => tilesIn(zone.id))}
+      <div class="pbq-zone pbq-tile-pool" data-zone="">
+        <div class="pbq-zone-label">Controls</div>
+        <div class="pbq-zone-tiles">${tilesIn(null)}</div>
+      </div>
+    </div>
+  `;
+  
+  // Drag-and-drop lives in pbq.js, which loads as a module
+  if (window.initPBQPlacement) {
+    window.initPBQPlacement(document.getElementById('pbq-placement'), (tileIndex, zoneId) => {
+      const current = state.answers[questionNum] || { type: 'placement', placements: {} };
+      const next = { ...current.placements };
+      if (zoneId === null) {
+        delete next[tileIndex];
+      } else {
+        next[tileIndex] = zoneId;
+      }
+      state.answers[questionNum] = { type: 'placement', placements: next };
+      updateQuestionGrid();
+    });
+  }
+}
+
 function initOrderingDragDrop(list, questionNum) {
   let draggedItem = null;
   
@@ -661,6 +1506,7 @@ function updateQuestionGrid() {
   });
   
   saveExamState(); // Save state on any update
+  queueAnswerSave(state.currentQuestionIndex + 1);
 }
 
 function navigateToQuestion(index) {
@@ -678,6 +1524,11 @@ function handlePrevious() {
 function handleNext() {
   const questionNum = state.currentQuestionIndex + 1;
   
+  if (state.mode === 'exam' && state.currentExam.adaptive) {
+    submitAdaptiveAnswer();
+    return;
+  }
+  
   // Warn if question is unanswered
   if (!state.answers[questionNum] && state.mode === 'exam') {
     const confirmed = confirm('You haven\'t answered this question yet. Do you want to proceed anyway?');
@@ -722,6 +1573,11 @@ function startTimer() {
   state.timerInterval = setInterval(() => {
     state.timeRemaining--;
     
+    if (state.mode === 'exam') {
+      const questionNum = state.currentQuestionIndex + 1;
+      state.questionTimes[questionNum] = (state.questionTimes[questionNum] || 0) + 1;
+    }
+    
     if (state.timeRemaining <= 0) {
       clearInterval(state.timerInterval);
       alert('Time is up! Submitting exam...');
@@ -751,25 +1607,27 @@ async function submitExam() {
   submitBtn.disabled = true;
   document.getElementById('back-to-dashboard-btn').style.display = 'none';
   
+  cancelPendingSaves(); // The submission carries every answer
   showLoading('Submitting exam...');
   const timeUsed = Math.floor((Date.now() - state.examStartTime) / 1000);
   
   try {
-    const results = await apiCall(
-      `/api/exams/${state.currentExam.examId}/submit`,
-      'POST',
-      { 
-        answers: state.answers, 
-        timeUsed,
-        attemptId: state.currentExam.attemptId 
-      }
-    );
+    // An adaptive exam ends now and is scored from the answers given so far
+    const results = state.currentExam.adaptive
+      ? await apiCall(`/api/exams/${state.currentExam.examId}/adaptive/finish`, 'POST')
+      : await apiCall(
+        `/api/exams/${state.currentExam.examId}/submit`,
+        'POST',
+        { 
+          answers: state.answers, 
+          timeUsed,
+          attemptId: state.currentExam.attemptId,
+          questionTimes: state.questionTimes
+        }
+      );
     
-    clearExamState(); // Clear saved state after successful submit
-    document.getElementById('timer-bar').style.display = 'none';
     hideLoading();
-    displayResults(results);
-    showScreen('results-screen');
+    showExamResults(results);
   } catch (err) {
     hideLoading();
     submitBtn.classList.remove('loading');
@@ -779,6 +1637,33 @@ async function submitExam() {
   }
 }
 
+function showExamResults(results) {
+  clearExamState(); // Clear saved state after successful submit
+  if (state.planTaskId) {
+    markPlanTaskDone(state.planTaskId);
+    state.planTaskId = null;
+  }
+  document.getElementById('timer-bar').style.display = 'none';
+  displayResults(results);
+  showScreen('results-screen');
+  announceBadges(results.newBadges);
+}
+
+// Why an adaptive exam ended (see adaptiveTesting.js)
+const STOP_REASONS = {
+  precision: 'your ability was measured precisely enough',
+  'max-questions': 'the question limit was reached',
+  'bank-exhausted': 'no more questions were left to serve',
+  'time-limit': 'time ran out',
+  'ended-early': 'you ended the exam early'
+};
+
+// Ability estimate of an adaptive exam, e.g. "0.42 ± 0.28 logits"
+function formatAbility(ability) {
+  if (!ability || ability.theta === null || ability.theta === undefined) return '—';
+  return `${ability.theta.toFixed(2)} ± ${ability.standardError.toFixed(2)} logits`;
+}
+
 function displayResults(results) {
   const summaryDiv = document.getElementById('score-summary');
   const passed = results.passed;
@@ -786,10 +1671,14 @@ function displayResults(results) {
   summaryDiv.innerHTML = `
     <div class="score-card ${passed ? 'passed' : 'failed'}">
       <h3>${passed ? '✓ PASSED' : '✗ FAILED'}</h3>
-      <div class="score-value">${results.score}%</div>
+      <div class="score-value">${formatScaledScore(results)}</div>
       <div class="score-details">
-        <p><strong>${results.correctCount}</strong> correct out of <strong>${results.answeredCount}</strong> answered</p>
-        <p><strong>${results.totalQuestions - results.answeredCount}</strong> questions not answered</p>
+        <p>Passing score: <strong>${results.passingScore || 750}</strong> on a 100–900 scale</p>
+        <p><strong>${results.correctCount}</strong> correct out of <strong>${results.answeredCount}</strong> answered (${results.score}%)</p>
+        ${results.adaptive
+          ? `<p>Ability estimate: <strong>${formatAbility(results.ability)}</strong></p>
+             <p>Adaptive exam ended because ${STOP_REASONS[results.stopReason] || results.stopReason}</p>`
+          : `<p><strong>${results.totalQuestions - results.answeredCount}</strong> questions not answered</p>`}
         <p>Time used: <strong>${Math.floor(results.timeUsed / 60)} minutes ${results.timeUsed % 60} seconds</strong></p>
       </div>
     </div>
@@ -813,6 +1702,14 @@ function displayResults(results) {
   state.currentResults = results;
 }
 
+// Scaled score display, falling back to the raw percentage for older attempts
+function formatScaledScore(result) {
+  if (result.scaledScore === null || result.scaledScore === undefined) {
+    return `${result.score}%`;
+  }
+  return `${result.scaledScore} / ${result.maxScore || 900}`;
+}
+
 function displayReview() {
   const reviewContainer = document.getElementById('review-container');
   const reviewQuestions = document.getElementById('review-questions');
@@ -827,7 +1724,24 @@ function displayReview() {
   }).join('');
 }
 
+// Notes on what the student got wrong, e.g. why the picked choice is wrong (see answerExplanations.js)
+function renderMistakeExplanations(mistakes, qtype) {
+  if (!Array.isArray(mistakes) || mistakes.length === 0) return '';
+  
+  return `
+    <div class="why-wrong">
+      ${mistakes.map(m => {
+        let title = 'Why your answer is wrong:';
+        if (m.target !== null && qtype === 'pbq') title = `${m.label || `Item ${m.target + 1}`}:`;
+        else if (m.target !== null) title = `Why ${m.target} is wrong:`;
+        return `<p><strong>${title}</strong> ${m.explanation}</p>`;
+      }).join('')}
+    </div>
+  `;
+}
+
 function renderMCQReviewItem(q) {
+  const choiceNotes = q.choiceExplanations || {};
   return `
     <div class="review-question ${q.isCorrect ? 'correct' : 'incorrect'}">
       <div class="review-header">
@@ -843,15 +1757,22 @@ function renderMCQReviewItem(q) {
           if (choice === q.correctAnswer) className += ' correct-answer';
           if (choice === q.userAnswer && !q.isCorrect) className += ' wrong-answer';
           
+          // The student's own wrong pick is explained under the choices
+          const note = choiceNotes[choice] && !(choice === q.userAnswer && !q.isCorrect)
+            ? `<div class="review-choice-note">${choiceNotes[choice]}</div>`
+            : '';
+          
           return `
             <div class="${className}">
               <strong>${choice}.</strong> ${q.choices[choice]}
               ${choice === q.userAnswer ? ' <em>(Your answer)</em>' : ''}
               ${choice === q.correctAnswer ? ' <em>(Correct answer)</em>' : ''}
+              ${note}
             </div>
           `;
         }).join('')}
       </div>
+      ${renderMistakeExplanations(q.mistakeExplanations, 'mcq')}
       <div class="review-explanation">
         <strong>Explanation:</strong> ${q.explanation}
       </div>
@@ -870,26 +1791,44 @@ function renderPBQReviewItem(q) {
   
   let comparisonHTML = '';
   
+  const breakdown = Array.isArray(q.breakdown) ? q.breakdown : null;
+  
   if (correctData && correctData.type === 'multi_select') {
-    comparisonHTML = renderMultiSelectReview(correctData, q.userAnswer);
+    comparisonHTML = renderMultiSelectReview(correctData, q.userAnswer, breakdown);
   } else if (correctData && correctData.type === 'ordering') {
-    comparisonHTML = renderOrderingReview(correctData, q.userAnswer);
+    comparisonHTML = renderOrderingReview(correctData, q.userAnswer, breakdown);
   } else if (correctData && correctData.type === 'matching') {
-    comparisonHTML = renderMatchingReview(correctData, q.userAnswer);
+    comparisonHTML = renderMatchingReview(correctData, q.userAnswer, breakdown);
+  } else if (correctData && correctData.type === 'categorize') {
+    comparisonHTML = renderCategorizeReview(correctData, q.userAnswer, breakdown);
+  } else if (correctData && correctData.type === 'firewall_rules') {
+    comparisonHTML = renderFirewallRulesReview(correctData, q.userAnswer, breakdown);
+  } else if (correctData && correctData.type === 'log_analysis') {
+    comparisonHTML = renderLogAnalysisReview(correctData, q.userAnswer, breakdown);
+  } else if (correctData && correctData.type === 'placement') {
+    comparisonHTML = renderPlacementReview(correctData, q.userAnswer, breakdown);
+  } else if (correctData && correctData.type === 'fill_in') {
+    comparisonHTML = renderFillInReview(correctData, q.userAnswer, breakdown);
   } else {
     comparisonHTML = '<p>Unable to display PBQ comparison</p>';
   }
   
+  const status = q.isCorrect ? 'correct' : q.isPartial ? 'partial' : 'incorrect';
+  const badgeText = q.isCorrect
+    ? '✓ Correct'
+    : q.isPartial ? `◐ Partial credit (${Math.round((q.points || 0) * 100)}%)` : '✗ Incorrect';
+  
   return `
-    <div class="review-question pbq-review ${q.isCorrect ? 'correct' : 'incorrect'}">
+    <div class="review-question pbq-review ${status}">
       <div class="review-header">
         <h4>Question ${q.questionNumber} (PBQ)</h4>
-        <span class="review-badge ${q.isCorrect ? 'correct' : 'incorrect'}">
-          ${q.isCorrect ? '✓ Correct' : '✗ Incorrect'}
+        <span class="review-badge ${status}">
+          ${badgeText}
         </span>
       </div>
       <p class="review-question-text">${q.question}</p>
       ${comparisonHTML}
+      ${renderMistakeExplanations(q.mistakeExplanations, 'pbq')}
       <div class="review-explanation">
         <strong>Explanation:</strong> ${q.explanation}
       </div>
@@ -898,11 +1837,18 @@ function renderPBQReviewItem(q) {
   `;
 }
 
-function renderMultiSelectReview(correctData, userAnswer) {
+function renderMultiSelectReview(correctData, userAnswer, breakdown) {
   const userSelected = userAnswer?.selected || [];
   const correctIndices = correctData.correct || [];
   const options = correctData.options || [];
   
+  // Breakdown entries flag each option; fall back to comparing against the key
+  const expectedFor = idx => {
+    const entry = breakdown && breakdown.find(b => b.index === idx);
+    return entry ? entry.expected : correctIndices.includes(idx);
+  };
+  const missed = correctIndices.filter(idx => !userSelected.includes(idx));
+  
   let html = '<div class="pbq-review-multi-select"><div class="pbq-review-columns">';
   html += '<div class="pbq-review-column"><p><strong>Your selections:</strong></p><ul>';
   
@@ -910,10 +1856,12 @@ function renderMultiSelectReview(correctData, userAnswer) {
     html += '<li class="not-answered">No selections made</li>';
   } else {
     userSelected.forEach(idx => {
-      const isCorrectChoice = correctIndices.includes(idx);
-      html += `<li class="${isCorrectChoice ? 'correct-choice' : 'wrong-choice'}">${options[idx]}</li>`;
+      html += `<li class="${expectedFor(idx) ? 'correct-choice' : 'wrong-choice'}">${options[idx]}</li>`;
     });
   }
+  missed.forEach(idx => {
+    html += `<li class="missed-choice">${options[idx]} <em>(missed)</em></li>`;
+  });
   
   html += '</ul></div><div class="pbq-review-column"><p><strong>Correct answer:</strong></p><ul>';
   correctIndices.forEach(idx => {
@@ -924,7 +1872,7 @@ function renderMultiSelectReview(correctData, userAnswer) {
   return html;
 }
 
-function renderOrderingReview(correctData, userAnswer) {
+function renderOrderingReview(correctData, userAnswer, breakdown) {
   const userOrder = userAnswer?.order || [];
   const correctOrder = correctData.correct_order || [];
   const items = correctData.items || correctData.options || [];
@@ -936,7 +1884,8 @@ function renderOrderingReview(correctData, userAnswer) {
     html += '<li class="not-answered">Not answered</li>';
   } else {
     userOrder.forEach((idx, pos) => {
-      const isCorrectPos = correctOrder[pos] === idx;
+      const entry = breakdown && breakdown.find(b => b.position === pos);
+      const isCorrectPos = entry ? entry.correct : correctOrder[pos] === idx;
       html += `<li class="${isCorrectPos ? 'correct-pos' : 'wrong-pos'}">${items[idx]}</li>`;
     });
   }
@@ -950,7 +1899,7 @@ function renderOrderingReview(correctData, userAnswer) {
   return html;
 }
 
-function renderMatchingReview(correctData, userAnswer) {
+function renderMatchingReview(correctData, userAnswer, breakdown) {
   const userMap = userAnswer?.map || {};
   const correctMap = correctData.correct_map || {};
   const left = correctData.left || [];
@@ -962,7 +1911,8 @@ function renderMatchingReview(correctData, userAnswer) {
   left.forEach((leftItem, leftIdx) => {
     const userRightIdx = userMap[leftIdx];
     const correctRightIdx = correctMap[leftIdx];
-    const isCorrectMatch = userRightIdx == correctRightIdx;
+    const entry = breakdown && breakdown.find(b => b.left === leftIdx);
+    const isCorrectMatch = entry ? entry.correct : userRightIdx == correctRightIdx;
     
     html += `<tr class="${isCorrectMatch ? 'correct-row' : 'wrong-row'}">`;
     html += `<td><strong>${leftIdx + 1}.</strong> ${leftItem}</td>`;
@@ -975,6 +1925,206 @@ function renderMatchingReview(correctData, userAnswer) {
   return html;
 }
 
+// Traffic the student's rules handle differently from the expected rules (see scoreFirewallRules)
+const FIREWALL_REVIEW_FLOW_LIMIT = 10;
+
+function renderFirewallTable(rules, wrongRows) {
+  let html = '<table class="matching-table firewall-table"><thead><tr><th>#</th><th>Rule</th></tr></thead><tbody>';
+  rules.forEach((rule, index) => {
+    const isComplete = rule && FIREWALL_COLUMNS.every(column => rule[column]);
+    if (!isComplete) return;
+    html += `<tr class="${wrongRows.has(index) ? 'wrong-row' : ''}"><td>${index + 1}</td><td>${formatFirewallRule(rule)}</td></tr>`;
+  });
+  html += '<tr><td>—</td><td><em>Deny everything else (implicit deny)</em></td></tr>';
+  html += '</tbody></table>';
+  return html;
+}
+
+function renderCategorizeReview(correctData, userAnswer, breakdown) {
+  const map = userAnswer?.map || {};
+  const items = correctData.items || [];
+  const buckets = correctData.buckets || [];
+  const results = items.map((_, index) => {
+    const entry = (breakdown || []).find(b => b.item === index);
+    if (entry) return entry;
+    const selected = categorizedBucket(correctData, map, index);
+    const expected = (correctData.correct_buckets || [])[index];
+    return { item: index, selected, expected, correct: selected === expected };
+  });
+  const belongsIn = result => ` <em>(belongs in ${escapeHtml(buckets[result.expected] || '')})</em>`;
+  
+  let html = '<div class="pbq-review-categorize"><div class="pbq-buckets">';
+  buckets.forEach((bucket, index) => {
+    html += `<div class="pbq-zone pbq-bucket"><div class="pbq-zone-label">${escapeHtml(bucket)}</div><div class="pbq-zone-tiles">`;
+    results.filter(result => result.selected === index).forEach(result => {
+      html += `<div class="pbq-tile ${result.correct ? 'correct-choice' : 'wrong-choice'}">${escapeHtml(items[result.item])}${result.correct ? '' : belongsIn(result)}</div>`;
+    });
+    html += '</div></div>';
+  });
+  html += '</div>';
+  
+  const unsorted = results.filter(result => result.selected === null);
+  if (unsorted.length > 0) {
+    html += '<p><strong>Not sorted:</strong></p><ul>';
+    unsorted.forEach(result => {
+      html += `<li class="missed-choice">${escapeHtml(items[result.item])}${belongsIn(result)}</li>`;
+    });
+    html += '</ul>';
+  }
+  html += '</div>';
+  
+  return html;
+}
+
+function renderFirewallRulesReview(correctData, userAnswer, breakdown) {
+  const userRules = userAnswer?.rules || [];
+  const flows = breakdown || [];
+  const wrongFlows = flows.filter(entry => !entry.correct);
+  const wrongRows = new Set(wrongFlows.filter(entry => entry.rule !== null).map(entry => entry.rule));
+  
+  let html = '<div class="pbq-review-firewall"><div class="pbq-review-columns">';
+  html += '<div class="pbq-review-column"><p><strong>Your rules:</strong></p>';
+  html += userRules.some(rule => rule && rule.action)
+    ? renderFirewallTable(userRules, wrongRows)
+    : '<p class="not-answered">No rules entered</p>';
+  html += '</div><div class="pbq-review-column"><p><strong>Expected rules:</strong></p>';
+  html += renderFirewallTable(correctData.correct_rules || [], new Set());
+  html += '</div></div>';
+  
+  if (wrongFlows.length > 0) {
+    html += `<p><strong>Traffic handled differently (${flows.length - wrongFlows.length} of ${flows.length} allowed flows right):</strong></p><ul>`;
+    wrongFlows.slice(0, FIREWALL_REVIEW_FLOW_LIMIT).forEach(entry => {
+      const { source, destination, port, protocol } = entry.flow;
+      const by = entry.rule === null ? 'no rule matches' : `rule ${entry.rule + 1}`;
+      html += `<li class="wrong-choice">${source} → ${destination}, ${protocol}/${port}: ${entry.selected === 'allow' ? 'allowed' : 'denied'} (${by}), should be ${entry.expected === 'allow' ? 'allowed' : 'denied'}</li>`;
+    });
+    if (wrongFlows.length > FIREWALL_REVIEW_FLOW_LIMIT) {
+      html += `<li class="not-answered">…and ${wrongFlows.length - FIREWALL_REVIEW_FLOW_LIMIT} more</li>`;
+    }
+    html += '</ul>';
+  }
+  
+  html += '</div>';
+  return html;
+}
+
+// Author text inserted as HTML; log lines often carry markup from the attack itself (XSS, SQLi payloads)
+// Quotes are escaped too so the result is safe inside attribute values
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Accepted fill-in answer as shown to students: the text, /pattern/ or a number range
+function formatAcceptedAnswer(spec) {
+  if (typeof spec === 'string') return spec;
+  if (!spec) return '';
+  if (spec.regex !== undefined) return `/${spec.regex}/`;
+  if (spec.min !== undefined && spec.max !== undefined) {
+    return spec.min === spec.max ? String(spec.min) : `${spec.min}–${spec.max}`;
+  }
+  return spec.min !== undefined ? `${spec.min} or more` : `${spec.max} or less`;
+}
+
+function renderFillInReview(correctData, userAnswer, breakdown) {
+  const values = userAnswer?.values || [];
+  const blanks = correctData.blanks || [];
+  const accepted = correctData.correct_answers || [];
+  const answered = index => typeof values[index] === 'string' && values[index].trim() !== '';
+  // Without a breakdown only exact text answers can be checked here
+  const normalize = text => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+  const isRight = index => {
+    const entry = (breakdown || []).find(b => b.blank === index);
+    if (entry) return entry.correct;
+    return answered(index) && (accepted[index] || []).some(spec => typeof spec === 'string' && normalize(spec) === normalize(values[index]));
+  };
+  
+  let html = '<div class="pbq-review-fill-in">';
+  if (correctData.template) {
+    const filled = index => `<span class="pbq-fill-in-value ${isRight(index) ? 'correct-pos' : 'wrong-pos'}">${answered(index) ? escapeHtml(values[index]) : '___'}</span>`;
+    html += `<pre class="pbq-fill-in-template"><code>${renderFillInTemplate(correctData.template, filled)}</code></pre>`;
+  }
+  html += '<ul>';
+  blanks.forEach((_, index) => {
+    const status = !answered(index) ? 'not-answered' : isRight(index) ? 'correct-choice' : 'wrong-choice';
+    const answer = answered(index) ? `<code>${escapeHtml(values[index])}</code>` : 'Not answered';
+    const expected = (accepted[index] || []).map(spec => `<code>${escapeHtml(formatAcceptedAnswer(spec))}</code>`).join(' or ');
+    html += `<li class="${status}"><strong>${escapeHtml(fillInBlankLabel(blanks, index))}:</strong> ${answer}${isRight(index) ? '' : ` <em>(accepted: ${expected})</em>`}</li>`;
+  });
+  html += '</ul></div>';
+  
+  return html;
+}
+
+function renderLogAnalysisReview(correctData, userAnswer, breakdown) {
+  const marked = userAnswer?.lines || [];
+  const suspicious = correctData.suspicious || [];
+  const classifications = correctData.classifications || [];
+  const classificationEntry = (breakdown || []).find(entry => 'classification' in entry);
+  const picked = userAnswer?.classification ?? null;
+  const isClassificationCorrect = classificationEntry ? classificationEntry.correct : picked === correctData.correct_classification;
+  
+  let html = '<div class="pbq-review-log-analysis">';
+  html += `<p><strong>${escapeHtml(correctData.log_source || 'Log')}:</strong></p><div class="pbq-log">`;
+  (correctData.lines || []).forEach((line, index) => {
+    const isMarked = marked.includes(index);
+    const isSuspicious = suspicious.includes(index);
+    let status = '';
+    if (isMarked) status = isSuspicious ? 'correct-choice' : 'wrong-choice';
+    else if (isSuspicious) status = 'missed-choice';
+    html += `<div class="pbq-log-line ${status}"><span class="pbq-log-number">${index + 1}</span><code>${escapeHtml(line)}</code>${!isMarked && isSuspicious ? ' <em>(missed)</em>' : ''}</div>`;
+  });
+  html += '</div>';
+  
+  html += '<div class="pbq-review-columns">';
+  html += `<div class="pbq-review-column"><p><strong>Your classification:</strong></p><ul><li class="${picked === null ? 'not-answered' : isClassificationCorrect ? 'correct-choice' : 'wrong-choice'}">${picked === null ? 'Not answered' : escapeHtml(classifications[picked] || '')}</li></ul></div>`;
+  html += `<div class="pbq-review-column"><p><strong>Correct classification:</strong></p><ul><li class="correct-choice">${escapeHtml(classifications[correctData.correct_classification] || '')}</li></ul></div>`;
+  html += '</div></div>';
+  
+  return html;
+}
+
+// "WAF + IDS or Reverse proxy"; an empty set means the zone should stay empty
+function formatPlacementSets(sets, tiles) {
+  return sets.map(set => set.length > 0 ? set.map(tile => tiles[tile]).join(' + ') : 'nothing').join(' or ');
+}
+
+function renderPlacementReview(correctData, userAnswer, breakdown) {
+  const placements = userAnswer?.placements || {};
+  const tiles = correctData.tiles || [];
+  const key = correctData.correct_zones || {};
+  const zoneResult = zone => {
+    const entry = (breakdown || []).find(b => b.zone === zone.id);
+    if (entry) return entry;
+    const selected = tiles.map((_, index) => index).filter(index => placedZone(correctData, placements, index) === zone.id);
+    const expected = key[zone.id] || [[]];
+    const correct = expected.some(set => set.length === selected.length && set.every(tile => selected.includes(tile)));
+    return { zone: zone.id, selected, expected, correct };
+  };
+  
+  let html = '<div class="pbq-review-placement">';
+  html += renderPlacementDiagram(correctData, zone => {
+    const result = zoneResult(zone);
+    let content = result.selected.map(tile => {
+      const belongs = result.expected.some(set => set.includes(tile));
+      return `<div class="pbq-tile ${belongs ? 'correct-choice' : 'wrong-choice'}">${escapeHtml(tiles[tile] || '')}</div>`;
+    }).join('');
+    if (!result.correct) {
+      content += `<div class="pbq-zone-expected">Expected: ${escapeHtml(formatPlacementSets(result.expected, tiles))}</div>`;
+    }
+    return content;
+  }, zone => zoneResult(zone).correct ? 'correct-zone' : 'wrong-zone');
+  
+  const unplaced = tiles.filter((_, index) => placedZone(correctData, placements, index) === null);
+  if (unplaced.length > 0) {
+    html += `<p class="not-answered">Not placed: ${unplaced.map(escapeHtml).join(', ')}</p>`;
+  }
+  html += '</div>';
+  
+  return html;
+}
+
 async function loadExamHistory() {
   try {
     const history = await apiCall('/api/exams/history');
@@ -988,10 +2138,12 @@ async function loadExamHistory() {
     historyList.innerHTML = history.map(exam => `
       <div class="history-item">
         <div class="history-main">
-          <h4>Exam #${exam.examId} ${exam.isRetakeMissed ? '(Retake Missed)' : ''}</h4>
+          <h4>Exam #${exam.examId} ${exam.isRetakeMissed ? '(Retake Missed)' : ''}${exam.adaptive ? '(Adaptive)' : ''}</h4>
           <div class="history-details">
             <p><strong>Date:</strong> ${new Date(exam.submittedAt).toLocaleString()}</p>
-            <p><strong>Score:</strong> ${exam.score}% ${exam.passed ? '✓' : '✗'}</p>
+            <p><strong>Score:</strong> ${formatScaledScore(exam)} ${exam.passed ? '✓' : '✗'}</p>
+            <p><strong>Raw:</strong> ${exam.score}%</p>
+            ${exam.adaptive ? `<p><strong>Ability:</strong> ${formatAbility(exam.ability)}</p>` : ''}
             <p><strong>Answered:</strong> ${exam.answeredCount}/${exam.totalQuestions}</p>
             <p><strong>Time:</strong> ${Math.floor(exam.timeUsed / 60)} min ${exam.timeUsed % 60} sec</p>
           </div>
@@ -1014,9 +2166,10 @@ async function viewExamReview(examId) {
     summaryDiv.innerHTML = `
       <div class="score-card ${review.passed ? 'passed' : 'failed'}">
         <h3>Exam #${review.examId} - ${review.passed ? 'PASSED' : 'FAILED'}</h3>
-        <div class="score-value">${review.score}%</div>
+        <div class="score-value">${formatScaledScore(review)}</div>
         <div class="score-details">
-          <p><strong>${review.answeredCount}</strong> questions answered</p>
+          <p><strong>${review.answeredCount}</strong> questions answered (${review.score}% raw)</p>
+          ${review.adaptive ? `<p>Ability estimate: <strong>${formatAbility(review.ability)}</strong></p>` : ''}
           <p>Completed on: <strong>${new Date(review.submittedAt).toLocaleString()}</strong></p>
           <p>Time used: <strong>${Math.floor(review.timeUsed / 60)} min ${review.timeUsed % 60} sec</strong></p>
         </div>
@@ -1056,37 +2209,81 @@ async function loadDomains() {
   }
 }
 
+async function loadTags() {
+  try {
+    const data = await apiCall('/api/study/tags');
+    const select = document.getElementById('study-tags');
+    select.innerHTML = '<option value="">All Topics</option>';
+    data.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag.name;
+      option.textContent = `${tag.name} (${tag.questionCount} questions)`;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+  }
+}
+
+async function loadReviewSummary() {
+  try {
+    const summary = await apiCall('/api/study/review-summary');
+    const text = document.getElementById('study-due-summary');
+    if (summary.dueToday > 0) {
+      text.textContent = `${summary.dueToday} due today` + (summary.overdue > 0 ? ` (${summary.overdue} overdue)` : '');
+    } else if (summary.nextDueAt) {
+      text.textContent = `Nothing due today. Next review: ${new Date(summary.nextDueAt.replace(' ', 'T') + 'Z').toLocaleDateString()}`;
+    } else {
+      text.textContent = 'Answer questions in exams or study sessions to build your review queue';
+    }
+  } catch (error) {
+    console.error('Failed to load review summary:', error);
+  }
+}
+
 async function startStudySession() {
   const questionCount = parseInt(document.getElementById('study-question-count').value);
   const domainSelect = document.getElementById('study-domains');
   const selectedDomains = Array.from(domainSelect.selectedOptions)
     .map(opt => opt.value)
     .filter(v => v !== '');
+  const selectedTags = Array.from(document.getElementById('study-tags').selectedOptions)
+    .map(opt => opt.value)
+    .filter(v => v !== '');
   const difficulty = document.getElementById('study-difficulty').value;
   const type = document.getElementById('study-type').value;
   const onlyMissed = document.getElementById('study-only-missed').checked;
+  const dueOnly = document.getElementById('study-due-only').checked;
   const immediateMode = document.getElementById('study-immediate-feedback').checked;
 
-  try {
-    const options = {
-      questionCount,
-      immediateMode
-    };
+  const options = {
+    questionCount,
+    immediateMode
+  };
+
+  if (selectedDomains.length > 0) options.domains = selectedDomains;
+  if (selectedTags.length > 0) options.tags = selectedTags;
+  if (difficulty) options.difficulty = difficulty;
+  if (type) options.type = type;
+  if (onlyMissed) options.onlyMissed = true;
+  if (dueOnly) options.dueOnly = true;
 
-    if (selectedDomains.length > 0) options.domains = selectedDomains;
-    if (difficulty) options.difficulty = difficulty;
-    if (type) options.type = type;
-    if (onlyMissed) options.onlyMissed = true;
+  await beginStudySession(options);
+}
 
+// Start a study session with the given options; planTaskId marks a study plan task it completes
+async function beginStudySession(options, planTaskId = null) {
+  try {
     const data = await apiCall('/api/study/start', 'POST', options);
     
     state.mode = 'study';
+    state.planTaskId = planTaskId;
     state.studySession = data;
     state.currentExam = { questions: data.questions };
     state.currentQuestionIndex = 0;
     state.answers = {};
     state.markedForReview = new Set();
-    state.immediateFeedback = immediateMode;
+    state.immediateFeedback = !!options.immediateMode;
     state.currentFeedback = null;
 
     showScreen('exam-screen');
@@ -1114,28 +2311,27 @@ function toggleMode(mode) {
     studyBtn.classList.remove('active');
     examActions.style.display = 'flex';
     studyOptions.style.display = 'none';
+    if (state.blueprints.length > 0) document.getElementById('blueprint-picker').style.display = 'block';
     infoTitle.textContent = 'Exam Information';
-    infoList.innerHTML = `
-      <li>90 questions per exam</li>
-      <li>90 minutes time limit</li>
-      <li>Passing score: 75%</li>
-      <li>Questions are randomly selected from the question bank</li>
-      <li>You can mark questions for review and navigate between them</li>
-    `;
+    renderExamInfo();
   } else {
     examBtn.classList.remove('active');
     studyBtn.classList.add('active');
     examActions.style.display = 'none';
     studyOptions.style.display = 'block';
+    document.getElementById('blueprint-picker').style.display = 'none';
     infoTitle.textContent = 'Study Mode Benefits';
     infoList.innerHTML = `
       <li>Practice without time pressure</li>
-      <li>Filter by domain, difficulty, and question type</li>
+      <li>Filter by domain, topic, difficulty, and question type</li>
       <li>Get immediate feedback on your answers</li>
       <li>Focus on questions you got wrong previously</li>
+      <li>Review missed and shaky questions at spaced intervals</li>
       <li>Customize the number of questions</li>
     `;
     loadDomains();
+    loadTags();
+    loadReviewSummary();
   }
 }
 
@@ -1155,6 +2351,7 @@ async function submitStudyAnswer(answer) {
 
     state.currentFeedback = data;
     displayImmediateFeedback(data);
+    announceBadges(data.newBadges);
     
   } catch (error) {
     console.error('Failed to submit study answer:', error);
@@ -1174,6 +2371,7 @@ function displayImmediateFeedback(feedback) {
     </div>
     <div class="feedback-content">
       <p><strong>Correct Answer:</strong> ${formatCorrectAnswer(feedback.correctAnswer, feedback.question)}</p>
+      ${renderMistakeExplanations(feedback.mistakeExplanations, feedback.question.qtype)}
       ${feedback.question.explanation ? `<p><strong>Explanation:</strong> ${feedback.question.explanation}</p>` : ''}
     </div>
   `;
@@ -1196,7 +2394,13 @@ function finishStudySession() {
       state.currentExam = null;
       state.currentFeedback = null;
       state.answers = {};
+      if (state.planTaskId) {
+        markPlanTaskDone(state.planTaskId);
+        state.planTaskId = null;
+      }
       showScreen('dashboard-screen');
+      loadStreak();
+      loadAchievements();
     }
   }
 }
@@ -1219,6 +2423,26 @@ function formatCorrectAnswer(answer, question) {
         return answer.correct_order.map((item, i) => `${i + 1}. ${item}`).join('<br>');
       } else if (answer.type === 'matching' && answer.correct_map) {
         return Object.entries(answer.correct_map).map(([key, value]) => `${key} → ${value}`).join('<br>');
+      } else if (answer.type === 'categorize' && Array.isArray(answer.correct_buckets)) {
+        return (answer.buckets || []).map((bucket, index) => {
+          const items = answer.items.filter((_, item) => answer.correct_buckets[item] === index);
+          return `• ${escapeHtml(bucket)}: ${items.length > 0 ? items.map(escapeHtml).join(', ') : 'nothing'}`;
+        }).join('<br>');
+      } else if (answer.type === 'firewall_rules' && Array.isArray(answer.correct_rules)) {
+        return answer.correct_rules.map((rule, i) => `${i + 1}. ${formatFirewallRule(rule)}`).join('<br>') + '<br>Deny everything else';
+      } else if (answer.type === 'log_analysis' && Array.isArray(answer.suspicious)) {
+        const lines = answer.suspicious.map(idx => `• Line ${idx + 1}: <code>${escapeHtml(answer.lines[idx])}</code>`).join('<br>');
+        return `${escapeHtml(answer.classifications[answer.correct_classification])}<br>${lines}`;
+      } else if (answer.type === 'placement' && answer.correct_zones) {
+        return (answer.zones || [])
+          .filter(zone => answer.correct_zones[zone.id])
+          .map(zone => `• ${escapeHtml(zone.label)}: ${escapeHtml(formatPlacementSets(answer.correct_zones[zone.id], answer.tiles))}`)
+          .join('<br>');
+      } else if (answer.type === 'fill_in' && Array.isArray(answer.correct_answers)) {
+        return answer.correct_answers.map((specs, index) => {
+          const label = fillInBlankLabel(answer.blanks || [], index);
+          return `• ${escapeHtml(label)}: ${specs.map(spec => `<code>${escapeHtml(formatAcceptedAnswer(spec))}</code>`).join(' or ')}`;
+        }).join('<br>');
       }
     }
     return JSON.stringify(answer);
@@ -1250,17 +2474,22 @@ document.addEventListener('DOMContentLoaded', () => {
         clearInterval(state.timerInterval);
         state.timerInterval = null;
       }
-      // Save and clear exam state
+      // Answers are autosaved on the server, so the exam can be resumed later
+      if (state.mode === 'exam') flushPendingSaves();
       clearExamState();
       // Clear current exam/study state
       state.currentExam = null;
       state.currentQuestionIndex = 0;
       state.answers = {};
       state.markedForReview = new Set();
+      state.planTaskId = null;
       // Show dashboard
       showScreen('dashboard-screen');
+      loadStreak();
+      loadAchievements();
       document.getElementById('timer-bar').style.display = 'none';
       document.getElementById('back-to-dashboard-btn').style.display = 'none';
+      setTimeout(refreshResumeButton, 1000);
     }
   });
   
@@ -1276,6 +2505,9 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Dashboard event listeners
   document.getElementById('start-exam-btn').addEventListener('click', () => startExam(false));
+  document.getElementById('start-adaptive-btn').addEventListener('click', startAdaptiveExam);
+  document.getElementById('resume-exam-btn').addEventListener('click', handleResumeExam);
+  document.getElementById('blueprint-select').addEventListener('change', renderExamInfo);
   document.getElementById('view-analytics-btn').addEventListener('click', () => {
     window.location.href = 'analytics.html';
   });
@@ -1289,6 +2521,20 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('exam-mode-btn').addEventListener('click', () => toggleMode('exam'));
   document.getElementById('study-mode-btn').addEventListener('click', () => toggleMode('study'));
   document.getElementById('start-study-btn').addEventListener('click', startStudySession);
+
+  // Daily goal
+  document.getElementById('goal-form').addEventListener('submit', saveGoal);
+  document.getElementById('goal-edit-btn').addEventListener('click', () => {
+    const form = document.getElementById('goal-form');
+    form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+  });
+
+  // Study plan
+  document.getElementById('study-plan-form').addEventListener('submit', saveStudyPlan);
+  document.getElementById('study-plan-delete-btn').addEventListener('click', deleteStudyPlan);
+  document.getElementById('study-plan-edit-btn').addEventListener('click', () => {
+    document.getElementById('study-plan-form').style.display = 'flex';
+  });
   
   // Exam event listeners
   document.getElementById('prev-btn').addEventListener('click', handlePrevious);
@@ -1308,6 +2554,8 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('review-answers-btn').addEventListener('click', displayReview);
   document.getElementById('back-dashboard-btn').addEventListener('click', () => {
     showScreen('dashboard-screen');
+    loadStreak();
+    loadAchievements();
   });
   
   // History event listeners
@@ -1342,6 +2590,10 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('submit-cancel').addEventListener('click', closeSubmitModal);
   document.getElementById('submit-confirm').addEventListener('click', confirmSubmit);
   
+  // Pause modal
+  document.getElementById('pause-exam-btn').addEventListener('click', handlePauseExam);
+  document.getElementById('pause-resume-btn').addEventListener('click', handleResumePausedExam);
+  
   // Check authentication on load
   checkAuth();
 });
@@ -1419,6 +2671,17 @@ async function submitFeedback() {
 
 // Submit confirmation modal
 function openSubmitModal() {
+  if (state.currentExam.adaptive) {
+    const answered = state.currentExam.questions.length - 1;
+    document.getElementById('submit-modal-info').innerHTML = `
+      <p><strong>Answered:</strong> ${answered} (up to ${state.currentExam.maxQuestions})</p>
+      <p>The exam usually ends by itself once your ability is measured precisely enough. Ending it now scores the answers you have given so far.</p>
+      <p style="margin-top: 1rem;">Are you sure you want to end the exam?</p>
+    `;
+    document.getElementById('submit-modal').classList.add('active');
+    return;
+  }
+  
   const answeredCount = Object.keys(state.answers).length;
   const unansweredCount = state.currentExam.questions.length - answeredCount;
   const minutes = Math.floor(state.timeRemaining / 60);
@@ -1444,4 +2707,52 @@ function closeSubmitModal() {
 async function confirmSubmit() {
   closeSubmitModal();
   await submitExam();
+}
+
+// Pause / resume: the server stops the exam clock while paused, within the pause policy
+function formatPauseAllowance(pause) {
+  const minutes = Math.floor(pause.pauseSecondsRemaining / 60);
+  return `${pause.pausesRemaining} pause${pause.pausesRemaining === 1 ? '' : 's'} and ${minutes} minute${minutes === 1 ? '' : 's'} of pause time left`;
+}
+
+function showPauseModal(pause) {
+  const minutes = Math.floor(pause.timeRemaining / 60);
+  const seconds = pause.timeRemaining % 60;
+  
+  let info = `<p><strong>Time remaining:</strong> ${minutes}:${seconds.toString().padStart(2, '0')}</p>`;
+  info += '<p>The exam clock is stopped. Your answers are saved, so you can also close this tab and resume later on any device.</p>';
+  info += `<p class="pause-allowance">${formatPauseAllowance(pause)}. Paused time beyond the allowance counts against the exam clock.</p>`;
+  
+  document.getElementById('pause-modal-info').innerHTML = info;
+  document.getElementById('pause-modal').classList.add('active');
+}
+
+async function handlePauseExam() {
+  if (!state.currentExam || !state.currentExam.examId) return;
+  
+  try {
+    flushPendingSaves();
+    const pause = await apiCall(`/api/exams/${state.currentExam.examId}/pause`, 'POST');
+    if (state.timerInterval) {
+      clearInterval(state.timerInterval);
+      state.timerInterval = null;
+    }
+    state.timeRemaining = pause.timeRemaining;
+    showPauseModal(pause);
+  } catch (err) {
+    showError('exam-error', 'Cannot pause exam: ' + err.message);
+  }
+}
+
+async function handleResumePausedExam() {
+  try {
+    const resumed = await apiCall(`/api/exams/${state.currentExam.examId}/resume`, 'POST');
+    state.timeRemaining = resumed.timeRemaining;
+    state.examStartTime = Date.now() - resumed.timeUsed * 1000;
+    document.getElementById('pause-modal').classList.remove('active');
+    startTimer();
+  } catch (err) {
+    document.getElementById('pause-modal').classList.remove('active');
+    showError('exam-error', 'Cannot resume exam: ' + err.message);
+  }
 }
\ No newline at end of file
@@ -133,8 +133,10 @@ function renderMatching(pbqData, userAnswer, onAnswerChange) {
 
 /**
  * Render PBQ review (read-only comparison)
+ * breakdown is the per-item result from scorePBQ; when present it decides which
+ * selections, positions or pairs are marked wrong.
  */
-export function renderPBQReview(pbqData, userAnswer, isCorrect) {
+export function renderPBQReview(pbqData, userAnswer, isCorrect, breakdown = null) {
   if (!pbqData) return '';
   
   let correctData = null;
@@ -148,13 +150,13 @@ export function renderPBQReview(pbqData, userAnswer, isCorrect) {
   
   switch (correctData.type) {
     case 'multi_select':
-      html += renderMultiSelectReview(correctData, userAnswer, isCorrect);
+      html += renderMultiSelectReview(correctData, userAnswer, breakdown);
       break;
     case 'ordering':
-      html += renderOrderingReview(correctData, userAnswer, isCorrect);
+      html += renderOrderingReview(correctData, userAnswer, breakdown);
       break;
     case 'matching':
-      html += renderMatchingReview(correctData, userAnswer, isCorrect);
+      html += renderMatchingReview(correctData, userAnswer, breakdown);
       break;
   }
   
@@ -162,7 +164,7 @@ export function renderPBQReview(pbqData, userAnswer, isCorrect) {
   return html;
 }
 
-function renderMultiSelectReview(correctData, userAnswer, isCorrect) {
+function renderMultiSelectReview(correctData, userAnswer, breakdown) {
   const userSelected = userAnswer?.selected || [];
   const correctIndices = correctData.correct || [];
   const options = correctData.options || [];
@@ -174,10 +176,14 @@ function renderMultiSelectReview(correctData, userAnswer, isCorrect) {
     html += `<li class="not-answered">No selections made</li>`;
   } else {
     userSelected.forEach(idx => {
-      const isCorrectChoice = correctIndices.includes(idx);
+      const entry = breakdown && breakdown.find(b => b.index === idx);
+      const isCorrectChoice = entry ? entry.expected : correctIndices.includes(idx);
       html += `<li class="${isCorrectChoice ? 'correct-choice' : 'wrong-choice'}">${options[idx]}</li>`;
     });
   }
+  correctIndices.filter(idx => !userSelected.includes(idx)).forEach(idx => {
+    html += `<li class="missed-choice">${options[idx]} <em>(missed)</em></li>`;
+  });
   
   html += `</ul><p><strong>Correct answer:</strong></p><ul>`;
   correctIndices.forEach(idx => {
@@ -188,7 +194,7 @@ function renderMultiSelectReview(correctData, userAnswer, isCorrect) {
   return html;
 }
 
-function renderOrderingReview(correctData, userAnswer, isCorrect) {
+function renderOrderingReview(correctData, userAnswer, breakdown) {
   const userOrder = userAnswer?.order || [];
   const correctOrder = correctData.correct_order || [];
   const items = correctData.items || correctData.options || [];
@@ -201,7 +207,8 @@ function renderOrderingReview(correctData, userAnswer, isCorrect) {
     html += `<li class="not-answered">Not answered</li>`;
   } else {
     userOrder.forEach((idx, pos) => {
-      const isCorrectPos = correctOrder[pos] === idx;
+      const entry = breakdown && breakdown.find(b => b.position === pos);
+      const isCorrectPos = entry ? entry.correct : correctOrder[pos] === idx;
       html += `<li class="${isCorrectPos ? 'correct-pos' : 'wrong-pos'}">${items[idx]}</li>`;
     });
   }
@@ -215,7 +222,7 @@ function renderOrderingReview(correctData, userAnswer, isCorrect) {
   return html;
 }
 
-function renderMatchingReview(correctData, userAnswer, isCorrect) {
+function renderMatchingReview(correctData, userAnswer, breakdown) {
   const userMap = userAnswer?.map || {};
   const correctMap = correctData.correct_map || {};
   const left = correctData.left || [];
@@ -227,7 +234,8 @@ function renderMatchingReview(correctData, userAnswer, isCorrect) {
   left.forEach((leftItem, leftIdx) => {
     const userRightIdx = userMap[leftIdx];
     const correctRightIdx = correctMap[leftIdx];
-    const isCorrectMatch = userRightIdx == correctRightIdx;
+    const entry = breakdown && breakdown.find(b => b.left === leftIdx);
+    const isCorrectMatch = entry ? entry.correct : userRightIdx == correctRightIdx;
     
     html += `<tr class="${isCorrectMatch ? 'correct-row' : 'wrong-row'}">`;
     html += `<td><strong>${leftIdx + 1}.</strong> ${leftItem}</td>`;
@@ -344,3 +352,143 @@ export function initPBQOrdering() {
     }
   }
 }
+
+// app.js renders placement and categorize PBQs and calls this through window.initPBQPlacement
+
+// Pixels a pointer must travel before a press on a tile becomes a drag
+const PLACEMENT_DRAG_THRESHOLD = 6;
+
+/**
+ * Initialize drag-and-drop for placement and categorize PBQs
+ * Tiles follow a mouse, pen or finger (Pointer Events, or touch events on browsers
+ * without them). Selecting a tile and then a zone, by tap, click or Enter, does
+ * the same without dragging.
+ * @param {HTMLElement} container - Element holding the zones (diagram zones or buckets) and the tile pool
+ * @param {Function} onPlace - Called with (tileIndex, zoneId), zoneId being the zone's data-zone
+ *   (a bucket index for categorize); zoneId is null when a tile goes back to the pool
+ */
+export function initPBQPlacement(container, onPlace) {
+  if (!container) return;
+  
+  let drag = null;
+  let picked = null;
+  let suppressClick = false;
+  
+  container.querySelectorAll('.pbq-tile, .pbq-zone').forEach(element => {
+    element.tabIndex = 0;
+    if (element.classList.contains('pbq-tile')) element.setAttribute('role', 'button');
+  });
+  
+  function place(tile, zone) {
+    if (tile.closest('.pbq-zone') === zone) return;
+    zone.querySelector('.pbq-zone-tiles').appendChild(tile);
+    onPlace(parseInt(tile.dataset.tile), zone.dataset.zone || null);
+  }
+  
+  function pick(tile) {
+    if (picked) picked.classList.remove('picked');
+    picked = tile;
+    if (picked) picked.classList.add('picked');
+    container.classList.toggle('placing', !!picked);
+  }
+  
+  function zoneAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const zone = element && element.closest('.pbq-zone');
+    return zone && container.contains(zone) ? zone : null;
+  }
+  
+  function highlight(zone) {
+    container.querySelectorAll('.pbq-zone.drop-target').forEach(z => z.classList.remove('drop-target'));
+    if (zone) zone.classList.add('drop-target');
+  }
+  
+  function startDrag(tile, x, y) {
+    drag = { tile, x, y, ghost: null };
+    suppressClick = false;
+  }
+  
+  function moveDrag(x, y) {
+    if (!drag) return false;
+    if (!drag.ghost) {
+      if (Math.hypot(x - drag.x, y - drag.y) < PLACEMENT_DRAG_THRESHOLD) return false;
+      pick(null);
+      drag.ghost = drag.tile.cloneNode(true);
+      drag.ghost.classList.add('pbq-tile-ghost');
+      document.body.appendChild(drag.ghost);
+      drag.tile.classList.add('dragging');
+    }
+    drag.ghost.style.left = `${x}px`;
+    drag.ghost.style.top = `${y}px`;
+    highlight(zoneAt(x, y));
+    return true;
+  }
+  
+  // Called without a position when the browser cancels the drag
+  function endDrag(x, y) {
+    if (!drag) return;
+    const { tile, ghost } = drag;
+    drag = null;
+    if (!ghost) return; // a tap: the click handler picks the tile
+    
+    ghost.remove();
+    tile.classList.remove('dragging');
+    highlight(null);
+    suppressClick = true;
+    const zone = x === undefined ? null : zoneAt(x, y);
+    if (zone) place(tile, zone);
+  }
+  
+  if (window.PointerEvent) {
+    container.addEventListener('pointerdown', (e) => {
+      const tile = e.target.closest('.pbq-tile');
+      if (!tile || e.button > 0) return;
+      tile.setPointerCapture(e.pointerId);
+      startDrag(tile, e.clientX, e.clientY);
+    });
+    container.addEventListener('pointermove', (e) => moveDrag(e.clientX, e.clientY));
+    container.addEventListener('pointerup', (e) => endDrag(e.clientX, e.clientY));
+    container.addEventListener('pointercancel', () => endDrag());
+  } else {
+    container.addEventListener('touchstart', (e) => {
+      const tile = e.target.closest('.pbq-tile');
+      if (tile) startDrag(tile, e.touches[0].clientX, e.touches[0].clientY);
+    }, { passive: true });
+    container.addEventListener('touchmove', (e) => {
+      // Keep the page from scrolling while a tile is dragged
+      if (moveDrag(e.touches[0].clientX, e.touches[0].clientY)) e.preventDefault();
+    }, { passive: false });
+    container.addEventListener('touchend', (e) => endDrag(e.changedTouches[0].clientX, e.changedTouches[0].clientY));
+    container.addEventListener('touchcancel', () => endDrag());
+  }
+  
+  function select(target) {
+    const tile = target.closest('.pbq-tile');
+    const zone = target.closest('.pbq-zone');
+    if (tile && tile !== picked) {
+      pick(tile);
+    } else if (picked && zone) {
+      const tileToPlace = picked;
+      pick(null);
+      place(tileToPlace, zone);
+      tileToPlace.focus();
+    }
+  }
+  
+  container.addEventListener('click', (e) => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    select(e.target);
+  });
+  
+  container.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    if (!e.target.closest('.pbq-tile, .pbq-zone')) return;
+    e.preventDefault();
+    select(e.target);
+  });
+}
+
+window.initPBQPlacement = initPBQPlacement;
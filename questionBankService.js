@@ -0,0 +1,383 @@
+import { run, get, all, transaction } from './database/db.js';
+import { CHOICE_LETTERS, validateQuestionContent, describeErrors } from './questionValidator.js';
+import { parseChoiceExplanations, serializeChoiceExplanations, explainMistakes } from './answerExplanations.js';
+import { isValidObjectiveList } from './examObjectives.js';
+import { setQuestionTags } from './tagService.js';
+
+/**
+ * Question Bank Service
+ * Admin create/edit/retire/restore for MCQs and PBQs.
+ * Every content change is saved as an immutable row in question_revisions and the
+ * questions row mirrors the current revision. Exams and study sessions store the
+ * revision a student was shown, so reviews keep showing that version after fixes.
+ * Retired questions stay in the database for history but are never served again.
+ */
+
+// Question content columns snapshotted by every revision
+export const REVISION_COLUMNS = [
+  'question', 'choice_a', 'choice_b', 'choice_c', 'choice_d', 'answer',
+  'explanation', 'explanation_short', 'explanation_long', 'explanation_wrong',
+  'domain', 'difficulty', 'qtype', 'pbq_json', 'choice_explanations_json'
+];
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * SELECT list for question content as a student saw it: the revision joined as
+ * "r" when the row has one, otherwise the live question joined as "q"
+ * @param {Array<string>} columns - Content columns to select (default: all)
+ * @returns {string}
+ */
+export function revisionContentSql(columns = REVISION_COLUMNS) {
+  return columns
+    .map(col => `CASE WHEN r.id IS NULL THEN q.${col} ELSE r.${col} END AS ${col}`)
+    .join(', ');
+}
+
+function parsePbq(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Content fields shared by question and revision rows
+function formatContent(row) {
+  const qtype = row.qtype || 'mcq';
+  const content = {
+    qtype,
+    question: row.question,
+    explanation: row.explanation,
+    explanationShort: row.explanation_short || null,
+    explanationLong: row.explanation_long || null,
+    explanationWrong: row.explanation_wrong || null,
+    choiceExplanations: parseChoiceExplanations(row.choice_explanations_json),
+    domain: row.domain,
+    difficulty: row.difficulty
+  };
+
+  if (qtype === 'pbq') {
+    content.pbq = parsePbq(row.pbq_json);
+  } else {
+    content.choices = { A: row.choice_a, B: row.choice_b, C: row.choice_c, D: row.choice_d };
+    content.answer = row.answer;
+  }
+
+  return content;
+}
+
+/**
+ * Per-choice explanations of a question row (as selected by revisionContentSql)
+ * and the ones that explain a student's answer
+ * @param {Object} row - Question content columns
+ * @param {*} userAnswer - Choice letter (MCQ) or PBQ answer object
+ * @param {Array<Object>|null} breakdown - PBQ scoring breakdown
+ * @returns {Object} - { choiceExplanations, mistakeExplanations }
+ */
+export function explainAnswer(row, userAnswer, breakdown = null) {
+  const content = formatContent(row);
+  return {
+    choiceExplanations: content.choiceExplanations,
+    mistakeExplanations: explainMistakes(content, userAnswer, breakdown)
+  };
+}
+
+function formatQuestion(row) {
+  return {
+    id: row.id,
+    externalId: row.external_id || null,
+    ...formatContent(row),
+    revisionId: row.current_revision_id,
+    revision: row.revision_number ?? null,
+    revisionCount: row.revision_count ?? 0,
+    retired: !!row.retired_at,
+    retiredAt: row.retired_at || null,
+    duplicateOf: row.duplicate_of || null
+  };
+}
+
+function formatRevision(row) {
+  return {
+    id: row.id,
+    questionId: row.question_id,
+    revision: row.revision_number,
+    ...formatContent(row),
+    changeNote: row.change_note || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function optionalText(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw { status: 400, message: `${field} must be a string` };
+  return value.trim() || null;
+}
+
+/**
+ * Validate an API payload (see questionValidator.js) and convert it to question columns
+ * @param {Object} input - { qtype, question, choices, answer, pbq, explanation, domain, difficulty, ... }
+ * @returns {Object} - Values for REVISION_COLUMNS
+ * @throws {{status: number, message: string}} - 400 on invalid content
+ */
+export function normalizeQuestionInput(input) {
+  const problems = describeErrors(validateQuestionContent(input));
+  if (problems) throw { status: 400, message: problems };
+
+  const qtype = input.qtype || 'mcq';
+  const fields = {
+    question: input.question.trim(),
+    choice_a: '',
+    choice_b: '',
+    choice_c: '',
+    choice_d: '',
+    answer: '',
+    explanation: input.explanation.trim(),
+    explanation_short: optionalText(input.explanationShort, 'explanationShort'),
+    explanation_long: optionalText(input.explanationLong, 'explanationLong'),
+    explanation_wrong: optionalText(input.explanationWrong, 'explanationWrong'),
+    domain: input.domain,
+    difficulty: input.difficulty,
+    qtype,
+    pbq_json: null,
+    choice_explanations_json: serializeChoiceExplanations(input.choiceExplanations, qtype, input.pbq)
+  };
+
+  if (qtype === 'pbq') {
+    fields.pbq_json = JSON.stringify(input.pbq);
+  } else {
+    CHOICE_LETTERS.forEach(letter => {
+      fields[`choice_${letter.toLowerCase()}`] = input.choices[letter].trim();
+    });
+    fields.answer = input.answer;
+  }
+
+  return fields;
+}
+
+const QUESTION_SELECT = `
+  SELECT q.*, r.revision_number,
+         (SELECT COUNT(*) FROM question_revisions rc WHERE rc.question_id = q.id) as revision_count
+  FROM questions q
+  LEFT JOIN question_revisions r ON r.id = q.current_revision_id`;
+
+/**
+ * Get one question with its current revision number (admin)
+ * @param {number} id - Question ID
+ */
+export async function getQuestion(id) {
+  const row = await get(`${QUESTION_SELECT} WHERE q.id = ?`, [id]);
+  if (!row) throw { status: 404, message: 'Question not found' };
+  return formatQuestion(row);
+}
+
+/**
+ * List questions for the admin question bank
+ * @param {Object} filters - { domain, qtype, difficulty, search, status: 'active'|'retired'|'all', limit, offset }
+ * @returns {Object} - { questions, total, limit, offset }
+ */
+export async function listQuestions(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  const status = filters.status || 'active';
+  if (status === 'active') conditions.push('q.retired_at IS NULL');
+  else if (status === 'retired') conditions.push('q.retired_at IS NOT NULL');
+  else if (status !== 'all') throw { status: 400, message: 'status must be active, retired or all' };
+
+  if (filters.domain) {
+    conditions.push('q.domain = ?');
+    params.push(filters.domain);
+  }
+  if (filters.qtype === 'pbq') {
+    conditions.push("q.qtype = 'pbq'");
+  } else if (filters.qtype === 'mcq') {
+    conditions.push("(q.qtype IS NULL OR q.qtype = 'mcq')");
+  }
+  if (filters.difficulty) {
+    conditions.push('q.difficulty = ?');
+    params.push(filters.difficulty);
+  }
+  if (filters.search) {
+    conditions.push('(q.question LIKE ? OR q.external_id = ?)');
+    params.push(`%${filters.search}%`, filters.search);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const { total } = await get(`SELECT COUNT(*) as total FROM questions q ${where}`, params);
+  const rows = await all(`${QUESTION_SELECT} ${where} ORDER BY q.id LIMIT ? OFFSET ?`, [...params, limit, offset]);
+
+  return { questions: rows.map(formatQuestion), total, limit, offset };
+}
+
+/**
+ * Store content as a question's next revision and make it the current one
+ * @param {number} questionId - Question ID
+ * @param {Object} fields - Values for REVISION_COLUMNS (see normalizeQuestionInput)
+ * @param {number|null} userId - Admin making the change (null for imports)
+ * @param {string|null} changeNote - Note for the revision history
+ */
+export async function saveQuestionRevision(questionId, fields, userId, changeNote) {
+  const { next } = await get(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 as next FROM question_revisions WHERE question_id = ?',
+    [questionId]
+  );
+
+  const result = await run(
+    `INSERT INTO question_revisions
+       (question_id, revision_number, ${REVISION_COLUMNS.join(', ')}, change_note, created_by)
+     VALUES (?, ?, ${REVISION_COLUMNS.map(() => '?').join(', ')}, ?, ?)`,
+    [questionId, next, ...REVISION_COLUMNS.map(col => fields[col]), changeNote || null, userId || null]
+  );
+
+  await run(
+    `UPDATE questions
+     SET ${REVISION_COLUMNS.map(col => `${col} = ?`).join(', ')}, current_revision_id = ?
+     WHERE id = ?`,
+    [...REVISION_COLUMNS.map(col => fields[col]), result.lastID, questionId]
+  );
+}
+
+/**
+ * Replace the exam objectives of one question
+ * @param {number} questionId - Question ID
+ * @param {Array<string>} codes - Objective codes; the first is the primary objective
+ */
+export async function setQuestionObjectives(questionId, codes) {
+  await run('DELETE FROM question_objectives WHERE question_id = ?', [questionId]);
+  for (const [index, code] of codes.entries()) {
+    await run(
+      `INSERT OR IGNORE INTO question_objectives (question_id, objective_id, is_primary)
+       SELECT ?, id, ? FROM exam_objectives WHERE code = ?`,
+      [questionId, index === 0 ? 1 : 0, code]
+    );
+  }
+}
+
+/**
+ * Create a question as revision 1 (admin). Objectives are required, since
+ * blueprint weighting goes by them; tags are optional.
+ * @param {Object} input - Question payload (see normalizeQuestionInput), plus objectives and tags
+ * @param {number} userId - Admin creating the question
+ */
+export async function createQuestion(input, userId) {
+  const fields = normalizeQuestionInput(input);
+  if (!isValidObjectiveList(input.objectives)) {
+    throw { status: 400, message: 'objectives must list known SY0-701 objective codes, primary objective first' };
+  }
+
+  const id = await insertQuestion(fields, {
+    userId,
+    changeNote: optionalText(input.changeNote, 'changeNote') || 'Created',
+    objectives: input.objectives.map(String),
+    tags: input.tags ?? []
+  });
+
+  return getQuestion(id);
+}
+
+/**
+ * Insert a question with its first revision, objectives and tags, all or nothing
+ * @param {Object} fields - Values for REVISION_COLUMNS (see normalizeQuestionInput)
+ * @param {Object} options - { externalId, userId, changeNote, objectives, tags } (null objectives or tags: none)
+ * @returns {number} - New question ID
+ */
+export async function insertQuestion(fields, {
+  externalId = null, userId = null, changeNote = null, objectives = null, tags = null
+} = {}) {
+  return transaction(async () => {
+    const result = await run(
+      `INSERT INTO questions (${REVISION_COLUMNS.join(', ')}, external_id)
+       VALUES (${REVISION_COLUMNS.map(() => '?').join(', ')}, ?)`,
+      [...REVISION_COLUMNS.map(col => fields[col]), externalId]
+    );
+    await saveQuestionRevision(result.lastID, fields, userId, changeNote);
+    if (objectives) await setQuestionObjectives(result.lastID, objectives);
+    if (tags) await setQuestionTags(result.lastID, tags);
+    return result.lastID;
+  });
+}
+
+/**
+ * Edit a question by saving a new revision (admin). Omitted fields keep their
+ * current value; an edit that changes nothing doesn't create a revision.
+ * @param {number} id - Question ID
+ * @param {Object} input - Fields to change, plus an optional changeNote
+ * @param {number} userId - Admin making the edit
+ */
+export async function updateQuestion(id, input, userId) {
+  const current = await getQuestion(id);
+  if (!input || typeof input !== 'object') {
+    throw { status: 400, message: 'Question data is required' };
+  }
+
+  const merged = { ...current, ...input };
+  if ((merged.qtype || 'mcq') !== current.qtype) {
+    throw { status: 400, message: 'qtype cannot be changed; create a new question instead' };
+  }
+
+  const fields = normalizeQuestionInput(merged);
+  const row = await get('SELECT * FROM questions WHERE id = ?', [id]);
+  const changed = REVISION_COLUMNS.some(col => (row[col] ?? null) !== (fields[col] ?? null));
+  if (!changed) return current;
+
+  await saveQuestionRevision(id, fields, userId, optionalText(input.changeNote, 'changeNote'));
+  return getQuestion(id);
+}
+
+/**
+ * Retire a question so exams and study sessions stop serving it (admin).
+ * Past answers and reviews are unaffected.
+ * @param {number} id - Question ID
+ */
+export async function retireQuestion(id) {
+  const current = await getQuestion(id);
+  if (current.retired) throw { status: 409, message: 'Question is already retired' };
+
+  await run('UPDATE questions SET retired_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  return getQuestion(id);
+}
+
+/**
+ * Put a retired question back into circulation (admin)
+ * @param {number} id - Question ID
+ */
+export async function restoreQuestion(id) {
+  const current = await getQuestion(id);
+  if (!current.retired) throw { status: 409, message: 'Question is not retired' };
+
+  await run('UPDATE questions SET retired_at = NULL, duplicate_of = NULL WHERE id = ?', [id]);
+  return getQuestion(id);
+}
+
+/**
+ * List every revision of a question, newest first (admin)
+ * @param {number} id - Question ID
+ */
+export async function listRevisions(id) {
+  await getQuestion(id);
+  const rows = await all(
+    'SELECT * FROM question_revisions WHERE question_id = ? ORDER BY revision_number DESC',
+    [id]
+  );
+  return rows.map(formatRevision);
+}
+
+/**
+ * Get one revision of a question by its number (admin)
+ * @param {number} id - Question ID
+ * @param {number} revisionNumber - Revision number (1 = original)
+ */
+export async function getRevision(id, revisionNumber) {
+  const row = await get(
+    'SELECT * FROM question_revisions WHERE question_id = ? AND revision_number = ?',
+    [id, revisionNumber]
+  );
+  if (!row) throw { status: 404, message: 'Revision not found' };
+  return formatRevision(row);
+}
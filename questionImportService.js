@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { run, all } from './database/db.js';
+import {
+  REVISION_COLUMNS, normalizeQuestionInput, insertQuestion, saveQuestionRevision, setQuestionObjectives
+} from './questionBankService.js';
+import { validateQuestionFiles } from './questionValidator.js';
+import { normalizeTagName, setQuestionTags } from './tagService.js';
+
+/**
+ * Question Import Service
+ * The one import pipeline for questions.json and pbqs_100.json. File entries are
+ * matched to questions by their stable id ("SEC-0001", "PBQ-0001") and updated in
+ * place, so question ids - and with them usage, bookmarks, review schedules and
+ * past answers - survive every import. Content changes are saved as new revisions,
+ * and questions that disappear from the files are retired rather than deleted.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_IMPORT_FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, f));
+
+const IMPORT_NOTE = 'Imported';
+
+// Convert a file entry into the admin API payload shape
+function toQuestionInput(item) {
+  return {
+    qtype: item.qtype || 'mcq',
+    question: item.question,
+    choices: item.choices,
+    answer: item.answer,
+    pbq: item.pbq_json,
+    explanation: item.explanation,
+    explanationShort: item.explanation_short,
+    explanationLong: item.explanation_long,
+    explanationWrong: item.explanation_wrong,
+    choiceExplanations: item.choice_explanations,
+    domain: item.domain,
+    difficulty: item.difficulty
+  };
+}
+
+// Read and validate every file. Entries with errors are reported and left out, so
+// bad content never reaches the questions table; the first entry wins when an id repeats.
+function readImportFiles(files, report) {
+  const parsed = files.map(file => {
+    if (!fs.existsSync(file)) {
+      throw { status: 400, message: `Import file not found: ${file}` };
+    }
+    const name = path.basename(file);
+    try {
+      return { name, items: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch {
+      throw { status: 400, message: `${name} is not valid JSON` };
+    }
+  });
+
+  const rejected = new Map();
+  validateQuestionFiles(parsed).issues.forEach(found => {
+    if (found.index === null) {
+      throw { status: 400, message: `${found.file}: ${found.message}` };
+    }
+    const where = `${found.file} entry ${found.index + 1}`;
+    if (found.rule === 'duplicate-entry') {
+      report.warnings.push(`${where} repeats id ${found.id} and was skipped`);
+    } else if (found.severity === 'error') {
+      const key = `${found.file}:${found.index}`;
+      if (!rejected.has(key)) rejected.set(key, { externalId: found.id, where, messages: [] });
+      rejected.get(key).messages.push(found.message);
+    }
+  });
+  rejected.forEach(({ externalId, where, messages }) => {
+    report.errors.push({ externalId, message: `${where}: ${messages.join('; ')}` });
+  });
+
+  const entries = new Map();
+  parsed.forEach(({ name, items }) => {
+    items.forEach((item, index) => {
+      if (rejected.has(`${name}:${index}`)) return;
+      const externalId = item.id.trim();
+      if (!entries.has(externalId)) entries.set(externalId, item);
+    });
+  });
+
+  return entries;
+}
+
+// Convert a validated entry into question columns plus its objectives and tags
+function prepareEntry(item) {
+  return {
+    fields: normalizeQuestionInput(toQuestionInput(item)),
+    objectives: item.objectives !== undefined ? item.objectives.map(String) : null,
+    tags: item.tags !== undefined ? item.tags.map(normalizeTagName) : null
+  };
+}
+
+async function getObjectiveCodes(questionId) {
+  const rows = await all(
+    `SELECT eo.code FROM question_objectives qo
+     JOIN exam_objectives eo ON eo.id = qo.objective_id
+     WHERE qo.question_id = ?
+     ORDER BY qo.is_primary DESC, eo.code`,
+    [questionId]
+  );
+  return rows.map(row => row.code);
+}
+
+async function getTagNames(questionId) {
+  const rows = await all(
+    'SELECT t.name FROM question_tags qt JOIN tags t ON t.id = qt.tag_id WHERE qt.question_id = ?',
+    [questionId]
+  );
+  return rows.map(row => row.name);
+}
+
+// Same primary objective and the same secondaries in any order
+function sameObjectives(current, wanted) {
+  if (current.length !== wanted.length || current[0] !== wanted[0]) return false;
+  return [...current].sort().join('|') === [...wanted].sort().join('|');
+}
+
+function sameTags(current, wanted) {
+  const normalize = names => [...new Set(names.map(n => n.toLowerCase()))].sort().join('|');
+  return normalize(current) === normalize(wanted);
+}
+
+async function applyMetadata(questionId, prepared, { objectives = true, tags = true } = {}) {
+  if (objectives && prepared.objectives) await setQuestionObjectives(questionId, prepared.objectives);
+  if (tags && prepared.tags) await setQuestionTags(questionId, prepared.tags);
+}
+
+/**
+ * Import the question files into the question bank
+ * @param {Object} options
+ * @param {Array<string>} options.files - JSON files to import (default: questions.json and pbqs_100.json)
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @param {boolean} options.force - Also overwrite questions whose current revision was made in the admin API
+ * @returns {Object} - { dryRun, added, changed, unchanged, retired, conflicts, errors, warnings }
+ *   (external ids, except errors [{ externalId, message }] and warnings [string])
+ */
+export async function importQuestionBank({ files = DEFAULT_IMPORT_FILES, dryRun = false, force = false } = {}) {
+  const report = {
+    dryRun,
+    added: [],
+    changed: [],
+    unchanged: [],
+    retired: [],
+    conflicts: [],
+    errors: [],
+    warnings: []
+  };
+
+  const entries = readImportFiles(files, report);
+
+  const rows = await all(
+    `SELECT q.*, r.created_by as revision_created_by
+     FROM questions q
+     LEFT JOIN question_revisions r ON r.id = q.current_revision_id
+     WHERE q.external_id IS NOT NULL`
+  );
+  const rowsByExternalId = new Map(rows.map(row => [row.external_id, row]));
+
+  for (const [externalId, item] of entries) {
+    let prepared;
+    try {
+      prepared = prepareEntry(item);
+    } catch (err) {
+      report.errors.push({ externalId, message: err.message });
+      continue;
+    }
+
+    const row = rowsByExternalId.get(externalId);
+    if (!row) {
+      report.added.push(externalId);
+      if (!dryRun) {
+        await insertQuestion(prepared.fields, {
+          externalId,
+          changeNote: IMPORT_NOTE,
+          objectives: prepared.objectives,
+          tags: prepared.tags
+        });
+      }
+      continue;
+    }
+
+    const contentChanged = REVISION_COLUMNS.some(col => (row[col] ?? null) !== (prepared.fields[col] ?? null));
+    const objectivesChanged = !!prepared.objectives && !sameObjectives(await getObjectiveCodes(row.id), prepared.objectives);
+    const tagsChanged = !!prepared.tags && !sameTags(await getTagNames(row.id), prepared.tags);
+
+    if (!contentChanged && !objectivesChanged && !tagsChanged) {
+      report.unchanged.push(externalId);
+      continue;
+    }
+    // Don't silently undo a fix an admin made after the last import
+    if (contentChanged && row.revision_created_by && !force) {
+      report.conflicts.push(externalId);
+      continue;
+    }
+
+    report.changed.push(externalId);
+    if (!dryRun) {
+      if (contentChanged) await saveQuestionRevision(row.id, prepared.fields, null, IMPORT_NOTE);
+      await applyMetadata(row.id, prepared, { objectives: objectivesChanged, tags: tagsChanged });
+    }
+  }
+
+  // Imported questions that are no longer in the files leave circulation
+  // (an entry that failed validation is still in the files, so its question stays)
+  const failedIds = new Set(report.errors.map(err => err.externalId));
+  for (const row of rows) {
+    if (entries.has(row.external_id) || failedIds.has(row.external_id) || row.retired_at) continue;
+    report.retired.push(row.external_id);
+    if (!dryRun) {
+      await run('UPDATE questions SET retired_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,27 @@
+// Topic detection for questions that have no tags yet
+// The same topic names are used as the seed tags in questions.json and pbqs_100.json,
+// so regex-detected topics and real tags line up in analytics.
+
+export const TOPIC_PATTERNS = {
+  'Cryptography': /\b(encrypt|decrypt|hash|cipher|AES|RSA|TLS|SSL|certificate|PKI|key exchange|crypto)\b/i,
+  'Identity & Access Management': /\b(IAM|authentication|authorization|SSO|SAML|OAuth|MFA|RBAC|access control|privilege|identity)\b/i,
+  'Incident Response': /\b(incident|breach|forensic|malware|response|containment|eradication|recovery|IR|SIEM|alert)\b/i,
+  'Cloud Security': /\b(cloud|AWS|Azure|SaaS|PaaS|IaaS|container|serverless|multi-tenant)\b/i,
+  'Network Security': /\b(firewall|IDS|IPS|VPN|DMZ|network|segmentation|VLAN|router|switch|NAC)\b/i,
+  'Vulnerability Management': /\b(vulnerability|patch|CVE|scan|assessment|pentest|remediation)\b/i,
+  'Threats & Attacks': /\b(phishing|ransomware|malware|DDoS|XSS|SQL injection|attack|exploit|threat actor)\b/i,
+  'Compliance & Governance': /\b(compliance|HIPAA|PCI DSS|GDPR|policy|governance|audit|regulation)\b/i,
+  'Risk Management': /\b(risk|assessment|mitigation|BIA|business impact|RTO|RPO|disaster recovery)\b/i,
+  'Application Security': /\b(application|web app|API|OWASP|injection|XSS|CSRF|input validation|WAF)\b/i,
+  'Endpoint Security': /\b(endpoint|antivirus|EDR|host|workstation|laptop|mobile|BYOD)\b/i,
+  'Data Security': /\b(data loss|DLP|encryption|backup|data classification|sensitive data)\b/i
+};
+
+/**
+ * Guess topics from question text
+ * @param {string} text - Question text
+ * @returns {Array<string>} - Matching topic names
+ */
+export function detectTopics(text) {
+  return Object.keys(TOPIC_PATTERNS).filter(topic => TOPIC_PATTERNS[topic].test(text || ''));
+}
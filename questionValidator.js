@@ -0,0 +1,310 @@
+// Question Validator Module
+// Schema and content checks for question bank entries, shared by
+// scripts/check_questions.js, the importer and the admin question API.
+//
+// Every check reports an issue object:
+//   { severity, rule, field, message }
+// "error" issues make an entry unusable and keep it out of the questions table.
+// "warning" issues are lint findings (e.g. a stem that gives the answer away)
+// that a human should look at but that don't block an import.
+
+import { validatePbqDefinition } from './pbqScoring.js';
+import { OFFICIAL_DOMAINS, getObjective, isValidObjectiveList } from './examObjectives.js';
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+export const CHOICE_LETTERS = ['A', 'B', 'C', 'D'];
+
+const DOMAIN_NAMES = OFFICIAL_DOMAINS.map(d => d.name);
+const MAX_TAG_LENGTH = 50;
+const MAX_CHOICE_EXPLANATION_LENGTH = 2000;
+
+// Words too common to count as a clue shared by a stem and a choice
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'not', 'but', 'all', 'any', 'can', 'has', 'its', 'you',
+  'which', 'what', 'when', 'where', 'who', 'why', 'how', 'that', 'this', 'these', 'those',
+  'with', 'from', 'into', 'onto', 'than', 'then', 'them', 'they', 'their', 'there',
+  'most', 'best', 'least', 'following', 'should', 'would', 'could', 'will', 'does', 'use', 'used',
+  'using', 'about', 'after', 'before', 'while', 'been', 'being', 'have', 'more', 'each', 'other'
+]);
+
+// Stem templates that turn the question into a definition lookup
+const TEMPLATE_STEM_PATTERNS = [
+  /\bbest described as\s*:/i,
+  /\bis defined as\s*:/i
+];
+
+function issue(severity, rule, field, message) {
+  return { severity, rule, field, message };
+}
+
+function isBlank(value) {
+  return typeof value !== 'string' || value.trim() === '';
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function keywords(text) {
+  return new Set(normalize(text).split(' ').filter(word => word.length >= 3 && !STOPWORDS.has(word)));
+}
+
+function checkChoices(choices, answer, issues) {
+  if (!choices || typeof choices !== 'object' || Array.isArray(choices)) {
+    issues.push(issue('error', 'choices', 'choices', 'choices must be an object with keys A, B, C and D'));
+    return;
+  }
+
+  Object.keys(choices)
+    .filter(key => !CHOICE_LETTERS.includes(key))
+    .forEach(key => issues.push(issue('error', 'choices', `choices.${key}`, `choices.${key} is not a choice letter (use A, B, C and D)`)));
+
+  const seen = new Map();
+  CHOICE_LETTERS.forEach(letter => {
+    const text = choices[letter];
+    if (isBlank(text)) {
+      issues.push(issue('error', 'required', `choices.${letter}`, `choices.${letter} is required`));
+      return;
+    }
+    const key = normalize(text);
+    if (seen.has(key)) {
+      issues.push(issue('error', 'unique-choices', `choices.${letter}`, `choices.${letter} repeats choices.${seen.get(key)}`));
+    } else {
+      seen.set(key, letter);
+    }
+  });
+
+  if (!CHOICE_LETTERS.includes(answer)) {
+    issues.push(issue('error', 'answer', 'answer', 'answer must be A, B, C or D'));
+  }
+}
+
+// Lint the stem of a well-formed MCQ for ways it gives the answer away
+function lintStem(question, choices, answer, issues) {
+  const stem = normalize(question);
+  const correct = normalize(choices[answer]);
+
+  if (correct.length >= 3 && ` ${stem} `.includes(` ${correct} `)) {
+    issues.push(issue('warning', 'stem-contains-answer', 'question', 'The stem contains the text of the correct choice'));
+    return;
+  }
+
+  // The correct choice is the only one that repeats a keyword from the stem
+  const stemWords = keywords(question);
+  const sharesWord = letter => [...keywords(choices[letter])].some(word => stemWords.has(word));
+  const cluedLetters = CHOICE_LETTERS.filter(sharesWord);
+  if (cluedLetters.length === 1 && cluedLetters[0] === answer) {
+    issues.push(issue('warning', 'stem-clue', 'question', 'Only the correct choice repeats a keyword from the stem'));
+  }
+}
+
+/**
+ * Keys a question's per-choice explanations may use: choice letters for an MCQ,
+ * and for a PBQ the index of a multi_select option, ordering item, matching left-hand item, categorize item,
+ * log line or fill-in blank, or the id of a placement zone
+ * @param {string} qtype - mcq or pbq
+ * @param {Object} pbq - PBQ definition (PBQs only)
+ * @returns {Array<string>}
+ */
+export function choiceExplanationKeys(qtype, pbq) {
+  if ((qtype || 'mcq') === 'mcq') return CHOICE_LETTERS;
+  if (pbq && pbq.type === 'placement') {
+    return Array.isArray(pbq.zones) ? pbq.zones.map(zone => zone && String(zone.id)) : [];
+  }
+  const targets = {
+    multi_select: 'options', ordering: 'items', matching: 'left', categorize: 'items', log_analysis: 'lines',
+    fill_in: 'blanks'
+  }[pbq && pbq.type];
+  const list = targets && Array.isArray(pbq[targets]) ? pbq[targets] : [];
+  return list.map((_, index) => String(index));
+}
+
+function checkChoiceExplanations(input, qtype, issues) {
+  const explanations = input.choiceExplanations;
+  if (explanations === undefined || explanations === null) return;
+  if (typeof explanations !== 'object' || Array.isArray(explanations)) {
+    issues.push(issue('error', 'choice-explanations', 'choiceExplanations', 'choiceExplanations must be an object keyed by choice'));
+    return;
+  }
+
+  const keys = choiceExplanationKeys(qtype, input.pbq);
+  const keyHint = qtype !== 'pbq' ? 'A, B, C and D'
+    : input.pbq && input.pbq.type === 'placement' ? 'zone ids' : 'option or item indices starting at 0';
+  Object.entries(explanations).forEach(([key, text]) => {
+    const field = `choiceExplanations.${key}`;
+    if (!keys.includes(key)) {
+      issues.push(issue('error', 'choice-explanations', field, `${field} does not match a choice (use ${keyHint})`));
+    } else if (isBlank(text)) {
+      issues.push(issue('error', 'choice-explanations', field, `${field} must be non-empty text`));
+    } else if (text.length > MAX_CHOICE_EXPLANATION_LENGTH) {
+      issues.push(issue('error', 'choice-explanations', field, `${field} must be at most ${MAX_CHOICE_EXPLANATION_LENGTH} characters`));
+    }
+  });
+}
+
+/**
+ * Check question content in the admin API payload shape
+ * @param {Object} input - { qtype, question, choices, answer, pbq, explanation, explanationShort, explanationLong, explanationWrong, choiceExplanations, domain, difficulty }
+ * @returns {Array<Object>} - Issues found (empty when the content is clean)
+ */
+export function validateQuestionContent(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [issue('error', 'required', null, 'Question data is required')];
+  }
+
+  const issues = [];
+  const qtype = input.qtype || 'mcq';
+
+  if (!['mcq', 'pbq'].includes(qtype)) {
+    issues.push(issue('error', 'qtype', 'qtype', 'qtype must be "mcq" or "pbq"'));
+  }
+  if (!DOMAIN_NAMES.includes(input.domain)) {
+    issues.push(issue('error', 'domain', 'domain', `domain must be one of: ${DOMAIN_NAMES.join(', ')}`));
+  }
+  if (!DIFFICULTIES.includes(input.difficulty)) {
+    issues.push(issue('error', 'difficulty', 'difficulty', `difficulty must be one of: ${DIFFICULTIES.join(', ')}`));
+  }
+  if (isBlank(input.question)) {
+    issues.push(issue('error', 'required', 'question', 'question is required'));
+  }
+  if (isBlank(input.explanation)) {
+    issues.push(issue('error', 'required', 'explanation', 'explanation is required'));
+  }
+  ['explanationShort', 'explanationLong', 'explanationWrong'].forEach(field => {
+    const value = input[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      issues.push(issue('error', 'type', field, `${field} must be a string`));
+    }
+  });
+
+  if (qtype === 'pbq') {
+    const pbqErrors = validatePbqDefinition(input.pbq);
+    pbqErrors.forEach(message => {
+      issues.push(issue('error', 'pbq', 'pbq', `Invalid PBQ: ${message}`));
+    });
+    if (pbqErrors.length === 0) checkChoiceExplanations(input, qtype, issues);
+  } else if (qtype === 'mcq') {
+    const before = issues.length;
+    checkChoices(input.choices, input.answer, issues);
+    const choicesValid = !issues.slice(before).some(i => i.severity === 'error');
+    if (choicesValid && !isBlank(input.question)) lintStem(input.question, input.choices, input.answer, issues);
+    checkChoiceExplanations(input, qtype, issues);
+  }
+
+  if (!isBlank(input.question) && TEMPLATE_STEM_PATTERNS.some(pattern => pattern.test(input.question))) {
+    issues.push(issue('warning', 'stem-template', 'question', 'The stem is a definition template ("best described as:"); ask about a scenario instead'));
+  }
+
+  return issues;
+}
+
+/**
+ * Check one entry of questions.json or pbqs_100.json
+ * @param {Object} item - File entry ({ id, qtype, question, choices, answer, pbq_json, ..., objectives, tags })
+ * @returns {Array<Object>} - Issues found (empty when the entry is clean)
+ */
+export function validateQuestionEntry(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [issue('error', 'required', null, 'Entry must be an object')];
+  }
+
+  const issues = [];
+  if (isBlank(item.id)) {
+    issues.push(issue('error', 'required', 'id', 'id is required'));
+  }
+
+  issues.push(...validateQuestionContent({
+    qtype: item.qtype,
+    question: item.question,
+    choices: item.choices,
+    answer: item.answer,
+    pbq: item.pbq_json,
+    explanation: item.explanation,
+    explanationShort: item.explanation_short,
+    explanationLong: item.explanation_long,
+    explanationWrong: item.explanation_wrong,
+    choiceExplanations: item.choice_explanations,
+    domain: item.domain,
+    difficulty: item.difficulty
+  }));
+
+  if (item.objectives !== undefined) {
+    if (!isValidObjectiveList(item.objectives)) {
+      issues.push(issue('error', 'objectives', 'objectives', 'objectives must list known SY0-701 objective codes'));
+    } else if (DOMAIN_NAMES.includes(item.domain) && getObjective(item.objectives[0]).domain !== item.domain) {
+      issues.push(issue('warning', 'objective-domain', 'objectives', `Primary objective ${item.objectives[0]} is not in the ${item.domain} domain`));
+    }
+  }
+
+  // Marks codes guessed by scripts/tag_objectives.js; removed once someone checks them
+  if (item.objective_source !== undefined && item.objective_source !== 'auto') {
+    issues.push(issue('error', 'objective-source', 'objective_source', 'objective_source must be "auto" or left out'));
+  }
+
+  if (item.tags !== undefined) {
+    const validTags = Array.isArray(item.tags) && item.tags.every(tag => !isBlank(tag) && tag.trim().length <= MAX_TAG_LENGTH);
+    if (!validTags) {
+      issues.push(issue('error', 'tags', 'tags', `tags must be an array of names of 1-${MAX_TAG_LENGTH} characters`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check whole question files, including ids repeated within or across files
+ * @param {Array<Object>} files - [{ name, items }] where items is the parsed JSON
+ * @returns {Object} - { entries, errors, warnings, issues: [{ file, index, id, ...issue }] }
+ *   (index is the 0-based position in the file, null for file-level issues;
+ *   messages count entries from 1)
+ */
+export function validateQuestionFiles(files) {
+  const issues = [];
+  const firstById = new Map();
+  let entries = 0;
+
+  files.forEach(({ name, items }) => {
+    if (!Array.isArray(items)) {
+      issues.push({ file: name, index: null, id: null, ...issue('error', 'format', null, 'File must contain a JSON array of questions') });
+      return;
+    }
+
+    items.forEach((item, index) => {
+      entries++;
+      const id = item && typeof item.id === 'string' ? item.id.trim() : null;
+      const at = { file: name, index, id };
+
+      if (id && firstById.has(id)) {
+        const first = firstById.get(id);
+        const sameContent = JSON.stringify(first.item) === JSON.stringify(item);
+        issues.push({
+          ...at,
+          ...(sameContent
+            ? issue('warning', 'duplicate-entry', 'id', `Repeats ${first.file} entry ${first.index + 1} exactly; the importer skips it`)
+            : issue('error', 'duplicate-id', 'id', `id is already used by ${first.file} entry ${first.index + 1}`))
+        });
+        return;
+      }
+      if (id) firstById.set(id, { file: name, index, item });
+
+      validateQuestionEntry(item).forEach(found => issues.push({ ...at, ...found }));
+    });
+  });
+
+  return {
+    entries,
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    issues
+  };
+}
+
+/**
+ * Join the error messages of an issue list (for {status, message} errors)
+ * @param {Array<Object>} issues
+ * @returns {string|null} - null when there are no errors
+ */
+export function describeErrors(issues) {
+  const errors = issues.filter(i => i.severity === 'error');
+  return errors.length > 0 ? errors.map(i => i.message).join('; ') : null;
+}
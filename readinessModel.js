@@ -0,0 +1,196 @@
+// Readiness Model
+// Estimates the chance of passing the real exam from a student's practice attempts
+//
+// The prediction blends two views of the student on the 100-900 scale:
+// - their recent attempt scores
+// - their accuracy per official domain weighted by the domain's share of the real
+//   exam, mixed with their PBQ accuracy in the proportion PBQs carry there
+// Older attempts count less (half-life), and accuracy is pulled towards a neutral
+// prior until there are enough answers, so a handful of lucky answers does not make
+// anyone "ready".
+//
+// The uncertainty has two parts: how well we know the student's current level
+// (few, old or inconsistent attempts make it wide) and how much a single sitting of
+// the real exam varies around that level. The pass probability uses both; the
+// confidence band shows how far it could move with the first part alone.
+
+import { OFFICIAL_DOMAIN_WEIGHTS } from './examObjectives.js';
+import { getScoringConfig, rawToScaled } from './scoringModel.js';
+
+export const READINESS_DEFAULTS = {
+  maxAttempts: 10, // only the most recent attempts count
+  halfLifeDays: 21, // an attempt this old counts half as much as one taken today
+  priorAccuracy: 0.5, // accuracy assumed before any answers...
+  priorAnswers: 10, // ...worth this many answers per domain
+  pbqShare: 0.15, // share of the real exam score from PBQs (about 5 PBQs weighted 3 among 90 questions)
+  attemptWeight: 0.5, // share of the prediction from attempt scores, the rest from accuracy
+  attemptSpread: 60, // scaled points between attempts assumed until there are two
+  examDaySpread: 40, // scaled points one sitting of the real exam varies around the student's level
+  bandLevel: 0.8 // coverage of the confidence band
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, accurate to about 1e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// z-score of a two-sided band with the given coverage
+function bandZ(level) {
+  let low = 0;
+  let high = 10;
+  while (high - low > 1e-6) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < (1 + level) / 2) low = mid; else high = mid;
+  }
+  return low;
+}
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function timestamp(value) {
+  return value instanceof Date ? value.getTime() : Number(value);
+}
+
+// Recency-weighted, prior-shrunk accuracy (0-1) of a set of [weight, points] pairs
+function shrunkAccuracy(pairs, prior, priorAnswers) {
+  const weight = pairs.reduce((sum, [w]) => sum + w, 0);
+  const earned = pairs.reduce((sum, [w, points]) => sum + w * points, 0);
+  return { accuracy: (earned + priorAnswers * prior) / (weight + priorAnswers), weight };
+}
+
+/**
+ * Predict readiness for the real exam
+ * @param {Array<Object>} attempts - Submitted attempts, any order:
+ *   [{ id, submittedAt (ms or Date), scaledScore, answers: [{ domain, qtype, points }] }]
+ * @param {Object} options - Overrides of READINESS_DEFAULTS plus
+ *   { asOf (ms or Date, default now), domainWeights, scoring (scoring config overrides) }
+ * @returns {Object} - { status: 'no-data' } or { status: 'ok', passProbability, confidenceBand,
+ *   predictedScore, scoreRange, passMark, confidence, components, domains, limitingDomains, basedOn }
+ */
+export function predictReadiness(attempts, options = {}) {
+  const settings = { ...READINESS_DEFAULTS, ...options };
+  const domainWeights = options.domainWeights || OFFICIAL_DOMAIN_WEIGHTS;
+  const config = getScoringConfig(options.scoring || {});
+  const passMark = config.passMark ?? config.passingScore;
+  const asOf = options.asOf !== undefined ? timestamp(options.asOf) : Date.now();
+
+  const recent = attempts
+    .filter(a => timestamp(a.submittedAt) <= asOf)
+    .sort((a, b) => timestamp(b.submittedAt) - timestamp(a.submittedAt))
+    .slice(0, settings.maxAttempts)
+    .map(a => ({
+      ...a,
+      weight: 0.5 ** (Math.max(0, asOf - timestamp(a.submittedAt)) / DAY_MS / settings.halfLifeDays)
+    }));
+  if (recent.length === 0) return { status: 'no-data', passMark };
+
+  // Attempt scores
+  const totalWeight = recent.reduce((sum, a) => sum + a.weight, 0);
+  const attemptScore = recent.reduce((sum, a) => sum + a.weight * a.scaledScore, 0) / totalWeight;
+  const effectiveAttempts = totalWeight ** 2 / recent.reduce((sum, a) => sum + a.weight ** 2, 0);
+  const spread = recent.length > 1
+    ? Math.sqrt(recent.reduce((sum, a) => sum + a.weight * (a.scaledScore - attemptScore) ** 2, 0) / totalWeight)
+    : settings.attemptSpread;
+  const attemptError = spread / Math.sqrt(effectiveAttempts);
+
+  // Accuracy by official domain, and on PBQs
+  const answers = recent.flatMap(a => a.answers.map(answer => ({ ...answer, weight: a.weight })));
+  const totalDomainWeight = Object.values(domainWeights).reduce((sum, w) => sum + w, 0);
+  const domains = Object.entries(domainWeights).map(([domain, weight]) => {
+    const inDomain = answers.filter(answer => answer.domain === domain);
+    const { accuracy } = shrunkAccuracy(inDomain.map(answer => [answer.weight, answer.points]), settings.priorAccuracy, settings.priorAnswers);
+    return { domain, weight: weight / totalDomainWeight, accuracy, answered: inDomain.length };
+  });
+  const weightedAccuracy = domains.reduce((sum, d) => sum + d.weight * d.accuracy, 0);
+  const pbqAnswers = answers.filter(answer => answer.qtype === 'pbq');
+  const pbq = shrunkAccuracy(pbqAnswers.map(answer => [answer.weight, answer.points]), weightedAccuracy, settings.priorAnswers);
+  const accuracyPercent = 100 * ((1 - settings.pbqShare) * weightedAccuracy + settings.pbqShare * pbq.accuracy);
+  const accuracyScore = rawToScaled(accuracyPercent, config);
+
+  // Sampling error of the accuracy, carried onto the scaled score
+  const answerWeight = answers.reduce((sum, answer) => sum + answer.weight, 0) + settings.priorAnswers * domains.length;
+  const accuracyPercentError = 100 * Math.sqrt((accuracyPercent / 100) * (1 - accuracyPercent / 100) / answerWeight);
+  const accuracyError = (rawToScaled(accuracyPercent + accuracyPercentError, config) - rawToScaled(accuracyPercent - accuracyPercentError, config)) / 2;
+
+  const predicted = settings.attemptWeight * attemptScore + (1 - settings.attemptWeight) * accuracyScore;
+  // The two views come from the same answers, so their errors add up rather than cancel
+  const estimateError = settings.attemptWeight * attemptError + (1 - settings.attemptWeight) * accuracyError;
+  const z = bandZ(settings.bandLevel);
+
+  const margin = predicted - passMark;
+  const passProbability = normalCdf(margin / Math.sqrt(estimateError ** 2 + settings.examDaySpread ** 2));
+  const low = Math.min(passProbability, normalCdf((margin - z * estimateError) / settings.examDaySpread));
+  const high = Math.max(passProbability, normalCdf((margin + z * estimateError) / settings.examDaySpread));
+
+  // Domains below the passing level, by how much of the exam score they cost
+  const target = config.passingRawPercent / 100;
+  const limitingDomains = domains
+    .filter(d => d.accuracy < target)
+    .map(d => ({
+      domain: d.domain,
+      weight: round(d.weight, 2),
+      accuracy: round(d.accuracy * 100, 1),
+      answered: d.answered,
+      shortfall: round(d.weight * (target - d.accuracy) * 100, 1)
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall);
+
+  return {
+    status: 'ok',
+    passProbability: round(passProbability),
+    confidenceBand: { low: round(low), high: round(high), level: settings.bandLevel },
+    predictedScore: Math.round(predicted),
+    scoreRange: {
+      low: Math.max(config.minScore, Math.round(predicted - z * estimateError)),
+      high: Math.min(config.maxScore, Math.round(predicted + z * estimateError))
+    },
+    passMark,
+    confidence: estimateError <= 25 ? 'high' : estimateError <= 50 ? 'medium' : 'low',
+    components: {
+      attemptScore: Math.round(attemptScore),
+      accuracyScore,
+      weightedAccuracy: round(weightedAccuracy * 100, 1),
+      pbqAccuracy: pbqAnswers.length > 0 ? round(pbq.accuracy * 100, 1) : null
+    },
+    domains: domains.map(d => ({ domain: d.domain, weight: round(d.weight, 2), accuracy: round(d.accuracy * 100, 1), answered: d.answered })),
+    limitingDomains,
+    basedOn: {
+      attempts: recent.length,
+      answers: answers.length,
+      pbqAnswers: pbqAnswers.length,
+      lastAttemptAt: new Date(timestamp(recent[0].submittedAt)).toISOString()
+    }
+  };
+}
+
+/**
+ * Readiness as it stood after each attempt, oldest first
+ * @param {Array<Object>} attempts - As for predictReadiness
+ * @param {Object} options - As for predictReadiness (asOf is set per attempt)
+ * @returns {Array<Object>} - [{ attemptId, date, passProbability, low, high, predictedScore }]
+ */
+export function readinessHistory(attempts, options = {}) {
+  const ordered = [...attempts].sort((a, b) => timestamp(a.submittedAt) - timestamp(b.submittedAt));
+  return ordered
+    .map((attempt, i) => {
+      // By position, not date: attempts submitted within the same second share a timestamp
+      const readiness = predictReadiness(ordered.slice(0, i + 1), { ...options, asOf: timestamp(attempt.submittedAt) });
+      return {
+        attemptId: attempt.id,
+        date: new Date(timestamp(attempt.submittedAt)).toISOString(),
+        passProbability: readiness.passProbability,
+        low: readiness.confidenceBand.low,
+        high: readiness.confidenceBand.high,
+        predictedScore: readiness.predictedScore
+      };
+    });
+}
@@ -0,0 +1,78 @@
+import { run, get } from './database/db.js';
+import { calculateNextReview, gradeAnswer } from './spacedRepetition.js';
+
+/**
+ * Review Service
+ * Keeps each student's spaced-repetition schedule (review_schedule) up to date
+ * after every exam and study answer, and reports what is due.
+ * "Today" ends at midnight UTC, matching the timestamps SQLite stores.
+ */
+
+// Cards due before this moment are due for review today
+export const DUE_TODAY_CUTOFF_SQL = "datetime('now', 'start of day', '+1 day')";
+
+/**
+ * Record one answer in the student's review schedule
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @param {Object} result - { isCorrect, isPartial, points } as scored
+ * @returns {Object} - The updated card { easeFactor, intervalDays, repetitions, lapses, quality }
+ */
+export async function recordReview(userId, questionId, result) {
+  const row = await get(
+    'SELECT ease_factor, interval_days, repetitions, lapses FROM review_schedule WHERE user_id = ? AND question_id = ?',
+    [userId, questionId]
+  );
+
+  const current = row
+    ? { easeFactor: row.ease_factor, intervalDays: row.interval_days, repetitions: row.repetitions, lapses: row.lapses }
+    : null;
+  const next = calculateNextReview(current, gradeAnswer(result));
+
+  await run(
+    `INSERT INTO review_schedule
+       (user_id, question_id, ease_factor, interval_days, repetitions, lapses, last_quality, last_reviewed_at, due_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))
+     ON CONFLICT(user_id, question_id) DO UPDATE SET
+       ease_factor = excluded.ease_factor,
+       interval_days = excluded.interval_days,
+       repetitions = excluded.repetitions,
+       lapses = excluded.lapses,
+       last_quality = excluded.last_quality,
+       last_reviewed_at = excluded.last_reviewed_at,
+       due_at = excluded.due_at`,
+    [
+      userId, questionId, next.easeFactor, next.intervalDays, next.repetitions,
+      next.lapses, next.quality, `+${next.intervalDays} days`
+    ]
+  );
+
+  return next;
+}
+
+/**
+ * Summarize a student's review queue
+ * @param {number} userId - User ID
+ * @returns {Object} - { dueToday, overdue, scheduled, learning, nextDueAt }
+ */
+export async function getReviewSummary(userId) {
+  const row = await get(
+    `SELECT
+       COUNT(*) as scheduled,
+       SUM(CASE WHEN due_at < ${DUE_TODAY_CUTOFF_SQL} THEN 1 ELSE 0 END) as due_today,
+       SUM(CASE WHEN due_at < datetime('now', 'start of day') THEN 1 ELSE 0 END) as overdue,
+       SUM(CASE WHEN repetitions < 2 THEN 1 ELSE 0 END) as learning,
+       MIN(CASE WHEN due_at >= ${DUE_TODAY_CUTOFF_SQL} THEN due_at END) as next_due_at
+     FROM review_schedule
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  return {
+    dueToday: row?.due_today || 0,
+    overdue: row?.overdue || 0,
+    scheduled: row?.scheduled || 0,
+    learning: row?.learning || 0,
+    nextDueAt: row?.next_due_at || null
+  };
+}
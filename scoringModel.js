@@ -0,0 +1,145 @@
+// Scoring Model
+// Converts exam answers into a scaled 100-900 score like the real Security+ exam
+
+/**
+ * Default scoring configuration.
+ * - typeWeights: how much each question type counts (PBQs are weighted more heavily)
+ * - domainWeights: optional per-domain multipliers (domains not listed count as 1)
+ * - passingRawPercent: weighted raw percentage that maps exactly onto passingScore
+ * - passMark: optional scaled score required to pass (e.g. from an exam blueprint);
+ *   defaults to passingScore and only changes the pass decision, not the scale
+ *
+ * Overrides can be supplied through the SCORING_CONFIG environment variable (JSON)
+ * or per call, e.g. { "typeWeights": { "pbq": 4 }, "domainWeights": { "Security Operations": 1.2 } }
+ */
+export const DEFAULT_SCORING_CONFIG = {
+  minScore: 100,
+  maxScore: 900,
+  passingScore: 750,
+  passingRawPercent: 75,
+  typeWeights: {
+    mcq: 1,
+    pbq: 3
+  },
+  domainWeights: {}
+};
+
+function loadEnvConfig() {
+  if (!process.env.SCORING_CONFIG) return {};
+
+  try {
+    return JSON.parse(process.env.SCORING_CONFIG);
+  } catch (err) {
+    console.error('Invalid SCORING_CONFIG, using defaults:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Build the effective scoring config
+ * @param {Object} overrides - Partial config to merge over defaults and environment
+ * @returns {Object} - Complete scoring config
+ */
+export function getScoringConfig(overrides = {}) {
+  const envConfig = loadEnvConfig();
+
+  return {
+    ...DEFAULT_SCORING_CONFIG,
+    ...envConfig,
+    ...overrides,
+    typeWeights: {
+      ...DEFAULT_SCORING_CONFIG.typeWeights,
+      ...(envConfig.typeWeights || {}),
+      ...(overrides.typeWeights || {})
+    },
+    domainWeights: {
+      ...DEFAULT_SCORING_CONFIG.domainWeights,
+      ...(envConfig.domainWeights || {}),
+      ...(overrides.domainWeights || {})
+    }
+  };
+}
+
+/**
+ * Weight of a single question under the given config
+ * @param {Object} item - { qtype, domain }
+ * @param {Object} config - Scoring config
+ * @returns {number} - Question weight
+ */
+export function getQuestionWeight(item, config = getScoringConfig()) {
+  const qtype = item.qtype || 'mcq';
+  const typeWeight = config.typeWeights[qtype] ?? 1;
+  const domainWeight = config.domainWeights[item.domain] ?? 1;
+  return typeWeight * domainWeight;
+}
+
+/**
+ * Map a weighted raw percentage onto the scaled range.
+ * Piecewise linear so that passingRawPercent lands exactly on passingScore.
+ * @param {number} rawPercent - Weighted raw percentage (0-100)
+ * @param {Object} config - Scoring config
+ * @returns {number} - Scaled score (rounded)
+ */
+export function rawToScaled(rawPercent, config = getScoringConfig()) {
+  const { minScore, maxScore, passingScore, passingRawPercent } = config;
+  const raw = Math.min(Math.max(rawPercent, 0), 100);
+
+  if (raw <= passingRawPercent) {
+    return Math.round(minScore + (raw / passingRawPercent) * (passingScore - minScore));
+  }
+
+  return Math.round(passingScore + ((raw - passingRawPercent) / (100 - passingRawPercent)) * (maxScore - passingScore));
+}
+
+/**
+ * Calculate the scaled score for a set of exam items
+ * @param {Array} items - [{ qtype, domain, points }] where points is 0-1 (unanswered = 0)
+ * @param {Object} overrides - Optional scoring config overrides
+ * @returns {Object} - { scaledScore, rawPercent, earnedWeight, totalWeight, passed, passingScore, minScore, maxScore }
+ */
+export function calculateScaledScore(items, overrides = {}) {
+  const config = getScoringConfig(overrides);
+
+  let earnedWeight = 0;
+  let totalWeight = 0;
+
+  items.forEach(item => {
+    const weight = getQuestionWeight(item, config);
+    const points = Math.min(Math.max(Number(item.points) || 0, 0), 1);
+    totalWeight += weight;
+    earnedWeight += weight * points;
+  });
+
+  const rawPercent = totalWeight > 0 ? (earnedWeight / totalWeight) * 100 : 0;
+  const scaledScore = rawToScaled(rawPercent, config);
+  const passMark = config.passMark ?? config.passingScore;
+
+  return {
+    scaledScore,
+    rawPercent: Math.round(rawPercent * 10) / 10,
+    earnedWeight: Math.round(earnedWeight * 100) / 100,
+    totalWeight: Math.round(totalWeight * 100) / 100,
+    passed: scaledScore >= passMark,
+    passingScore: passMark,
+    minScore: config.minScore,
+    maxScore: config.maxScore
+  };
+}
+
+/**
+ * Decide pass/fail for a stored attempt.
+ * Attempts recorded before scaled scoring only have a raw percentage.
+ * @param {number|null} scaledScore - Stored scaled score
+ * @param {number|null} scorePercent - Stored raw percentage
+ * @param {Object} overrides - Optional scoring config overrides
+ * @returns {boolean}
+ */
+export function resolvePassed(scaledScore, scorePercent, overrides = {}) {
+  const config = getScoringConfig(overrides);
+
+  if (scaledScore !== null && scaledScore !== undefined) {
+    return scaledScore >= (config.passMark ?? config.passingScore);
+  }
+
+  return (scorePercent || 0) >= config.passingRawPercent;
+}
@@ -1,39 +1,46 @@
-import sqlite3 from 'sqlite3';
+/**
+ * Validate question files against the question bank schema.
+ * Usage: node scripts/check_questions.js [--strict] [file ...]
+ *
+ * Checks questions.json and pbqs_100.json unless files are given, and prints a
+ * JSON report to stdout:
+ *   { entries, errors, warnings, issues: [{ file, index, id, severity, rule, field, message }] }
+ * Errors are entries the importer would reject; warnings are lint findings such
+ * as stems that give the answer away.
+ * Exits 1 when there are errors (or any warnings with --strict).
+ */
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateQuestionFiles } from '../questionValidator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbPath = path.join(__dirname, '..', 'database', 'comptia.db');
-const db = new sqlite3.Database(dbPath);
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const fileArgs = args.filter(arg => !arg.startsWith('--'));
+const files = fileArgs.length > 0
+  ? fileArgs.map(file => path.resolve(file))
+  : ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
 
-console.log('Checking questions in database...\n');
-
-db.get('SELECT COUNT(*) as total FROM questions', [], (err, row) => {
-  if (err) {
-    console.error('Error:', err);
-    db.close();
-    return;
+function readFile(file) {
+  const name = path.basename(file);
+  try {
+    return { name, items: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    // Unreadable files are reported like any other file-level error
+    return { name, items: null, readError: err.code === 'ENOENT' ? 'File not found' : `Invalid JSON: ${err.message}` };
   }
-  console.log(`Total questions: ${row.total}`);
-  
-  db.get("SELECT COUNT(*) as pbqs FROM questions WHERE qtype = 'pbq'", [], (err, row2) => {
-    if (err) {
-      console.error('Error:', err);
-      db.close();
-      return;
-    }
-    console.log(`PBQ questions: ${row2.pbqs}`);
-    
-    db.get("SELECT COUNT(*) as mcqs FROM questions WHERE qtype IS NULL OR qtype = 'mcq' OR qtype = ''", [], (err, row3) => {
-      if (err) {
-        console.error('Error:', err);
-        db.close();
-        return;
-      }
-      console.log(`MCQ questions: ${row3.mcqs}`);
-      db.close();
-    });
-  });
+}
+
+const parsed = files.map(readFile);
+const report = validateQuestionFiles(parsed.filter(file => !file.readError));
+
+parsed.filter(file => file.readError).forEach(file => {
+  report.issues.unshift({ file: file.name, index: null, id: null, severity: 'error', rule: 'format', field: null, message: file.readError });
+  report.errors++;
 });
+
+console.log(JSON.stringify(report, null, 2));
+process.exitCode = report.errors > 0 || (strict && report.warnings > 0) ? 1 : 0;
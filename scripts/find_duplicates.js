@@ -0,0 +1,97 @@
+/**
+ * Report duplicate and near-duplicate questions.
+ * Usage: node scripts/find_duplicates.js [--db] [--threshold=0.85]
+ *
+ * By default questions.json and pbqs_100.json are checked, so duplicates can be
+ * caught before they are imported. --db checks the active questions in the
+ * database instead (DB_PATH, same as the server); resolve those from the admin
+ * API (POST /api/admin/questions/duplicates/merge or /retire).
+ * Exits 1 when duplicates are found.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findDuplicateClusters, DEFAULT_SIMILARITY_THRESHOLD } from '../duplicateDetector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUESTION_FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+
+const useDb = process.argv.includes('--db');
+const thresholdArg = process.argv.find(arg => arg.startsWith('--threshold='));
+const threshold = thresholdArg ? Number(thresholdArg.split('=')[1]) : DEFAULT_SIMILARITY_THRESHOLD;
+
+function truncate(text, length = 80) {
+  const value = String(text || '').replace(/\s+/g, ' ');
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+// Entries with a repeated id are reported by the importer, so only the first is compared here
+function loadFileQuestions() {
+  const seen = new Set();
+  const questions = [];
+  QUESTION_FILES.forEach(file => {
+    if (!fs.existsSync(file)) return;
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(item => {
+      if (!item.id || seen.has(item.id)) return;
+      seen.add(item.id);
+      questions.push({
+        id: item.id,
+        qtype: item.qtype || 'mcq',
+        question: item.question,
+        choices: item.choices,
+        pbq: item.pbq_json
+      });
+    });
+  });
+  return questions;
+}
+
+function fileReport() {
+  const questions = loadFileQuestions();
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const clusters = findDuplicateClusters(questions, { threshold }).map(cluster => ({
+    exact: cluster.exact,
+    minSimilarity: cluster.minSimilarity,
+    questions: cluster.ids.map(id => ({ id, question: byId.get(id).question }))
+  }));
+  return {
+    questionCount: questions.length,
+    duplicateCount: clusters.reduce((sum, cluster) => sum + cluster.questions.length - 1, 0),
+    clusters
+  };
+}
+
+async function dbReport() {
+  const { db } = await import('../database/db.js');
+  const { getDuplicateReport } = await import('../duplicateService.js');
+  try {
+    return await getDuplicateReport({ threshold });
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error('--threshold must be a number between 0 and 1');
+  }
+
+  const report = useDb ? await dbReport() : fileReport();
+
+  console.log(`Checked ${report.questionCount} questions (${useDb ? 'database' : 'question files'}, threshold ${threshold})\n`);
+  report.clusters.forEach((cluster, index) => {
+    const kind = cluster.exact ? 'exact' : `near, similarity >= ${cluster.minSimilarity}`;
+    console.log(`Cluster ${index + 1}: ${cluster.questions.length} questions (${kind})`);
+    cluster.questions.forEach(q => {
+      console.log(`  ${String(q.externalId || q.id).padEnd(18)} ${truncate(q.question)}`);
+    });
+  });
+
+  console.log(`\n${report.clusters.length} clusters, ${report.duplicateCount} duplicate questions`);
+  process.exitCode = report.clusters.length > 0 ? 1 : 0;
+} catch (err) {
+  console.error('Duplicate check failed:', err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,42 @@
+/**
+ * Import questions.json and pbqs_100.json into the question bank.
+ * Usage: node scripts/import_questions.js [--dry-run] [--force]
+ *
+ * Safe to run any number of times: questions are matched on their file id and
+ * updated in place, so user history is never touched.
+ *   --dry-run  report what would change without writing anything
+ *   --force    also overwrite questions last edited through the admin API
+ * Uses the same database as the server (DB_PATH).
+ */
+import { db } from '../database/db.js';
+import { importQuestionBank } from '../questionImportService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+function printIds(label, ids) {
+  console.log(`${label}: ${ids.length}`);
+  if (ids.length > 0 && ids.length <= 50) console.log(`  ${ids.join(', ')}`);
+}
+
+try {
+  const report = await importQuestionBank({ dryRun, force });
+
+  console.log(dryRun ? '\nDry run - nothing was written\n' : '\nImport complete\n');
+  printIds('Added', report.added);
+  printIds('Changed', report.changed);
+  console.log(`Unchanged: ${report.unchanged.length}`);
+  printIds('Retired', report.retired);
+  if (report.conflicts.length > 0) {
+    printIds('Skipped (edited in the admin API; use --force to overwrite)', report.conflicts);
+  }
+  report.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+  report.errors.forEach(err => console.error(`Error: ${err.externalId || '(no id)'}: ${err.message}`));
+
+  process.exitCode = report.errors.length > 0 ? 1 : 0;
+} catch (err) {
+  console.error('Import failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,45 @@
+/**
+ * Recompute question item statistics and list flagged questions.
+ * Usage: node scripts/item_stats.js [--min-responses=30]
+ *
+ * Uses the database at DB_PATH (same as the server). The results are stored in
+ * question_item_stats and served by GET /api/admin/questions/item-stats; the
+ * adaptive exam difficulties go to question_irt_parameters.
+ * Exits 1 when any question is flagged.
+ */
+import { db } from '../database/db.js';
+import { runItemAnalysis, getItemStatsReport } from '../itemStatsService.js';
+import { ITEM_ANALYSIS_DEFAULTS } from '../itemAnalysis.js';
+
+const minArg = process.argv.find(arg => arg.startsWith('--min-responses='));
+const minResponses = minArg ? Number(minArg.split('=')[1]) : ITEM_ANALYSIS_DEFAULTS.minResponses;
+
+function truncate(text, length = 70) {
+  const value = String(text || '').replace(/\s+/g, ' ');
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+try {
+  if (!Number.isInteger(minResponses) || minResponses < 1) {
+    throw new Error('--min-responses must be a positive integer');
+  }
+
+  const result = await runItemAnalysis({ minResponses });
+  console.log(`Analysed ${result.analyzed} questions (flags need at least ${minResponses} responses)`);
+  console.log(`Calibrated ${result.calibrated} questions for adaptive exams\n`);
+
+  const { items } = await getItemStatsReport({ flag: 'any', limit: 200 });
+  items.forEach(item => {
+    console.log(`${String(item.externalId || item.questionId).padEnd(18)} p=${item.pValue} r=${item.discrimination} n=${item.responses}  ${truncate(item.question)}`);
+    item.flags.forEach(flag => console.log(`  ${flag.flag}: ${flag.message}`));
+  });
+
+  if (result.flagged > items.length) console.log(`\n... ${result.flagged - items.length} more in the admin report`);
+  console.log(`\n${result.flagged} flagged questions`);
+  process.exitCode = result.flagged > 0 ? 1 : 0;
+} catch (err) {
+  console.error('Item analysis failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,116 @@
+/**
+ * Tag questions.json and pbqs_100.json with SY0-701 objective codes.
+ * Usage: node scripts/tag_objectives.js [--force]
+ *
+ * Questions that already carry an `objectives` array are left alone unless
+ * --force is given, so hand-corrected mappings survive a re-run.
+ * Codes this script picks are keyword guesses, so it marks them
+ * `objective_source: "auto"`; delete the marker once someone has checked them.
+ * The first code in `objectives` is the primary objective. It always comes from
+ * the question's labelled domain, so exam weighting by official domain keeps the
+ * authored balance; matches in other domains are kept as secondary objectives.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EXAM_OBJECTIVES, OFFICIAL_DOMAINS, getObjective } from '../examObjectives.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+const force = process.argv.includes('--force');
+
+// Keywords per objective, matched against the question, answer and explanation
+const OBJECTIVE_KEYWORDS = {
+  '1.1': /\b(control types?|preventive|detective|corrective|deterrent|compensating|directive control|technical controls?|managerial controls?|operational controls?|physical controls?)\b/gi,
+  '1.2': /\b(CIA triad|confidentiality|integrity|availability|non-repudiation|AAA|zero trust|gap analysis|honeypots?|honeynets?|deception|bollards?|access control vestibule|least privilege)\b/gi,
+  '1.3': /\b(change management|change advisory|CAB|maintenance window|backout plan|rollback|version control)\b/gi,
+  '1.4': /\b(crypto\w*|encrypt\w*|decrypt\w*|ciphers?|AES(-\w+)?|RSA|ECC|elliptic curve|hash\w*|SHA-?\d*|MD5|PKI|certificates?|key exchange|Diffie-Hellman|salting|digital signatures?|HSM|TPM|tokenization|steganography|IV)\b/gi,
+  '2.1': /\b(threat actors?|nation-state|hacktivists?|insider threats?|organized crime|script kidd\w+|shadow IT|motivations?)\b/gi,
+  '2.2': /\b(phishing|vishing|smishing|social engineering|pretexting|watering hole|typosquatting|supply chain|removable media|attack surface|business email compromise|impersonation|clicked)\b/gi,
+  '2.3': /\b(SQL injection|SQLi|cross-site scripting|XSS|CSRF|SSRF|directory traversal|command injection|buffer overflow|race condition|zero-day|misconfiguration|memory injection|jailbreak\w*|side-?loading|vulnerable to)\b/gi,
+  '2.4': /\b(indicators?|ransomware|malware|trojans?|worms?|rootkits?|keyloggers?|spyware|logic bomb|brute force|password spraying|credential stuffing|DDoS|denial of service|on-path|man-in-the-middle|replay attack|privilege escalation|lateral movement|beacon\w*|command and control|C2|impossible travel|account lockout)\b/gi,
+  '2.5': /\b(mitigations?|segmentation|isolation|patching|hardening|allow-?list\w*|decommission\w*|input validation|parameterized queries|output encoding|anti-CSRF tokens?)\b/gi,
+  '3.1': /\b(cloud|IaaS|PaaS|SaaS|serverless|microservices?|containers?|virtualization|hypervisors?|IoT|ICS|SCADA|embedded|on-premises|hybrid|infrastructure as code|IaC|responsibility matrix|RTOS)\b/gi,
+  '3.2': /\b(firewalls?|WAF|IDS|IPS|proxy|jump server|load balancers?|VPN|IPSec|SD-WAN|SASE|802\.1X|NAC|port security|DMZ|screened subnet|remote access|network segmentation)\b/gi,
+  '3.3': /\b(data classification|data sovereignty|data at rest|data in transit|data in use|masking|obfuscation|DLP|data loss|geolocation|regulated data|patient data|PII|PHI|cardholder|credit card)\b/gi,
+  '3.4': /\b(backups?|disaster recovery|RTO|RPO|high availability|redundan\w+|failover|hot site|cold site|warm site|UPS|generators?|snapshots?|replication|continuity of operations|capacity planning|offsite)\b/gi,
+  '4.1': /\b(secure baselines?|baselines?|hardening|mobile devices?|MDM|BYOD|COPE|wireless|WPA3|application security|secure coding|input validation|parameterized queries|output encoding|sandbox\w*|code signing|static analysis)\b/gi,
+  '4.2': /\b(assets?|inventory|procurement|disposal|sanitiz\w+|data destruction|data retention|certificate of destruction)\b/gi,
+  '4.3': /\b(vulnerability scan\w*|penetration test\w*|CVSS|CVE|patch\w*|bug bounty|threat feeds?|OSINT|false positives?|remediat\w+|vulnerabilities were identified)\b/gi,
+  '4.4': /\b(SIEM|log aggregation|alert\w*|monitor\w*|SCAP|NetFlow|SNMP|antivirus|failed login attempts?)\b/gi,
+  '4.5': /\b(firewalls?|IDS|IPS|web filter\w*|DNS filtering|email security|DMARC|DKIM|SPF|EDR|XDR|user behavior analytics|file integrity monitoring|group policy|SELinux|filters traffic|blocks malicious traffic|protects web applications|detects malicious activity)\b/gi,
+  '4.6': /\b(identity|access management|provisioning|SSO|single sign-on|federation|SAML|OAuth|OpenID|LDAP|MFA|multifactor|multi-factor|passwords?|least privilege|RBAC|ABAC|mandatory access|discretionary access|privileged access|PAM|just-in-time)\b/gi,
+  '4.7': /\b(automation|automate\w*|orchestration|SOAR|scripting|ticketing|CI\/CD|guard rails|guardrails)\b/gi,
+  '4.8': /\b(incident response|containment|contain|eradication|lessons learned|forensics?|chain of custody|legal hold|root cause|tabletop|threat hunting|discovers malware)\b/gi,
+  '4.9': /\b(log data|firewall logs|application logs|endpoint logs|packet captures?|dashboards?|investigat\w+|metadata|communicating with)\b/gi,
+  '5.1': /\b(governance|polic(y|ies)|standards|procedures|playbooks?|board of directors|CISO|executive|framework|roles and responsibilities|data owners?|custodians?)\b/gi,
+  '5.2': /\b(risks?|SLE|ALE|ARO|risk register|risk appetite|risk tolerance|BIA|business impact|MTTR|MTBF|risk transfer|risk acceptance)\b/gi,
+  '5.3': /\b(vendors?|third-party|third party|suppliers?|SLA|MOA|MOU|MSA|NDA|BPA|right-to-audit|due diligence|partners?)\b/gi,
+  '5.4': /\b(compliance|compliant|regulat\w+|GDPR|HIPAA|PCI(-DSS)?|SOX|fines|sanctions|privacy|data subjects?)\b/gi,
+  '5.5': /\b(audits?|assessments?|attestation|internal audit|external audit|assurance)\b/gi,
+  '5.6': /\b(awareness|training|phishing simulations?|phishing campaigns?|anomalous behavior)\b/gi
+};
+
+// Primary objective when nothing matches, per labelled domain
+const DOMAIN_FALLBACK = {
+  'General Security Concepts': '1.2',
+  'Threats, Vulnerabilities & Mitigations': '2.5',
+  'Security Architecture': '3.2',
+  'Security Operations': '4.4',
+  'Security Program Management & Oversight': '5.1'
+};
+
+const MAX_OBJECTIVES = 3;
+
+function questionText(q) {
+  const pbq = q.pbq_json ? JSON.stringify(q.pbq_json) : '';
+  const answer = q.choices && q.answer ? q.choices[q.answer] : '';
+  return [q.question, answer, q.explanation, pbq].filter(Boolean).join(' ');
+}
+
+function tagQuestion(q) {
+  const text = questionText(q);
+  const scores = EXAM_OBJECTIVES
+    .map(o => ({ objective: o, hits: (text.match(OBJECTIVE_KEYWORDS[o.code]) || []).length }))
+    .filter(s => s.hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+
+  // Best match in the labelled domain; unknown labels follow the content
+  const inDomain = scores.find(s => s.objective.domain === q.domain);
+  const primary = inDomain?.objective.code || DOMAIN_FALLBACK[q.domain] || scores[0]?.objective.code || '1.2';
+
+  const secondary = scores
+    .map(s => s.objective.code)
+    .filter(code => code !== primary)
+    .slice(0, MAX_OBJECTIVES - 1);
+
+  return [primary, ...secondary];
+}
+
+let tagged = 0;
+let unchecked = 0;
+const domainCounts = Object.fromEntries(OFFICIAL_DOMAINS.map(d => [d.name, 0]));
+
+for (const file of FILES) {
+  const questions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  questions.forEach(q => {
+    if (force || !Array.isArray(q.objectives) || q.objectives.length === 0) {
+      q.objectives = tagQuestion(q);
+      q.objective_source = 'auto';
+      tagged++;
+    }
+    if (q.objective_source === 'auto') unchecked++;
+    const primary = getObjective(q.objectives[0]);
+    if (primary) domainCounts[primary.domain]++;
+  });
+
+  fs.writeFileSync(file, JSON.stringify(questions, null, 2));
+  console.log(`${path.basename(file)}: ${questions.length} questions`);
+}
+
+console.log(`\nTagged ${tagged} questions. Questions per official domain (primary objective):`);
+Object.entries(domainCounts).forEach(([domain, count]) => console.log(`  ${domain}: ${count}`));
+console.log(`\n${unchecked} questions have objectives nobody has checked yet (objective_source: "auto")`);
@@ -0,0 +1,38 @@
+/**
+ * Seed topic tags in questions.json and pbqs_100.json.
+ * Usage: node scripts/tag_topics.js [--force]
+ *
+ * Questions that already carry a `tags` array are left alone unless --force is
+ * given, so tags edited by hand survive a re-run. Tags are imported into the
+ * tags / question_tags tables by scripts/import_questions.js.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectTopics } from '../questionTopics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILES = ['questions.json', 'pbqs_100.json'].map(f => path.join(__dirname, '..', f));
+const force = process.argv.includes('--force');
+
+let tagged = 0;
+let untagged = 0;
+
+for (const file of FILES) {
+  const questions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  questions.forEach(q => {
+    if (force || !Array.isArray(q.tags)) {
+      q.tags = detectTopics(`${q.question} ${q.explanation || ''}`);
+      tagged++;
+    }
+    if (q.tags.length === 0) untagged++;
+  });
+
+  fs.writeFileSync(file, JSON.stringify(questions, null, 2));
+  console.log(`${path.basename(file)}: ${questions.length} questions`);
+}
+
+console.log(`\nTagged ${tagged} questions (${untagged} have no matching topic)`);
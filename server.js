@@ -5,7 +5,6 @@ import cors from "cors";
 import helmet from "helmet";
 import path from "path";
 import { fileURLToPath } from "url";
-import fs from "fs";
 import { db, initDatabase, all, get, run } from "./database/db.js";
 import { register, login, verifyToken, verifyAdmin } from "./auth.js";
 import { 
@@ -17,16 +16,35 @@ import {
   unbanIp
 } from "./bruteForceProtection.js";
 import { sendTestAlert } from "./discordNotifier.js";
-import { startExam, submitExam, getExamHistory, getExamReview, getDomainStats } from "./examService.js";
-import { getUserAnalytics, getDomainPerformance, getProgressOverTime } from "./analyticsService.js";
+import { logAudit, EventTypes } from "./auditService.js";
+import { startExam, submitExam, getExamHistory, getExamReview, getDomainStats, saveExamAnswer, getInProgressExam, pauseExam, resumeExam } from "./examService.js";
+import { getUserAnalytics, getDomainPerformance, getObjectiveStats, getProgressOverTime, getReadiness } from "./analyticsService.js";
 import { startStudySession, submitStudyAnswer, getAvailableDomains, getStudyHistory } from "./studyService.js";
 import { scheduleCleanup, runAllCleanupTasks } from "./dataCleanup.js";
+import { listBlueprints, getBlueprint, createBlueprint, updateBlueprint, retireBlueprint } from "./blueprintService.js";
+import { listTags, createTag, renameTag, deleteTag, getQuestionTags, setQuestionTags } from "./tagService.js";
+import { getReviewSummary } from "./reviewService.js";
+import {
+  listQuestions, getQuestion, createQuestion, updateQuestion, retireQuestion, restoreQuestion,
+  listRevisions, getRevision, revisionContentSql
+} from './questionBankService.js';
+import { importQuestionBank } from './questionImportService.js';
+import { getDuplicateReport, mergeDuplicates, retireDuplicates } from './duplicateService.js';
+import { runItemAnalysis, getItemStatsReport, scheduleItemAnalysis, getDistractorReport, getQuestionDistractors } from './itemStatsService.js';
+import { startAdaptiveExam, getAdaptiveQuestion, answerAdaptiveQuestion, finishAdaptiveExamEarly } from './adaptiveExamService.js';
+import { getStudyPlan, saveStudyPlan, deleteStudyPlan, getTodayTasks, completePlanTask } from './studyPlanService.js';
+import { getActivityGoal, saveActivityGoal, getStreaks, getActivityHeatmap } from './activityService.js';
+import { evaluateAchievements, getAchievements, listBadges, createBadge, updateBadge, deleteBadge } from './achievementService.js';
 import {
   validateRegistration,
   validateLogin,
   validateStartExam,
   validateSubmitExam,
+  validateSaveAnswer,
+  validateAdaptiveAnswer,
   validateStartStudy,
+  validateStudyPlan,
+  validateActivityGoal,
   validateDeleteUser,
   validateIdParam,
   validationErrorHandler
@@ -54,6 +72,16 @@ function toJsonString(value) {
   return typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value);
 }
 
+// Helper: Badges earned by the student's latest answers; a failed check never fails the answer itself
+async function newBadgesFor(userId) {
+  try {
+    return await evaluateAchievements(userId);
+  } catch (err) {
+    console.error('Error evaluating achievements:', err);
+    return [];
+  }
+}
+
 // BRUTE-FORCE PROTECTION: Apply IP ban check ONLY to auth/API routes (not admin dashboard)
 // This allows analysts to access the dashboard even if their IP was banned
 app.use((req, res, next) => {
@@ -120,56 +148,30 @@ initDatabase();
 // Schedule daily data cleanup
 scheduleCleanup();
 
-// Import questions from JSON file
-function importQuestions() {
-  const questionsPath = path.join(__dirname, 'questions.json');
-  
-  if (!fs.existsSync(questionsPath)) {
-    console.error('questions.json not found!');
-    return;
-  }
+// Recompute question item statistics daily
+scheduleItemAnalysis();
 
-  const questionsData = JSON.parse(fs.readFileSync(questionsPath, 'utf8'));
-  
-  db.get('SELECT COUNT(*) as count FROM questions', (err, row) => {
-    if (err) {
-      console.error('Error checking questions table:', err);
-      return;
-    }
-    
-    if (row.count === 0) {
-      console.log('Importing questions into database...');
-      const stmt = db.prepare(`
-        INSERT INTO questions (id, question, choice_a, choice_b, choice_c, choice_d, answer, explanation, domain, difficulty)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      questionsData.forEach(q => {
-        stmt.run(
-          q.id,
-          q.question,
-          q.choices.A,
-          q.choices.B,
-          q.choices.C,
-          q.choices.D,
-          q.answer,
-          q.explanation,
-          q.domain || 'General',
-          q.difficulty || 'medium'
-        );
-      });
-      
-      stmt.finalize(() => {
-        console.log(`Successfully imported ${questionsData.length} questions`);
-      });
-    } else {
+// Seed an empty question bank from questions.json and pbqs_100.json.
+// Later updates go through scripts/import_questions.js so admin edits aren't overwritten.
+async function seedQuestionBank() {
+  try {
+    const row = await get('SELECT COUNT(*) as count FROM questions');
+    if (row.count > 0) {
       console.log(`Questions already imported (${row.count} questions in database)`);
+      return;
     }
-  });
+
+    console.log('Importing questions into database...');
+    const report = await importQuestionBank();
+    console.log(`Successfully imported ${report.added.length} questions`);
+    report.errors.forEach(err => console.error(`Skipped question ${err.externalId}: ${err.message}`));
+  } catch (err) {
+    console.error('Error importing questions:', err.message || err);
+  }
 }
 
 // Import questions on startup
-setTimeout(importQuestions, 1000);
+setTimeout(seedQuestionBank, 1000);
 
 // Health check endpoint with DB connectivity
 app.get('/api/health', async (req, res) => {
@@ -221,8 +223,8 @@ app.post('/api/auth/login', authRateLimitMiddleware, accountLockMiddleware, vali
 // Exam endpoints (protected)
 app.post('/api/exams/start', verifyToken, validateStartExam, async (req, res) => {
   try {
-    const { isRetakeMissed } = req.body;
-    const result = await startExam(req.user.id, isRetakeMissed);
+    const { isRetakeMissed, blueprintId } = req.body;
+    const result = await startExam(req.user.id, isRetakeMissed, blueprintId || null);
     res.json(result);
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
@@ -232,14 +234,86 @@ app.post('/api/exams/start', verifyToken, validateStartExam, async (req, res) =>
 app.post('/api/exams/:id/submit', verifyToken, validateIdParam('id'), validateSubmitExam, async (req, res) => {
   try {
     const examId = req.params.id; // Already validated and converted to number
-    const { answers, timeUsed, attemptId } = req.body;
-    const result = await submitExam(examId, req.user.id, answers, timeUsed, attemptId);
+    const { answers, timeUsed, attemptId, questionTimes } = req.body;
+    const result = await submitExam(examId, req.user.id, answers, timeUsed, attemptId, questionTimes);
+    res.json({ ...result, newBadges: await newBadgesFor(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Autosave one answer / mark-for-review flag while the exam is in progress
+app.put('/api/exams/:id/answers/:questionNumber', verifyToken, validateIdParam('id'), validateIdParam('questionNumber'), validateSaveAnswer, async (req, res) => {
+  try {
+    const { answer, markedForReview } = req.body;
+    const result = await saveExamAnswer(req.params.id, req.user.id, req.params.questionNumber, { answer, markedForReview });
     res.json(result);
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// Adaptive exams: one question at a time, each picked for the running ability estimate
+app.post('/api/exams/adaptive/start', verifyToken, validateStartExam, async (req, res) => {
+  try {
+    const result = await startAdaptiveExam(req.user.id, req.body.blueprintId || null);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/exams/:id/adaptive/next', verifyToken, validateIdParam('id'), async (req, res) => {
+  try {
+    const result = await getAdaptiveQuestion(req.params.id, req.user.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/exams/:id/adaptive/answer', verifyToken, validateIdParam('id'), validateAdaptiveAnswer, async (req, res) => {
+  try {
+    const { questionNumber, answer, timeSpent } = req.body;
+    const result = await answerAdaptiveQuestion(req.params.id, req.user.id, { questionNumber, answer, timeSpent });
+    res.json(result.finished ? { ...result, newBadges: await newBadgesFor(req.user.id) } : result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/exams/:id/adaptive/finish', verifyToken, validateIdParam('id'), async (req, res) => {
+  try {
+    const result = await finishAdaptiveExamEarly(req.params.id, req.user.id);
+    res.json({ ...result, newBadges: await newBadgesFor(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get domain statistics (shows how questions are weighted)
+app.get('/api/exams/domain-stats', verifyToken, async (req, res) => {
+  try {
+    const stats = await getDomainStats();
+    res.json(stats);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Resume the in-progress exam on any device
+app.get('/api/exams/in-progress', verifyToken, async (req, res) => {
+  try {
+    const exam = await getInProgressExam(req.user.id);
+    if (!exam) {
+      return res.status(404).json({ error: 'No exam in progress' });
+    }
+    res.json(exam);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 app.get('/api/exams/history', verifyToken, async (req, res) => {
   try {
     // Only return non-deleted attempts for this user
@@ -271,20 +345,351 @@ app.get('/api/exams/:id', verifyToken, async (req, res) => {
   }
 });
 
-app.post('/api/exams/retake-missed', verifyToken, async (req, res) => {
+app.post('/api/exams/retake-missed', verifyToken, validateStartExam, async (req, res) => {
   try {
-    const result = await startExam(req.user.id, true);
+    const result = await startExam(req.user.id, true, req.body.blueprintId || null);
     res.json(result);
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// Get domain statistics (shows how questions are weighted)
-app.get('/api/exams/domain-stats', verifyToken, async (req, res) => {
+// ===== EXAM BLUEPRINTS =====
+
+// Active blueprints students can start an exam from
+app.get('/api/blueprints', verifyToken, async (req, res) => {
   try {
-    const stats = await getDomainStats();
-    res.json(stats);
+    const blueprints = await listBlueprints();
+    res.json(blueprints);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/blueprints', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const blueprints = await listBlueprints({ includeInactive: true });
+    res.json(blueprints);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/blueprints/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const blueprint = await getBlueprint(req.params.id);
+    res.json(blueprint);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/blueprints', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const blueprint = await createBlueprint(req.body || {});
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'blueprint_create', blueprintId: blueprint.id }, req);
+    res.status(201).json(blueprint);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/admin/blueprints/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const blueprint = await updateBlueprint(req.params.id, req.body || {});
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'blueprint_update', blueprintId: blueprint.id }, req);
+    res.json(blueprint);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Blueprints are retired rather than deleted because past exams reference them
+app.delete('/api/admin/blueprints/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const blueprint = await retireBlueprint(req.params.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'blueprint_retire', blueprintId: blueprint.id }, req);
+    res.json({ message: 'Blueprint retired', blueprint });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===== QUESTION BANK =====
+
+app.get('/api/admin/questions', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await listQuestions(req.query);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Re-sync the bank from questions.json and pbqs_100.json; entries that fail
+// validation are reported and never written
+app.post('/api/admin/questions/import', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const report = await importQuestionBank({
+      dryRun: req.body?.dryRun === true,
+      force: req.body?.force === true
+    });
+    if (!report.dryRun) {
+      logAudit(EventTypes.ADMIN_ACTION, req.user.id, {
+        action: 'question_import',
+        added: report.added.length,
+        changed: report.changed.length,
+        retired: report.retired.length,
+        errors: report.errors.length
+      }, req);
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Duplicate, item-stats and distractor routes come before /:id so their paths aren't taken for a question id
+app.get('/api/admin/questions/duplicates', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const report = await getDuplicateReport({
+      threshold: req.query.threshold,
+      includeRetired: req.query.includeRetired === 'true'
+    });
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Merging moves usage stats, bookmarks and review schedules to the kept question
+app.post('/api/admin/questions/duplicates/merge', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { keepId, duplicateIds } = req.body || {};
+    const result = await mergeDuplicates(keepId, duplicateIds);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_duplicates_merge', keepId, duplicateIds }, req);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/questions/duplicates/retire', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { keepId, duplicateIds } = req.body || {};
+    const result = await retireDuplicates(keepId, duplicateIds);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_duplicates_retire', keepId, duplicateIds }, req);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Item analysis: p-value, discrimination, time and distractor rates per question
+app.get('/api/admin/questions/item-stats', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const report = await getItemStatsReport(req.query);
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/questions/item-stats/recompute', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await runItemAnalysis();
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_item_stats_recompute', analyzed: result.analyzed, calibrated: result.calibrated }, req);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Distractor analysis: share of students picking each choice, by overall-score quartile
+app.get('/api/admin/questions/distractors', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const report = await getDistractorReport(req.query);
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/questions/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const question = await getQuestion(req.params.id);
+    res.json(question);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/questions', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const question = await createQuestion(req.body || {}, req.user.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_create', questionId: question.id }, req);
+    res.status(201).json(question);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Edits never overwrite: each one is saved as a new revision
+app.put('/api/admin/questions/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const question = await updateQuestion(req.params.id, req.body || {}, req.user.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_update', questionId: question.id, revision: question.revision }, req);
+    res.json(question);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Questions are retired rather than deleted because past answers reference them
+app.delete('/api/admin/questions/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const question = await retireQuestion(req.params.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_retire', questionId: question.id }, req);
+    res.json({ message: 'Question retired', question });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/questions/:id/restore', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const question = await restoreQuestion(req.params.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_restore', questionId: question.id }, req);
+    res.json({ message: 'Question restored', question });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/questions/:id/distractors', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const result = await getQuestionDistractors(req.params.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/questions/:id/revisions', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.params.id);
+    res.json({ questionId: req.params.id, revisions });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/questions/:id/revisions/:revision', verifyToken, verifyAdmin, validateIdParam('id'), validateIdParam('revision'), async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, req.params.revision);
+    res.json(revision);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===== BADGES =====
+
+app.get('/api/admin/badges', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const badges = await listBadges();
+    res.json(badges);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/badges', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const badge = await createBadge(req.body);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'badge_create', badgeId: badge.id, code: badge.code }, req);
+    res.status(201).json(badge);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/admin/badges/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const badge = await updateBadge(req.params.id, req.body);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'badge_update', badgeId: badge.id, code: badge.code }, req);
+    res.json(badge);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/badges/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const badge = await deleteBadge(req.params.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'badge_delete', badgeId: badge.id, code: badge.code }, req);
+    res.json({ message: 'Badge deleted', badge });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===== QUESTION TAGS =====
+
+app.get('/api/admin/tags', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const tags = await listTags();
+    res.json(tags);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/tags', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const tag = await createTag(req.body?.name);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'tag_create', tagId: tag.id }, req);
+    res.status(201).json(tag);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/admin/tags/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const tag = await renameTag(req.params.id, req.body?.name);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'tag_rename', tagId: tag.id, name: tag.name }, req);
+    res.json(tag);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/tags/:id', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const tag = await deleteTag(req.params.id);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'tag_delete', tagId: tag.id, name: tag.name }, req);
+    res.json({ message: 'Tag deleted', tag });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/questions/:id/tags', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const tags = await getQuestionTags(req.params.id);
+    res.json({ questionId: req.params.id, tags });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Replace a question's tags; unknown tag names are created
+app.put('/api/admin/questions/:id/tags', verifyToken, verifyAdmin, validateIdParam('id'), async (req, res) => {
+  try {
+    const tags = await setQuestionTags(req.params.id, req.body?.tags);
+    logAudit(EventTypes.ADMIN_ACTION, req.user.id, { action: 'question_tags_update', questionId: req.params.id, tags: tags.map(t => t.name) }, req);
+    res.json({ questionId: req.params.id, tags });
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
@@ -313,6 +718,26 @@ app.get('/api/analytics/domain/:domain', verifyToken, async (req, res) => {
   }
 });
 
+// Get accuracy per SY0-701 exam objective
+app.get('/api/analytics/objectives', verifyToken, async (req, res) => {
+  try {
+    const objectives = await getObjectiveStats(req.user.id);
+    res.json(objectives);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get the estimated pass probability and its history
+app.get('/api/analytics/readiness', verifyToken, async (req, res) => {
+  try {
+    const readiness = await getReadiness(req.user.id);
+    res.json(readiness);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // Get progress over time
 app.get('/api/analytics/progress', verifyToken, async (req, res) => {
   try {
@@ -323,6 +748,60 @@ app.get('/api/analytics/progress', verifyToken, async (req, res) => {
   }
 });
 
+// ===== ACHIEVEMENT ENDPOINTS =====
+
+// Get earned badges and progress towards the others
+app.get('/api/achievements', verifyToken, async (req, res) => {
+  try {
+    const achievements = await getAchievements(req.user.id);
+    res.json(achievements);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===== ACTIVITY ENDPOINTS =====
+
+// Get the daily goal and the time zone days are counted in
+app.get('/api/activity/goal', verifyToken, async (req, res) => {
+  try {
+    const goal = await getActivityGoal(req.user.id);
+    res.json(goal);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Set the daily goal (questions or minutes a day) and time zone
+app.put('/api/activity/goal', verifyToken, validateActivityGoal, async (req, res) => {
+  try {
+    const goal = await saveActivityGoal(req.user.id, req.body);
+    res.json(goal);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get current and longest streaks and today's progress (?tz= overrides the saved time zone)
+app.get('/api/activity/streak', verifyToken, async (req, res) => {
+  try {
+    const streaks = await getStreaks(req.user.id, req.query.tz);
+    res.json(streaks);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get day-by-day activity for the calendar heatmap (?days=, ?tz=)
+app.get('/api/activity/heatmap', verifyToken, async (req, res) => {
+  try {
+    const heatmap = await getActivityHeatmap(req.user.id, { days: req.query.days, timeZone: req.query.tz });
+    res.json(heatmap);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ===== STUDY MODE ENDPOINTS =====
 
 // Start a study session with custom filters
@@ -345,7 +824,7 @@ app.post('/api/study/:sessionId/answer', verifyToken, async (req, res) => {
       questionNumber,
       answer
     );
-    res.json(result);
+    res.json({ ...result, newBadges: await newBadgesFor(req.user.id) });
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
@@ -361,6 +840,78 @@ app.get('/api/study/domains', verifyToken, async (req, res) => {
   }
 });
 
+// Get available tags for filtering
+app.get('/api/study/tags', verifyToken, async (req, res) => {
+  try {
+    const tags = await listTags();
+    res.json(tags.filter(t => t.questionCount > 0));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get the student's spaced-repetition review queue (due today, overdue, next due)
+app.get('/api/study/review-summary', verifyToken, async (req, res) => {
+  try {
+    const summary = await getReviewSummary(req.user.id);
+    res.json(summary);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===== STUDY PLAN ENDPOINTS =====
+
+// Get the study plan towards the user's exam date (404 if none)
+app.get('/api/study-plan', verifyToken, async (req, res) => {
+  try {
+    const plan = await getStudyPlan(req.user.id);
+    res.json(plan);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Set the exam date and weekly hours; builds a new plan
+app.put('/api/study-plan', verifyToken, validateStudyPlan, async (req, res) => {
+  try {
+    const plan = await saveStudyPlan(req.user.id, req.body);
+    res.json(plan);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Delete the study plan
+app.delete('/api/study-plan', verifyToken, async (req, res) => {
+  try {
+    const result = await deleteStudyPlan(req.user.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get today's study plan tasks
+app.get('/api/study-plan/today', verifyToken, async (req, res) => {
+  try {
+    const today = await getTodayTasks(req.user.id);
+    res.json(today);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Mark a study plan task done; the days ahead are re-planned
+app.post('/api/study-plan/tasks/:id/complete', verifyToken, validateIdParam('id'), async (req, res) => {
+  try {
+    const result = await completePlanTask(req.user.id, req.params.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // Get study history for user
 app.get('/api/study/history', verifyToken, async (req, res) => {
   try {
@@ -518,42 +1069,25 @@ app.get("/api/admin/schema", adminOnly, async (req, res) => {
   }
 });
 
-// Pause exam
-app.post('/api/exams/:id/pause', verifyToken, async (req, res) => {
+// Pause exam (stops the server-side exam clock, limited by the pause policy)
+app.post('/api/exams/:id/pause', verifyToken, validateIdParam('id'), async (req, res) => {
   try {
-    const examId = parseInt(req.params.id);
-    const now = new Date().toISOString();
-    
-    db.run(
-      'UPDATE exams SET paused_at = ? WHERE id = ? AND user_id = ? AND submitted_at IS NULL',
-      [now, examId, req.user.id],
-      function(err) {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        if (this.changes === 0) return res.status(404).json({ error: 'Exam not found or already submitted' });
-        res.json({ success: true, pausedAt: now });
-      }
-    );
+    const result = await pauseExam(req.params.id, req.user.id);
+    logAudit(EventTypes.EXAM_PAUSE, req.user.id, { examId: req.params.id, pauseCount: result.pauseCount }, req);
+    res.json({ success: true, ...result });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// Resume exam
-app.post('/api/exams/:id/resume', verifyToken, async (req, res) => {
+// Resume exam after a pause
+app.post('/api/exams/:id/resume', verifyToken, validateIdParam('id'), async (req, res) => {
   try {
-    const examId = parseInt(req.params.id);
-    
-    db.run(
-      'UPDATE exams SET paused_at = NULL WHERE id = ? AND user_id = ? AND submitted_at IS NULL',
-      [examId, req.user.id],
-      function(err) {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        if (this.changes === 0) return res.status(404).json({ error: 'Exam not found or already submitted' });
-        res.json({ success: true });
-      }
-    );
+    const result = await resumeExam(req.params.id, req.user.id);
+    logAudit(EventTypes.EXAM_RESUME, req.user.id, { examId: req.params.id, timeRemaining: result.timeRemaining }, req);
+    res.json({ success: true, ...result });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -633,7 +1167,7 @@ app.get('/api/me/export', verifyToken, async (req, res) => {
     // Get all non-deleted attempts
     const attempts = await all(
       `SELECT id, mode, started_at, submitted_at, duration, total_questions,
-              score_percent, correct_count, partial_count, incorrect_count
+              score_percent, scaled_score, passed, correct_count, partial_count, incorrect_count
        FROM exam_attempts
        WHERE user_id = ? AND deleted_at IS NULL
        ORDER BY started_at DESC`,
@@ -647,9 +1181,10 @@ app.get('/api/me/export', verifyToken, async (req, res) => {
       const placeholders = attemptIds.map(() => '?').join(',');
       answers = await all(
         `SELECT eaa.attempt_id, eaa.question_number, eaa.user_answer_json,
-                eaa.is_correct, eaa.points, q.question, q.domain
+                eaa.is_correct, eaa.points, ${revisionContentSql(['question', 'domain'])}
          FROM exam_attempt_answers eaa
          JOIN questions q ON eaa.question_id = q.id
+         LEFT JOIN question_revisions r ON r.id = eaa.revision_id
          WHERE eaa.attempt_id IN (${placeholders})
          ORDER BY eaa.attempt_id, eaa.question_number`,
         attemptIds
@@ -676,6 +1211,28 @@ app.get('/api/me/export', verifyToken, async (req, res) => {
       [userId]
     );
     
+    // Get study plan
+    const studyPlan = await get(
+      'SELECT exam_date, weekly_hours, created_at FROM study_plans WHERE user_id = ?',
+      [userId]
+    );
+    
+    // Get daily goal
+    const activityGoal = await get(
+      'SELECT goal_type, goal_target, timezone, updated_at FROM activity_goals WHERE user_id = ?',
+      [userId]
+    );
+    
+    // Get earned badges
+    const badges = await all(
+      `SELECT b.code, b.name, ub.awarded_at
+       FROM user_badges ub
+       JOIN badges b ON b.id = ub.badge_id
+       WHERE ub.user_id = ?
+       ORDER BY ub.awarded_at`,
+      [userId]
+    );
+    
     const exportData = {
       exportDate: new Date().toISOString(),
       user: {
@@ -690,6 +1247,9 @@ app.get('/api/me/export', verifyToken, async (req, res) => {
       })),
       loginHistory: logins,
       bookmarks: bookmarks,
+      studyPlan: studyPlan || null,
+      activityGoal: activityGoal || null,
+      badges: badges,
       statistics: {
         totalAttempts: attempts.length,
         totalQuestionsAnswered: answers.length,
@@ -715,7 +1275,7 @@ app.get('/api/me/attempts', verifyToken, async (req, res) => {
   try {
     const attempts = await all(
       `SELECT id, mode, started_at, submitted_at, duration, total_questions, 
-              score_percent, correct_count, partial_count, incorrect_count
+              score_percent, scaled_score, passed, correct_count, partial_count, incorrect_count
        FROM exam_attempts
        WHERE user_id = ? AND deleted_at IS NULL
        ORDER BY started_at DESC`,
@@ -742,12 +1302,15 @@ app.get('/api/me/attempts/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Attempt not found' });
     }
     
-    // Get answers
+    // Get answers with the question as it was when answered
+    const content = revisionContentSql([
+      'question', 'domain', 'qtype', 'answer', 'explanation', 'choice_a', 'choice_b', 'choice_c', 'choice_d'
+    ]);
     const answers = await all(
-      `SELECT eaa.*, q.question, q.domain, q.qtype, q.answer, q.explanation,
-              q.choice_a, q.choice_b, q.choice_c, q.choice_d
+      `SELECT eaa.*, ${content}
        FROM exam_attempt_answers eaa
        JOIN questions q ON eaa.question_id = q.id
+       LEFT JOIN question_revisions r ON r.id = eaa.revision_id
        WHERE eaa.attempt_id = ?
        ORDER BY eaa.question_number`,
       [attemptId]
@@ -978,7 +1541,7 @@ app.get('/api/admin/users/:id', verifyToken, verifyAdmin, async (req, res) => {
     // Get user's attempts
     const attempts = await all(
       `SELECT id, mode, started_at, submitted_at, duration, total_questions,
-              score_percent, correct_count, partial_count, incorrect_count, deleted_at
+              score_percent, scaled_score, passed, correct_count, partial_count, incorrect_count, deleted_at
        FROM exam_attempts
        WHERE user_id = ?
        ORDER BY started_at DESC`,
@@ -0,0 +1,74 @@
+// Spaced Repetition Module (SM-2)
+// Pure scheduling math for the per-user review queue; reviewService.js stores the result.
+//
+// Each review is graded 0-5 (SM-2 "quality"). Grades below 3 are lapses: the card
+// starts over with a 1-day interval. Otherwise intervals grow 1 day, 6 days, then
+// previous interval x ease factor. The ease factor drops for shaky answers (grade 3)
+// and never goes below 1.3, so hard questions keep coming back sooner.
+
+export const SM2_DEFAULTS = {
+  easeFactor: 2.5,
+  minEaseFactor: 1.3,
+  firstInterval: 1,
+  secondInterval: 6,
+  maxInterval: 365
+};
+
+/**
+ * Map an answer result to an SM-2 quality grade
+ * Correct = 4, partial credit >= 50% = 3 (shaky), partial below 50% = 2, wrong = 1
+ *
+ * @param {Object} result - { isCorrect, isPartial, points }
+ * @returns {number} - Quality grade 0-5
+ */
+export function gradeAnswer({ isCorrect, isPartial = false, points = 0 } = {}) {
+  if (isCorrect) return 4;
+  if (isPartial) return points >= 0.5 ? 3 : 2;
+  return 1;
+}
+
+/**
+ * Compute the next review state for a question
+ *
+ * @param {Object|null} current - { easeFactor, intervalDays, repetitions, lapses } (null = first review)
+ * @param {number} quality - SM-2 grade 0-5
+ * @param {Object} config - Overrides for SM2_DEFAULTS
+ * @returns {Object} - { easeFactor, intervalDays, repetitions, lapses, quality }
+ */
+export function calculateNextReview(current, quality, config = {}) {
+  const cfg = { ...SM2_DEFAULTS, ...config };
+  const q = Math.min(Math.max(Math.round(quality), 0), 5);
+
+  const state = {
+    easeFactor: current?.easeFactor ?? cfg.easeFactor,
+    intervalDays: current?.intervalDays ?? 0,
+    repetitions: current?.repetitions ?? 0,
+    lapses: current?.lapses ?? 0
+  };
+
+  let { repetitions, intervalDays, lapses } = state;
+
+  if (q < 3) {
+    repetitions = 0;
+    intervalDays = cfg.firstInterval;
+    lapses++;
+  } else {
+    repetitions++;
+    if (repetitions === 1) intervalDays = cfg.firstInterval;
+    else if (repetitions === 2) intervalDays = cfg.secondInterval;
+    else intervalDays = Math.round(intervalDays * state.easeFactor);
+  }
+
+  const easeFactor = Math.max(
+    cfg.minEaseFactor,
+    state.easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays: Math.min(intervalDays, cfg.maxInterval),
+    repetitions,
+    lapses,
+    quality: q
+  };
+}
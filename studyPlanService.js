@@ -0,0 +1,175 @@
+import { run, get, all } from './database/db.js';
+import { getUserAnalytics } from './analyticsService.js';
+import { buildStudyPlan, toPlanDate, addDays, daysBetween } from './studyPlanner.js';
+
+/**
+ * Study Plan Service
+ * Stores each student's plan towards their exam date and rebuilds the days ahead
+ * from their current weak areas whenever a task is completed (see studyPlanner.js).
+ * Today's tasks stay as they are once planned; missed days are kept as missed.
+ */
+
+const PLAN_NOT_FOUND = { status: 404, message: 'No study plan yet. Set your exam date to create one.' };
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    date: task.scheduled_date,
+    type: task.task_type,
+    title: task.title,
+    domain: task.domain,
+    tag: task.tag,
+    questionCount: task.question_count,
+    minutes: task.minutes,
+    options: task.options ? JSON.parse(task.options) : null,
+    completed: !!task.completed_at,
+    completedAt: task.completed_at
+  };
+}
+
+function getPlanRow(userId) {
+  return get('SELECT * FROM study_plans WHERE user_id = ?', [userId]);
+}
+
+// Replace the plan's unfinished tasks from startDate on with a freshly built schedule
+async function planFrom(plan, startDate) {
+  const analytics = await getUserAnalytics(plan.user_id);
+  // Topics guessed from question text have no tag a study session could filter on
+  const tags = new Set((await all('SELECT name FROM tags')).map(t => t.name));
+  const tasks = buildStudyPlan({
+    startDate,
+    examDate: plan.exam_date,
+    weeklyHours: plan.weekly_hours,
+    weakAreas: analytics.weakAreas.filter(area => area.type !== 'topic' || tags.has(area.name))
+  });
+
+  await run(
+    'DELETE FROM study_plan_tasks WHERE plan_id = ? AND scheduled_date >= ? AND completed_at IS NULL',
+    [plan.id, startDate]
+  );
+  for (const [position, task] of tasks.entries()) {
+    await run(
+      `INSERT INTO study_plan_tasks
+         (plan_id, scheduled_date, position, task_type, title, domain, tag, question_count, minutes, options)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [plan.id, task.date, position, task.type, task.title, task.domain, task.tag,
+        task.questionCount, task.minutes, task.options ? JSON.stringify(task.options) : null]
+    );
+  }
+  await run('UPDATE study_plans SET replanned_at = CURRENT_TIMESTAMP WHERE id = ?', [plan.id]);
+}
+
+/**
+ * Get the student's plan: today's tasks, the week ahead and overall progress
+ * @param {number} userId - User ID
+ * @returns {Object} - { examDate, weeklyHours, daysLeft, today, upcoming, progress, replannedAt }
+ */
+export async function getStudyPlan(userId) {
+  const plan = await getPlanRow(userId);
+  if (!plan) throw PLAN_NOT_FOUND;
+
+  const today = toPlanDate(Date.now());
+  const tasks = (await all(
+    'SELECT * FROM study_plan_tasks WHERE plan_id = ? ORDER BY scheduled_date, position, id',
+    [plan.id]
+  )).map(formatTask);
+  const weekEnd = addDays(today, 7);
+
+  return {
+    examDate: plan.exam_date,
+    weeklyHours: plan.weekly_hours,
+    daysLeft: daysBetween(today, plan.exam_date),
+    today: tasks.filter(t => t.date === today),
+    upcoming: tasks.filter(t => t.date > today && t.date <= weekEnd),
+    progress: {
+      completed: tasks.filter(t => t.completed).length,
+      missed: tasks.filter(t => !t.completed && t.date < today).length,
+      total: tasks.length
+    },
+    replannedAt: plan.replanned_at
+  };
+}
+
+/**
+ * Set the exam date and weekly hours, replacing any existing plan
+ * @param {number} userId - User ID
+ * @param {Object} settings - { examDate ('YYYY-MM-DD', after today), weeklyHours }
+ */
+export async function saveStudyPlan(userId, { examDate, weeklyHours }) {
+  const today = toPlanDate(Date.now());
+  if (daysBetween(today, examDate) <= 0) {
+    throw { status: 400, message: 'examDate must be after today' };
+  }
+
+  const existing = await getPlanRow(userId);
+  if (existing) {
+    await run('DELETE FROM study_plan_tasks WHERE plan_id = ?', [existing.id]);
+    await run(
+      'UPDATE study_plans SET exam_date = ?, weekly_hours = ?, created_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [examDate, weeklyHours, existing.id]
+    );
+  } else {
+    await run('INSERT INTO study_plans (user_id, exam_date, weekly_hours) VALUES (?, ?, ?)', [userId, examDate, weeklyHours]);
+  }
+
+  await planFrom(await getPlanRow(userId), today);
+  return getStudyPlan(userId);
+}
+
+/**
+ * Delete the student's plan
+ * @param {number} userId - User ID
+ */
+export async function deleteStudyPlan(userId) {
+  const plan = await getPlanRow(userId);
+  if (!plan) throw PLAN_NOT_FOUND;
+
+  await run('DELETE FROM study_plan_tasks WHERE plan_id = ?', [plan.id]);
+  await run('DELETE FROM study_plans WHERE id = ?', [plan.id]);
+  return { success: true };
+}
+
+/**
+ * Today's tasks
+ * @param {number} userId - User ID
+ * @returns {Object} - { date, examDate, daysLeft, tasks }
+ */
+export async function getTodayTasks(userId) {
+  const plan = await getStudyPlan(userId);
+  return {
+    date: toPlanDate(Date.now()),
+    examDate: plan.examDate,
+    daysLeft: plan.daysLeft,
+    tasks: plan.today
+  };
+}
+
+/**
+ * Mark a task done and rebuild the days ahead from the updated weak areas
+ * @param {number} userId - User ID
+ * @param {number} taskId - Task ID
+ * @returns {Object} - { task, today } where today is as returned by getTodayTasks
+ */
+export async function completePlanTask(userId, taskId) {
+  const task = await get(
+    `SELECT t.*, p.user_id FROM study_plan_tasks t
+     JOIN study_plans p ON p.id = t.plan_id
+     WHERE t.id = ? AND p.user_id = ?`,
+    [taskId, userId]
+  );
+  if (!task) throw { status: 404, message: 'Study plan task not found' };
+
+  // Completing a task twice changes nothing
+  if (!task.completed_at) {
+    await run('UPDATE study_plan_tasks SET completed_at = CURRENT_TIMESTAMP WHERE id = ?', [taskId]);
+
+    const plan = await getPlanRow(userId);
+    const tomorrow = addDays(toPlanDate(Date.now()), 1);
+    if (daysBetween(tomorrow, plan.exam_date) > 0) await planFrom(plan, tomorrow);
+  }
+
+  return {
+    task: formatTask(await get('SELECT * FROM study_plan_tasks WHERE id = ?', [taskId])),
+    today: await getTodayTasks(userId)
+  };
+}
@@ -0,0 +1,172 @@
+// Study Planner
+// Builds a day-by-day study plan towards a target exam date from the student's
+// weekly study hours and weak areas. studyPlanService.js stores the plan and
+// rebuilds the days ahead after every completed task.
+//
+// Each day before the exam gets its share of the weekly hours. A full practice
+// exam is scheduled two days before the exam and every week before that; the
+// other days hold a PBQ practice every second day and domain or topic sessions
+// for the rest of the time. Sessions go to whichever area is furthest behind its
+// share of the plan: every official domain gets its exam weight, raised for weak
+// areas by their priority (see identifyWeakAreas in analyticsService.js), and
+// weak topics get a share of their own.
+//
+// Dates are UTC calendar days ('YYYY-MM-DD'), matching the review queue.
+
+import { OFFICIAL_DOMAIN_WEIGHTS } from './examObjectives.js';
+
+export const PLAN_DEFAULTS = {
+  minutesPerQuestion: 1.5, // an MCQ in a study session, reading the explanation included
+  minutesPerPbq: 5,
+  pbqsPerSession: 3,
+  pbqEvery: 2, // a PBQ practice every this many study days
+  practiceExamMinutes: 90,
+  practiceExamQuestions: 90,
+  practiceExamEvery: 7, // days between full practice exams
+  minSessionQuestions: 5,
+  maxSessionQuestions: 30,
+  topicWeight: 0.1 // base share of a weak topic, before its priority raises it
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day of a date
+ * @param {Date|number|string} value - Date, timestamp or 'YYYY-MM-DD'
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export function toPlanDate(value) {
+  return new Date(typeof value === 'string' ? `${value.slice(0, 10)}T00:00:00Z` : value).toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar day a number of days after another
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export function addDays(date, days) {
+  return toPlanDate(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+}
+
+/**
+ * Whole days from one calendar day to another
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Areas the study sessions are spread over, with their share of the plan
+function focusAreas(weakAreas, domainWeights, settings) {
+  const areas = new Map(Object.entries(domainWeights).map(([domain, weight]) => [
+    `domain:${domain}`, { type: 'domain', name: domain, weight }
+  ]));
+
+  weakAreas.forEach(area => {
+    const type = area.type === 'topic' ? 'topic' : 'domain';
+    const key = `${type}:${area.name}`;
+    if (!areas.has(key)) areas.set(key, { type, name: area.name, weight: settings.topicWeight });
+    const focus = areas.get(key);
+    focus.weight *= 1 + (area.priority || 0) / 100;
+  });
+
+  const total = [...areas.values()].reduce((sum, a) => sum + a.weight, 0);
+  return [...areas.values()].map(a => ({ ...a, share: a.weight / total, planned: 0 }));
+}
+
+// Area furthest behind its share once this many more questions are planned
+function nextFocus(areas, questions) {
+  const planned = areas.reduce((sum, a) => sum + a.planned, 0);
+  const deficit = a => a.share * (planned + questions) - a.planned;
+  return areas.reduce((best, a) => (deficit(a) > deficit(best) ? a : best));
+}
+
+function studyTask(date, focus, questionCount, settings) {
+  return {
+    date,
+    type: 'study',
+    title: `${focus.type === 'topic' ? 'Topic' : 'Domain'} practice: ${focus.name}`,
+    domain: focus.type === 'domain' ? focus.name : null,
+    tag: focus.type === 'topic' ? focus.name : null,
+    questionCount,
+    minutes: Math.round(questionCount * settings.minutesPerQuestion),
+    options: focus.type === 'topic'
+      ? { tags: [focus.name], questionCount, immediateMode: true }
+      : { domains: [focus.name], questionCount, immediateMode: true }
+  };
+}
+
+/**
+ * Build the study plan from a start day up to the day before the exam
+ * Practice exams are counted back from the exam date, so a plan rebuilt from a
+ * later day keeps them on the same days.
+ * @param {Object} input - { startDate, examDate ('YYYY-MM-DD'), weeklyHours, weakAreas: [{ type, name, priority }],
+ *   domainWeights (default: official weights) }
+ * @param {Object} options - Overrides of PLAN_DEFAULTS
+ * @returns {Array<Object>} - Tasks in order: [{ date, type ('study', 'pbq' or 'exam'), title, domain, tag,
+ *   questionCount, minutes, options (study session options for study and PBQ tasks) }]
+ */
+export function buildStudyPlan(input, options = {}) {
+  const settings = { ...PLAN_DEFAULTS, ...options };
+  const { startDate, examDate, weeklyHours, weakAreas = [], domainWeights = OFFICIAL_DOMAIN_WEIGHTS } = input;
+  const days = daysBetween(startDate, examDate);
+  if (days <= 0) return [];
+
+  const dailyMinutes = (weeklyHours * 60) / 7;
+  const areas = focusAreas(weakAreas, domainWeights, settings);
+  const pbqMinutes = settings.pbqsPerSession * settings.minutesPerPbq;
+  const tasks = [];
+  let studyDays = 0;
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(startDate, offset);
+    const daysBeforeExam = days - offset;
+
+    // Full practice exams two days before the exam and weekly before that
+    if (daysBeforeExam >= 2 && (daysBeforeExam - 2) % settings.practiceExamEvery === 0) {
+      tasks.push({
+        date,
+        type: 'exam',
+        title: 'Full practice exam',
+        domain: null,
+        tag: null,
+        questionCount: settings.practiceExamQuestions,
+        minutes: settings.practiceExamMinutes,
+        options: null
+      });
+      continue;
+    }
+
+    let minutes = dailyMinutes;
+    if (studyDays % settings.pbqEvery === 0 && minutes >= pbqMinutes + settings.minSessionQuestions * settings.minutesPerQuestion) {
+      tasks.push({
+        date,
+        type: 'pbq',
+        title: 'PBQ practice',
+        domain: null,
+        tag: null,
+        questionCount: settings.pbqsPerSession,
+        minutes: pbqMinutes,
+        options: { type: 'pbq', questionCount: settings.pbqsPerSession, immediateMode: true }
+      });
+      minutes -= pbqMinutes;
+    }
+    studyDays++;
+
+    // At least one short session a day, however little time there is; the rest
+    // split evenly into sessions of at most maxSessionQuestions
+    const questions = Math.max(settings.minSessionQuestions, Math.floor(minutes / settings.minutesPerQuestion));
+    const sessions = Math.ceil(questions / settings.maxSessionQuestions);
+    for (let i = 0; i < sessions; i++) {
+      const count = Math.floor(questions / sessions) + (i < questions % sessions ? 1 : 0);
+      const focus = nextFocus(areas, count);
+      tasks.push(studyTask(date, focus, count, settings));
+      focus.planned += count;
+    }
+  }
+
+  return tasks;
+}
@@ -1,5 +1,8 @@
 import { db } from './database/db.js';
-import { scorePBQ } from './pbqScoring.js';
+import { scorePBQ, validatePbqAnswer, PBQ_TYPES } from './pbqScoring.js';
+import { recordReview, DUE_TODAY_CUTOFF_SQL } from './reviewService.js';
+import { revisionContentSql, explainAnswer } from './questionBankService.js';
+import { stripPbqCorrectFields } from './examService.js';
 
 /**
  * Start a custom study session
@@ -8,9 +11,10 @@ import { scorePBQ } from './pbqScoring.js';
  * @param {Array<string>} options.domains - Selected domains (empty = all)
  * @param {Array<string>} options.tags - Selected tags (empty = all)
  * @param {string} options.difficulty - Difficulty filter ('Easy', 'Medium', 'Hard', 'All')
- * @param {string} options.type - Question type ('mcq', 'pbq', 'all')
+ * @param {string} options.type - Question type ('multiple_choice', 'pbq' or a PBQ type, 'all')
  * @param {boolean} options.onlyMissed - Only show previously missed questions
  * @param {boolean} options.onlyBookmarked - Only show bookmarked questions
+ * @param {boolean} options.dueOnly - Only questions due for review today (most overdue first)
  * @param {number} options.questionCount - Number of questions (default: 20)
  * @param {boolean} options.immediateMode - Show answers immediately after each question
  */
@@ -22,6 +26,7 @@ export async function startStudySession(userId, options = {}) {
     type = 'all',
     onlyMissed = false,
     onlyBookmarked = false,
+    dueOnly = false,
     questionCount = 20,
     immediateMode = true
   } = options;
@@ -33,7 +38,8 @@ export async function startStudySession(userId, options = {}) {
       FROM questions q
     `;
     
-    const conditions = [];
+    // Retired questions are never served
+    const conditions = ['q.retired_at IS NULL'];
     const params = [];
     
     // Add joins for filtered queries
@@ -54,16 +60,29 @@ export async function startStudySession(userId, options = {}) {
       params.push(userId);
     }
     
+    if (dueOnly) {
+      query += `
+        INNER JOIN review_schedule rs ON q.id = rs.question_id
+      `;
+      conditions.push('rs.user_id = ?');
+      conditions.push(`rs.due_at < ${DUE_TODAY_CUTOFF_SQL}`);
+      params.push(userId);
+    }
+
     // Type filter
     if (type && type !== 'all' && type !== '') {
       if (type === 'multiple_choice') {
         // MCQ questions have qtype = NULL or 'mcq'
         conditions.push('(q.qtype IS NULL OR q.qtype = ?)');
         params.push('mcq');
-      } else if (type === 'multi_select' || type === 'ordering' || type === 'matching') {
+      } else if (type === 'pbq') {
         // PBQ types stored as 'pbq' in qtype column
         conditions.push('q.qtype = ?');
         params.push('pbq');
+      } else if (PBQ_TYPES.includes(type)) {
+        // A single PBQ type, e.g. firewall_rules, is read from the PBQ definition
+        conditions.push("q.qtype = 'pbq' AND json_extract(q.pbq_json, '$.type') = ?");
+        params.push(type);
       }
     }
     
@@ -73,19 +92,26 @@ export async function startStudySession(userId, options = {}) {
       params.push(...domains);
     }
     
+    // Tag filter: questions carrying any of the selected tags
+    if (tags.length > 0) {
+      conditions.push(`q.id IN (
+        SELECT qt.question_id FROM question_tags qt
+        JOIN tags t ON t.id = qt.tag_id
+        WHERE t.name IN (${tags.map(() => '?').join(',')})
+      )`);
+      params.push(...tags);
+    }
+    
     // Difficulty filter
     if (difficulty !== 'All') {
       conditions.push('q.difficulty = ?');
       params.push(difficulty);
     }
     
-    // Add WHERE clause if needed
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    query += ' WHERE ' + conditions.join(' AND ');
     
-    // Randomize and limit
-    query += ` ORDER BY RANDOM() LIMIT ?`;
+    // Randomize and limit (the review queue serves the most overdue questions first)
+    query += dueOnly ? ' ORDER BY rs.due_at ASC, RANDOM() LIMIT ?' : ` ORDER BY RANDOM() LIMIT ?`;
     params.push(questionCount);
     
     db.all(query, params, (err, questions) => {
@@ -95,7 +121,10 @@ export async function startStudySession(userId, options = {}) {
       }
       
       if (!questions || questions.length === 0) {
-        return reject({ status: 404, message: 'No questions found matching your criteria' });
+        return reject({
+          status: 404,
+          message: dueOnly ? 'No questions are due for review today' : 'No questions found matching your criteria'
+        });
       }
       
       // Create a study session record
@@ -116,13 +145,13 @@ export async function startStudySession(userId, options = {}) {
           
           const sessionId = this.lastID;
           
-          // Insert study session questions
+          // Insert study session questions, pinned to the revision being shown
           const stmt = db.prepare(
-            'INSERT INTO study_session_questions (session_id, question_id, question_number) VALUES (?, ?, ?)'
+            'INSERT INTO study_session_questions (session_id, question_id, revision_id, question_number) VALUES (?, ?, ?, ?)'
           );
           
           questions.forEach((q, index) => {
-            stmt.run(sessionId, q.id, index + 1);
+            stmt.run(sessionId, q.id, q.current_revision_id, index + 1);
           });
           
           stmt.finalize((err) => {
@@ -135,23 +164,12 @@ export async function startStudySession(userId, options = {}) {
               const qtype = q.qtype || 'mcq';
               
               if (qtype === 'pbq') {
-                let pbqData = null;
-                try {
-                  pbqData = JSON.parse(q.pbq_json);
-                  // Remove correct answers
-                  delete pbqData.correct;
-                  delete pbqData.correct_order;
-                  delete pbqData.correct_map;
-                } catch (e) {
-                  pbqData = null;
-                }
-                
                 return {
                   questionNumber: index + 1,
                   id: q.id,
                   qtype: 'pbq',
                   question: q.question,
-                  pbq: pbqData,
+                  pbq: stripPbqCorrectFields(q.pbq_json),
                   domain: q.domain,
                   difficulty: q.difficulty
                 };
@@ -204,11 +222,12 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
         if (err) return reject({ status: 500, message: 'Database error' });
         if (!session) return reject({ status: 404, message: 'Study session not found' });
         
-        // Get question details
+        // Get question details as the student saw them
         db.get(
-          `SELECT ssq.*, q.* 
+          `SELECT ssq.*, q.id, ${revisionContentSql()}
            FROM study_session_questions ssq
            JOIN questions q ON ssq.question_id = q.id
+           LEFT JOIN question_revisions r ON r.id = ssq.revision_id
            WHERE ssq.session_id = ? AND ssq.question_number = ?`,
           [sessionId, questionNumber],
           (err, question) => {
@@ -217,6 +236,7 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
             
             const qtype = question.qtype || 'mcq';
             let isCorrect = false;
+            let pbqResult = null;
             let userAnswerStr = answer;
             
             // Score based on question type
@@ -229,7 +249,12 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
               }
               
               if (pbqData && typeof answer === 'object') {
-                isCorrect = scorePBQ(answer, pbqData);
+                const problems = validatePbqAnswer(answer, pbqData);
+                if (problems.length > 0) {
+                  return reject({ status: 400, message: `Invalid answer: ${problems.join('; ')}` });
+                }
+                pbqResult = scorePBQ(answer, pbqData);
+                isCorrect = pbqResult.isCorrect;
               }
               userAnswerStr = JSON.stringify(answer);
             } else {
@@ -253,17 +278,29 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
                      last_used_at = CURRENT_TIMESTAMP`,
                   [userId, question.id, isCorrect ? 1 : 0, isCorrect ? 1 : 0]
                 );
+
+                // Reschedule the question in the student's review queue
+                recordReview(userId, question.id, {
+                  isCorrect,
+                  isPartial: pbqResult ? pbqResult.isPartial : false,
+                  points: pbqResult ? pbqResult.points : (isCorrect ? 1 : 0)
+                }).catch(err => console.error('Error updating review schedule:', err));
                 
-                // Build result with correct answer and explanation
+                // Build result with correct answer and explanations
+                const { choiceExplanations, mistakeExplanations } = explainAnswer(
+                  question, answer, pbqResult ? pbqResult.breakdown : null
+                );
                 const result = {
                   questionNumber,
                   isCorrect,
                   correctAnswer: question.answer,
+                  mistakeExplanations,
                   question: {
                     id: question.id,
                     qtype: qtype,
                     question: question.question,
                     explanation: question.explanation,
+                    choiceExplanations,
                     domain: question.domain,
                     difficulty: question.difficulty
                   }
@@ -282,6 +319,9 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
                   } catch (e) {
                     result.correctAnswer = question.pbq_json;
                   }
+                  result.isPartial = pbqResult ? pbqResult.isPartial : false;
+                  result.points = pbqResult ? pbqResult.points : 0;
+                  result.breakdown = pbqResult ? pbqResult.breakdown : null;
                 }
                 
                 resolve(result);
@@ -300,7 +340,7 @@ export async function submitStudyAnswer(sessionId, userId, questionNumber, answe
 export async function getAvailableDomains() {
   return new Promise((resolve, reject) => {
     db.all(
-      'SELECT DISTINCT domain, COUNT(*) as count FROM questions GROUP BY domain ORDER BY domain',
+      'SELECT DISTINCT domain, COUNT(*) as count FROM questions WHERE retired_at IS NULL GROUP BY domain ORDER BY domain',
       [],
       (err, domains) => {
         if (err) return reject({ status: 500, message: 'Database error' });
@@ -0,0 +1,162 @@
+import { run, get, all } from './database/db.js';
+
+/**
+ * Tag Service
+ * Tags are free-form topic labels (e.g. "Cryptography") attached to questions.
+ * Study sessions filter on them and analytics reports accuracy per tag.
+ * Names are unique case-insensitively.
+ */
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_QUESTION = 10;
+
+/**
+ * Validate and tidy a tag name
+ * @param {string} name - Raw tag name
+ * @returns {string} - Trimmed name with single spaces
+ * @throws {{status: number, message: string}} - 400 on invalid names
+ */
+export function normalizeTagName(name) {
+  if (typeof name !== 'string') {
+    throw { status: 400, message: 'Tag name must be a string' };
+  }
+
+  const normalized = name.trim().replace(/\s+/g, ' ');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) {
+    throw { status: 400, message: `Tag name must be 1-${MAX_TAG_LENGTH} characters` };
+  }
+  // '|' separates names in aggregated queries; ',' would be ambiguous in filters
+  if (/[|,]/.test(normalized)) {
+    throw { status: 400, message: 'Tag name cannot contain "|" or ","' };
+  }
+
+  return normalized;
+}
+
+function formatTag(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    questionCount: row.question_count ?? 0
+  };
+}
+
+/**
+ * List all tags with how many questions carry each one
+ */
+export async function listTags() {
+  const rows = await all(
+    `SELECT t.id, t.name, COUNT(qt.question_id) as question_count
+     FROM tags t
+     LEFT JOIN question_tags qt ON qt.tag_id = t.id
+     GROUP BY t.id
+     ORDER BY t.name COLLATE NOCASE`
+  );
+  return rows.map(formatTag);
+}
+
+async function getTag(id) {
+  const row = await get(
+    `SELECT t.id, t.name, COUNT(qt.question_id) as question_count
+     FROM tags t
+     LEFT JOIN question_tags qt ON qt.tag_id = t.id
+     WHERE t.id = ?
+     GROUP BY t.id`,
+    [id]
+  );
+  if (!row) throw { status: 404, message: 'Tag not found' };
+  return formatTag(row);
+}
+
+async function assertNameAvailable(name, id = 0) {
+  const duplicate = await get('SELECT id FROM tags WHERE name = ? COLLATE NOCASE AND id != ?', [name, id]);
+  if (duplicate) throw { status: 409, message: `A tag named "${name}" already exists` };
+}
+
+/**
+ * Create a tag (admin)
+ * @param {string} name - Tag name
+ */
+export async function createTag(name) {
+  const normalized = normalizeTagName(name);
+  await assertNameAvailable(normalized);
+
+  const result = await run('INSERT INTO tags (name) VALUES (?)', [normalized]);
+  return getTag(result.lastID);
+}
+
+/**
+ * Rename a tag (admin). Questions keep the tag under its new name.
+ * @param {number} id - Tag ID
+ * @param {string} name - New name
+ */
+export async function renameTag(id, name) {
+  await getTag(id);
+  const normalized = normalizeTagName(name);
+  await assertNameAvailable(normalized, id);
+
+  await run('UPDATE tags SET name = ? WHERE id = ?', [normalized, id]);
+  return getTag(id);
+}
+
+/**
+ * Delete a tag and remove it from every question (admin)
+ * @param {number} id - Tag ID
+ */
+export async function deleteTag(id) {
+  const tag = await getTag(id);
+  await run('DELETE FROM question_tags WHERE tag_id = ?', [id]);
+  await run('DELETE FROM tags WHERE id = ?', [id]);
+  return tag;
+}
+
+/**
+ * Get the tags of one question
+ * @param {number} questionId - Question ID
+ */
+export async function getQuestionTags(questionId) {
+  const question = await get('SELECT id FROM questions WHERE id = ?', [questionId]);
+  if (!question) throw { status: 404, message: 'Question not found' };
+
+  const rows = await all(
+    `SELECT t.id, t.name
+     FROM question_tags qt
+     JOIN tags t ON t.id = qt.tag_id
+     WHERE qt.question_id = ?
+     ORDER BY t.name COLLATE NOCASE`,
+    [questionId]
+  );
+  return rows.map(row => ({ id: row.id, name: row.name }));
+}
+
+/**
+ * Replace the tags of one question (admin). Unknown tag names are created.
+ * @param {number} questionId - Question ID
+ * @param {Array<string>} names - Complete list of tag names for the question
+ */
+export async function setQuestionTags(questionId, names) {
+  if (!Array.isArray(names)) {
+    throw { status: 400, message: 'tags must be an array of tag names' };
+  }
+
+  // Drop case-insensitive duplicates, keeping the first spelling
+  const normalized = names.map(normalizeTagName)
+    .filter((name, index, list) => list.findIndex(n => n.toLowerCase() === name.toLowerCase()) === index);
+  if (normalized.length > MAX_TAGS_PER_QUESTION) {
+    throw { status: 400, message: `A question can have at most ${MAX_TAGS_PER_QUESTION} tags` };
+  }
+
+  // 404 before touching anything
+  await getQuestionTags(questionId);
+
+  await run('DELETE FROM question_tags WHERE question_id = ?', [questionId]);
+  for (const name of normalized) {
+    await run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+    await run(
+      'INSERT OR IGNORE INTO question_tags (question_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+      [questionId, name]
+    );
+  }
+
+  return getQuestionTags(questionId);
+}
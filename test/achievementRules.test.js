@@ -0,0 +1,143 @@
+// Unit Tests for achievement rules
+// Covers rule validation, each metric and how all/any rules combine progress
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { validateRule, measure, evaluateRule, usesMetric } from '../achievementRules.js';
+import { OFFICIAL_DOMAINS } from '../examObjectives.js';
+
+// Answers to `count` questions of a domain, the first `correct` of them right
+function answersIn(domain, count, correct, extra = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    questionId: `${domain}-${i}`,
+    qtype: 'mcq',
+    domain,
+    difficulty: 'Medium',
+    tags: [],
+    points: i < correct ? 1 : 0,
+    ...extra
+  }));
+}
+
+function runTests() {
+  console.log('\n🧪 Running Achievement Rule Tests\n');
+  console.log('='.repeat(60));
+
+  test('valid rules have no problems', () => {
+    assert.deepEqual(validateRule({ metric: 'answered', qtype: 'pbq', min: 100 }), []);
+    assert.deepEqual(validateRule({
+      all: [
+        { metric: 'bestScore', minQuestions: 90, min: 750 },
+        { any: [{ metric: 'streak', kind: 'goal', min: 7 }, { metric: 'domainAccuracy', domain: '*', min: 80 }] }
+      ]
+    }), []);
+  });
+
+  test('invalid rules report every problem with its path', () => {
+    assert.deepEqual(validateRule(null), ['rule must be an object']);
+    assert.match(validateRule({ metric: 'logins', min: 1 })[0], /rule\.metric must be one of/);
+    assert.deepEqual(validateRule({ metric: 'answered', min: 0, difficulty: 'Brutal' }), [
+      'rule.min must be a positive number',
+      'rule.difficulty is invalid'
+    ]);
+    assert.deepEqual(validateRule({ metric: 'streak', tag: 'Cryptography', min: 3 }), ['rule.tag is not a filter of streak']);
+    assert.deepEqual(validateRule({ metric: 'domainAccuracy', min: 80 }), ['rule.domain is required']);
+    assert.deepEqual(validateRule({ all: [] }), ['rule.all must be a non-empty array']);
+    assert.deepEqual(validateRule({ any: [{ metric: 'answered', min: 1 }, 'x'] }), ['rule.any[1] must be an object']);
+  });
+
+  test('rules nested too deeply are rejected', () => {
+    let rule = { metric: 'answered', min: 1 };
+    for (let i = 0; i < 5; i++) rule = { all: [rule] };
+    assert.match(validateRule(rule)[0], /nested more than 5 levels/);
+  });
+
+  test('exam metrics only count exams with enough questions', () => {
+    const facts = {
+      exams: [
+        { totalQuestions: 30, scaledScore: 880 },
+        { totalQuestions: 90, scaledScore: 720 },
+        { totalQuestions: 90, scaledScore: 760 }
+      ]
+    };
+    assert.equal(measure({ metric: 'examsCompleted' }, facts), 3);
+    assert.equal(measure({ metric: 'examsCompleted', minQuestions: 90 }, facts), 2);
+    assert.equal(measure({ metric: 'bestScore' }, facts), 880);
+    assert.equal(measure({ metric: 'bestScore', minQuestions: 90 }, facts), 760);
+  });
+
+  test('answered counts questions matching every filter', () => {
+    const facts = {
+      answers: [
+        ...answersIn('Security Operations', 4, 3),
+        ...answersIn('Security Operations', 2, 1, { qtype: 'pbq', difficulty: 'Hard', tags: ['Cryptography'] })
+      ]
+    };
+    assert.equal(measure({ metric: 'answered' }, facts), 6);
+    assert.equal(measure({ metric: 'answered', qtype: 'pbq' }, facts), 2);
+    assert.equal(measure({ metric: 'answered', correct: true }, facts), 4);
+    assert.equal(measure({ metric: 'answered', correct: false, tag: 'Cryptography' }, facts), 1);
+    assert.equal(measure({ metric: 'answered', domain: 'Security Architecture' }, facts), 0);
+  });
+
+  test('domain accuracy needs enough answers; "*" is the weakest official domain', () => {
+    const strong = OFFICIAL_DOMAINS.flatMap(d => answersIn(d.name, 10, 9));
+    const facts = { answers: [...strong, ...answersIn('Security Operations', 10, 5)] };
+    assert.equal(measure({ metric: 'domainAccuracy', domain: 'Security Architecture' }, facts), 90);
+    assert.equal(measure({ metric: 'domainAccuracy', domain: 'Security Operations' }, facts), 70);
+    assert.equal(measure({ metric: 'domainAccuracy', domain: '*' }, facts), 70);
+    assert.equal(measure({ metric: 'domainAccuracy', domain: 'Security Architecture', minAnswered: 11 }, facts), 0);
+
+    const oneDomainMissing = { answers: strong.filter(a => a.domain !== 'General Security Concepts') };
+    assert.equal(measure({ metric: 'domainAccuracy', domain: '*' }, oneDomainMissing), 0);
+  });
+
+  test('streak uses the longest active or goal streak', () => {
+    const facts = { streaks: { longest: 9, goal: { longestStreak: 4 } } };
+    assert.equal(measure({ metric: 'streak' }, facts), 9);
+    assert.equal(measure({ metric: 'streak', kind: 'goal' }, facts), 4);
+    assert.equal(measure({ metric: 'streak' }, {}), 0);
+  });
+
+  test('bank mastered is the share of matching questions answered correctly', () => {
+    const bank = [1, 2, 3, 4].map(id => ({ id, qtype: 'mcq', domain: 'Security Architecture', difficulty: 'Hard', tags: ['Cryptography'] }))
+      .concat([{ id: 5, qtype: 'mcq', domain: 'Security Architecture', difficulty: 'Easy', tags: ['Cryptography'] }]);
+    const answers = [
+      { questionId: 1, points: 1 },
+      { questionId: 2, points: 0 },
+      { questionId: 2, points: 1 }, // right on the second try
+      { questionId: 3, points: 0.5 },
+      { questionId: 5, points: 1 }
+    ];
+    const rule = { metric: 'bankMastered', difficulty: 'Hard', tag: 'Cryptography' };
+    assert.equal(measure(rule, { bank, answers }), 50);
+    assert.equal(measure({ ...rule, tag: 'Networking' }, { bank, answers }), 0);
+  });
+
+  test('conditions report progress towards their minimum', () => {
+    const facts = { answers: answersIn('Security Operations', 30, 30, { qtype: 'pbq' }) };
+    assert.deepEqual(evaluateRule({ metric: 'answered', qtype: 'pbq', min: 100 }, facts), { earned: false, progress: 0.3 });
+    assert.deepEqual(evaluateRule({ metric: 'answered', qtype: 'pbq', min: 25 }, facts), { earned: true, progress: 1 });
+  });
+
+  test('"all" needs every rule and averages progress; "any" takes the best', () => {
+    const facts = {
+      exams: [{ totalQuestions: 90, scaledScore: 600 }],
+      answers: answersIn('Security Operations', 50, 40)
+    };
+    const exam = { metric: 'bestScore', min: 750 };
+    const answered = { metric: 'answered', min: 50 };
+    assert.deepEqual(evaluateRule({ all: [exam, answered] }, facts), { earned: false, progress: 0.9 });
+    assert.deepEqual(evaluateRule({ any: [exam, answered] }, facts), { earned: true, progress: 1 });
+  });
+
+  test('usesMetric finds metrics in nested rules', () => {
+    const rule = { all: [{ metric: 'answered', min: 1 }, { any: [{ metric: 'streak', min: 7 }] }] };
+    assert.ok(usesMetric(rule, 'streak'));
+    assert.ok(!usesMetric(rule, 'bankMastered'));
+  });
+
+  summary();
+}
+
+runTests();
@@ -0,0 +1,108 @@
+// Unit Tests for activity streaks
+// Covers time zone day boundaries, study time, streaks, goals and the heatmap
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { isValidTimeZone, localDate, summarizeActivity, computeStreaks, buildHeatmap } from '../activityStreaks.js';
+
+const MINUTE = 60 * 1000;
+const QUESTIONS_GOAL = { type: 'questions', target: 10 };
+
+// Days with the given number of answered questions
+function daysWith(counts) {
+  return new Map(Object.entries(counts).map(([date, questions]) => [date, { questions, minutes: questions, exams: 0 }]));
+}
+
+function runTests() {
+  console.log('\n🧪 Running Activity Streak Tests\n');
+  console.log('='.repeat(60));
+
+  test('time zones are validated', () => {
+    assert.ok(isValidTimeZone('UTC'));
+    assert.ok(isValidTimeZone('America/New_York'));
+    assert.ok(!isValidTimeZone('Mars/Olympus'));
+    assert.ok(!isValidTimeZone(''));
+    assert.ok(!isValidTimeZone(undefined));
+  });
+
+  test('days end at midnight in the student\'s time zone', () => {
+    const lateEvening = Date.UTC(2026, 9, 2, 3, 30); // 23:30 on Oct 1 in New York
+    assert.equal(localDate(lateEvening, 'UTC'), '2026-10-02');
+    assert.equal(localDate(lateEvening, 'America/New_York'), '2026-10-01');
+    assert.equal(localDate(Date.UTC(2026, 9, 1, 20, 0), 'Asia/Kolkata'), '2026-10-02');
+  });
+
+  test('exams count their answers and duration on the day they were submitted', () => {
+    const days = summarizeActivity({
+      exams: [{ submittedAt: Date.UTC(2026, 9, 1, 12), durationSeconds: 5400, answered: 85 }]
+    }, 'UTC');
+    assert.deepEqual(days.get('2026-10-01'), { questions: 85, minutes: 90, exams: 1 });
+  });
+
+  test('study time is the capped gap between answers in a session', () => {
+    const start = Date.UTC(2026, 9, 1, 12);
+    const days = summarizeActivity({
+      studyAnswers: [
+        { sessionId: 1, answeredAt: start + 2 * MINUTE },
+        { sessionId: 1, answeredAt: start },
+        { sessionId: 1, answeredAt: start + 60 * MINUTE }, // back from a break
+        { sessionId: 2, answeredAt: start + 3 * MINUTE }
+      ]
+    }, 'UTC');
+    // 1 (first) + 2 + 5 (capped) for session 1, 1 (first) for session 2
+    assert.deepEqual(days.get('2026-10-01'), { questions: 4, minutes: 9, exams: 0 });
+  });
+
+  test('the current streak runs up to today and survives until today ends', () => {
+    const days = daysWith({ '2026-10-01': 3, '2026-10-02': 5, '2026-10-03': 1 });
+    assert.equal(computeStreaks(days, '2026-10-03', QUESTIONS_GOAL).current, 3);
+    const notYetToday = computeStreaks(days, '2026-10-04', QUESTIONS_GOAL);
+    assert.equal(notYetToday.current, 3);
+    assert.equal(notYetToday.activeToday, false);
+    assert.equal(computeStreaks(days, '2026-10-05', QUESTIONS_GOAL).current, 0);
+  });
+
+  test('the longest streak spans month ends and ignores later days', () => {
+    const days = daysWith({
+      '2026-09-29': 1, '2026-09-30': 1, '2026-10-01': 1, '2026-10-02': 1,
+      '2026-10-10': 1, '2026-10-11': 1,
+      '2026-10-20': 1, '2026-10-21': 1, '2026-10-22': 1, '2026-10-23': 1, '2026-10-24': 1
+    });
+    const streaks = computeStreaks(days, '2026-10-11', QUESTIONS_GOAL);
+    assert.equal(streaks.longest, 4);
+    assert.equal(streaks.current, 2);
+    assert.equal(streaks.lastActiveDate, '2026-10-11');
+  });
+
+  test('the goal streak counts days the goal was met', () => {
+    const days = daysWith({ '2026-10-01': 12, '2026-10-02': 4, '2026-10-03': 10, '2026-10-04': 15, '2026-10-05': 6 });
+    const streaks = computeStreaks(days, '2026-10-05', QUESTIONS_GOAL);
+    assert.equal(streaks.current, 5);
+    assert.deepEqual(streaks.goal, {
+      type: 'questions', target: 10, progress: 6, met: false, streak: 2, longestStreak: 2
+    });
+    const minutes = computeStreaks(days, '2026-10-04', { type: 'minutes', target: 15 });
+    assert.equal(minutes.goal.met, true);
+    assert.equal(minutes.goal.streak, 1);
+  });
+
+  test('no activity means no streak', () => {
+    const streaks = computeStreaks(new Map(), '2026-10-05', QUESTIONS_GOAL);
+    assert.equal(streaks.current, 0);
+    assert.equal(streaks.longest, 0);
+    assert.equal(streaks.lastActiveDate, null);
+    assert.deepEqual(streaks.today, { questions: 0, minutes: 0, exams: 0 });
+  });
+
+  test('the heatmap has every day with levels graded against the goal', () => {
+    const days = daysWith({ '2026-10-02': 3, '2026-10-03': 7, '2026-10-04': 10, '2026-10-05': 25 });
+    const cells = buildHeatmap(days, '2026-09-30', '2026-10-05', QUESTIONS_GOAL);
+    assert.deepEqual(cells.map(c => c.date), ['2026-09-30', '2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04', '2026-10-05']);
+    assert.deepEqual(cells.map(c => c.level), [0, 0, 1, 2, 3, 4]);
+    assert.deepEqual(cells.map(c => c.goalMet), [false, false, false, false, true, true]);
+  });
+
+  summary();
+}
+
+runTests();
@@ -0,0 +1,137 @@
+// Unit Tests for adaptive testing
+// Covers the Rasch model, ability estimation, item selection, the stopping rule and calibration
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import {
+  probabilityCorrect,
+  itemInformation,
+  itemDifficulty,
+  estimateAbility,
+  expectedScore,
+  selectNextItem,
+  stopReason,
+  calibrateItems
+} from '../adaptiveTesting.js';
+
+// Deterministic pseudo-random numbers so simulated students are the same on every run
+function seededRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+function runTests() {
+  console.log('\n🧪 Running Adaptive Testing Tests\n');
+  console.log('='.repeat(60));
+
+  // model
+  test('probabilityCorrect is even odds when ability equals difficulty', () => {
+    assert.equal(probabilityCorrect(1, 1), 0.5);
+    assert.ok(probabilityCorrect(2, 0) > 0.85);
+    assert.ok(probabilityCorrect(-2, 0) < 0.15);
+  });
+
+  test('itemInformation peaks where ability equals difficulty', () => {
+    assert.equal(itemInformation(0, 0), 0.25);
+    assert.ok(itemInformation(0, 2) < itemInformation(0, 1));
+  });
+
+  test('itemDifficulty falls back to the labelled difficulty prior', () => {
+    assert.equal(itemDifficulty(0.7, 'Easy'), 0.7);
+    assert.equal(itemDifficulty(null, 'Easy'), -1);
+    assert.equal(itemDifficulty(null, 'Hard'), 1);
+    assert.equal(itemDifficulty(null, undefined), 0);
+  });
+
+  // ability estimation
+  test('estimateAbility: no answers gives the standard normal prior', () => {
+    assert.deepEqual(estimateAbility([]), { theta: 0, standardError: 1 });
+  });
+
+  test('estimateAbility: right answers raise the estimate and every answer narrows it', () => {
+    const right = estimateAbility([{ difficulty: 0, score: 1 }, { difficulty: 1, score: 1 }]);
+    const wrong = estimateAbility([{ difficulty: 0, score: 0 }, { difficulty: -1, score: 0 }]);
+    assert.ok(right.theta > 0.5);
+    assert.ok(wrong.theta < -0.5);
+    assert.ok(right.standardError < 1);
+  });
+
+  test('estimateAbility: stays finite for a perfect answer pattern', () => {
+    const perfect = estimateAbility(Array.from({ length: 30 }, () => ({ difficulty: 0, score: 1 })));
+    assert.ok(perfect.theta > 2 && perfect.theta < 4);
+  });
+
+  test('expectedScore averages the chance of success over the bank', () => {
+    assert.equal(expectedScore(0, [-1, 0, 1]), 0.5);
+    assert.equal(expectedScore(0, [-1, 0]).toFixed(3), '0.616');
+    assert.equal(expectedScore(0, []), null);
+  });
+
+  // item selection
+  const bank = [
+    { id: 1, difficulty: -2, domain: 'A' },
+    { id: 2, difficulty: 0.1, domain: 'A' },
+    { id: 3, difficulty: 1.9, domain: 'A' },
+    { id: 4, difficulty: 0, domain: 'B' }
+  ];
+
+  test('selectNextItem picks the most informative item at the current ability', () => {
+    assert.equal(selectNextItem(2, bank, { randomesque: 1 }).id, 3);
+    assert.equal(selectNextItem(-2, bank, { randomesque: 1 }).id, 1);
+    assert.equal(selectNextItem(0, [], { randomesque: 1 }), null);
+  });
+
+  test('selectNextItem draws from the top few and balances domains by weight', () => {
+    const picked = new Set(Array.from({ length: 20 }, (_, i) => selectNextItem(0, bank, { randomesque: 2, random: () => i / 20 }).id));
+    assert.deepEqual([...picked].sort(), [2, 4]);
+
+    const balanced = selectNextItem(0, bank, { domainWeights: { A: 0.5, B: 0.5 }, administered: { B: 1 }, randomesque: 1 });
+    assert.equal(balanced.id, 2);
+  });
+
+  // stopping rule
+  test('stopReason: precision only after the minimum, then the question cap and an empty bank', () => {
+    const options = { minQuestions: 5, maxQuestions: 20, targetStandardError: 0.3 };
+    assert.equal(stopReason({ answered: 4, standardError: 0.2, remaining: 10 }, options), null);
+    assert.equal(stopReason({ answered: 5, standardError: 0.29, remaining: 10 }, options), 'precision');
+    assert.equal(stopReason({ answered: 8, standardError: 0.4, remaining: 10 }, options), null);
+    assert.equal(stopReason({ answered: 20, standardError: 0.4, remaining: 10 }, options), 'max-questions');
+    assert.equal(stopReason({ answered: 8, standardError: 0.4, remaining: 0 }, options), 'bank-exhausted');
+  });
+
+  // calibration
+  test('calibrateItems recovers simulated item difficulties', () => {
+    const random = seededRandom();
+    const difficulties = Array.from({ length: 20 }, (_, i) => -2 + (4 * i) / 19);
+    const responses = [];
+    for (let person = 0; person < 300; person++) {
+      const theta = (random() + random() + random() - 1.5) * 2;
+      difficulties.forEach((difficulty, item) => {
+        responses.push({ person, item, score: random() < probabilityCorrect(theta, difficulty) ? 1 : 0 });
+      });
+    }
+
+    const calibrated = calibrateItems(responses);
+    const errors = difficulties.map((difficulty, item) => Math.abs(calibrated.get(item).difficulty - difficulty));
+    assert.ok(Math.max(...errors) < 0.5, `largest error ${Math.max(...errors)}`);
+    assert.ok(errors.reduce((sum, e) => sum + e, 0) / errors.length < 0.25);
+    const centre = [...calibrated.values()].reduce((sum, c) => sum + c.difficulty, 0);
+    assert.ok(Math.abs(centre) < 0.05);
+  });
+
+  test('calibrateItems leaves out students with all or nothing right', () => {
+    const calibrated = calibrateItems([
+      { person: 1, item: 'x', score: 1 }, { person: 1, item: 'y', score: 1 },
+      { person: 2, item: 'x', score: 1 }, { person: 2, item: 'y', score: 0 }
+    ]);
+    assert.equal(calibrated.get('x').responses, 1);
+    assert.ok(calibrated.get('x').difficulty < calibrated.get('y').difficulty);
+  });
+
+  summary();
+}
+
+runTests();
@@ -0,0 +1,162 @@
+// Unit Tests for per-choice answer explanations
+// Covers storage round trips and picking the notes for a wrong MCQ or PBQ answer
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { parseChoiceExplanations, serializeChoiceExplanations, explainMistakes } from '../answerExplanations.js';
+import { scorePBQ } from '../pbqScoring.js';
+
+const MCQ = {
+  qtype: 'mcq',
+  answer: 'A',
+  choices: { A: 'File hashes', B: 'File names', C: 'Creation dates', D: 'Folder permissions' },
+  choiceExplanations: { B: 'Anyone can rename a file without changing it.', C: 'Timestamps are easy to forge.' },
+  explanationWrong: 'Only a hash reflects the file content.'
+};
+
+function runTests() {
+  console.log('\n🧪 Running Answer Explanation Tests\n');
+  console.log('='.repeat(60));
+
+  // storage
+  test('serialize trims, orders by choice and drops blanks', () => {
+    const json = serializeChoiceExplanations({ D: ' Too broad. ', B: 'Renamed easily.', C: '  ' }, 'mcq');
+    assert.equal(json, '{"B":"Renamed easily.","D":"Too broad."}');
+    assert.deepEqual(parseChoiceExplanations(json), { B: 'Renamed easily.', D: 'Too broad.' });
+  });
+
+  test('serialize and parse give null for nothing to store', () => {
+    assert.equal(serializeChoiceExplanations(null, 'mcq'), null);
+    assert.equal(serializeChoiceExplanations({ B: ' ' }, 'mcq'), null);
+    assert.equal(parseChoiceExplanations(null), null);
+    assert.equal(parseChoiceExplanations('not json'), null);
+    assert.equal(parseChoiceExplanations('["B"]'), null);
+  });
+
+  // MCQ
+  test('MCQ: a wrong pick gets the explanation for that choice', () => {
+    assert.deepEqual(explainMistakes(MCQ, 'B'), [
+      { target: 'B', label: 'B. File names', explanation: 'Anyone can rename a file without changing it.' }
+    ]);
+  });
+
+  test('MCQ: falls back to the generic wrong-answer explanation', () => {
+    assert.deepEqual(explainMistakes(MCQ, 'D'), [
+      { target: null, label: null, explanation: 'Only a hash reflects the file content.' }
+    ]);
+    assert.deepEqual(explainMistakes({ ...MCQ, explanationWrong: null }, 'D'), []);
+  });
+
+  test('MCQ: nothing for a correct or blank answer', () => {
+    assert.deepEqual(explainMistakes(MCQ, 'A'), []);
+    assert.deepEqual(explainMistakes(MCQ, null), []);
+  });
+
+  // PBQ
+  test('PBQ multi_select: wrong picks and missed options are explained by index', () => {
+    const pbq = { type: 'multi_select', options: ['MFA', 'Shared accounts', 'Least privilege'], correct: [0, 2] };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 1: 'Shared accounts break accountability.' } };
+    const { breakdown } = scorePBQ({ selected: [0, 1, 2] }, pbq);
+    assert.deepEqual(explainMistakes(question, { selected: [0, 1, 2] }, breakdown), [
+      { target: 1, label: 'Shared accounts', explanation: 'Shared accounts break accountability.' }
+    ]);
+  });
+
+  test('PBQ ordering: a misplaced slot is explained by the item that belongs there', () => {
+    const pbq = { type: 'ordering', items: ['Identify', 'Contain', 'Eradicate'], correct_order: [0, 1, 2] };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 1: 'Contain before you clean up.' } };
+    const { breakdown } = scorePBQ({ order: [0, 2, 1] }, pbq);
+    assert.deepEqual(explainMistakes(question, { order: [0, 2, 1] }, breakdown).map(n => n.target), [1]);
+  });
+
+  test('PBQ matching: wrong pairs use the left-hand item, falling back when unexplained', () => {
+    const pbq = { type: 'matching', left: ['SSH', 'RDP'], right: ['22', '3389'], correct_map: { 0: 0, 1: 1 } };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 0: 'SSH listens on 22.' }, explanationWrong: 'Check the port table.' };
+    const swapped = scorePBQ({ map: { 0: 1, 1: 0 } }, pbq).breakdown;
+    assert.deepEqual(explainMistakes(question, { map: { 0: 1, 1: 0 } }, swapped), [
+      { target: 0, label: 'SSH', explanation: 'SSH listens on 22.' }
+    ]);
+    const rdpOnly = scorePBQ({ map: { 0: 0, 1: 0 } }, pbq).breakdown;
+    assert.deepEqual(explainMistakes(question, { map: { 0: 0, 1: 0 } }, rdpOnly).map(n => n.explanation), ['Check the port table.']);
+    assert.deepEqual(explainMistakes(question, { map: { 0: 0, 1: 1 } }, scorePBQ({ map: { 0: 0, 1: 1 } }, pbq).breakdown), []);
+  });
+
+  test('PBQ categorize: items in the wrong bucket are explained by item index', () => {
+    const pbq = {
+      type: 'categorize',
+      items: ['Firewall', 'Training', 'Policy'],
+      buckets: ['Technical', 'Operational', 'Managerial'],
+      correct_buckets: [0, 1, 2]
+    };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 1: 'People deliver training day to day.' } };
+    const answer = { map: { 0: 0, 1: 2, 2: 2 } };
+    assert.deepEqual(explainMistakes(question, answer, scorePBQ(answer, pbq).breakdown), [
+      { target: 1, label: 'Training', explanation: 'People deliver training day to day.' }
+    ]);
+  });
+
+  test('PBQ firewall rules: wrong tables get the generic explanation', () => {
+    const allowSsh = { source: 'LAN', destination: 'Server', port: '22', protocol: 'TCP', action: 'allow' };
+    const pbq = {
+      type: 'firewall_rules',
+      fields: { source: ['LAN'], destination: ['Server'], port: ['22', '23'], protocol: ['TCP'] },
+      rows: 2,
+      correct_rules: [allowSsh]
+    };
+    const question = { qtype: 'pbq', pbq, explanationWrong: 'Telnet sends passwords in clear text.' };
+    const telnet = { rules: [{ ...allowSsh, port: 'any' }] };
+    assert.deepEqual(explainMistakes(question, telnet, scorePBQ(telnet, pbq).breakdown).map(n => n.explanation),
+      ['Telnet sends passwords in clear text.']);
+    assert.deepEqual(explainMistakes(question, { rules: [allowSsh] }, scorePBQ({ rules: [allowSsh] }, pbq).breakdown), []);
+  });
+
+  test('PBQ log analysis: misjudged lines are explained by line number', () => {
+    const pbq = {
+      type: 'log_analysis',
+      lines: ['Accepted publickey for deploy', 'Failed password for root from 203.0.113.9', 'Failed password for alice'],
+      suspicious: [1],
+      classifications: ['Brute force', 'Port scan'],
+      correct_classification: 0
+    };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 2: 'One typo from an internal user is normal.' } };
+    const answer = { lines: [1, 2], classification: 0 };
+    assert.deepEqual(explainMistakes(question, answer, scorePBQ(answer, pbq).breakdown), [
+      { target: 2, label: 'Failed password for alice', explanation: 'One typo from an internal user is normal.' }
+    ]);
+  });
+
+  test('PBQ placement: wrong zones are explained by zone id and labelled with the zone name', () => {
+    const pbq = {
+      type: 'placement',
+      zones: [{ id: 'dmz', label: 'DMZ' }, { id: 'lan', label: 'Internal LAN' }],
+      tiles: ['WAF', 'NIDS sensor'],
+      correct_zones: { dmz: [[0]], lan: [[1]] }
+    };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { dmz: 'Web requests arrive in the DMZ.' } };
+    const answer = { placements: { 0: 'lan', 1: 'dmz' } };
+    assert.deepEqual(explainMistakes(question, answer, scorePBQ(answer, pbq).breakdown), [
+      { target: 'dmz', label: 'DMZ', explanation: 'Web requests arrive in the DMZ.' }
+    ]);
+    assert.equal(serializeChoiceExplanations({ lan: ' LAN note ', dmz: 'DMZ note', 0: 'x' }, 'pbq', pbq),
+      '{"dmz":"DMZ note","lan":"LAN note"}');
+  });
+
+  test('PBQ fill-in: wrong blanks are explained by blank index and labelled with the blank name', () => {
+    const pbq = {
+      type: 'fill_in',
+      blanks: [{ label: 'Mode' }, {}],
+      correct_answers: [['600'], ['root:root']]
+    };
+    const question = { qtype: 'pbq', pbq, choiceExplanations: { 0: 'Others must get no access at all.', 1: 'Root should own the key.' } };
+    const answer = { values: ['644', 'root:root'] };
+    assert.deepEqual(explainMistakes(question, answer, scorePBQ(answer, pbq).breakdown), [
+      { target: 0, label: 'Mode', explanation: 'Others must get no access at all.' }
+    ]);
+    const unlabelled = { values: ['600', 'www-data'] };
+    assert.deepEqual(explainMistakes(question, unlabelled, scorePBQ(unlabelled, pbq).breakdown).map(n => n.label), ['Blank 2']);
+  });
+
+  summary();
+}
+
+runTests();
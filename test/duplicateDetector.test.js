@@ -0,0 +1,87 @@
+// Unit Tests for duplicate question detection
+// Covers normalization, exact and near-duplicate clusters and keeping one question per cluster
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { normalizeText, questionSignature, findDuplicateClusters, onePerCluster } from '../duplicateDetector.js';
+
+const mcq = (id, question, choices) => ({ id, qtype: 'mcq', question, choices });
+
+// A question whose whole content is the given words
+const words = (id, list) => ({ id, qtype: 'mcq', question: list.join(' '), choices: {} });
+const range = (prefix, from, to) => Array.from({ length: to - from + 1 }, (_, i) => `${prefix}${from + i}`);
+
+const HASHING = mcq(1, 'Which control verifies that a file was not altered?', {
+  A: 'File hashes', B: 'File names', C: 'Creation dates', D: 'Folder permissions'
+});
+
+function runTests() {
+  console.log('\n🧪 Running Duplicate Detection Tests\n');
+  console.log('='.repeat(60));
+
+  // Normalization
+  test('normalizeText lowercases, drops punctuation and collapses whitespace', () => {
+    assert.equal(normalizeText('  What is  CSRF? (Cross-Site)  '), 'what is csrf cross site');
+    assert.equal(normalizeText(null), '');
+  });
+
+  test('signatures ignore case, punctuation and choice order', () => {
+    const reworded = mcq(2, 'which control VERIFIES that a file was not altered', {
+      A: 'Folder permissions.', B: 'creation dates', C: 'FILE HASHES', D: 'File names'
+    });
+    assert.equal(questionSignature(reworded).exactKey, questionSignature(HASHING).exactKey);
+    assert.notEqual(questionSignature({ ...reworded, qtype: 'pbq' }).exactKey, questionSignature(HASHING).exactKey);
+  });
+
+  // Clusters
+  test('shuffled choices make an exact duplicate', () => {
+    const shuffled = mcq(2, HASHING.question.toUpperCase(), {
+      A: 'Creation dates', B: 'Folder permissions', C: 'File hashes', D: 'File names'
+    });
+    const other = mcq(3, 'Which port does LDAPS use?', { A: '389', B: '636', C: '443', D: '22' });
+    assert.deepEqual(findDuplicateClusters([HASHING, other, shuffled]), [{ ids: [1, 2], exact: true, minSimilarity: 1 }]);
+  });
+
+  test('PBQs compare the items they show', () => {
+    const pbq = (id, options) => ({ id, qtype: 'pbq', question: 'Select ALL controls that stop CSRF.', pbq: { options } });
+    const clusters = findDuplicateClusters([pbq(1, ['SameSite cookies', 'Anti-CSRF tokens']), pbq(2, ['Anti-CSRF tokens', 'SameSite cookies'])]);
+    assert.deepEqual(clusters, [{ ids: [1, 2], exact: true, minSimilarity: 1 }]);
+  });
+
+  test('near duplicates cluster exactly at the threshold and not above it', () => {
+    // 17 shared words out of 20: Jaccard similarity 0.85
+    const questions = [words(1, range('w', 1, 20)), words(2, range('w', 1, 17))];
+    assert.deepEqual(findDuplicateClusters(questions), [{ ids: [1, 2], exact: false, minSimilarity: 0.85 }]);
+    assert.deepEqual(findDuplicateClusters(questions, { threshold: 0.86 }), []);
+  });
+
+  test('clusters are transitive: A~B and B~C group A with C', () => {
+    // A-B and B-C share 9 of 11 words (0.82); A-C only 8 of 12 (0.67)
+    const a = words(1, range('t', 1, 10));
+    const b = words(2, [...range('t', 1, 9), 'x1']);
+    const c = words(3, [...range('t', 1, 8), 'x1', 'x2']);
+    const [cluster] = findDuplicateClusters([a, c, b], { threshold: 0.8 });
+    assert.deepEqual([...cluster.ids].sort(), [1, 2, 3]);
+    assert.equal(cluster.exact, false);
+    assert.equal(cluster.minSimilarity, 0.82);
+    assert.deepEqual(findDuplicateClusters([a, c], { threshold: 0.8 }), []);
+  });
+
+  test('clusters are listed largest first', () => {
+    const pair = [words(1, range('p', 1, 5)), words(2, range('p', 1, 5))];
+    const triple = [words(3, range('q', 1, 5)), words(4, range('q', 1, 5)), words(5, range('q', 1, 5))];
+    assert.deepEqual(findDuplicateClusters([...pair, ...triple]).map(c => c.ids.length), [3, 2]);
+  });
+
+  // One per cluster
+  test('onePerCluster keeps the first (preferred) copy of each cluster', () => {
+    const clusterOf = new Map([[1, 0], [5, 0], [7, 0], [2, 1], [8, 1]]);
+    const preferred = [{ id: 5 }, { id: 9 }, { id: 1 }, { id: 8 }, { id: 2 }, { id: 7 }, { id: 3 }];
+    assert.deepEqual(onePerCluster(preferred, clusterOf).map(q => q.id), [5, 9, 8, 3]);
+    assert.equal(onePerCluster(preferred, new Map()).length, preferred.length);
+  });
+
+  summary();
+}
+
+runTests();
@@ -0,0 +1,38 @@
+// Shared runner for the unit test suites
+// Each suite calls test() for every case, then summary() to print the results and exit
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+export function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'passed' });
+  } catch (err) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${err.message}`);
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'failed', error: err.message });
+  }
+}
+
+export function summary() {
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+
+  if (testResults.failed > 0) {
+    console.log('Failed tests:');
+    testResults.tests
+      .filter(t => t.status === 'failed')
+      .forEach(t => console.log(`  - ${t.name}: ${t.error}`));
+    process.exit(1);
+  } else {
+    console.log('✅ All tests passed!\n');
+    process.exit(0);
+  }
+}
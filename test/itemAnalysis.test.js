@@ -0,0 +1,176 @@
+// Unit Tests for item analysis
+// Covers p-values, point-biserial discrimination, distractor rates, score quartiles and review flags
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { analyzeItem, analyzeDistractors, assignQuartiles, pointBiserial, empiricalDifficulty } from '../itemAnalysis.js';
+
+// count copies of one MCQ response
+function responses(count, answer, key, restScore, timeSpentSeconds = null) {
+  return Array.from({ length: count }, () => ({
+    answer,
+    points: answer === key ? 1 : 0,
+    restScore,
+    timeSpentSeconds
+  }));
+}
+
+const MCQ = { qtype: 'mcq', answer: 'A', difficulty: 'Medium' };
+
+function runTests() {
+  console.log('\n🧪 Running Item Analysis Tests\n');
+  console.log('='.repeat(60));
+
+  // correlation
+  test('pointBiserial: perfect positive and negative correlation', () => {
+    assert.equal(pointBiserial([0, 0, 1, 1], [0.2, 0.2, 0.8, 0.8]), 1);
+    assert.equal(pointBiserial([1, 1, 0, 0], [0.2, 0.2, 0.8, 0.8]), -1);
+  });
+
+  test('pointBiserial: null without variance or enough data', () => {
+    assert.equal(pointBiserial([1, 1, 1], [0.2, 0.5, 0.8]), null);
+    assert.equal(pointBiserial([1], [0.5]), null);
+  });
+
+  // difficulty bands
+  test('empiricalDifficulty maps p-values to labels', () => {
+    assert.equal(empiricalDifficulty(0.9), 'Easy');
+    assert.equal(empiricalDifficulty(0.8), 'Easy');
+    assert.equal(empiricalDifficulty(0.65), 'Medium');
+    assert.equal(empiricalDifficulty(0.3), 'Hard');
+    assert.equal(empiricalDifficulty(null), null);
+  });
+
+  // statistics
+  test('analyzeItem: p-value, discrimination and average time', () => {
+    const stats = analyzeItem(MCQ, [
+      ...responses(12, 'A', 'A', 0.8, 60),
+      ...responses(8, 'B', 'A', 0.4, 90)
+    ]);
+    assert.equal(stats.responses, 20);
+    assert.equal(stats.pValue, 0.6);
+    assert.equal(stats.discrimination, 1);
+    assert.equal(stats.avgTimeSeconds, 72);
+    assert.equal(stats.timedResponses, 20);
+  });
+
+  test('analyzeItem: distractor selection rates per choice', () => {
+    const stats = analyzeItem(MCQ, [
+      ...responses(6, 'A', 'A', 0.7),
+      ...responses(3, 'B', 'A', 0.5),
+      ...responses(1, 'D', 'A', 0.3)
+    ]);
+    assert.deepEqual(stats.distractors.map(d => [d.choice, d.count, d.rate, d.isKey]), [
+      ['A', 6, 0.6, true],
+      ['B', 3, 0.3, false],
+      ['C', 0, 0, false],
+      ['D', 1, 0.1, false]
+    ]);
+    assert.equal(stats.distractors[2].meanRestScore, null);
+  });
+
+  test('analyzeItem: PBQ partial credit counts toward the p-value, no distractors', () => {
+    const stats = analyzeItem({ qtype: 'pbq', difficulty: 'Hard' }, [
+      { points: 1, restScore: 0.9 },
+      { points: 0.5, restScore: 0.6 },
+      { points: 0, restScore: 0.3 }
+    ]);
+    assert.equal(stats.pValue, 0.5);
+    assert.equal(stats.distractors, null);
+    assert.ok(stats.discrimination > 0.9);
+  });
+
+  test('analyzeItem: untimed answers are left out of the average time', () => {
+    const stats = analyzeItem(MCQ, [
+      ...responses(2, 'A', 'A', 0.5, 40),
+      ...responses(3, 'A', 'A', 0.5, null)
+    ]);
+    assert.equal(stats.avgTimeSeconds, 40);
+    assert.equal(stats.timedResponses, 2);
+  });
+
+  // flags
+  test('flags a labelled difficulty the data disagrees with', () => {
+    const stats = analyzeItem({ ...MCQ, difficulty: 'Hard' }, [
+      ...responses(27, 'A', 'A', 0.8),
+      ...responses(3, 'C', 'A', 0.4)
+    ]);
+    assert.equal(stats.empiricalDifficulty, 'Easy');
+    assert.deepEqual(stats.flags.map(f => f.flag), ['difficulty-mismatch']);
+  });
+
+  test('flags negative discrimination and suggests the likely key', () => {
+    const stats = analyzeItem(MCQ, [
+      ...responses(15, 'A', 'A', 0.4),
+      ...responses(15, 'C', 'A', 0.85)
+    ]);
+    const flag = stats.flags.find(f => f.flag === 'negative-discrimination');
+    assert.ok(flag, 'expected a negative-discrimination flag');
+    assert.equal(flag.suggestedKey, 'C');
+  });
+
+  test('no flags below the minimum number of responses', () => {
+    const stats = analyzeItem({ ...MCQ, difficulty: 'Easy' }, [
+      ...responses(5, 'A', 'A', 0.3),
+      ...responses(5, 'B', 'A', 0.9)
+    ]);
+    assert.ok(stats.discrimination < 0);
+    assert.deepEqual(stats.flags, []);
+    assert.equal(analyzeItem({ ...MCQ, difficulty: 'Easy' }, [
+      ...responses(5, 'A', 'A', 0.3),
+      ...responses(5, 'B', 'A', 0.9)
+    ], { minResponses: 10 }).flags.length, 2);
+  });
+
+  test('no responses gives empty statistics', () => {
+    const stats = analyzeItem(MCQ, []);
+    assert.equal(stats.pValue, null);
+    assert.equal(stats.discrimination, null);
+    assert.equal(stats.avgTimeSeconds, null);
+    assert.deepEqual(stats.flags, []);
+  });
+
+  // score quartiles
+  test('assignQuartiles ranks students from weakest to strongest', () => {
+    const quartiles = assignQuartiles(new Map([[1, 0.9], [2, 0.2], [3, 0.5], [4, 0.7], [5, 0.3], [6, 0.6], [7, 0.8], [8, 0.4]]));
+    assert.deepEqual([2, 5, 8, 3, 6, 4, 7, 1].map(id => quartiles.get(id)), [1, 1, 2, 2, 3, 3, 4, 4]);
+  });
+
+  // distractors by quartile
+  function quartileResponses(perQuartile) {
+    return Object.entries(perQuartile).flatMap(([quartile, answers]) =>
+      answers.split('').map(answer => ({ answer, quartile: Number(quartile) })));
+  }
+
+  test('analyzeDistractors: choice shares overall and per quartile', () => {
+    const result = analyzeDistractors(MCQ, quartileResponses({ 1: 'BBCA', 2: 'ABCA', 3: 'AABA', 4: 'AAAA' }));
+    const [a, b, c, d] = result.choices;
+    assert.equal(result.responses, 16);
+    assert.deepEqual(result.quartileResponses, { 1: 4, 2: 4, 3: 4, 4: 4 });
+    assert.equal(a.rate, 0.625);
+    assert.deepEqual(a.byQuartile, { 1: 0.25, 2: 0.5, 3: 0.75, 4: 1 });
+    assert.deepEqual(b.byQuartile, { 1: 0.5, 2: 0.25, 3: 0.25, 4: 0 });
+    assert.equal(c.count, 2);
+    assert.equal(d.rate, 0);
+    assert.deepEqual(result.weakDistractors, ['D']);
+    assert.equal(result.topQuartileChoice, 'A');
+  });
+
+  test('analyzeDistractors: flags weak distractors and a choice the top quartile prefers', () => {
+    const result = analyzeDistractors(MCQ, quartileResponses({ 1: 'AAAB', 2: 'AABB', 3: 'ABBB', 4: 'BBBA' }), { minResponses: 10 });
+    assert.equal(result.topQuartileChoice, 'B');
+    assert.deepEqual(result.flags.map(f => f.flag), ['weak-distractor', 'top-quartile-prefers-distractor']);
+    assert.equal(result.flags[1].suggestedKey, 'B');
+  });
+
+  test('analyzeDistractors: the key wins a top-quartile tie and nothing is flagged below minResponses', () => {
+    const tie = analyzeDistractors({ ...MCQ, answer: 'B' }, quartileResponses({ 4: 'ABAB' }), { minResponses: 4 });
+    assert.equal(tie.topQuartileChoice, 'B');
+    assert.ok(!tie.flags.some(f => f.flag === 'top-quartile-prefers-distractor'));
+    assert.deepEqual(analyzeDistractors(MCQ, quartileResponses({ 4: 'BB' })).flags, []);
+  });
+
+  summary();
+}
+
+runTests();
@@ -0,0 +1,543 @@
+// Unit Tests for PBQ scoring
+// Covers the partial-credit policy of every PBQ type and the per-item breakdown
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import {
+  scoreMultiSelect, scoreOrdering, scoreMatching, scoreCategorize, scoreFirewallRules, evaluateFirewall, scoreLogAnalysis, scorePlacement,
+  matchesFillIn, scoreFillIn, scorePBQ, validatePbqDefinition, validatePbqAnswer
+} from '../pbqScoring.js';
+
+// DMZ scenario: HTTPS to the web server from anywhere, SQL from the web server to the database
+const rule = (source, destination, port, protocol, action) => ({ source, destination, port, protocol, action });
+const FIREWALL = {
+  type: 'firewall_rules',
+  fields: {
+    source: ['Internet', 'Web server', 'LAN'],
+    destination: ['Web server', 'Database'],
+    port: ['443', '1433'],
+    protocol: ['TCP', 'UDP']
+  },
+  rows: 5,
+  correct_rules: [
+    rule('any', 'Web server', '443', 'TCP', 'allow'),
+    rule('Web server', 'Database', '1433', 'TCP', 'allow')
+  ]
+};
+
+// Control categories: several items share each bucket, and one bucket is unused
+const CATEGORIZE = {
+  type: 'categorize',
+  items: ['Firewall', 'Policy', 'Guard', 'Encryption', 'Fence'],
+  buckets: ['Technical', 'Managerial', 'Physical', 'Operational'],
+  correct_buckets: [0, 1, 2, 0, 2]
+};
+
+// Hardening a key file: permissions with a regex alternative, a case-sensitive owner and a numeric range
+const FILL_IN = {
+  type: 'fill_in',
+  template: 'chmod {0} server.key && chown {1} server.key # lockout after {2} attempts',
+  blanks: [{ label: 'Mode' }, { label: 'Owner', case_sensitive: true }, {}],
+  correct_answers: [['600', { regex: '0?400' }], ['root:root'], [{ min: 3, max: 5 }]]
+};
+
+// SSH log: lines 1, 2 and 4 are the brute force from one address
+const LOG = {
+  type: 'log_analysis',
+  lines: [
+    'Accepted publickey for deploy from 10.0.0.5',
+    'Failed password for root from 203.0.113.9',
+    'Failed password for invalid user admin from 203.0.113.9',
+    'Failed password for alice from 10.0.0.7',
+    'Failed password for invalid user oracle from 203.0.113.9',
+    'Accepted password for alice from 10.0.0.7'
+  ],
+  suspicious: [1, 2, 4],
+  classifications: ['Brute force', 'SQL injection', 'Port scan'],
+  correct_classification: 0
+};
+
+// DMZ diagram: a WAF or a reverse proxy in the DMZ, a NIDS sensor on the LAN
+const PLACEMENT = {
+  type: 'placement',
+  zones: [
+    { id: 'internet', label: 'Internet' },
+    { id: 'dmz', label: 'DMZ' },
+    { id: 'lan', label: 'Internal LAN' }
+  ],
+  links: [['internet', 'dmz'], ['dmz', 'lan']],
+  tiles: ['WAF', 'Reverse proxy', 'NIDS sensor', 'Honeypot'],
+  correct_zones: { dmz: [[0], [1]], lan: [[2]] }
+};
+
+function runTests() {
+  console.log('\n🧪 Running PBQ Scoring Tests\n');
+  console.log('='.repeat(60));
+
+  // multi_select
+  test('multi_select: exact set earns full credit', () => {
+    const result = scoreMultiSelect([0, 2], [0, 2], 4);
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.isPartial, false);
+    assert.equal(result.points, 1);
+  });
+
+  test('multi_select: missing a correct pick earns partial credit', () => {
+    const result = scoreMultiSelect([0], [0, 2], 4);
+    assert.equal(result.isCorrect, false);
+    assert.equal(result.isPartial, true);
+    assert.equal(result.points, 0.5);
+  });
+
+  test('multi_select: wrong picks deduct credit', () => {
+    const result = scoreMultiSelect([0, 1, 2, 3], [0, 1, 2], 5);
+    assert.equal(result.points, 0.67);
+    assert.equal(result.isPartial, true);
+  });
+
+  test('multi_select: score is floored at zero', () => {
+    const result = scoreMultiSelect([1, 3, 4], [0, 2], 5);
+    assert.equal(result.points, 0);
+    assert.equal(result.isPartial, false);
+  });
+
+  test('multi_select: breakdown flags every option', () => {
+    const { breakdown } = scoreMultiSelect([0, 1], [0, 2], 4);
+    assert.equal(breakdown.length, 4);
+    assert.deepEqual(breakdown[0], { index: 0, selected: true, expected: true, correct: true });
+    assert.deepEqual(breakdown[1], { index: 1, selected: true, expected: false, correct: false });
+    assert.deepEqual(breakdown[2], { index: 2, selected: false, expected: true, correct: false });
+    assert.deepEqual(breakdown[3], { index: 3, selected: false, expected: false, correct: true });
+  });
+
+  test('multi_select: a huge submitted index is scored without walking up to it', () => {
+    const started = Date.now();
+    const result = scoreMultiSelect([0, 1e12, 3e7, -1, 1.5, 'x'], [0, 2], 4);
+    assert.ok(Date.now() - started < 100, 'scoring took too long');
+    assert.deepEqual(result.breakdown.map(entry => entry.index), [0, 1, 2, 3, 3e7, 1e12]);
+    assert.equal(result.points, 0);
+  });
+
+  // ordering
+  test('ordering: correct order earns full credit', () => {
+    const result = scoreOrdering([2, 0, 1, 3], [2, 0, 1, 3]);
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.points, 1);
+  });
+
+  test('ordering: credit per correct position', () => {
+    const result = scoreOrdering([2, 1, 0, 3], [2, 0, 1, 3]);
+    assert.equal(result.points, 0.5);
+    assert.equal(result.isPartial, true);
+    assert.deepEqual(result.breakdown.map(b => b.correct), [true, false, false, true]);
+  });
+
+  test('ordering: missing positions count as wrong', () => {
+    const result = scoreOrdering([2], [2, 0, 1]);
+    assert.equal(result.points, 0.33);
+    assert.equal(result.breakdown[1].item, null);
+  });
+
+  // matching
+  test('matching: all pairs correct earns full credit', () => {
+    const result = scoreMatching({ 0: 1, 1: 0 }, { 0: 1, 1: 0 });
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.points, 1);
+  });
+
+  test('matching: credit per correct pair', () => {
+    const result = scoreMatching({ 0: 1, 1: 1, 2: 2, 3: 0 }, { 0: 1, 1: 0, 2: 2, 3: 3 });
+    assert.equal(result.points, 0.5);
+    assert.equal(result.isPartial, true);
+    assert.deepEqual(result.breakdown[1], { left: 1, selected: 1, expected: 0, correct: false });
+  });
+
+  test('matching: string and numeric indices compare equal', () => {
+    const result = scoreMatching({ '0': '1' }, { '0': 1 });
+    assert.equal(result.isCorrect, true);
+  });
+
+  test('matching: unmatched items earn nothing', () => {
+    const result = scoreMatching({}, { 0: 1, 1: 0 });
+    assert.equal(result.points, 0);
+    assert.equal(result.breakdown[0].selected, null);
+  });
+
+  // Categorize
+  test('categorize: many items can share a bucket', () => {
+    const result = scoreCategorize({ 0: 0, 1: 1, 2: 2, 3: 0, 4: 2 }, CATEGORIZE);
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.breakdown.length, 5);
+  });
+
+  test('categorize: credit per item sorted into its bucket', () => {
+    const result = scoreCategorize({ 0: 0, 1: 3, 2: 2, 3: 1 }, CATEGORIZE);
+    assert.equal(result.points, 0.4);
+    assert.deepEqual(result.breakdown.filter(entry => !entry.correct), [
+      { item: 1, selected: 3, expected: 1, correct: false },
+      { item: 3, selected: 1, expected: 0, correct: false },
+      { item: 4, selected: null, expected: 2, correct: false }
+    ]);
+  });
+
+  test('categorize: unsorted items earn nothing', () => {
+    assert.equal(scoreCategorize(undefined, CATEGORIZE).points, 0);
+    assert.equal(scorePBQ({ type: 'categorize', map: { 0: 0, 3: 0 } }, CATEGORIZE).points, 0.4);
+  });
+
+  test('categorize: only whole bucket indices count', () => {
+    const pbq = { type: 'categorize', items: ['a', 'b'], buckets: ['x', 'y'], correct_buckets: [0, 1] };
+    assert.equal(scorePBQ({ type: 'categorize', map: { 0: '', 1: true } }, pbq).points, 0);
+    assert.equal(scorePBQ({ type: 'categorize', map: { 0: false, 1: '1' } }, pbq).points, 0);
+    assert.deepEqual(scoreCategorize({ 0: [0], 1: 1 }, pbq).breakdown[0], { item: 0, selected: null, expected: 0, correct: false });
+  });
+
+  // Fill-in
+  test('fill-in: text answers ignore surrounding and repeated whitespace and case', () => {
+    assert.equal(matchesFillIn('  Root:Root ', 'root:root'), true);
+    assert.equal(matchesFillIn('u=rw,  go=', 'u=rw, go='), true);
+    assert.equal(matchesFillIn('Root:Root', 'root:root', true), false);
+    assert.equal(matchesFillIn('   ', ' '), false);
+  });
+
+  test('fill-in: a regex must match the whole answer', () => {
+    assert.equal(matchesFillIn('0400', { regex: '0?400' }), true);
+    assert.equal(matchesFillIn('RSA:4096', { regex: 'rsa:(3072|4096)' }), true);
+    assert.equal(matchesFillIn('RSA:4096', { regex: 'rsa:(3072|4096)' }, true), false);
+    assert.equal(matchesFillIn('14000', { regex: '0?400' }), false);
+    assert.equal(matchesFillIn('x', { regex: '(' }), false);
+  });
+
+  test('fill-in: a range accepts plain numbers between its bounds', () => {
+    assert.equal(matchesFillIn(' 4 ', { min: 3, max: 5 }), true);
+    assert.equal(matchesFillIn('6', { min: 3, max: 5 }), false);
+    assert.equal(matchesFillIn('30', { min: 24 }), true);
+    assert.equal(matchesFillIn('4 attempts', { min: 3, max: 5 }), false);
+    assert.equal(matchesFillIn('0x4', { min: 3, max: 5 }), false);
+  });
+
+  test('fill-in: credit per blank with an accepted answer', () => {
+    const result = scoreFillIn(['400', 'Root:root', '3'], FILL_IN);
+    assert.equal(result.points, 0.67);
+    assert.equal(result.isPartial, true);
+    assert.deepEqual(result.breakdown, [
+      { blank: 0, selected: '400', correct: true },
+      { blank: 1, selected: 'Root:root', correct: false },
+      { blank: 2, selected: '3', correct: true }
+    ]);
+  });
+
+  test('fill-in: empty blanks earn nothing', () => {
+    assert.equal(scoreFillIn(undefined, FILL_IN).points, 0);
+    assert.deepEqual(scorePBQ({ type: 'fill_in', values: ['600', ' '] }, FILL_IN).breakdown.map(entry => entry.selected),
+      ['600', null, null]);
+    assert.equal(scorePBQ({ type: 'fill_in', values: ['600', 'root:root', '5'] }, FILL_IN).isCorrect, true);
+  });
+
+  // Firewall rules
+  test('firewall: first matching rule wins and unmatched traffic is denied', () => {
+    const rules = [rule('LAN', 'any', 'any', 'any', 'deny'), rule('any', 'Web server', '443', 'TCP', 'allow')];
+    const flow = { source: 'LAN', destination: 'Web server', port: '443', protocol: 'TCP' };
+    assert.deepEqual(evaluateFirewall(rules, flow), { action: 'deny', rule: 0 });
+    assert.deepEqual(evaluateFirewall(rules, { ...flow, source: 'Internet' }), { action: 'allow', rule: 1 });
+    assert.deepEqual(evaluateFirewall(rules, { ...flow, source: 'Internet', port: '1433' }), { action: 'deny', rule: null });
+  });
+
+  test('firewall: the expected rule table earns full credit', () => {
+    const result = scoreFirewallRules(FIREWALL.correct_rules, FIREWALL);
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.points, 1);
+    assert.equal(result.breakdown.length, 4); // the 3 sources to the web server, and the web server to the database
+  });
+
+  test('firewall: a table written differently that behaves the same earns full credit', () => {
+    const rewritten = [
+      rule('Web server', 'Database', '1433', 'TCP', 'allow'),
+      rule('any', 'Database', 'any', 'any', 'deny'), // redundant with the implicit deny
+      rule('Internet', 'Web server', '443', 'TCP', 'allow'),
+      rule('LAN', 'Web server', '443', 'TCP', 'allow'),
+      rule('Web server', 'Web server', '443', 'TCP', 'allow')
+    ];
+    assert.equal(scoreFirewallRules(rewritten, FIREWALL).isCorrect, true);
+  });
+
+  test('firewall: rule order changes behaviour', () => {
+    const shadowed = [
+      rule('any', 'any', 'any', 'any', 'deny'),
+      ...FIREWALL.correct_rules
+    ];
+    const result = scoreFirewallRules(shadowed, FIREWALL);
+    assert.equal(result.points, 0);
+    assert.ok(result.breakdown.every(entry => entry.selected === 'deny' && entry.rule === 0));
+  });
+
+  test('firewall: credit is the share of allowed traffic both tables agree on', () => {
+    // Right about the web server, but also opens UDP 443 from the Internet
+    const tooBroad = [rule('any', 'Web server', '443', 'any', 'allow')];
+    const result = scoreFirewallRules(tooBroad, FIREWALL);
+    assert.equal(result.points, 0.43); // 3 of the 7 flows either table allows
+    const wrong = result.breakdown.filter(entry => !entry.correct);
+    assert.equal(wrong.length, 4);
+    assert.ok(wrong.some(entry => entry.flow.protocol === 'UDP' && entry.selected === 'allow' && entry.expected === 'deny'));
+    assert.ok(wrong.some(entry => entry.flow.destination === 'Database' && entry.selected === 'deny' && entry.rule === null));
+  });
+
+  test('firewall: incomplete rows are skipped but keep their row numbers', () => {
+    const rows = [
+      { source: 'Internet', action: 'allow' },
+      rule('Web server', 'Database', '1433', 'TCP', 'allow'),
+      rule('any', 'Web server', '443', 'ICMP', 'allow') // not a listed protocol
+    ];
+    const result = scoreFirewallRules(rows, FIREWALL);
+    assert.equal(result.points, 0.25);
+    assert.equal(result.breakdown.find(entry => entry.correct).rule, 1);
+    assert.equal(scoreFirewallRules(undefined, FIREWALL).points, 0);
+  });
+
+  test('firewall: rows beyond the grid are ignored', () => {
+    const padded = [...Array(5).fill(rule('LAN', 'Database', '443', 'UDP', 'deny')), ...FIREWALL.correct_rules];
+    assert.equal(scoreFirewallRules(padded, FIREWALL).points, 0);
+  });
+
+  // Log analysis
+  test('log analysis: every suspicious line and the right classification earn full credit', () => {
+    const result = scoreLogAnalysis({ lines: [4, 1, 2], classification: 0 }, LOG);
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.points, 1);
+  });
+
+  test('log analysis: lines and classification are each worth half', () => {
+    assert.equal(scoreLogAnalysis({ lines: [1, 2, 4], classification: 2 }, LOG).points, 0.5);
+    assert.equal(scoreLogAnalysis({ lines: [], classification: 0 }, LOG).points, 0.5);
+    assert.equal(scoreLogAnalysis({ lines: [1, 2], classification: 0 }, LOG).points, 0.83);
+  });
+
+  test('log analysis: innocent lines marked deduct from the line half only', () => {
+    assert.equal(scoreLogAnalysis({ lines: [1, 2, 3], classification: 0 }, LOG).points, 0.67);
+    assert.equal(scoreLogAnalysis({ lines: [0, 3, 5], classification: 0 }, LOG).points, 0.5);
+  });
+
+  test('log analysis: breakdown lists marked or suspicious lines, then the classification', () => {
+    const { breakdown } = scoreLogAnalysis({ lines: [1, 3], classification: 1 }, LOG);
+    assert.deepEqual(breakdown, [
+      { line: 1, selected: true, expected: true, correct: true },
+      { line: 2, selected: false, expected: true, correct: false },
+      { line: 3, selected: true, expected: false, correct: false },
+      { line: 4, selected: false, expected: true, correct: false },
+      { classification: 1, expected: 0, correct: false }
+    ]);
+  });
+
+  test('log analysis: a missing answer earns nothing', () => {
+    const result = scoreLogAnalysis(undefined, LOG);
+    assert.equal(result.points, 0);
+    assert.deepEqual(result.breakdown.at(-1), { classification: null, expected: 0, correct: false });
+    assert.equal(scorePBQ({ type: 'log_analysis', lines: [1, 2, 4], classification: 0 }, LOG).points, 1);
+  });
+
+  test('log analysis: picks past the end of the log are dropped', () => {
+    const started = Date.now();
+    const result = scoreLogAnalysis({ lines: [1, 2, 4, 1e12, 6, -1], classification: 0 }, LOG);
+    assert.ok(Date.now() - started < 100, 'scoring took too long');
+    assert.equal(result.points, 1);
+    assert.deepEqual(result.breakdown.map(entry => entry.line).slice(0, -1), [1, 2, 4]);
+  });
+
+  // Placement
+  test('placement: each zone accepts any of its sets', () => {
+    assert.equal(scorePlacement({ 0: 'dmz', 2: 'lan' }, PLACEMENT).isCorrect, true);
+    assert.equal(scorePlacement({ 1: 'dmz', 2: 'lan' }, PLACEMENT).isCorrect, true);
+  });
+
+  test('placement: credit per zone, all or nothing', () => {
+    const result = scorePlacement({ 0: 'dmz', 1: 'dmz', 2: 'lan' }, PLACEMENT);
+    assert.equal(result.points, 0.5);
+    assert.deepEqual(result.breakdown, [
+      { zone: 'dmz', selected: [0, 1], expected: [[0], [1]], correct: false },
+      { zone: 'lan', selected: [2], expected: [[2]], correct: true }
+    ]);
+  });
+
+  test('placement: tiles in a zone the key leaves out count as a wrong zone', () => {
+    const result = scorePlacement({ 0: 'dmz', 2: 'lan', 3: 'internet' }, PLACEMENT);
+    assert.equal(result.points, 0.67);
+    assert.deepEqual(result.breakdown[0], { zone: 'internet', selected: [3], expected: [[]], correct: false });
+  });
+
+  test('placement: unknown tiles and zones are ignored', () => {
+    assert.equal(scorePlacement({ 0: 'dmz', 2: 'lan', 9: 'lan', 3: 'cloud' }, PLACEMENT).points, 1);
+    assert.equal(scorePlacement(undefined, PLACEMENT).points, 0);
+    assert.equal(scorePBQ({ type: 'placement', placements: { 1: 'dmz' } }, PLACEMENT).points, 0.5);
+  });
+
+  // scorePBQ dispatch
+  test('scorePBQ: dispatches on the answer key type', () => {
+    const pbq = { type: 'multi_select', options: ['a', 'b', 'c'], correct: [0, 1] };
+    const result = scorePBQ({ type: 'multi_select', selected: [0] }, pbq);
+    assert.equal(result.type, 'multi_select');
+    assert.equal(result.points, 0.5);
+    assert.equal(result.breakdown.length, 3);
+  });
+
+  test('scorePBQ: missing answer earns zero', () => {
+    const result = scorePBQ(null, { type: 'ordering', correct_order: [0, 1] });
+    assert.equal(result.isCorrect, false);
+    assert.equal(result.points, 0);
+  });
+
+  // Answers
+  test('validatePbqAnswer: multi-select picks must be option indices', () => {
+    const pbq = { type: 'multi_select', options: ['a', 'b', 'c'], correct: [0, 2] };
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select', selected: [0, 2] }, pbq), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select' }, pbq), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select', selected: [1e12] }, pbq),
+      ['selected must list option indices from 0 to 2']);
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select', selected: [3] }, pbq),
+      ['selected must list option indices from 0 to 2']);
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select', selected: [0.5] }, pbq),
+      ['selected must list option indices from 0 to 2']);
+    assert.deepEqual(validatePbqAnswer({ type: 'multi_select', selected: '0' }, pbq),
+      ['selected must list option indices from 0 to 2']);
+    assert.deepEqual(validatePbqAnswer(['0'], pbq), ['answer must be an object']);
+  });
+
+  test('validatePbqAnswer: categorize maps item indices to bucket indices', () => {
+    const problem = ['map must sort item indices from 0 to 4 into bucket indices from 0 to 3'];
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 0: 0, 4: 3 } }, CATEGORIZE), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 0: '' } }, CATEGORIZE), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 0: true } }, CATEGORIZE), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 0: [0] } }, CATEGORIZE), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 0: 4 } }, CATEGORIZE), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: { 5: 0 } }, CATEGORIZE), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'categorize', map: [0, 1] }, CATEGORIZE), problem);
+  });
+
+  test('validatePbqAnswer: placements put known tiles in known zones', () => {
+    const problem = ['placements must put tile indices from 0 to 3 in zones: internet, dmz, lan'];
+    assert.deepEqual(validatePbqAnswer({ type: 'placement', placements: { 0: 'dmz', 2: 'lan' } }, PLACEMENT), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'placement', placements: { 0: 'cloud' } }, PLACEMENT), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'placement', placements: { 4: 'dmz' } }, PLACEMENT), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'placement', placements: 'dmz' }, PLACEMENT), problem);
+  });
+
+  test('validatePbqAnswer: firewall rows only use the scenario values', () => {
+    const problem = ['rules must list up to 5 rows using this question\'s values'];
+    const full = rule('any', 'Web server', '443', 'TCP', 'allow');
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: [full, { source: 'LAN' }, {}] }, FIREWALL), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: [{ ...full, port: '22' }] }, FIREWALL), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: [{ ...full, action: 'drop' }] }, FIREWALL), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: [{ ...full, note: 'x' }] }, FIREWALL), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: [null] }, FIREWALL), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'firewall_rules', rules: Array(6).fill(full) }, FIREWALL), problem);
+  });
+
+  test('validatePbqAnswer: fill-in has at most one short text per blank', () => {
+    const problem = ['values must list up to 3 answers of at most 200 characters'];
+    assert.deepEqual(validatePbqAnswer({ type: 'fill_in', values: ['600', '', 'root:root'] }, FILL_IN), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'fill_in', values: ['600', 3] }, FILL_IN), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'fill_in', values: ['1', '2', '3', '4'] }, FILL_IN), problem);
+    assert.deepEqual(validatePbqAnswer({ type: 'fill_in', values: ['x'.repeat(201)] }, FILL_IN), problem);
+  });
+
+  test('validatePbqAnswer: log analysis picks must be line indices', () => {
+    assert.deepEqual(validatePbqAnswer({ type: 'log_analysis', lines: [1, 2, 4], classification: 0 }, LOG), []);
+    assert.deepEqual(validatePbqAnswer({ type: 'log_analysis', lines: [1e12] }, LOG),
+      ['lines must list line indices from 0 to 5']);
+    assert.deepEqual(validatePbqAnswer({ type: 'log_analysis', lines: [6] }, LOG),
+      ['lines must list line indices from 0 to 5']);
+  });
+
+  // PBQ definitions
+  test('validatePbqDefinition: accepts well-formed definitions', () => {
+    assert.deepEqual(validatePbqDefinition({ type: 'multi_select', options: ['a', 'b', 'c'], correct: [0, 2] }), []);
+    assert.deepEqual(validatePbqDefinition({ type: 'ordering', items: ['a', 'b', 'c'], correct_order: [2, 0, 1] }), []);
+    assert.deepEqual(validatePbqDefinition({ type: 'matching', left: ['a', 'b'], right: ['x', 'y'], correct_map: { 0: 1, 1: 0 } }), []);
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, requirements: ['Allow HTTPS to the web server'] }), []);
+    assert.deepEqual(validatePbqDefinition({ ...LOG, log_source: '/var/log/auth.log' }), []);
+    assert.deepEqual(validatePbqDefinition(PLACEMENT), []);
+    assert.deepEqual(validatePbqDefinition(CATEGORIZE), []);
+    assert.deepEqual(validatePbqDefinition(FILL_IN), []);
+  });
+
+  test('validatePbqDefinition: rejects unknown types and broken answer keys', () => {
+    assert.equal(validatePbqDefinition({ type: 'essay' }).length, 1);
+    assert.equal(validatePbqDefinition({ type: 'multi_select', options: ['a', 'b'], correct: [2] }).length, 1);
+    assert.equal(validatePbqDefinition({ type: 'ordering', items: ['a', 'b', 'c'], correct_order: [0, 0, 1] }).length, 1);
+    assert.equal(validatePbqDefinition({ type: 'matching', left: ['a', 'b'], right: ['x', 'y'], correct_map: { 0: 1 } }).length, 1);
+  });
+
+  test('validatePbqDefinition: checks firewall scenarios and expected rules', () => {
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, fields: { ...FIREWALL.fields, port: ['443', 'Any'] } }),
+      ['fields.port must list distinct values other than "any"']);
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, rows: 1 }), ['rows must leave room for every rule in correct_rules']);
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, rows: undefined }), ['rows must be a whole number from 1 to 10']);
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, correct_rules: [rule('Internet', 'Mail server', '25', 'TCP', 'allow')] }),
+      ['correct_rules[0] must use the listed values or "any" and an action of allow or deny']);
+    assert.deepEqual(validatePbqDefinition({ ...FIREWALL, correct_rules: [rule('any', 'any', 'any', 'any', 'deny')] }),
+      ['correct_rules must allow some traffic']);
+  });
+
+  test('validatePbqDefinition: checks log lines, suspicious lines and classifications', () => {
+    assert.deepEqual(validatePbqDefinition({ ...LOG, suspicious: [1, 6] }), ['suspicious must list distinct line indices']);
+    assert.deepEqual(validatePbqDefinition({ ...LOG, suspicious: [] }), ['suspicious must list distinct line indices']);
+    assert.deepEqual(validatePbqDefinition({ ...LOG, lines: ['only one line'] }), ['lines must list 2-50 non-empty strings']);
+    assert.deepEqual(validatePbqDefinition({ ...LOG, classifications: ['Brute force', 'Brute force'] }),
+      ['classifications must list at least 2 distinct non-empty strings']);
+    assert.deepEqual(validatePbqDefinition({ ...LOG, correct_classification: 3, log_source: ' ' }),
+      ['log_source must be non-empty text', 'correct_classification must be a classification index']);
+  });
+
+  test('validatePbqDefinition: checks categorize items, buckets and answer key', () => {
+    assert.deepEqual(validatePbqDefinition({ ...CATEGORIZE, items: ['Firewall', 'Firewall'] }),
+      ['items must list 2-20 distinct non-empty strings']);
+    assert.deepEqual(validatePbqDefinition({ ...CATEGORIZE, buckets: ['Technical'] }),
+      ['buckets must list 2-6 distinct non-empty strings']);
+    assert.deepEqual(validatePbqDefinition({ ...CATEGORIZE, correct_buckets: [0, 1, 2, 0] }),
+      ['correct_buckets must give a bucket index for every item']);
+    assert.deepEqual(validatePbqDefinition({ ...CATEGORIZE, correct_buckets: [0, 1, 2, 0, 4] }),
+      ['correct_buckets must give a bucket index for every item']);
+  });
+
+  test('validatePbqDefinition: checks fill-in blanks, template and accepted answers', () => {
+    assert.deepEqual(validatePbqDefinition({ ...FILL_IN, blanks: [] }),
+      ['blanks must list 1-10 blanks, each with an optional label and case_sensitive flag']);
+    assert.deepEqual(validatePbqDefinition({ ...FILL_IN, template: 'chmod {0} && chown {0} {1}' }),
+      ['template must contain each of {0}, {1}, {2} exactly once']);
+    assert.deepEqual(validatePbqDefinition({ ...FILL_IN, correct_answers: FILL_IN.correct_answers.slice(0, 2) }),
+      ['correct_answers must list the accepted answers of every blank']);
+    assert.deepEqual(validatePbqDefinition({ ...FILL_IN, correct_answers: [[' ', { regex: '(' }], [], [{ min: 5, max: 3 }, { max: '5' }]] }), [
+      'correct_answers[0][0] must not be blank',
+      'correct_answers[0][1] regex is not a valid regular expression',
+      'correct_answers[1] must list 1-10 accepted answers',
+      'correct_answers[2][0] min must not be more than max',
+      'correct_answers[2][1] must be text, { regex } or { min, max }'
+    ]);
+    assert.deepEqual(validatePbqDefinition({ ...FILL_IN, correct_answers: [[{ regex: '600', flags: 'g' }], ['root'], ['3']] }),
+      ['correct_answers[0][0] flags may only use i, m, s and u']);
+  });
+
+  test('validatePbqDefinition: checks placement zones, links and acceptable sets', () => {
+    const zones = PLACEMENT.zones.map((zone, index) => ({ ...zone, row: 1, column: index + 1 }));
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, zones }), []);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, zones: [...zones.slice(0, 2), PLACEMENT.zones[2]] }),
+      ['zones must all give a row and column from 1 to 6, or none']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, zones: [...zones.slice(0, 2), { ...zones[2], column: 1 }] }),
+      ['zones must not share a row and column']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, links: [['dmz', 'cloud']] }), ['links must be pairs of different zone ids']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, correct_zones: { cloud: [[0]] } }), ['correct_zones.cloud is not a zone id']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, correct_zones: { dmz: [0] } }),
+      ['correct_zones.dmz must list 1-4 sets of distinct tile indices']);
+  });
+
+  test('validatePbqDefinition: placement answer keys must be possible with each tile once', () => {
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, correct_zones: { dmz: [[0]], lan: [[0, 2]] } }),
+      ['correct_zones must have an answer that places some tiles and uses each tile once']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, correct_zones: { internet: [[]] } }),
+      ['correct_zones must have an answer that places some tiles and uses each tile once']);
+    assert.deepEqual(validatePbqDefinition({ ...PLACEMENT, correct_zones: { dmz: [[0], [1]], lan: [[0, 2], [2]] } }), []);
+  });
+
+  summary();
+}
+
+runTests();
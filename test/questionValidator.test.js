@@ -0,0 +1,172 @@
+// Unit Tests for the question bank validator
+// Covers MCQ schema checks, PBQ definitions, vocabularies, choice explanations, giveaway stems and repeated ids
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { validateQuestionEntry, validateQuestionFiles, describeErrors } from '../questionValidator.js';
+
+function mcq(overrides = {}) {
+  return {
+    id: 'SEC-9001',
+    question: 'An analyst needs to confirm a downloaded file was not altered. What should be compared?',
+    choices: { A: 'File hashes', B: 'File names', C: 'Creation dates', D: 'Folder permissions' },
+    answer: 'A',
+    explanation: 'Matching hashes show the content is unchanged.',
+    domain: 'General Security Concepts',
+    difficulty: 'Easy',
+    objectives: ['1.4'],
+    tags: ['Cryptography'],
+    ...overrides
+  };
+}
+
+function pbq(definition) {
+  return {
+    id: 'PBQ-9001',
+    qtype: 'pbq',
+    question: 'Complete the task.',
+    pbq_json: definition,
+    explanation: 'See the steps.',
+    domain: 'Security Operations',
+    difficulty: 'Hard'
+  };
+}
+
+const rules = issues => issues.map(i => i.rule);
+const errorRules = issues => rules(issues.filter(i => i.severity === 'error'));
+
+function runTests() {
+  console.log('\n🧪 Running Question Validator Tests\n');
+  console.log('='.repeat(60));
+
+  // MCQ schema
+  test('a well-formed MCQ has no issues', () => {
+    assert.deepEqual(validateQuestionEntry(mcq()), []);
+  });
+
+  test('missing id, stem and explanation are errors', () => {
+    const issues = validateQuestionEntry(mcq({ id: '', question: '  ', explanation: undefined }));
+    assert.deepEqual(issues.map(i => i.field), ['id', 'question', 'explanation']);
+    assert.ok(issues.every(i => i.severity === 'error' && i.rule === 'required'));
+  });
+
+  test('answer must be A-D and choices non-empty and unique', () => {
+    const issues = validateQuestionEntry(mcq({
+      choices: { A: 'File hashes', B: 'file  hashes', C: '', D: 'Folder permissions' },
+      answer: 'E'
+    }));
+    assert.deepEqual(errorRules(issues), ['unique-choices', 'required', 'answer']);
+    assert.equal(issues[0].field, 'choices.B');
+  });
+
+  test('unknown domain, difficulty and objective codes are errors', () => {
+    const issues = validateQuestionEntry(mcq({ domain: 'Networking', difficulty: 'Expert', objectives: ['9.9'] }));
+    assert.deepEqual(errorRules(issues), ['domain', 'difficulty', 'objectives']);
+  });
+
+  test('objective_source only marks auto-tagged objectives', () => {
+    assert.deepEqual(validateQuestionEntry(mcq({ objective_source: 'auto' })), []);
+    assert.deepEqual(errorRules(validateQuestionEntry(mcq({ objective_source: 'manual' }))), ['objective-source']);
+  });
+
+  test('a primary objective from another domain is a warning', () => {
+    const issues = validateQuestionEntry(mcq({ objectives: ['4.6'] }));
+    assert.deepEqual(issues.map(i => [i.severity, i.rule]), [['warning', 'objective-domain']]);
+  });
+
+  // PBQ definitions
+  test('PBQ indices out of range are errors', () => {
+    const issues = validateQuestionEntry(pbq({ type: 'multi_select', options: ['a', 'b', 'c'], correct: [0, 3] }));
+    assert.deepEqual(errorRules(issues), ['pbq']);
+  });
+
+  test('PBQ correct_order must be a permutation of the items', () => {
+    const bad = validateQuestionEntry(pbq({ type: 'ordering', items: ['a', 'b', 'c'], correct_order: [0, 1, 1] }));
+    assert.deepEqual(errorRules(bad), ['pbq']);
+    const good = validateQuestionEntry(pbq({ type: 'ordering', items: ['a', 'b', 'c'], correct_order: [2, 0, 1] }));
+    assert.deepEqual(good, []);
+  });
+
+  test('PBQ correct_map keys and values must exist', () => {
+    const issues = validateQuestionEntry(pbq({ type: 'matching', left: ['a', 'b'], right: ['x', 'y'], correct_map: { 0: 1, 1: 2 } }));
+    assert.deepEqual(errorRules(issues), ['pbq']);
+    assert.match(describeErrors(issues), /correct_map/);
+  });
+
+  test('PBQ correct_buckets must sort every item into an existing bucket', () => {
+    const definition = { type: 'categorize', items: ['a', 'b', 'c'], buckets: ['x', 'y'], correct_buckets: [0, 1, 0] };
+    assert.deepEqual(validateQuestionEntry({ ...pbq(definition), choice_explanations: { 2: 'c goes with a.' } }), []);
+    const issues = validateQuestionEntry(pbq({ ...definition, correct_buckets: [0, 2] }));
+    assert.deepEqual(errorRules(issues), ['pbq']);
+    assert.match(describeErrors(issues), /correct_buckets/);
+  });
+
+  test('PBQ fill-in answers must be text, a valid regex or a number range', () => {
+    const definition = { type: 'fill_in', blanks: [{ label: 'Port' }, {}], correct_answers: [[{ min: 636, max: 636 }], ['ldaps']] };
+    assert.deepEqual(validateQuestionEntry({ ...pbq(definition), choice_explanations: { 0: '389 is plain LDAP.' } }), []);
+    assert.deepEqual(errorRules(validateQuestionEntry({ ...pbq(definition), choice_explanations: { 2: 'No such blank.' } })),
+      ['choice-explanations']);
+    const issues = validateQuestionEntry(pbq({ ...definition, correct_answers: [[{ regex: '[' }], ['ldaps']] }));
+    assert.deepEqual(errorRules(issues), ['pbq']);
+    assert.match(describeErrors(issues), /correct_answers\[0\]\[0\] regex/);
+  });
+
+  // Per-choice explanations
+  test('choice explanations must be keyed by an existing choice', () => {
+    const good = validateQuestionEntry(mcq({ choice_explanations: { B: 'Names can be changed freely.' } }));
+    assert.deepEqual(good, []);
+    const issues = validateQuestionEntry(mcq({ choice_explanations: { E: 'No such choice.', C: '  ' } }));
+    assert.deepEqual(errorRules(issues), ['choice-explanations', 'choice-explanations']);
+    assert.match(describeErrors(issues), /choiceExplanations\.E/);
+  });
+
+  test('PBQ choice explanations are keyed by option or item index', () => {
+    const definition = { type: 'multi_select', options: ['a', 'b', 'c'], correct: [0] };
+    assert.deepEqual(validateQuestionEntry({ ...pbq(definition), choice_explanations: { 1: 'b is not required.' } }), []);
+    const issues = validateQuestionEntry({ ...pbq(definition), choice_explanations: { 3: 'Out of range.' } });
+    assert.deepEqual(errorRules(issues), ['choice-explanations']);
+  });
+
+  // Giveaway stems
+  test('definition-template stems are flagged', () => {
+    const issues = validateQuestionEntry(mcq({ question: 'Which hashing use is best described as: confirming a file was not altered?' }));
+    assert.deepEqual(rules(issues), ['stem-template']);
+    assert.equal(issues[0].severity, 'warning');
+  });
+
+  test('stems that contain or hint at the correct choice are flagged', () => {
+    const contains = validateQuestionEntry(mcq({ question: 'Why compare file hashes after a download?' }));
+    assert.deepEqual(rules(contains), ['stem-contains-answer']);
+
+    const clue = validateQuestionEntry(mcq({
+      question: 'Which mitigation is MOST effective against CSRF?',
+      choices: { A: 'Anti-CSRF tokens', B: 'Disable TLS', C: 'Use static IPs', D: 'Increase MTU size' }
+    }));
+    assert.deepEqual(rules(clue), ['stem-clue']);
+  });
+
+  // Files
+  test('repeated ids: identical copies warn, conflicting copies are errors', () => {
+    const report = validateQuestionFiles([
+      { name: 'questions.json', items: [mcq(), mcq()] },
+      { name: 'extra.json', items: [mcq({ difficulty: 'Hard' })] }
+    ]);
+    assert.equal(report.entries, 3);
+    assert.deepEqual(report.issues.map(i => [i.file, i.index, i.rule]), [
+      ['questions.json', 1, 'duplicate-entry'],
+      ['extra.json', 0, 'duplicate-id']
+    ]);
+    assert.equal(report.errors, 1);
+    assert.equal(report.warnings, 1);
+  });
+
+  test('a file that is not an array is a file-level error', () => {
+    const report = validateQuestionFiles([{ name: 'questions.json', items: { id: 'SEC-1' } }]);
+    assert.equal(report.errors, 1);
+    assert.equal(report.issues[0].index, null);
+  });
+
+  summary();
+}
+
+runTests();
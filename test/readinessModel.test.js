@@ -0,0 +1,98 @@
+// Unit Tests for the readiness model
+// Covers the pass probability, its confidence band, limiting domains and history
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { predictReadiness, readinessHistory } from '../readinessModel.js';
+import { OFFICIAL_DOMAINS } from '../examObjectives.js';
+
+const NOW = Date.UTC(2026, 9, 1);
+const DAY = 24 * 60 * 60 * 1000;
+const DOMAINS = OFFICIAL_DOMAINS.map(d => d.name);
+
+// An attempt 'daysAgo' days before NOW with the given accuracy per domain (default for all)
+function attempt(id, daysAgo, scaledScore, accuracy, byDomain = {}) {
+  const answers = [];
+  DOMAINS.forEach(domain => {
+    const share = byDomain[domain] ?? accuracy;
+    for (let i = 0; i < 20; i++) {
+      answers.push({ domain, qtype: i === 0 ? 'pbq' : 'mcq', points: i < share * 20 ? 1 : 0 });
+    }
+  });
+  return { id, submittedAt: NOW - daysAgo * DAY, scaledScore, answers };
+}
+
+function runTests() {
+  console.log('\n🧪 Running Readiness Model Tests\n');
+  console.log('='.repeat(60));
+
+  test('no attempts means no prediction', () => {
+    assert.deepEqual(predictReadiness([], { asOf: NOW }), { status: 'no-data', passMark: 750 });
+  });
+
+  test('strong recent attempts predict a pass, weak ones a fail', () => {
+    const strong = predictReadiness([attempt(1, 7, 820, 0.85), attempt(2, 1, 840, 0.9)], { asOf: NOW });
+    const weak = predictReadiness([attempt(1, 7, 560, 0.55), attempt(2, 1, 600, 0.6)], { asOf: NOW });
+    assert.equal(strong.status, 'ok');
+    assert.ok(strong.passProbability > 0.8, `strong: ${strong.passProbability}`);
+    assert.ok(weak.passProbability < 0.1, `weak: ${weak.passProbability}`);
+    assert.ok(strong.predictedScore > 750 && weak.predictedScore < 750);
+  });
+
+  test('the band contains the probability and narrows with more attempts', () => {
+    const one = predictReadiness([attempt(1, 1, 760, 0.78)], { asOf: NOW });
+    const many = predictReadiness([1, 2, 3, 4, 5, 6].map(i => attempt(i, i, 760, 0.78)), { asOf: NOW });
+    for (const r of [one, many]) {
+      assert.ok(r.confidenceBand.low <= r.passProbability && r.passProbability <= r.confidenceBand.high);
+      assert.ok(r.scoreRange.low <= r.predictedScore && r.predictedScore <= r.scoreRange.high);
+    }
+    const width = r => r.confidenceBand.high - r.confidenceBand.low;
+    assert.ok(width(many) < width(one));
+    assert.equal(many.basedOn.attempts, 6);
+  });
+
+  test('recent attempts count more than old ones', () => {
+    const improving = predictReadiness([attempt(1, 60, 550, 0.6), attempt(2, 1, 800, 0.85)], { asOf: NOW });
+    const declining = predictReadiness([attempt(1, 60, 800, 0.85), attempt(2, 1, 550, 0.6)], { asOf: NOW });
+    assert.ok(improving.components.attemptScore > 750);
+    assert.ok(declining.components.attemptScore < 600);
+    assert.ok(improving.passProbability > declining.passProbability);
+  });
+
+  test('attempts after the prediction date are ignored', () => {
+    const r = predictReadiness([attempt(1, 10, 600, 0.6), attempt(2, -5, 900, 1)], { asOf: NOW });
+    assert.equal(r.basedOn.attempts, 1);
+    assert.equal(r.components.attemptScore, 600);
+  });
+
+  test('few answers are pulled towards the prior', () => {
+    const lucky = { id: 1, submittedAt: NOW, scaledScore: 900, answers: [{ domain: DOMAINS[0], qtype: 'mcq', points: 1 }] };
+    const r = predictReadiness([lucky], { asOf: NOW });
+    const domain = r.domains.find(d => d.domain === DOMAINS[0]);
+    assert.ok(domain.accuracy > 50 && domain.accuracy < 60);
+    assert.equal(r.components.pbqAccuracy, null);
+  });
+
+  test('limiting domains are those below the passing level, by weighted shortfall', () => {
+    const r = predictReadiness([attempt(1, 1, 720, 0.9, {
+      'General Security Concepts': 0.5,
+      'Security Operations': 0.6
+    })], { asOf: NOW });
+    assert.deepEqual(r.limitingDomains.map(d => d.domain), ['Security Operations', 'General Security Concepts']);
+    assert.ok(r.limitingDomains.every(d => d.shortfall > 0 && d.accuracy < 75));
+  });
+
+  test('history gives the readiness after each attempt, oldest first', () => {
+    const history = readinessHistory([attempt(2, 1, 800, 0.85), attempt(1, 20, 600, 0.6)]);
+    assert.deepEqual(history.map(h => h.attemptId), [1, 2]);
+    assert.ok(history[1].passProbability > history[0].passProbability);
+    assert.ok(history.every(h => h.low <= h.passProbability && h.passProbability <= h.high));
+
+    const sameSecond = readinessHistory([attempt(1, 0, 500, 0.5), attempt(2, 0, 850, 0.9)]);
+    assert.ok(sameSecond[0].predictedScore < sameSecond[1].predictedScore);
+  });
+
+  summary();
+}
+
+runTests();
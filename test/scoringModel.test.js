@@ -0,0 +1,137 @@
+// Unit Tests for the scoring model
+// Covers the raw-to-scaled mapping, question weights, pass decisions and SCORING_CONFIG
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import {
+  DEFAULT_SCORING_CONFIG, getScoringConfig, getQuestionWeight, rawToScaled, calculateScaledScore, resolvePassed
+} from '../scoringModel.js';
+
+// Run fn with SCORING_CONFIG set, capturing what the model logs
+function withEnvConfig(value, fn) {
+  const saved = process.env.SCORING_CONFIG;
+  const savedError = console.error;
+  const logged = [];
+  process.env.SCORING_CONFIG = value;
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    return fn(logged);
+  } finally {
+    console.error = savedError;
+    if (saved === undefined) delete process.env.SCORING_CONFIG;
+    else process.env.SCORING_CONFIG = saved;
+  }
+}
+
+// n questions of one type, the first 'right' of them answered correctly
+function answers(n, right, qtype = 'mcq') {
+  return Array.from({ length: n }, (_, i) => ({ qtype, domain: 'Security Operations', points: i < right ? 1 : 0 }));
+}
+
+function runTests() {
+  console.log('\n🧪 Running Scoring Model Tests\n');
+  console.log('='.repeat(60));
+
+  delete process.env.SCORING_CONFIG;
+
+  // Raw to scaled
+  test('anchor points: 0% is 100, the pass percentage is 750 and 100% is 900', () => {
+    assert.equal(rawToScaled(0), 100);
+    assert.equal(rawToScaled(75), 750);
+    assert.equal(rawToScaled(100), 900);
+  });
+
+  test('each side of the pass percentage is linear', () => {
+    assert.equal(rawToScaled(37.5), 425);
+    assert.equal(rawToScaled(50), 533);
+    assert.equal(rawToScaled(87.5), 825);
+  });
+
+  test('the mapping never goes down as the raw score goes up', () => {
+    let previous = rawToScaled(0);
+    for (let raw = 0.5; raw <= 100; raw += 0.5) {
+      const scaled = rawToScaled(raw);
+      assert.ok(scaled >= previous, `${raw}% scaled to ${scaled}, below ${previous}`);
+      previous = scaled;
+    }
+  });
+
+  test('raw scores outside 0-100 are clamped to the 100-900 scale', () => {
+    assert.equal(rawToScaled(-20), 100);
+    assert.equal(rawToScaled(140), 900);
+    assert.equal(calculateScaledScore([{ qtype: 'mcq', points: 5 }]).scaledScore, 900);
+    assert.equal(calculateScaledScore([{ qtype: 'mcq', points: -1 }]).scaledScore, 100);
+    assert.equal(calculateScaledScore([]).scaledScore, 100);
+  });
+
+  test('a custom pass percentage still lands on the passing score', () => {
+    assert.equal(rawToScaled(80, getScoringConfig({ passingRawPercent: 80 })), 750);
+  });
+
+  // Pass decisions
+  test('pass boundary: 75% passes and 74% fails', () => {
+    const atMark = calculateScaledScore(answers(4, 3));
+    assert.equal(atMark.scaledScore, 750);
+    assert.equal(atMark.passed, true);
+    const below = calculateScaledScore(answers(100, 74));
+    assert.equal(below.scaledScore, 741);
+    assert.equal(below.passed, false);
+  });
+
+  test('a passMark moves the pass decision but not the scale', () => {
+    const result = calculateScaledScore(answers(4, 3), { passMark: 800 });
+    assert.equal(result.scaledScore, 750);
+    assert.equal(result.passed, false);
+    assert.equal(result.passingScore, 800);
+  });
+
+  test('resolvePassed falls back to the raw percentage for old attempts', () => {
+    assert.equal(resolvePassed(750, null), true);
+    assert.equal(resolvePassed(749, 90), false);
+    assert.equal(resolvePassed(null, 75), true);
+    assert.equal(resolvePassed(undefined, 74.9), false);
+    assert.equal(resolvePassed(null, null), false);
+  });
+
+  // Weights
+  test('PBQs count three times as much as multiple choice', () => {
+    assert.equal(getQuestionWeight({ qtype: 'pbq' }), 3);
+    assert.equal(getQuestionWeight({}), 1);
+    const pbqRight = calculateScaledScore([...answers(1, 1, 'pbq'), ...answers(1, 0)]);
+    assert.equal(pbqRight.rawPercent, 75);
+    assert.equal(pbqRight.scaledScore, 750);
+    const mcqRight = calculateScaledScore([...answers(1, 0, 'pbq'), ...answers(1, 1)]);
+    assert.equal(mcqRight.rawPercent, 25);
+    assert.equal(mcqRight.totalWeight, 4);
+  });
+
+  test('partial PBQ credit and domain weights scale the earned weight', () => {
+    const result = calculateScaledScore([{ qtype: 'pbq', points: 0.5 }, { qtype: 'mcq', points: 1 }]);
+    assert.equal(result.earnedWeight, 2.5);
+    const config = getScoringConfig({ domainWeights: { 'Security Operations': 2 } });
+    assert.equal(getQuestionWeight({ qtype: 'pbq', domain: 'Security Operations' }, config), 6);
+    assert.equal(getQuestionWeight({ qtype: 'pbq', domain: 'Security Architecture' }, config), 3);
+  });
+
+  // SCORING_CONFIG
+  test('SCORING_CONFIG is merged over the defaults, and overrides win', () => {
+    withEnvConfig('{"typeWeights":{"pbq":4},"passingScore":700}', () => {
+      const config = getScoringConfig();
+      assert.deepEqual(config.typeWeights, { mcq: 1, pbq: 4 });
+      assert.equal(config.passingScore, 700);
+      assert.equal(getScoringConfig({ typeWeights: { pbq: 2 } }).typeWeights.pbq, 2);
+    });
+  });
+
+  test('malformed SCORING_CONFIG falls back to the defaults', () => {
+    withEnvConfig('{"typeWeights": {pbq: 4}', logged => {
+      assert.deepEqual(getScoringConfig(), DEFAULT_SCORING_CONFIG);
+      assert.equal(calculateScaledScore(answers(4, 3)).scaledScore, 750);
+      assert.match(logged[0], /Invalid SCORING_CONFIG/);
+    });
+  });
+
+  summary();
+}
+
+runTests();
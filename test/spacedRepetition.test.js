@@ -0,0 +1,73 @@
+// Unit Tests for the SM-2 review scheduler
+// Covers answer grading, interval growth, lapses and the ease-factor floor
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { calculateNextReview, gradeAnswer, SM2_DEFAULTS } from '../spacedRepetition.js';
+
+function runTests() {
+  console.log('\n🧪 Running Spaced Repetition Tests\n');
+  console.log('='.repeat(60));
+
+  // grading
+  test('gradeAnswer: correct, shaky, weak partial and wrong', () => {
+    assert.equal(gradeAnswer({ isCorrect: true }), 4);
+    assert.equal(gradeAnswer({ isCorrect: false, isPartial: true, points: 0.67 }), 3);
+    assert.equal(gradeAnswer({ isCorrect: false, isPartial: true, points: 0.33 }), 2);
+    assert.equal(gradeAnswer({ isCorrect: false }), 1);
+  });
+
+  // intervals
+  test('first correct review is due in 1 day', () => {
+    const next = calculateNextReview(null, 4);
+    assert.equal(next.repetitions, 1);
+    assert.equal(next.intervalDays, 1);
+    assert.equal(next.easeFactor, 2.5);
+  });
+
+  test('intervals grow 1, 6, then by the ease factor', () => {
+    const first = calculateNextReview(null, 4);
+    const second = calculateNextReview(first, 4);
+    const third = calculateNextReview(second, 4);
+    assert.equal(second.intervalDays, 6);
+    assert.equal(third.intervalDays, 15);
+    assert.equal(third.repetitions, 3);
+  });
+
+  test('perfect recall raises the ease factor', () => {
+    const next = calculateNextReview({ easeFactor: 2.5, intervalDays: 6, repetitions: 2, lapses: 0 }, 5);
+    assert.equal(next.easeFactor, 2.6);
+  });
+
+  // lapses
+  test('a miss resets repetitions to a 1-day interval and counts a lapse', () => {
+    const next = calculateNextReview({ easeFactor: 2.5, intervalDays: 15, repetitions: 3, lapses: 0 }, 1);
+    assert.equal(next.repetitions, 0);
+    assert.equal(next.intervalDays, 1);
+    assert.equal(next.lapses, 1);
+    assert.equal(next.easeFactor, 1.96);
+  });
+
+  test('shaky answers keep progressing but lower the ease factor', () => {
+    const next = calculateNextReview({ easeFactor: 2.5, intervalDays: 6, repetitions: 2, lapses: 0 }, 3);
+    assert.equal(next.repetitions, 3);
+    assert.equal(next.intervalDays, 15);
+    assert.equal(next.easeFactor, 2.36);
+  });
+
+  test('ease factor never drops below the floor', () => {
+    let card = null;
+    for (let i = 0; i < 10; i++) card = calculateNextReview(card, 0);
+    assert.equal(card.easeFactor, SM2_DEFAULTS.minEaseFactor);
+    assert.equal(card.lapses, 10);
+  });
+
+  test('intervals are capped at maxInterval', () => {
+    const next = calculateNextReview({ easeFactor: 2.5, intervalDays: 300, repetitions: 8, lapses: 0 }, 4);
+    assert.equal(next.intervalDays, SM2_DEFAULTS.maxInterval);
+  });
+
+  summary();
+}
+
+runTests();
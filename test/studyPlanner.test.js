@@ -0,0 +1,110 @@
+// Unit Tests for the study planner
+// Covers the daily schedule, practice exams, PBQ practice and weak-area focus
+
+import { strict as assert } from 'assert';
+import { test, summary } from './harness.js';
+import { buildStudyPlan, toPlanDate, addDays, daysBetween } from '../studyPlanner.js';
+import { OFFICIAL_DOMAINS } from '../examObjectives.js';
+
+const START = '2026-10-01';
+const DOMAINS = OFFICIAL_DOMAINS.map(d => d.name);
+
+// Questions planned per domain or tag across the study tasks
+function questionsByArea(tasks) {
+  const totals = {};
+  tasks.filter(t => t.type === 'study').forEach(t => {
+    const area = t.domain || t.tag;
+    totals[area] = (totals[area] || 0) + t.questionCount;
+  });
+  return totals;
+}
+
+function runTests() {
+  console.log('\n🧪 Running Study Planner Tests\n');
+  console.log('='.repeat(60));
+
+  test('date helpers work on UTC calendar days', () => {
+    assert.equal(toPlanDate(Date.UTC(2026, 9, 1, 23, 59)), '2026-10-01');
+    assert.equal(addDays('2026-10-30', 3), '2026-11-02');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(daysBetween('2026-10-01', '2026-10-29'), 28);
+  });
+
+  test('no plan on or after the exam date', () => {
+    assert.deepEqual(buildStudyPlan({ startDate: START, examDate: START, weeklyHours: 10 }), []);
+    assert.deepEqual(buildStudyPlan({ startDate: START, examDate: '2026-09-30', weeklyHours: 10 }), []);
+  });
+
+  test('every day up to the day before the exam has tasks', () => {
+    const tasks = buildStudyPlan({ startDate: START, examDate: '2026-10-29', weeklyHours: 7 });
+    const dates = new Set(tasks.map(t => t.date));
+    assert.equal(dates.size, 28);
+    assert.ok(dates.has('2026-10-28'));
+    assert.ok(!dates.has('2026-10-29'));
+  });
+
+  test('practice exams fall two days before the exam and weekly before that', () => {
+    const tasks = buildStudyPlan({ startDate: START, examDate: '2026-10-29', weeklyHours: 7 });
+    const exams = tasks.filter(t => t.type === 'exam').map(t => t.date);
+    assert.deepEqual(exams, ['2026-10-06', '2026-10-13', '2026-10-20', '2026-10-27']);
+    // Exam days hold nothing else
+    exams.forEach(date => assert.equal(tasks.filter(t => t.date === date).length, 1));
+  });
+
+  test('a plan rebuilt from a later day keeps the practice exams on the same days', () => {
+    const full = buildStudyPlan({ startDate: START, examDate: '2026-10-29', weeklyHours: 7 });
+    const rebuilt = buildStudyPlan({ startDate: '2026-10-10', examDate: '2026-10-29', weeklyHours: 7 });
+    const exams = tasks => tasks.filter(t => t.type === 'exam' && t.date >= '2026-10-10').map(t => t.date);
+    assert.deepEqual(exams(rebuilt), exams(full));
+  });
+
+  test('daily time follows the weekly hours, in sessions of at most 30 questions', () => {
+    const light = buildStudyPlan({ startDate: START, examDate: '2026-10-08', weeklyHours: 3.5 });
+    const heavy = buildStudyPlan({ startDate: START, examDate: '2026-10-08', weeklyHours: 21 });
+    const dayMinutes = (tasks, date) => tasks.filter(t => t.date === date).reduce((sum, t) => sum + t.minutes, 0);
+    assert.ok(Math.abs(dayMinutes(light, START) - 30) <= 2, `light: ${dayMinutes(light, START)}`);
+    assert.ok(Math.abs(dayMinutes(heavy, START) - 180) <= 2, `heavy: ${dayMinutes(heavy, START)}`);
+    assert.ok(heavy.filter(t => t.type === 'study').every(t => t.questionCount <= 30));
+  });
+
+  test('PBQ practice every second study day when there is time for it', () => {
+    const tasks = buildStudyPlan({ startDate: START, examDate: '2026-10-08', weeklyHours: 7 });
+    const pbqDays = tasks.filter(t => t.type === 'pbq').map(t => t.date);
+    assert.deepEqual(pbqDays, ['2026-10-01', '2026-10-03', '2026-10-05']);
+    assert.deepEqual(tasks.find(t => t.type === 'pbq').options, { type: 'pbq', questionCount: 3, immediateMode: true });
+
+    const tooShort = buildStudyPlan({ startDate: START, examDate: '2026-10-08', weeklyHours: 1 });
+    assert.equal(tooShort.filter(t => t.type === 'pbq').length, 0);
+    assert.ok(tooShort.filter(t => t.type === 'study').every(t => t.questionCount >= 5));
+  });
+
+  test('without weak areas sessions follow the official domain weights', () => {
+    const tasks = buildStudyPlan({ startDate: START, examDate: '2026-11-30', weeklyHours: 10 });
+    const totals = questionsByArea(tasks);
+    const all = Object.values(totals).reduce((sum, n) => sum + n, 0);
+    OFFICIAL_DOMAINS.forEach(d => {
+      assert.ok(Math.abs(totals[d.name] / all - d.weight) < 0.03, `${d.name}: ${totals[d.name] / all}`);
+    });
+  });
+
+  test('weak domains and topics get more of the plan', () => {
+    const weakAreas = [
+      { type: 'domain', name: 'General Security Concepts', priority: 80 },
+      { type: 'topic', name: 'PKI', priority: 60 }
+    ];
+    const base = questionsByArea(buildStudyPlan({ startDate: START, examDate: '2026-11-30', weeklyHours: 10 }));
+    const tasks = buildStudyPlan({ startDate: START, examDate: '2026-11-30', weeklyHours: 10, weakAreas });
+    const weak = questionsByArea(tasks);
+    assert.ok(weak['General Security Concepts'] > base['General Security Concepts'] * 1.3);
+    assert.ok(weak.PKI > 0 && !base.PKI);
+
+    const topic = tasks.find(t => t.tag === 'PKI');
+    assert.equal(topic.domain, null);
+    assert.deepEqual(topic.options, { tags: ['PKI'], questionCount: topic.questionCount, immediateMode: true });
+    assert.ok(tasks.filter(t => t.domain).every(t => DOMAINS.includes(t.domain)));
+  });
+
+  summary();
+}
+
+runTests();
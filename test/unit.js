@@ -0,0 +1,25 @@
+// Runs every unit test suite (test/*.test.js except the integration test) one after another
+// Each suite runs in its own process, since the shared harness exits when a suite finishes
+
+import { spawnSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const suites = readdirSync(testDir)
+  .filter(file => file.endsWith('.test.js') && file !== 'integration.test.js')
+  .sort();
+
+const failed = suites.filter(suite => {
+  console.log(`\n🧪 ${suite}`);
+  const result = spawnSync(process.execPath, [path.join(testDir, suite)], { stdio: 'inherit' });
+  return result.status !== 0;
+});
+
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Unit suites: ${suites.length - failed.length} passed, ${failed.length} failed\n`);
+if (failed.length > 0) {
+  failed.forEach(suite => console.log(`  - ${suite}`));
+  process.exit(1);
+}
@@ -98,13 +98,18 @@ export function validateLogin(req, res, next) {
 // Validate exam start payload
 export function validateStartExam(req, res, next) {
   try {
-    const { isRetakeMissed, customFilters } = req.body;
+    const { isRetakeMissed, customFilters, blueprintId } = req.body;
     
     // isRetakeMissed is optional, but if provided must be boolean
     if (isRetakeMissed !== undefined && typeof isRetakeMissed !== 'boolean') {
       throw new ValidationError('isRetakeMissed must be a boolean', 'isRetakeMissed');
     }
     
+    // blueprintId is optional (default blueprint), but if provided must be a positive integer
+    if (blueprintId !== undefined && blueprintId !== null && (!Number.isInteger(blueprintId) || blueprintId <= 0)) {
+      throw new ValidationError('blueprintId must be a positive integer', 'blueprintId');
+    }
+    
     // customFilters is optional, but if provided must be object
     if (customFilters !== undefined && typeof customFilters !== 'object') {
       throw new ValidationError('customFilters must be an object', 'customFilters');
@@ -125,7 +130,7 @@ export function validateStartExam(req, res, next) {
 // Validate exam submission payload
 export function validateSubmitExam(req, res, next) {
   try {
-    const { answers, timeUsed, attemptId } = req.body;
+    const { answers, timeUsed, attemptId, questionTimes } = req.body;
     
     if (!answers) {
       throw new ValidationError('Answers are required', 'answers');
@@ -139,6 +144,10 @@ export function validateSubmitExam(req, res, next) {
       throw new ValidationError('timeUsed must be a positive number', 'timeUsed');
     }
     
+    if (questionTimes !== undefined && (typeof questionTimes !== 'object' || questionTimes === null || Array.isArray(questionTimes))) {
+      throw new ValidationError('questionTimes must be an object', 'questionTimes');
+    }
+    
     if (!attemptId) {
       throw new ValidationError('attemptId is required', 'attemptId');
     }
@@ -159,10 +168,135 @@ export function validateSubmitExam(req, res, next) {
   }
 }
 
+// Validate exam autosave payload
+export function validateSaveAnswer(req, res, next) {
+  try {
+    const { answer, markedForReview } = req.body;
+
+    if (answer === undefined && markedForReview === undefined) {
+      throw new ValidationError('answer or markedForReview is required', 'answer');
+    }
+
+    // MCQ answers are letters, PBQ answers are objects; null clears the answer
+    if (answer !== undefined && answer !== null && typeof answer !== 'string' && typeof answer !== 'object') {
+      throw new ValidationError('answer must be a string, an object or null', 'answer');
+    }
+
+    if (typeof answer === 'string' && answer !== '' && !['A', 'B', 'C', 'D'].includes(answer)) {
+      throw new ValidationError('answer must be A, B, C or D', 'answer');
+    }
+
+    if (answer && typeof answer === 'object' && JSON.stringify(answer).length > 10000) {
+      throw new ValidationError('answer is too large', 'answer');
+    }
+
+    if (markedForReview !== undefined && typeof markedForReview !== 'boolean') {
+      throw new ValidationError('markedForReview must be a boolean', 'markedForReview');
+    }
+
+    next();
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({
+        error: err.message,
+        field: err.field
+      });
+    }
+    next(err);
+  }
+}
+
+// Validate an adaptive exam answer: one choice letter for the current question
+export function validateAdaptiveAnswer(req, res, next) {
+  try {
+    const { questionNumber, answer, timeSpent } = req.body;
+
+    if (!Number.isInteger(questionNumber) || questionNumber <= 0) {
+      throw new ValidationError('questionNumber must be a positive integer', 'questionNumber');
+    }
+
+    if (!['A', 'B', 'C', 'D'].includes(answer)) {
+      throw new ValidationError('answer must be A, B, C or D', 'answer');
+    }
+
+    if (timeSpent !== undefined && (typeof timeSpent !== 'number' || timeSpent < 0)) {
+      throw new ValidationError('timeSpent must be a positive number', 'timeSpent');
+    }
+
+    next();
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({
+        error: err.message,
+        field: err.field
+      });
+    }
+    next(err);
+  }
+}
+
+// Validate study plan settings: a calendar date for the exam and weekly study hours
+export function validateStudyPlan(req, res, next) {
+  try {
+    const { examDate, weeklyHours } = req.body;
+
+    const parsed = typeof examDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(examDate)
+      ? Date.parse(`${examDate}T00:00:00Z`)
+      : NaN;
+    // Rejects impossible days such as 2026-02-30, which Date would roll over
+    if (Number.isNaN(parsed) || new Date(parsed).toISOString().slice(0, 10) !== examDate) {
+      throw new ValidationError('examDate must be a date in YYYY-MM-DD format', 'examDate');
+    }
+
+    if (typeof weeklyHours !== 'number' || weeklyHours < 1 || weeklyHours > 80) {
+      throw new ValidationError('weeklyHours must be a number between 1 and 80', 'weeklyHours');
+    }
+
+    next();
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({
+        error: err.message,
+        field: err.field
+      });
+    }
+    next(err);
+  }
+}
+
+// Validate the daily activity goal: what is counted, how much a day, and the time zone days end in
+export function validateActivityGoal(req, res, next) {
+  try {
+    const { type, target, timezone } = req.body;
+
+    if (type !== 'questions' && type !== 'minutes') {
+      throw new ValidationError("type must be 'questions' or 'minutes'", 'type');
+    }
+
+    if (!Number.isInteger(target) || target < 1 || target > 1000) {
+      throw new ValidationError('target must be a whole number between 1 and 1000', 'target');
+    }
+
+    if (timezone !== undefined && (typeof timezone !== 'string' || timezone.length > 64)) {
+      throw new ValidationError('timezone must be a time zone name such as Europe/Berlin', 'timezone');
+    }
+
+    next();
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json({
+        error: err.message,
+        field: err.field
+      });
+    }
+    next(err);
+  }
+}
+
 // Validate study session start payload
 export function validateStartStudy(req, res, next) {
   try {
-    const { filters, questionCount, immediateMode } = req.body;
+    const { filters, questionCount, immediateMode, tags, dueOnly } = req.body;
     
     // filters is optional, but if provided must be object
     if (filters !== undefined && typeof filters !== 'object') {
@@ -178,6 +312,16 @@ export function validateStartStudy(req, res, next) {
     if (immediateMode !== undefined && typeof immediateMode !== 'boolean') {
       throw new ValidationError('immediateMode must be a boolean', 'immediateMode');
     }
+
+    // tags is optional, but if provided must be an array of tag names
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(t => typeof t !== 'string'))) {
+      throw new ValidationError('tags must be an array of strings', 'tags');
+    }
+
+    // dueOnly is optional, but if provided must be boolean
+    if (dueOnly !== undefined && typeof dueOnly !== 'boolean') {
+      throw new ValidationError('dueOnly must be a boolean', 'dueOnly');
+    }
     
     next();
   } catch (err) {